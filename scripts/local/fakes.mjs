@@ -0,0 +1,117 @@
+/**
+ * Local stand-ins for the HTTP APIs the Lambdas call, used by scripts/local/run.mjs.
+ *
+ *   Telegram Bot API   Records every call (method + params; uploaded files by name and
+ *                      size) and answers like Telegram would: sent messages get ids,
+ *                      uploads get fake file_ids, getMe names the bot.
+ *   OpenRouter         Answers chat completions with a canned report, so /analyze runs
+ *                      end to end without API keys. Anything else (e.g. Transcribe, which
+ *                      the runner also points here) gets a 400, which the analysis
+ *                      pipeline treats as "no transcript".
+ */
+import { createServer } from 'http';
+
+export const BOT_USERNAME = 'LocalDevBot';
+
+function listen(server, port) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// JSON, form-encoded or multipart (file uploads) parameters as a plain object
+async function parseParams(req) {
+  const body = await readBody(req);
+  const contentType = req.headers['content-type'] || '';
+  if (body.length === 0) return {};
+  if (contentType.includes('application/json')) return JSON.parse(body.toString('utf8'));
+
+  const form = await new Response(body, { headers: { 'content-type': contentType } }).formData();
+  const params = {};
+  for (const [name, value] of form) {
+    params[name] = typeof value === 'string' ? value : { file: value.name, size: value.size };
+  }
+  for (const name of ['reply_markup', 'reply_parameters']) {
+    if (typeof params[name] === 'string') params[name] = JSON.parse(params[name]);
+  }
+  return params;
+}
+
+const MEDIA_METHODS = { sendVideo: 'video', sendAudio: 'audio', sendDocument: 'document' };
+
+/**
+ * @param {{ port?: number, onCall?: (call: object) => void }} [options]
+ * @returns {Promise<{ url: string, calls: object[], messages: Map<number, object>, close: () => void }>}
+ *   `messages` holds the latest text/caption and keyboard of every message the bot sent, by id.
+ */
+export async function startFakeTelegram({ port = 0, onCall } = {}) {
+  const calls = [];
+  const messages = new Map();
+  let nextMessageId = 1;
+
+  const server = createServer(async (req, res) => {
+    const [, , method] = req.url.split('?')[0].split('/'); // /bot<token>/<method>
+    const params = await parseParams(req).catch(() => ({}));
+    const call = { method, params, at: new Date().toISOString() };
+    calls.push(call);
+    onCall?.(call);
+
+    let result = true;
+    if (method === 'getMe') {
+      result = { id: 1000, is_bot: true, first_name: 'Local Dev Bot', username: BOT_USERNAME };
+    } else if (method === 'sendMessage' || MEDIA_METHODS[method]) {
+      const messageId = nextMessageId++;
+      const type = MEDIA_METHODS[method];
+      result = {
+        message_id: messageId,
+        chat: { id: Number(params.chat_id) },
+        date: Math.floor(Date.now() / 1000),
+        ...(type ? { caption: params.caption, [type]: { file_id: `fake-${type}-${messageId}`, file_name: params[type]?.file } } : { text: params.text }),
+      };
+      messages.set(messageId, { chatId: Number(params.chat_id), text: params.text ?? params.caption, replyMarkup: params.reply_markup });
+    } else if (method === 'editMessageText' && messages.has(Number(params.message_id))) {
+      const message = messages.get(Number(params.message_id));
+      Object.assign(message, { text: params.text, replyMarkup: params.reply_markup });
+      result = { message_id: Number(params.message_id), chat: { id: message.chatId }, text: params.text };
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, result }));
+  });
+
+  return { url: await listen(server, port), calls, messages, close: () => server.close() };
+}
+
+/**
+ * @param {{ port?: number }} [options]
+ * @returns {Promise<{ url: string, requests: number, close: () => void }>}
+ */
+export async function startFakeOpenRouter({ port = 0 } = {}) {
+  const fake = { requests: 0 };
+
+  const server = createServer(async (req, res) => {
+    await readBody(req);
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: `Not faked locally: ${req.method} ${req.url}` }));
+      return;
+    }
+
+    fake.requests++;
+    const content = '<b>Local analysis</b>\n\nCanned report from scripts/local/fakes.mjs. ' +
+      'Hook, retention and strategy sections would be here.';
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+  });
+
+  fake.url = await listen(server, port);
+  fake.close = () => server.close();
+  return fake;
+}
@@ -0,0 +1,388 @@
+/**
+ * Run both Lambdas locally, without deploying.
+ *
+ *   webhook    served over HTTP as a Lambda Function URL event (POST updates to it)
+ *   SQS        sends are queued in memory and fed one at a time to the processor handler
+ *   EventBridge  the /follow schedules only run when asked ("!schedule follow-poll", or a step)
+ *   DynamoDB   + S3: LocalStack (tables and bucket are created on start, like terraform/)
+ *   Telegram   + OpenRouter: the fakes in fakes.mjs; every Bot API call is printed
+ *
+ * Usage:
+ *   npm install --no-save @aws-sdk/client-dynamodb @aws-sdk/client-s3 @aws-sdk/client-sqs \
+ *     @aws-sdk/client-secrets-manager @aws-sdk/client-transcribe @aws-sdk/s3-request-presigner
+ *   docker run --rm -p 4566:4566 localstack/localstack
+ *   node scripts/local/run.mjs                          # interactive: type messages, "!press <callback prefix>",
+ *                                                       #   "!schedule follow-poll|follow-digest"
+ *   node scripts/local/run.mjs conversations/*.json     # replay scripted conversations, exit 1 on a failed expect
+ *
+ * A conversation file is { "from": {...}, "chat": {...}, "steps": [...] }, where each step is
+ *   { "send": "text" }           a message from the user
+ *   { "press": "analyze:" }      a button press: the newest button whose callback_data starts with it
+ *   { "schedule": "follow-poll" } a scheduled EventBridge message ('follow-poll' or 'follow-digest')
+ *   { "expect": "Complete" }     some Bot API call since the previous send/press contains the text
+ * and may override "from" / "chat". `from` defaults to the admin (TELEGRAM_ADMIN_USER_ID), `chat`
+ * to the private chat with `from`. Steps run once the queue is drained, so "expect" sees everything
+ * the processor did.
+ *
+ * Downloads and analysis need yt-dlp and ffmpeg on PATH (or BIN_DIR). Other endpoints can be moved
+ * with the usual AWS_ENDPOINT_URL_* variables, e.g. to DynamoDB Local.
+ */
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { delimiter, join } from 'path';
+import { createInterface } from 'readline';
+import { DynamoDBClient, CreateTableCommand, ResourceInUseException } from '@aws-sdk/client-dynamodb';
+import { S3Client, CreateBucketCommand } from '@aws-sdk/client-s3';
+import { SQSClient } from '@aws-sdk/client-sqs';
+import { startFakeTelegram, startFakeOpenRouter } from './fakes.mjs';
+
+// The runner's own output; the Lambdas' console.log is muted unless LOCAL_VERBOSE=1 or interactive
+const print = console.log.bind(console);
+
+const WEBHOOK_PORT = parseInt(process.env.LOCAL_WEBHOOK_PORT || '8080');
+const STEP_TIMEOUT_MS = parseInt(process.env.LOCAL_STEP_TIMEOUT_MS || '600000');
+
+function findBinDir() {
+  const dirs = (process.env.PATH || '').split(delimiter);
+  return dirs.find(dir => dir && existsSync(join(dir, 'yt-dlp'))) || '/usr/local/bin';
+}
+
+const DEFAULT_ENV = {
+  AWS_REGION: 'us-east-1',
+  AWS_ACCESS_KEY_ID: 'test',
+  AWS_SECRET_ACCESS_KEY: 'test',
+  AWS_ENDPOINT_URL_DYNAMODB: 'http://localhost:4566',
+  AWS_ENDPOINT_URL_S3: 'http://s3.localhost.localstack.cloud:4566',
+  S3_BUCKET_NAME: 'media-downloader-local',
+  SQS_QUEUE_URL: 'local://media-download-queue',
+  TELEGRAM_BOT_TOKEN: 'local-token',
+  TELEGRAM_ADMIN_USER_ID: '1001',
+  TELEGRAM_ADMIN_USERNAME: 'localadmin',
+  DYNAMODB_TABLE_NAME: 'media-downloader-users-v2',
+  DYNAMODB_FILES_TABLE: 'media-downloader-files',
+  DYNAMODB_ACTIVE_DOWNLOADS_TABLE: 'media-downloader-active-downloads',
+  DYNAMODB_SEARCH_TABLE: 'media-downloader-search',
+  DYNAMODB_AUDIT_TABLE: 'media-downloader-audit',
+  DYNAMODB_USAGE_TABLE: 'media-downloader-usage',
+  DYNAMODB_FOLLOWS_TABLE: 'media-downloader-follows',
+  OPENROUTER_API_KEY: 'local-key',
+  BIN_DIR: findBinDir(),
+};
+for (const [name, value] of Object.entries(DEFAULT_ENV)) {
+  process.env[name] ??= value;
+}
+
+// Same keys and indexes as terraform/dynamodb.tf
+const TABLES = [
+  {
+    TableName: process.env.DYNAMODB_TABLE_NAME,
+    AttributeDefinitions: [{ AttributeName: 'user_id', AttributeType: 'S' }, { AttributeName: 'username_lower', AttributeType: 'S' }],
+    KeySchema: [{ AttributeName: 'user_id', KeyType: 'HASH' }],
+    GlobalSecondaryIndexes: [
+      { IndexName: 'UsernameIndex', KeySchema: [{ AttributeName: 'username_lower', KeyType: 'HASH' }], Projection: { ProjectionType: 'ALL' } },
+    ],
+  },
+  {
+    TableName: process.env.DYNAMODB_FILES_TABLE,
+    AttributeDefinitions: ['file_key', 'source_type', 'created_at', 'user_id', 'download_id'].map(name => ({ AttributeName: name, AttributeType: 'S' })),
+    KeySchema: [{ AttributeName: 'file_key', KeyType: 'HASH' }],
+    GlobalSecondaryIndexes: [
+      { IndexName: 'SourceTypeIndex', KeySchema: [{ AttributeName: 'source_type', KeyType: 'HASH' }, { AttributeName: 'created_at', KeyType: 'RANGE' }], Projection: { ProjectionType: 'ALL' } },
+      { IndexName: 'UserIdIndex', KeySchema: [{ AttributeName: 'user_id', KeyType: 'HASH' }, { AttributeName: 'created_at', KeyType: 'RANGE' }], Projection: { ProjectionType: 'ALL' } },
+      { IndexName: 'DownloadIdIndex', KeySchema: [{ AttributeName: 'download_id', KeyType: 'HASH' }], Projection: { ProjectionType: 'ALL' } },
+    ],
+  },
+  {
+    TableName: process.env.DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+    AttributeDefinitions: ['download_id', 'record_type', 'started_at'].map(name => ({ AttributeName: name, AttributeType: 'S' })),
+    KeySchema: [{ AttributeName: 'download_id', KeyType: 'HASH' }],
+    GlobalSecondaryIndexes: [
+      { IndexName: 'JobIndex', KeySchema: [{ AttributeName: 'record_type', KeyType: 'HASH' }, { AttributeName: 'started_at', KeyType: 'RANGE' }], Projection: { ProjectionType: 'ALL' } },
+    ],
+  },
+  {
+    TableName: process.env.DYNAMODB_SEARCH_TABLE,
+    AttributeDefinitions: [{ AttributeName: 'term', AttributeType: 'S' }, { AttributeName: 'file_key', AttributeType: 'S' }],
+    KeySchema: [{ AttributeName: 'term', KeyType: 'HASH' }, { AttributeName: 'file_key', KeyType: 'RANGE' }],
+  },
+  {
+    TableName: process.env.DYNAMODB_AUDIT_TABLE,
+    AttributeDefinitions: ['log', 'entry_id', 'actor_id', 'target_id'].map(name => ({ AttributeName: name, AttributeType: 'S' })),
+    KeySchema: [{ AttributeName: 'log', KeyType: 'HASH' }, { AttributeName: 'entry_id', KeyType: 'RANGE' }],
+    GlobalSecondaryIndexes: [
+      { IndexName: 'ActorIndex', KeySchema: [{ AttributeName: 'actor_id', KeyType: 'HASH' }, { AttributeName: 'entry_id', KeyType: 'RANGE' }], Projection: { ProjectionType: 'ALL' } },
+      { IndexName: 'TargetIndex', KeySchema: [{ AttributeName: 'target_id', KeyType: 'HASH' }, { AttributeName: 'entry_id', KeyType: 'RANGE' }], Projection: { ProjectionType: 'ALL' } },
+    ],
+  },
+  {
+    TableName: process.env.DYNAMODB_USAGE_TABLE,
+    AttributeDefinitions: [{ AttributeName: 'day', AttributeType: 'S' }, { AttributeName: 'usage_key', AttributeType: 'S' }],
+    KeySchema: [{ AttributeName: 'day', KeyType: 'HASH' }, { AttributeName: 'usage_key', KeyType: 'RANGE' }],
+  },
+  {
+    TableName: process.env.DYNAMODB_FOLLOWS_TABLE,
+    AttributeDefinitions: [{ AttributeName: 'user_id', AttributeType: 'S' }, { AttributeName: 'follow_key', AttributeType: 'S' }],
+    KeySchema: [{ AttributeName: 'user_id', KeyType: 'HASH' }, { AttributeName: 'follow_key', KeyType: 'RANGE' }],
+  },
+];
+
+async function createResources() {
+  const ddb = new DynamoDBClient({});
+  for (const table of TABLES) {
+    try {
+      await ddb.send(new CreateTableCommand({ ...table, BillingMode: 'PAY_PER_REQUEST' }));
+    } catch (error) {
+      if (!(error instanceof ResourceInUseException)) throw error;
+    }
+  }
+
+  const s3 = new S3Client({});
+  try {
+    await s3.send(new CreateBucketCommand({ Bucket: process.env.S3_BUCKET_NAME }));
+  } catch (error) {
+    if (error.name !== 'BucketAlreadyOwnedByYou' && error.name !== 'BucketAlreadyExists') throw error;
+  }
+}
+
+// Stand-in for the SQS event source mapping: batch size 1, one message at a time
+function createQueue() {
+  const pending = [];
+  const idleWaiters = [];
+  let processor = null;
+  let running = false;
+  let nextId = 1;
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    while (pending.length > 0) {
+      const record = pending.shift();
+      try {
+        await processor.handler({ Records: [record] });
+      } catch (error) {
+        console.error(`❌ Processor failed on message ${record.messageId}:`, error);
+      }
+    }
+    running = false;
+    idleWaiters.splice(0).forEach(resolve => resolve());
+  }
+
+  return {
+    attach(processorModule) {
+      processor = processorModule;
+    },
+    // SendMessage, or SendMessageBatch (its Entries)
+    send(command) {
+      if (command.input.Entries) {
+        const successful = command.input.Entries.map(entry => ({ Id: entry.Id, ...this.send({ input: entry }) }));
+        return { Successful: successful, Failed: [] };
+      }
+      const messageId = `local-${nextId++}`;
+      pending.push({ messageId, body: command.input.MessageBody, attributes: { ApproximateReceiveCount: '1' } });
+      // Like SQS, the processor runs after the webhook has answered
+      setImmediate(drain);
+      return { MessageId: messageId };
+    },
+    // What the EventBridge rules in terraform/sqs.tf send
+    schedule(action) {
+      return this.send({ input: { MessageBody: JSON.stringify({ action }) } });
+    },
+    idle() {
+      if (!running && pending.length === 0) return Promise.resolve();
+      return new Promise(resolve => idleWaiters.push(resolve));
+    },
+  };
+}
+
+function startWebhookServer(webhook, port) {
+  const server = createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const response = await webhook.handler({
+      rawPath: req.url,
+      headers: req.headers,
+      body: Buffer.concat(chunks).toString('utf8'),
+      isBase64Encoded: false,
+      requestContext: { http: { method: req.method, path: req.url } },
+    });
+    res.writeHead(response.statusCode || 200, { 'Content-Type': 'text/plain' });
+    res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body ?? ''));
+  });
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server)));
+}
+
+function describeCall({ method, params }) {
+  const text = params.text ?? params.caption ?? '';
+  const file = ['video', 'audio', 'document'].map(type => params[type]).find(Boolean);
+  const buttons = params.reply_markup?.inline_keyboard?.flat().map(button => button.callback_data || button.url).filter(Boolean);
+  return [
+    `📨 ${method}`,
+    text && `   ${String(text).replace(/\n/g, '\n   ')}`,
+    file && `   📎 ${typeof file === 'string' ? file : `${file.file} (${file.size} bytes)`}`,
+    buttons?.length && `   🔘 ${buttons.join('  ')}`,
+  ].filter(Boolean).join('\n');
+}
+
+function callText({ params }) {
+  return [params.text, params.caption, params.results && JSON.stringify(params.results)].filter(Boolean).join('\n');
+}
+
+// Builds Telegram updates and posts them to the local webhook
+function createClient(webhookUrl, telegram) {
+  let updateId = 1;
+  let messageId = 100000; // clear of the fake Bot API's ids
+
+  async function post(update) {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': process.env.TELEGRAM_WEBHOOK_SECRET || '' },
+      body: JSON.stringify({ update_id: updateId++, ...update }),
+    });
+    if (!response.ok) throw new Error(`Webhook answered ${response.status}: ${await response.text()}`);
+  }
+
+  return {
+    send(from, chat, text) {
+      return post({ message: { message_id: messageId++, from, chat, date: Math.floor(Date.now() / 1000), text } });
+    },
+    async press(from, chat, prefix) {
+      const candidates = [...telegram.messages].reverse().filter(([, message]) => message.chatId === chat.id);
+      for (const [id, message] of candidates) {
+        const button = message.replyMarkup?.inline_keyboard?.flat().find(b => b.callback_data?.startsWith(prefix));
+        if (button) {
+          return post({
+            callback_query: {
+              id: `cb-${updateId}`,
+              from,
+              message: { message_id: id, chat, date: Math.floor(Date.now() / 1000), text: message.text },
+              data: button.callback_data,
+            },
+          });
+        }
+      }
+      throw new Error(`No button starting with "${prefix}" in chat ${chat.id}`);
+    },
+  };
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} still running after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function defaultUser() {
+  const id = parseInt(process.env.TELEGRAM_ADMIN_USER_ID);
+  return { id, is_bot: false, first_name: 'Local', username: process.env.TELEGRAM_ADMIN_USERNAME };
+}
+
+async function replay(file, { client, queue, telegram }) {
+  const conversation = JSON.parse(await readFile(file, 'utf8'));
+  print(`\n▶️  ${file}${conversation.description ? ` — ${conversation.description}` : ''}`);
+
+  let since = telegram.calls.length;
+  for (const [index, step] of conversation.steps.entries()) {
+    const from = step.from || conversation.from || defaultUser();
+    const chat = step.chat || conversation.chat || { id: from.id, type: 'private' };
+    const label = `step ${index + 1}`;
+
+    if (step.send !== undefined || step.press !== undefined || step.schedule !== undefined) {
+      since = telegram.calls.length;
+      if (step.schedule !== undefined) {
+        print(`\n⏰ ${step.schedule}`);
+        queue.schedule(step.schedule);
+      } else if (step.send !== undefined) {
+        print(`\n👤 ${from.username || from.id}: ${step.send}`);
+        await client.send(from, chat, step.send);
+      } else {
+        print(`\n👆 ${from.username || from.id} presses ${step.press}…`);
+        await client.press(from, chat, step.press);
+      }
+      await withTimeout(queue.idle(), STEP_TIMEOUT_MS, `Queue after ${label}`);
+    } else if (step.expect !== undefined) {
+      const found = telegram.calls.slice(since).some(call => callText(call).includes(step.expect));
+      if (!found) {
+        console.error(`❌ ${label}: expected "${step.expect}" in the bot's replies`);
+        return false;
+      }
+      print(`✅ saw "${step.expect}"`);
+    } else {
+      throw new Error(`${label}: needs "send", "press", "schedule" or "expect"`);
+    }
+  }
+  return true;
+}
+
+async function interactive({ client, queue }) {
+  const from = defaultUser();
+  const chat = { id: from.id, type: 'private' };
+  print(`\nChatting as ${from.username} (${from.id}). Type a message, "!press <callback prefix>", "!schedule <action>", or Ctrl-D to quit.`);
+
+  const lines = createInterface({ input: process.stdin });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      if (line.startsWith('!press ')) {
+        await client.press(from, chat, line.slice('!press '.length).trim());
+      } else if (line.startsWith('!schedule ')) {
+        queue.schedule(line.slice('!schedule '.length).trim());
+      } else {
+        await client.send(from, chat, line);
+      }
+      await queue.idle();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    }
+  }
+}
+
+async function main() {
+  const files = process.argv.slice(2);
+
+  const telegram = await startFakeTelegram({ onCall: call => print(describeCall(call)) });
+  const openRouter = await startFakeOpenRouter();
+  process.env.TELEGRAM_API_URL = telegram.url;
+  process.env.OPENROUTER_API_URL ??= `${openRouter.url}/api/v1`;
+  // No Transcribe locally: the fake answers 400 and analysis carries on without a transcript
+  process.env.AWS_ENDPOINT_URL_TRANSCRIBE ??= openRouter.url;
+
+  await createResources();
+
+  const queue = createQueue();
+  SQSClient.prototype.send = async function (command) {
+    return queue.send(command);
+  };
+
+  // The Lambdas read their configuration at import time, so import them after the env is set
+  if (files.length && process.env.LOCAL_VERBOSE !== '1') console.log = () => {};
+  const webhook = await import('../../src/webhook/index.mjs');
+  queue.attach(await import('../../src/processor/index.mjs'));
+
+  const server = await startWebhookServer(webhook, WEBHOOK_PORT);
+  const webhookUrl = `http://127.0.0.1:${server.address().port}/`;
+  print(`🤖 Webhook on ${webhookUrl}, fake Telegram on ${telegram.url}, fake OpenRouter on ${openRouter.url}`);
+
+  const client = createClient(webhookUrl, telegram);
+  let ok = true;
+  if (files.length) {
+    for (const file of files) {
+      ok = await replay(file, { client, queue, telegram }) && ok;
+    }
+    print(`\n${ok ? '✅' : '❌'} ${files.length} conversation(s), ${telegram.calls.length} Bot API calls`);
+  } else {
+    await interactive({ client, queue });
+  }
+
+  server.close();
+  telegram.close();
+  openRouter.close();
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+/**
+ * One-off migration from the username-keyed users table to the user-id-keyed one.
+ *
+ * Old rows have no Telegram user id, so each is copied under a `username:<handle>`
+ * placeholder key (with `username_lower` set for the UsernameIndex). The webhook
+ * moves a placeholder to the real id the first time that user talks to the bot.
+ * Rows that already exist in the new table are left alone, so it is safe to re-run.
+ *
+ * Usage:
+ *   npm install --no-save @aws-sdk/client-dynamodb
+ *   node scripts/migrate-users.mjs [legacy-table] [new-table]
+ *
+ * Defaults to the table names created by terraform/ and cloudformation/.
+ */
+import { DynamoDBClient, ScanCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
+
+const LEGACY_TABLE = process.argv[2] || 'media-downloader-users';
+const NEW_TABLE = process.argv[3] || 'media-downloader-users-v2';
+
+const ddb = new DynamoDBClient({});
+
+async function migrate() {
+  let migrated = 0;
+  let skipped = 0;
+  let lastKey;
+
+  do {
+    const page = await ddb.send(new ScanCommand({
+      TableName: LEGACY_TABLE,
+      ExclusiveStartKey: lastKey,
+    }));
+
+    for (const item of page.Items || []) {
+      const username = item.username.S;
+      try {
+        await ddb.send(new PutItemCommand({
+          TableName: NEW_TABLE,
+          Item: {
+            ...item,
+            user_id: { S: `username:${username.toLowerCase()}` },
+            username_lower: { S: username.toLowerCase() },
+            platform_usage: item.platform_usage || { M: {} },
+          },
+          ConditionExpression: 'attribute_not_exists(user_id)'
+        }));
+        migrated++;
+        console.log(`✅ @${username}`);
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+        skipped++;
+        console.log(`⏭️  @${username} (already migrated)`);
+      }
+    }
+
+    lastKey = page.LastEvaluatedKey;
+  } while (lastKey);
+
+  console.log(`\nMigrated ${migrated} user(s) from ${LEGACY_TABLE} to ${NEW_TABLE}, skipped ${skipped}.`);
+}
+
+migrate().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
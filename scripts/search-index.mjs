@@ -0,0 +1,74 @@
+/**
+ * Build or query the /search index (see src/shared/search.mjs) outside Lambda.
+ *
+ *   build: index every file in the files table. Needed once for files downloaded before
+ *          search existed; safe to re-run (each file's postings are replaced).
+ *   query: run a search and print the ranked results with their snippets.
+ *
+ * Usage:
+ *   npm install --no-save @aws-sdk/client-dynamodb
+ *   node scripts/search-index.mjs build [files-table] [search-table]
+ *   node scripts/search-index.mjs query "some words" [files-table] [search-table]
+ *
+ * Defaults to the table names created by terraform/ and cloudformation/. To try it
+ * against DynamoDB Local, set AWS_ENDPOINT_URL_DYNAMODB=http://localhost:8000.
+ */
+import { DynamoDBClient, ScanCommand } from '@aws-sdk/client-dynamodb';
+import { indexFile, searchFiles } from '../src/shared/search.mjs';
+
+const [command, ...args] = process.argv.slice(2);
+const query = command === 'query' ? args.shift() : null;
+const tables = {
+  filesTable: args[0] || 'media-downloader-files',
+  searchTable: args[1] || 'media-downloader-search',
+};
+
+const ddb = new DynamoDBClient({});
+
+async function build() {
+  let indexed = 0;
+  let lastKey;
+
+  do {
+    const page = await ddb.send(new ScanCommand({
+      TableName: tables.filesTable,
+      ExclusiveStartKey: lastKey,
+    }));
+
+    for (const item of page.Items || []) {
+      const terms = await indexFile(ddb, tables, item);
+      indexed++;
+      console.log(`✅ ${item.title?.S || item.file_key.S} (${terms} terms)`);
+    }
+
+    lastKey = page.LastEvaluatedKey;
+  } while (lastKey);
+
+  console.log(`\nIndexed ${indexed} file(s) from ${tables.filesTable} into ${tables.searchTable}.`);
+}
+
+async function search() {
+  const { terms, results } = await searchFiles(ddb, tables, query, { limit: 10 });
+  console.log(`Terms: ${terms.join(', ') || '(none)'}\n`);
+
+  results.forEach(({ item, score, snippet }, i) => {
+    console.log(`${i + 1}. [${score.toFixed(2)}] ${item.title?.S || item.file_key.S}`);
+    if (snippet) console.log(`   ${snippet.field}: ${snippet.html.replace(/<\/?b>/g, '*')}`);
+  });
+  if (results.length === 0) console.log('No results.');
+}
+
+if (command === 'build') {
+  build().catch(error => {
+    console.error('Build failed:', error);
+    process.exit(1);
+  });
+} else if (command === 'query' && query) {
+  search().catch(error => {
+    console.error('Search failed:', error);
+    process.exit(1);
+  });
+} else {
+  console.error('Usage: node scripts/search-index.mjs build | query "words" [files-table] [search-table]');
+  process.exit(1);
+}
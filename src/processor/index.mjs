@@ -1,33 +1,90 @@
 import { spawn } from 'child_process';
 import { createReadStream, unlinkSync, writeFileSync, existsSync, readdirSync, openAsBlob, mkdirSync, rmSync, renameSync } from 'fs';
 import { stat } from 'fs/promises';
-import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectsCommand } from '@aws-sdk/client-s3';
 import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
-import { downloadInstagramReel } from './instagram.mjs';
+import { SQSClient, SendMessageCommand, SendMessageBatchCommand } from '@aws-sdk/client-sqs';
+import { downloadInstagramReel, listInstagramPosts } from './instagram.mjs';
 import { DynamoDBClient, UpdateItemCommand, PutItemCommand, GetItemCommand, DeleteItemCommand } from '@aws-sdk/client-dynamodb';
 import { randomUUID } from 'crypto';
-import { analyzeVideo } from './videoAnalysis.mjs';
+import { analyzeVideo, getVideoDuration } from './videoAnalysis.mjs';
 import { ScanCommand } from '@aws-sdk/client-dynamodb';
 import { pipeline } from 'stream/promises';
 import { createWriteStream } from 'fs';
+import { detectSource, getPlatform, getSource, getS3Key } from '../shared/sources/index.mjs';
+import { evaluateQuota, incrementQuotaCounter } from '../shared/quota.mjs';
+import { batchKey, updateBatchItem, renderBatchMessage } from '../shared/batch.mjs';
+import { BROADCAST_KEY_PREFIX, broadcastKey, parseBroadcast, renderBroadcast, deliveryOutcome } from '../shared/broadcast.mjs';
+import { collectionKey, collectionAttributes, parseCollection, renderCollectionPrompt } from '../shared/collections.mjs';
+import { AUDIO_FORMATS, resolveOutputFormat } from '../shared/settings.mjs';
+import { indexFile, removeFromIndex } from '../shared/search.mjs';
+import { findFileByDownloadId, selectFiles, deleteFileRecords } from '../shared/files.mjs';
+import { LEASE_RENEW_SECONDS, claimJob, renewJob, recordJobStep, finishJob } from '../shared/idempotency.mjs';
+import { jobAttributes } from '../shared/jobs.mjs';
+import { appendAudit } from '../shared/audit.mjs';
+import { recordUsage, queryUsage, usageCsv } from '../shared/usage.mjs';
+import { clipLabel, clipSuffix, formatTimestamp } from '../shared/clips.mjs';
+import { FOLLOW_SEEN_LIMIT, followItemKey, parseFollow, postId } from '../shared/follows.mjs';
+import { hasRole, isRevoked } from '../shared/roles.mjs';
+import { createTelegramClient, escapeHtml, splitHtml } from '../shared/telegram.mjs';
+import { t } from '../shared/i18n.mjs';
+import { writeZip } from './zip.mjs';
 
 const s3 = new S3Client({});
 const secrets = new SecretsManagerClient({});
 const ddb = new DynamoDBClient({});
+const sqs = new SQSClient({});
+// TELEGRAM_API_URL is only set by the local dev runner (scripts/local), which fakes the Bot API
+const telegram = createTelegramClient({ token: process.env.TELEGRAM_BOT_TOKEN, apiUrl: process.env.TELEGRAM_API_URL });
 
 const S3_BUCKET_NAME = process.env.S3_BUCKET_NAME;
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const INSTAGRAM_COOKIES_SECRET = process.env.INSTAGRAM_COOKIES_SECRET;
 const YOUTUBE_COOKIES_SECRET = process.env.YOUTUBE_COOKIES_SECRET;
 const YOUTUBE_PROXY = process.env.YOUTUBE_PROXY;
 const DYNAMODB_TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 const DYNAMODB_FILES_TABLE = process.env.DYNAMODB_FILES_TABLE;
 const DYNAMODB_ACTIVE_DOWNLOADS_TABLE = process.env.DYNAMODB_ACTIVE_DOWNLOADS_TABLE;
-
-// Paths to binaries in Lambda Layer
-const YTDLP_PATH = '/opt/bin/yt-dlp';
-const FFMPEG_PATH = '/opt/bin/ffmpeg';
+const DYNAMODB_SEARCH_TABLE = process.env.DYNAMODB_SEARCH_TABLE;
+const DYNAMODB_AUDIT_TABLE = process.env.DYNAMODB_AUDIT_TABLE;
+const DYNAMODB_USAGE_TABLE = process.env.DYNAMODB_USAGE_TABLE;
+const DYNAMODB_FOLLOWS_TABLE = process.env.DYNAMODB_FOLLOWS_TABLE;
+const SQS_QUEUE_URL = process.env.SQS_QUEUE_URL;
+
+// Paths to binaries in Lambda Layer (BIN_DIR points elsewhere when running locally)
+const BIN_DIR = process.env.BIN_DIR || '/opt/bin';
+const YTDLP_PATH = `${BIN_DIR}/yt-dlp`;
+const FFMPEG_PATH = `${BIN_DIR}/ffmpeg`;
+
+// Most entries read when listing a playlist or channel
+const MAX_PLAYLIST_SCAN = 200;
+
+// How often a running download checks whether the user cancelled it
+const CANCEL_POLL_INTERVAL = 3000;
+
+// /broadcast: pause between recipients (keeps well under Telegram's ~30 messages per second),
+// and how many recipients go out between checkpoints of the record and progress updates
+const BROADCAST_INTERVAL_MS = 50;
+const BROADCAST_CHECKPOINT_EVERY = 10;
+
+// /follow: newest posts listed per check, and most of them queued at once (older new
+// posts past that are skipped, so a burst or a long pause doesn't flood the chat)
+const FOLLOW_SCAN_SIZE = 30;
+const FOLLOW_MAX_NEW = 5;
+// Role a follower (or the group their posts go to) needs for new posts to keep downloading
+const FOLLOW_ROLE = 'downloader';
+// Posts listed per account in the daily digest
+const FOLLOW_DIGEST_POSTS = 10;
+
+// Most UTF-8 bytes of a transcript or analysis kept on its files item. Together with the
+// item's search_terms this stays well under DynamoDB's 400 KB item limit; longer texts
+// (hours-long transcripts) are cut, and only their beginning is searchable.
+const MAX_STORED_TEXT_BYTES = 64 * 1024;
+
+const CONTENT_TYPES = { mp3: 'audio/mpeg', m4a: 'audio/mp4', mp4: 'video/mp4', zip: 'application/zip', csv: 'text/csv' };
+
+// Where /export uploads its files (expired by the bucket's lifecycle rules)
+const S3_EXPORTS_PREFIX = 'exports';
 
 async function getSecretValue(secretArn) {
     try {
@@ -51,77 +108,21 @@ async function getCookies(secretArn, filename) {
     return null;
 }
 
+// Cookie secrets keyed by the `cookies` field of a source registry entry
+const COOKIE_SECRETS = {
+    youtube: { secretArn: YOUTUBE_COOKIES_SECRET, filename: 'youtube_cookies.txt' },
+    instagram: { secretArn: INSTAGRAM_COOKIES_SECRET, filename: 'instagram_cookies.txt' },
+};
+
 async function getCookiesForSource(sourceType) {
-    if (sourceType.startsWith('youtube')) {
-        return getCookies(YOUTUBE_COOKIES_SECRET, 'youtube_cookies.txt');
-    } else if (sourceType.startsWith('instagram')) {
-        return getCookies(INSTAGRAM_COOKIES_SECRET, 'instagram_cookies.txt');
+    const cookieSecret = COOKIE_SECRETS[getSource(sourceType)?.cookies];
+    if (cookieSecret) {
+        return getCookies(cookieSecret.secretArn, cookieSecret.filename);
     }
     return null;
 }
 
-async function sendTelegramMessage(chatId, text, replyMarkup = null) {
-    const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
-    const payload = {
-        chat_id: chatId,
-        text,
-        parse_mode: 'HTML',
-        disable_web_page_preview: true,
-    };
-
-    if (replyMarkup) {
-        payload.reply_markup = replyMarkup;
-    }
-
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-    });
-    const result = await response.json();
-
-    if (!result.ok) {
-        console.error('sendTelegramMessage failed:', JSON.stringify(result));
-    } else {
-        console.log('sendTelegramMessage succeeded:', JSON.stringify(result));
-    }
-
-    return result;
-}
-
-async function editTelegramMessage(chatId, messageId, text, replyMarkup = null) {
-    const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/editMessageText`;
-    try {
-        const payload = {
-            chat_id: chatId,
-            message_id: messageId,
-            text,
-            parse_mode: 'HTML',
-            disable_web_page_preview: true,
-        };
-
-        if (replyMarkup) {
-            payload.reply_markup = replyMarkup;
-        }
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload),
-        });
-        const result = await response.json();
-        if (!response.ok || !result.ok) {
-            console.warn('Telegram edit failed:', JSON.stringify(result));
-        } else {
-            console.log('Telegram message edited successfully');
-        }
-        return result;
-    } catch (error) {
-        console.error('Failed to edit Telegram message:', error.message);
-        return null;
-    }
-}
-
+// Returns the sent Telegram message, or false if the file was too large or the upload failed
 async function uploadToTelegram(chatId, filePath, caption) {
     const stats = await stat(filePath);
     const fileSizeInBytes = stats.size;
@@ -132,43 +133,21 @@ async function uploadToTelegram(chatId, filePath, caption) {
         return false;
     }
 
-    const fileBlob = await openAsBlob(filePath);
-    const formData = new FormData();
-    formData.append('chat_id', chatId);
-    formData.append('caption', caption);
-    formData.append('parse_mode', 'HTML');
-
     // Determine if audio or video
-    const isAudio = filePath.endsWith('.mp3');
-    const method = isAudio ? 'sendAudio' : 'sendVideo';
-    const fieldName = isAudio ? 'audio' : 'video';
-
-    formData.append(fieldName, fileBlob, filePath.split('/').pop());
+    const type = AUDIO_FORMATS.includes(filePath.split('.').pop()) ? 'audio' : 'video';
+    console.log(`Uploading ${type} to Telegram (${fileSizeInMB.toFixed(2)} MB)...`);
 
-    console.log(`Uploading ${fieldName} to Telegram (${fileSizeInMB.toFixed(2)} MB)...`);
-
-    const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`;
-    const response = await fetch(url, {
-        method: 'POST',
-        body: formData,
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`Telegram upload failed: ${response.status} - ${errorText}`);
-        return false;
-    }
-
-    const result = await response.json();
-    return result.ok;
+    const result = await telegram.sendMedia(chatId, type, await openAsBlob(filePath), filePath.split('/').pop(), { caption });
+    return result.ok ? result.result : false;
 }
 
-function buildYtdlpArgs(sourceType, url, outputPath, cookiesPath) {
+function buildYtdlpArgs(sourceType, url, outputPath, cookiesPath, settings = {}, clip = null) {
     const args = [];
+    const source = getSource(sourceType);
+    const format = resolveOutputFormat(sourceType, settings);
 
     // Add proxy if configured
-    // Add proxy if configured
-    if ((sourceType.startsWith('youtube') || sourceType.startsWith('instagram')) && YOUTUBE_PROXY) {
+    if (source?.useProxy && YOUTUBE_PROXY) {
         args.push('--proxy', YOUTUBE_PROXY);
     }
 
@@ -180,13 +159,22 @@ function buildYtdlpArgs(sourceType, url, outputPath, cookiesPath) {
         args.push('--cookies', cookiesPath);
     }
 
-    // Source-specific options
-    if (sourceType === 'youtube-long') {
-        // Extract audio only for long YouTube videos
+    // Format-specific options from the source registry and the user's /settings
+    if (format === 'mp3') {
+        // Extract audio only (e.g. long YouTube videos)
         args.push('-f', 'bestaudio/best', '-x', '--audio-format', 'mp3', '--audio-quality', '0');
+    } else if (format === 'm4a') {
+        // Prefer a native AAC stream so no re-encode is needed
+        args.push('-f', 'bestaudio[ext=m4a]/bestaudio/best', '-x', '--audio-format', 'm4a');
     } else {
-        // Download best video+audio and merge to mp4
-        args.push('-f', 'bestvideo+bestaudio/best', '--merge-output-format', 'mp4');
+        // Download best video+audio (capped at the user's max resolution) and merge to mp4
+        const height = settings.maxHeight && settings.maxHeight !== 'best' ? `[height<=${settings.maxHeight}]` : '';
+        args.push('-f', `bestvideo${height}+bestaudio/best${height}/best`, '--merge-output-format', 'mp4');
+    }
+
+    // Clips: fetch only that part, cutting at the exact times rather than the nearest keyframes
+    if (clip) {
+        args.push('--download-sections', `*${clip.start}-${clip.end}`, '--force-keyframes-at-cuts');
     }
 
     // Output template with Title and ID for valid filesystem name
@@ -225,6 +213,117 @@ async function updateActiveDownload(downloadId, percent, speed) {
     }
 }
 
+// Thrown when the user cancels a job with /cancel or the ✖ Cancel button
+class DownloadCancelledError extends Error {
+    constructor() {
+        super('Download cancelled');
+    }
+}
+
+// Thrown when another run holds a job's lease: failing the invocation makes SQS redeliver
+// the message after the visibility timeout, when the job has either finished or its
+// lease (no longer renewed by a dead run) has run out
+class JobLeasedError extends Error {
+    constructor(jobId) {
+        super(`Job ${jobId} is leased by another run`);
+    }
+}
+
+function cancelButton(downloadId, lang) {
+    return { inline_keyboard: [[{ text: t(lang, 'common.cancel'), callback_data: `cancel:${downloadId}` }]] };
+}
+
+// The webhook marks the active download row when the user cancels
+async function isCancelRequested(downloadId) {
+    if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE || !downloadId) return false;
+
+    try {
+        const response = await ddb.send(new GetItemCommand({
+            TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+            Key: { download_id: { S: downloadId } },
+            ProjectionExpression: 'cancel_requested'
+        }));
+        return response.Item?.cancel_requested?.BOOL === true;
+    } catch (error) {
+        console.error('Failed to check cancel flag:', error.message);
+        return false;
+    }
+}
+
+async function throwIfCancelled(downloadId) {
+    if (await isCancelRequested(downloadId)) {
+        throw new DownloadCancelledError();
+    }
+}
+
+// yt-dlp runs ffmpeg as a child, so kill the whole process group
+function killProcess(proc) {
+    try {
+        process.kill(-proc.pid, 'SIGKILL');
+    } catch (error) {
+        proc.kill('SIGKILL');
+    }
+}
+
+// JOB LEDGER (see shared/idempotency.mjs)
+// Ledger failures are logged, not thrown: losing the guard only risks a duplicate,
+// which is better than failing the download itself.
+
+async function claimDownloadJob(downloadId) {
+    const fresh = { claimed: true, job: { steps: new Set() } };
+    if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE || !downloadId) return fresh;
+
+    try {
+        return await claimJob(ddb, DYNAMODB_ACTIVE_DOWNLOADS_TABLE, downloadId);
+    } catch (error) {
+        console.error(`Failed to claim job ${downloadId}:`, error.message);
+        return fresh;
+    }
+}
+
+// Renew a claimed job's lease until the returned function is called
+function keepJobLeased(downloadId) {
+    if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE || !downloadId) return () => {};
+
+    const timer = setInterval(() => {
+        renewJob(ddb, DYNAMODB_ACTIVE_DOWNLOADS_TABLE, downloadId)
+            .catch(error => console.error(`Failed to renew lease on job ${downloadId}:`, error.message));
+    }, LEASE_RENEW_SECONDS * 1000);
+    return () => clearInterval(timer);
+}
+
+async function recordDownloadStep(downloadId, step, fields) {
+    if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE || !downloadId) return;
+
+    try {
+        await recordJobStep(ddb, DYNAMODB_ACTIVE_DOWNLOADS_TABLE, downloadId, step, fields);
+    } catch (error) {
+        console.error(`Failed to record step ${step} of job ${downloadId}:`, error.message);
+    }
+}
+
+async function finishDownloadJob(downloadId, outcome) {
+    if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE || !downloadId) return;
+
+    try {
+        await finishJob(ddb, DYNAMODB_ACTIVE_DOWNLOADS_TABLE, downloadId, outcome);
+    } catch (error) {
+        console.error(`Failed to finish job ${downloadId}:`, error.message);
+    }
+}
+
+// AUDIT LOG (see shared/audit.mjs)
+// The outcome of admin actions carried out here; the webhook logged the request itself.
+async function auditOutcome(action, actorId, details) {
+    if (!DYNAMODB_AUDIT_TABLE) return;
+
+    try {
+        await appendAudit(ddb, DYNAMODB_AUDIT_TABLE, { action, actor: { id: actorId }, ...details });
+    } catch (error) {
+        console.error(`Failed to write audit entry ${action}:`, error.message);
+    }
+}
+
 async function deleteActiveDownload(downloadId) {
     if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE || !downloadId) return;
 
@@ -239,15 +338,15 @@ async function deleteActiveDownload(downloadId) {
     }
 }
 
-async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, progressMessageId) {
+async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, progressMessageId, settings = {}, lang, clip = null) {
     const uuid = randomUUID();
     const tempDir = `/tmp/${uuid}`;
     mkdirSync(tempDir);
 
-    // Template: "Title [ID].ext" 
-    const outputTemplate = `${tempDir}/%(title)s [%(id)s].%(ext)s`;
+    // Template: "Title [ID].ext" (clips: "Title [ID]_clip_<start>-<end>.ext")
+    const outputTemplate = `${tempDir}/%(title)s [%(id)s]${clip ? clipSuffix(clip) : ''}.%(ext)s`;
 
-    const args = buildYtdlpArgs(sourceType, url, outputTemplate, cookiesPath);
+    const args = buildYtdlpArgs(sourceType, url, outputTemplate, cookiesPath, settings, clip);
 
     // Add progress template for JSON output (both download and postprocess phases)
     // IMPORTANT: 'download:' and 'postprocess:' are phase selectors, not prefixes in the output.
@@ -258,9 +357,17 @@ async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, p
 
     console.log('Running yt-dlp with args:', args);
 
+    const format = resolveOutputFormat(sourceType, settings);
+    const postprocessText = AUDIO_FORMATS.includes(format)
+        ? t(lang, 'download.converting', { format: format.toUpperCase() })
+        : t(lang, 'download.merging');
+
+    // Progress edits keep the Cancel button on the message
+    const cancelMarkup = cancelButton(downloadId, lang);
+
     // Immediately update status to show download is starting
     if (chatId && progressMessageId) {
-        await editTelegramMessage(chatId, progressMessageId, `📥 Starting download...\n\n<i>Please wait...</i>`);
+        await telegram.editMessageText(chatId, progressMessageId, t(lang, 'download.starting'), { replyMarkup: cancelMarkup });
     }
     await updateActiveDownload(downloadId, 'starting', '');
 
@@ -268,9 +375,10 @@ async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, p
         const proc = spawn(YTDLP_PATH, args, {
             env: {
                 ...process.env,
-                PATH: '/opt/bin:/usr/bin:/bin',
+                PATH: `${BIN_DIR}:/usr/bin:/bin`,
                 HOME: '/tmp',
             },
+            detached: true, // Own process group, so killProcess also stops ffmpeg
         });
 
         let lastUpdateTime = 0; // Start at 0 so first update happens immediately
@@ -304,7 +412,7 @@ async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, p
                             updates.push(updateActiveDownload(downloadId, 'converting', ''));
                             if (chatId && progressMessageId) {
                                 console.log(`Editing message for postprocess: ${progressMessageId}`);
-                                updates.push(editTelegramMessage(chatId, progressMessageId, `🎵 Converting to MP3...\n\n<i>Almost done...</i>`));
+                                updates.push(telegram.editMessageText(chatId, progressMessageId, postprocessText, { replyMarkup: cancelMarkup }));
                             }
                             await Promise.allSettled(updates);
                         } else {
@@ -333,9 +441,7 @@ async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, p
                         lastUpdateTime = now;
 
                         // Create progress text
-                        const progressText = `📥 Downloading... <b>${percent}</b>` +
-                            (speed ? ` (${speed})` : '') +
-                            `\n\n<i>Please wait...</i>`;
+                        const progressText = t(lang, 'download.progress', { percent, speed: speed ? ` (${speed})` : '' });
 
                         // Update Telegram and DB in parallel (one failure won't block the other)
                         const updates = [];
@@ -343,7 +449,7 @@ async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, p
                         updates.push(updateActiveDownload(downloadId, percent, speed));
 
                         if (chatId && progressMessageId) {
-                            updates.push(editTelegramMessage(chatId, progressMessageId, progressText));
+                            updates.push(telegram.editMessageText(chatId, progressMessageId, progressText, { replyMarkup: cancelMarkup }));
                         }
 
                         await Promise.allSettled(updates);
@@ -380,7 +486,7 @@ async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, p
                             updates.push(updateActiveDownload(downloadId, 'converting', ''));
                             if (chatId && progressMessageId) {
                                 console.log(`Editing message for postprocess (stderr): ${progressMessageId}`);
-                                updates.push(editTelegramMessage(chatId, progressMessageId, `🎵 Converting to MP3...\n\n<i>Almost done...</i>`));
+                                updates.push(telegram.editMessageText(chatId, progressMessageId, postprocessText, { replyMarkup: cancelMarkup }));
                             }
                             await Promise.allSettled(updates);
                         } else {
@@ -408,14 +514,12 @@ async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, p
                         lastUpdateTime = now;
 
                         // Create progress text
-                        const progressText = `📥 Downloading... <b>${percent}</b>` +
-                            (speed ? ` (${speed})` : '') +
-                            `\n\n<i>Please wait...</i>`;
+                        const progressText = t(lang, 'download.progress', { percent, speed: speed ? ` (${speed})` : '' });
 
                         const updates = [];
                         updates.push(updateActiveDownload(downloadId, percent, speed));
                         if (chatId && progressMessageId) {
-                            updates.push(editTelegramMessage(chatId, progressMessageId, progressText));
+                            updates.push(telegram.editMessageText(chatId, progressMessageId, progressText, { replyMarkup: cancelMarkup }));
                         }
                         await Promise.allSettled(updates);
                     }
@@ -425,13 +529,31 @@ async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, p
 
         // Set timeout
         const timeout = setTimeout(() => {
-            proc.kill();
+            clearInterval(cancelPoll);
+            killProcess(proc);
             rmSync(tempDir, { recursive: true, force: true });
             reject(new Error('Download timed out after 14 minutes'));
         }, 840000);
 
+        // Stop yt-dlp as soon as the user cancels
+        let cancelled = false;
+        const cancelPoll = setInterval(async () => {
+            if (!cancelled && await isCancelRequested(downloadId)) {
+                console.log(`Cancel requested for ${downloadId}, killing yt-dlp`);
+                cancelled = true;
+                killProcess(proc);
+            }
+        }, CANCEL_POLL_INTERVAL);
+
         proc.on('close', (code) => {
             clearTimeout(timeout);
+            clearInterval(cancelPoll);
+
+            if (cancelled) {
+                rmSync(tempDir, { recursive: true, force: true });
+                reject(new DownloadCancelledError());
+                return;
+            }
 
             if (code !== 0) {
                 if (stderr.includes('Requested format is not available')) {
@@ -464,27 +586,104 @@ async function downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, p
 
         proc.on('error', (error) => {
             clearTimeout(timeout);
+            clearInterval(cancelPoll);
             rmSync(tempDir, { recursive: true, force: true });
             reject(error);
         });
     });
 }
 
+// Trim a file to a clip, next to it, and delete the original. Audio is cut as is; video
+// is re-encoded so the clip starts at the exact time instead of the previous keyframe.
+// As with downloads, ffmpeg is stopped when the user cancels or it runs too long.
+async function cutClip(filePath, clip, downloadId) {
+    // ffmpeg "succeeds" with an empty file when the clip starts past the end
+    const duration = await getVideoDuration(filePath);
+    if (clip.start >= duration) {
+        throw new Error(`The clip starts at ${formatTimestamp(clip.start)}, but the media is only ${formatTimestamp(Math.floor(duration))} long`);
+    }
+
+    const extension = filePath.split('.').pop();
+    const outputPath = filePath.replace(/\.[^/.]+$/, `${clipSuffix(clip)}.${extension}`);
+    const codecArgs = AUDIO_FORMATS.includes(extension)
+        ? ['-c', 'copy']
+        : ['-c:v', 'libx264', '-preset', 'veryfast', '-c:a', 'aac'];
+
+    return new Promise((resolve, reject) => {
+        const proc = spawn(FFMPEG_PATH, [
+            '-y',
+            '-ss', String(clip.start),
+            '-i', filePath,
+            '-t', String(clip.end - clip.start),
+            ...codecArgs,
+            outputPath
+        ], { detached: true }); // Own process group, for killProcess
+
+        const fail = (error) => {
+            clearTimeout(timeout);
+            clearInterval(cancelPoll);
+            rmSync(outputPath, { force: true });
+            reject(error);
+        };
+
+        const timeout = setTimeout(() => {
+            killProcess(proc);
+            fail(new Error('Clip timed out after 10 minutes'));
+        }, 600000);
+
+        let cancelled = false;
+        const cancelPoll = setInterval(async () => {
+            if (!cancelled && await isCancelRequested(downloadId)) {
+                console.log(`Cancel requested for ${downloadId}, killing ffmpeg`);
+                cancelled = true;
+                killProcess(proc);
+            }
+        }, CANCEL_POLL_INTERVAL);
+
+        proc.on('error', fail);
+        proc.on('close', async (code) => {
+            if (cancelled) {
+                fail(new DownloadCancelledError());
+                return;
+            }
+            if (code !== 0) {
+                fail(new Error(`ffmpeg clip failed: ${code}`));
+                return;
+            }
+
+            const { size } = await stat(outputPath).catch(() => ({ size: 0 }));
+            if (size === 0) {
+                fail(new Error('ffmpeg produced an empty clip'));
+                return;
+            }
+            clearTimeout(timeout);
+            clearInterval(cancelPoll);
+            rmSync(filePath, { force: true });
+            resolve(outputPath);
+        });
+    });
+}
+
+// Pre-signed download link, valid for 7 days
+function signS3Url(key) {
+    return getSignedUrl(
+        s3,
+        new GetObjectCommand({ Bucket: S3_BUCKET_NAME, Key: key }),
+        { expiresIn: 7 * 24 * 60 * 60 }
+    );
+}
+
 async function uploadToS3(filePath, sourceType) {
     const filename = filePath.split('/').pop();
     const extension = filename.split('.').pop();
-    const key = `downloads/${sourceType}/${filename}`;
+    const key = getS3Key(sourceType, filename);
 
     // Deduplication: Check if file already exists
     try {
         await s3.send(new HeadObjectCommand({ Bucket: S3_BUCKET_NAME, Key: key }));
         console.log(`File already exists in S3 (${key}). Skipping upload.`);
         // Return signed URL for existing file
-        return getSignedUrl(
-            s3,
-            new GetObjectCommand({ Bucket: S3_BUCKET_NAME, Key: key }),
-            { expiresIn: 7 * 24 * 60 * 60 }
-        );
+        return signS3Url(key);
     } catch (error) {
         if (error.name !== 'NotFound') {
             console.error('S3 HeadObject error:', error);
@@ -499,21 +698,11 @@ async function uploadToS3(filePath, sourceType) {
             Bucket: S3_BUCKET_NAME,
             Key: key,
             Body: fileStream,
-            ContentType: extension === 'mp3' ? 'audio/mpeg' : 'video/mp4',
+            ContentType: CONTENT_TYPES[extension] || 'video/mp4',
         })
     );
 
-    // Generate pre-signed URL valid for 7 days
-    const signedUrl = await getSignedUrl(
-        s3,
-        new GetObjectCommand({
-            Bucket: S3_BUCKET_NAME,
-            Key: key,
-        }),
-        { expiresIn: 7 * 24 * 60 * 60 }
-    );
-
-    return signedUrl;
+    return signS3Url(key);
 }
 
 function cleanupFile(filePath) {
@@ -529,18 +718,675 @@ function cleanupFile(filePath) {
     }
 }
 
-async function updateUsage(username, platform, sizeMB) {
-    if (!username || !DYNAMODB_TABLE_NAME) return;
+// Record a batch job's status and re-render the batch's shared progress message
+async function reportBatchProgress(batchId, downloadId, fields) {
+    if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE || !batchId) return;
+
+    try {
+        const result = await updateBatchItem(ddb, DYNAMODB_ACTIVE_DOWNLOADS_TABLE, batchId, downloadId, fields);
+        if (!result?.messageId) return;
+
+        const { text, replyMarkup, complete } = renderBatchMessage(result.batch);
+        await telegram.editMessageText(result.chatId, result.messageId, text, { replyMarkup });
+
+        if (complete && result.batch.zip) {
+            await buildBatchZip(batchId, result);
+        }
+    } catch (error) {
+        console.error(`Failed to update batch ${batchId}:`, error.message);
+    }
+}
+
+async function* s3ObjectStream(key) {
+    const response = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET_NAME, Key: key }));
+    yield* response.Body;
+}
+
+// Bundle a finished batch's MP3s into one ZIP in S3 and add its link to the summary.
+// Only the job that claims `zip_status` builds it.
+async function buildBatchZip(batchId, { batch, chatId, messageId }) {
+    try {
+        await ddb.send(new UpdateItemCommand({
+            TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+            Key: batchKey(batchId),
+            UpdateExpression: 'SET zip_status = :building',
+            ConditionExpression: 'attribute_not_exists(zip_status)',
+            ExpressionAttributeValues: { ':building': { S: 'building' } }
+        }));
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return;
+        throw error;
+    }
+
+    const mp3s = batch.items.filter(item => item.status === 'done' && AUDIO_FORMATS.includes(item.s3Key?.split('.').pop()));
+    const zipPath = `/tmp/${batchId}.zip`;
+    let zipStatus = 'empty';
+    let zipUrl = null;
+
+    try {
+        if (mp3s.length > 0) {
+            await writeZip(zipPath, mp3s.map(item => ({
+                name: item.s3Key.split('/').pop(),
+                stream: s3ObjectStream(item.s3Key),
+            })));
+
+            const zipName = `${(batch.title || 'batch').replace(/[^\w\s-]/g, '').replace(/\s+/g, '_').substring(0, 80)} [${batchId.substring(0, 8)}].zip`;
+            const key = getS3Key(batch.sourceType, zipName);
+            await s3.send(new PutObjectCommand({
+                Bucket: S3_BUCKET_NAME,
+                Key: key,
+                Body: createReadStream(zipPath),
+                ContentType: CONTENT_TYPES.zip,
+            }));
+            zipUrl = await getSignedUrl(
+                s3,
+                new GetObjectCommand({ Bucket: S3_BUCKET_NAME, Key: key }),
+                { expiresIn: 7 * 24 * 60 * 60 }
+            );
+            zipStatus = 'done';
+            console.log(`Built ZIP of ${mp3s.length} MP3s: ${key}`);
+        }
+    } catch (error) {
+        console.error(`Failed to build ZIP for batch ${batchId}:`, error);
+        zipStatus = 'failed';
+    } finally {
+        rmSync(zipPath, { force: true });
+    }
+
+    await ddb.send(new UpdateItemCommand({
+        TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+        Key: batchKey(batchId),
+        UpdateExpression: zipUrl ? 'SET zip_status = :status, zip_url = :url' : 'SET zip_status = :status',
+        ExpressionAttributeValues: {
+            ':status': { S: zipStatus },
+            ...(zipUrl && { ':url': { S: zipUrl } })
+        }
+    }));
+
+    const { text, replyMarkup } = renderBatchMessage({ ...batch, zipStatus, zipUrl });
+    await telegram.editMessageText(chatId, messageId, text, { replyMarkup });
+}
+
+/**
+ * List the videos of a playlist or channel with yt-dlp, without downloading anything.
+ *
+ * @param {number} [limit] - Most entries returned (the newest first, for channels).
+ * @returns {Promise<{ title: string, kind: 'playlist'|'channel', entries: { url: string, title: string }[], truncated: boolean }>}
+ */
+async function listCollection(sourceType, url, cookiesPath, limit = MAX_PLAYLIST_SCAN) {
+    const source = getSource(sourceType);
+    const kind = /[?&]list=/.test(url) ? 'playlist' : 'channel';
+
+    // A bare channel URL lists its tabs (Videos, Shorts, Live) instead of videos
+    const target = kind === 'channel' && !/\/(videos|shorts|streams)\/?([?#]|$)/i.test(url)
+        ? url.replace(/\/?([?#].*)?$/, '/videos')
+        : url;
+
+    const args = [];
+    if (source.useProxy && YOUTUBE_PROXY) {
+        args.push('--proxy', YOUTUBE_PROXY);
+    }
+    if (cookiesPath) {
+        args.push('--cookies', cookiesPath);
+    }
+    args.push('--flat-playlist', '--dump-single-json', '--playlist-end', String(limit + 1));
+    args.push('--socket-timeout', '10', target);
+
+    console.log('Listing collection with yt-dlp args:', args);
+
+    const output = await new Promise((resolve, reject) => {
+        const proc = spawn(YTDLP_PATH, args, {
+            env: { ...process.env, PATH: `${BIN_DIR}:/usr/bin:/bin`, HOME: '/tmp' },
+        });
+
+        let stdout = '';
+        let stderr = '';
+        proc.stdout.on('data', (data) => { stdout += data.toString(); });
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+        const timeout = setTimeout(() => {
+            proc.kill();
+            reject(new Error('Listing timed out after 2 minutes'));
+        }, 120000);
+
+        proc.on('close', (code) => {
+            clearTimeout(timeout);
+            if (code !== 0) {
+                reject(new Error(`yt-dlp exited with code ${code}: ${stderr}`));
+                return;
+            }
+            resolve(stdout);
+        });
+
+        proc.on('error', (error) => {
+            clearTimeout(timeout);
+            reject(error);
+        });
+    });
+
+    const info = JSON.parse(output);
+    const entries = (info.entries || [])
+        .filter(entry => entry.id)
+        .map(entry => ({
+            url: entry.url || `https://www.youtube.com/watch?v=${entry.id}`,
+            title: entry.title || entry.id,
+        }));
+
+    return {
+        title: info.title || url,
+        kind,
+        entries: entries.slice(0, limit),
+        truncated: entries.length > limit,
+    };
+}
+
+// /history buttons: a fresh link for a stored file ('relink') or the file itself ('resend').
+// The webhook has already checked that the file belongs to the user.
+// Download a stored file to /tmp, keeping its filename so Telegram shows it and picks audio vs video
+async function fetchFromS3(fileKey) {
+    const filePath = `/tmp/${randomUUID()}/${fileKey.split('/').pop()}`;
+    mkdirSync(filePath.substring(0, filePath.lastIndexOf('/')), { recursive: true });
+    const object = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET_NAME, Key: fileKey }));
+    await pipeline(object.Body, createWriteStream(filePath));
+    return filePath;
+}
+
+async function handleHistoryRequest({ action, chatId, fileKey, title, lang }) {
+    const name = `<b>${escapeHtml(title || fileKey.split('/').pop())}</b>`;
+    let filePath = null;
+
+    try {
+        const s3Url = await signS3Url(fileKey);
+        const caption = `${name}\n<a href="${s3Url}">${t(lang, 'common.directLink')}</a>\n\n${t(lang, 'common.linkExpires')}`;
+
+        if (action === 'relink') {
+            await telegram.sendMessage(chatId, `🔗 ${caption}`);
+            return;
+        }
+
+        filePath = await fetchFromS3(fileKey);
+        const uploaded = await uploadToTelegram(chatId, filePath, caption);
+        if (uploaded) {
+            await rememberTelegramFile(fileKey, uploaded);
+        } else {
+            await telegram.sendMessage(chatId, t(lang, 'history.tooLarge', { caption }));
+        }
+    } catch (error) {
+        console.error(`History ${action} failed for ${fileKey}:`, error);
+        const reason = error.name === 'NoSuchKey' ? t(lang, 'history.gone') : t(lang, 'common.error', { error: escapeHtml(error.message) });
+        await telegram.sendMessage(chatId, t(lang, 'history.failed', { name, reason }));
+    } finally {
+        if (filePath) {
+            cleanupFile(filePath);
+        }
+    }
+}
+
+// Confirmed /clear: delete the matching files from S3 (1000 per request, the API limit),
+// then their rows and search postings. Rows are only removed once their object is gone.
+// The webhook bounded `filters.before` by the preview, so this never reaches newer files.
+async function handleClearRequest({ chatId, progressMessageId, userId, filters, lang }) {
+    try {
+        const files = await selectFiles(ddb, DYNAMODB_FILES_TABLE, filters);
+        let clearedCount = 0;
+        let freedMB = 0;
+        const errors = [];
+
+        for (let i = 0; i < files.length; i += 1000) {
+            const chunk = files.slice(i, i + 1000);
+            const response = await s3.send(new DeleteObjectsCommand({
+                Bucket: S3_BUCKET_NAME,
+                Delete: { Objects: chunk.map(item => ({ Key: item.file_key.S })), Quiet: true }
+            }));
+
+            const failedKeys = new Set((response.Errors || []).map(e => e.Key));
+            errors.push(...(response.Errors || []));
+            const deleted = chunk.filter(item => !failedKeys.has(item.file_key.S));
+
+            const failedRows = await deleteFileRecords(ddb, DYNAMODB_FILES_TABLE, deleted.map(item => item.file_key.S));
+            if (failedRows) errors.push({ Message: `${failedRows} DynamoDB row(s) could not be deleted` });
+            if (DYNAMODB_SEARCH_TABLE) {
+                await removeFromIndex(ddb, { searchTable: DYNAMODB_SEARCH_TABLE }, deleted)
+                    .catch(error => console.error('Failed to update search index:', error.message));
+            }
+
+            clearedCount += deleted.length;
+            freedMB += deleted.reduce((sum, item) => sum + parseFloat(item.size_mb?.N || 0), 0);
+            if (i + 1000 < files.length) {
+                await telegram.editMessageText(chatId, progressMessageId, t(lang, 'clear.progress', { done: clearedCount, total: files.length }));
+            }
+        }
+
+        let report = t(lang, 'clear.complete', { count: clearedCount, mb: freedMB.toFixed(1) });
+        if (errors.length > 0) {
+            report += '\n\n' + t(lang, 'clear.errors', { count: errors.length, error: escapeHtml(errors[0].Message || errors[0].Code || 'unknown') });
+        }
+        console.log(`Cleared ${clearedCount}/${files.length} files (${freedMB.toFixed(1)} MB), ${errors.length} error(s)`);
+        await auditOutcome('files.cleared', userId, {
+            params: filters,
+            after: { files: clearedCount, mb: Number(freedMB.toFixed(1)), errors: errors.length },
+        });
+        await telegram.editMessageText(chatId, progressMessageId, report);
+    } catch (error) {
+        console.error('Clear failed:', error);
+        await auditOutcome('files.cleared', userId, { params: filters, after: { error: error.message } });
+        await telegram.editMessageText(chatId, progressMessageId, t(lang, 'clear.error', { error: escapeHtml(error.message) }));
+    }
+}
+
+// Confirmed /broadcast: send the announcement to each recipient in their language. The
+// record is checkpointed as it goes, so if the run dies a redelivery resumes from the last
+// checkpoint (re-sending at most BROADCAST_CHECKPOINT_EVERY messages) rather than the start.
+async function handleBroadcastRequest({ chatId, progressMessageId, broadcastId, lang }) {
+    const jobId = `${BROADCAST_KEY_PREFIX}${broadcastId}`;
+    const { claimed, job } = await claimDownloadJob(jobId);
+    if (!claimed) {
+        if (!job?.outcome) throw new JobLeasedError(jobId);
+        console.log(`Skipping redelivered broadcast ${broadcastId}: already ${job.outcome}`);
+        return;
+    }
+
+    const stopLease = keepJobLeased(jobId);
+    try {
+        const response = await ddb.send(new GetItemCommand({
+            TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+            Key: broadcastKey(broadcastId),
+        }));
+        if (!response.Item) throw new Error(t(lang, 'broadcast.gone'));
+
+        const { text, ownerId, recipients, sent, counts } = parseBroadcast(response.Item);
+        for (let i = sent; i < recipients.length; i++) {
+            const result = await telegram.sendMessage(recipients[i].chatId, renderBroadcast(text, recipients[i].lang));
+            counts[deliveryOutcome(result)]++;
+
+            const done = i + 1;
+            if (done % BROADCAST_CHECKPOINT_EVERY === 0 && done < recipients.length) {
+                await saveBroadcastProgress(broadcastId, done, counts);
+                await telegram.editMessageText(chatId, progressMessageId, t(lang, 'broadcast.progress', { done, total: recipients.length }));
+            }
+            await new Promise(resolve => setTimeout(resolve, BROADCAST_INTERVAL_MS));
+        }
+
+        console.log(`Broadcast ${broadcastId}: ${JSON.stringify(counts)} of ${recipients.length}`);
+        await finishDownloadJob(jobId, 'done');
+        await auditOutcome('broadcast.sent', ownerId, { params: { broadcastId }, after: counts });
+        await ddb.send(new DeleteItemCommand({ TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE, Key: broadcastKey(broadcastId) }))
+            .catch(error => console.error(`Failed to delete broadcast ${broadcastId}:`, error.message));
+        await telegram.editMessageText(chatId, progressMessageId, t(lang, 'broadcast.complete', counts));
+    } catch (error) {
+        console.error('Broadcast failed:', error);
+        await finishDownloadJob(jobId, 'failed');
+        await telegram.editMessageText(chatId, progressMessageId, t(lang, 'broadcast.error', { error: escapeHtml(error.message) }));
+    } finally {
+        stopLease();
+    }
+}
+
+async function saveBroadcastProgress(broadcastId, sent, counts) {
+    await ddb.send(new UpdateItemCommand({
+        TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+        Key: broadcastKey(broadcastId),
+        UpdateExpression: 'SET sent = :sent, delivered = :delivered, blocked = :blocked, failed = :failed',
+        ExpressionAttributeValues: {
+            ':sent': { N: String(sent) },
+            ':delivered': { N: String(counts.delivered) },
+            ':blocked': { N: String(counts.blocked) },
+            ':failed': { N: String(counts.failed) },
+        },
+    }));
+}
+
+// /export stats: the daily usage rows of a range as a CSV in S3, sent back as a link
+// valid for 7 days (the exports/ lifecycle rule removes the file after that)
+async function handleExportRequest({ chatId, progressMessageId, range, userId, lang }) {
+    try {
+        const rows = await queryUsage(ddb, DYNAMODB_USAGE_TABLE, range, userId);
+        const key = `${S3_EXPORTS_PREFIX}/stats_${range.from}_${range.to}_${randomUUID().substring(0, 8)}.csv`;
+        await s3.send(new PutObjectCommand({
+            Bucket: S3_BUCKET_NAME,
+            Key: key,
+            Body: usageCsv(rows),
+            ContentType: CONTENT_TYPES.csv,
+        }));
+        const url = await signS3Url(key);
+
+        console.log(`Exported ${rows.length} usage rows (${range.from} → ${range.to}) to ${key}`);
+        await telegram.editMessageText(chatId, progressMessageId,
+            t(lang, 'export.complete', { from: range.from, to: range.to, rows: rows.length }) + '\n' +
+            `<a href="${url}">${t(lang, 'export.download')}</a>`);
+    } catch (error) {
+        console.error('Export failed:', error);
+        await telegram.editMessageText(chatId, progressMessageId, t(lang, 'export.error', { error: escapeHtml(error.message) }));
+    }
+}
+
+// List a playlist/channel, store its entries and ask the user how many to download
+async function handleExpandRequest({ chatId, url, sourceType, userId, username, collectionId, progressMessageId, lang }) {
+    try {
+        const cookiesPath = await getCookiesForSource(sourceType);
+        const collection = await listCollection(sourceType, url, cookiesPath);
+
+        if (collection.entries.length === 0) {
+            throw new Error(t(lang, 'collection.noVideos'));
+        }
+
+        const ttlSeconds = Math.floor(Date.now() / 1000) + (60 * 60); // 1 hour to decide
+        const record = {
+            ...collectionKey(collectionId),
+            ...collectionAttributes(collection),
+            url: { S: url },
+            source_type: { S: sourceType },
+            chat_id: { N: String(chatId) },
+            ...(progressMessageId && { message_id: { N: String(progressMessageId) } }),
+            user_id: { S: String(userId) },
+            username: { S: username || 'unknown' },
+            ...(lang && { lang: { S: lang } }),
+            ttl: { N: String(ttlSeconds) }
+        };
+        await ddb.send(new PutItemCommand({ TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE, Item: record }));
+
+        const { text, replyMarkup } = renderCollectionPrompt(parseCollection(record), collectionId);
+        if (progressMessageId) {
+            await telegram.editMessageText(chatId, progressMessageId, text, { replyMarkup });
+        } else {
+            await telegram.sendMessage(chatId, text, { replyMarkup });
+        }
+    } catch (error) {
+        console.error('Collection listing error:', error);
+
+        const errorMsg = t(lang, 'collection.failed', { error: escapeHtml(error.message.substring(0, 300)) });
+
+        if (progressMessageId) {
+            await telegram.editMessageText(chatId, progressMessageId, errorMsg);
+        } else {
+            await telegram.sendMessage(chatId, errorMsg);
+        }
+    }
+}
+
+// FOLLOWS (see shared/follows.mjs)
+
+// Scheduled poll: one follow-check message per subscription, so each account is listed in a
+// run of its own and a slow or failing one doesn't hold up the rest. Messages are sent 10 per
+// request (the SendMessageBatch limit); a check that fails to queue waits for the next poll.
+async function handleFollowPoll() {
+    if (!DYNAMODB_FOLLOWS_TABLE) return;
+
+    let lastKey;
+    let count = 0;
+    do {
+        const response = await ddb.send(new ScanCommand({
+            TableName: DYNAMODB_FOLLOWS_TABLE,
+            ProjectionExpression: 'user_id, follow_key',
+            ExclusiveStartKey: lastKey,
+        }));
+        const items = response.Items || [];
+        for (let i = 0; i < items.length; i += 10) {
+            const entries = items.slice(i, i + 10).map((item, index) => ({
+                Id: String(index),
+                MessageBody: JSON.stringify({ action: 'follow-check', userId: item.user_id.S, followKey: item.follow_key.S }),
+            }));
+            const result = await sqs.send(new SendMessageBatchCommand({ QueueUrl: SQS_QUEUE_URL, Entries: entries }));
+            for (const failure of result.Failed || []) {
+                console.error(`Failed to queue follow check ${entries[failure.Id].MessageBody}:`, failure.Message || failure.Code);
+            }
+            count += entries.length - (result.Failed || []).length;
+        }
+        lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+    console.log(`Follow poll: queued ${count} check(s)`);
+}
+
+// The role a follower's new posts are downloaded with: their own if they are still allowlisted,
+// else that of the group chat the posts go to, unless they were removed or denied. Null if
+// neither may download any more.
+async function followerRole(follow) {
+    const lookup = async (id) => (await ddb.send(new GetItemCommand({
+        TableName: DYNAMODB_TABLE_NAME,
+        Key: { user_id: { S: id } },
+    }))).Item;
+
+    const user = await lookup(follow.userId);
+    if (user?.is_allowed?.BOOL && hasRole(user.role?.S, FOLLOW_ROLE)) return { role: user.role.S, user };
+
+    if (follow.chatId < 0 && !isRevoked(user)) {
+        const group = await lookup(`group:${follow.chatId}`);
+        if (group?.is_allowed?.BOOL && hasRole(group.role?.S, FOLLOW_ROLE)) return { role: group.role.S, user };
+    }
+    return { role: null, user };
+}
+
+// List one subscription's newest posts and queue a download for each new one. `seen` is saved
+// before anything is queued, conditional on the check it read, so a redelivered or overlapping
+// check can't queue the same posts twice.
+async function handleFollowCheck({ userId, followKey }) {
+    const response = await ddb.send(new GetItemCommand({
+        TableName: DYNAMODB_FOLLOWS_TABLE,
+        Key: followItemKey(userId, followKey),
+    }));
+    if (!response.Item) return; // Unfollowed since the poll
+    const follow = parseFollow(response.Item);
+
+    const { role, user } = await followerRole(follow);
+    if (!role) {
+        console.log(`Skipping follow ${followKey} of ${userId}: no longer allowed to download`);
+        return;
+    }
+
+    // Over quota: nothing is marked seen, the next poll tries again
+    const quota = hasRole(role, 'admin') ? { allowed: true, status: [] } : evaluateQuota(user, ['requests_per_hour', 'daily_mb', 'monthly_mb']);
+    if (!quota.allowed) {
+        console.log(`Skipping follow ${followKey} of ${userId}: ${quota.exceeded.limit} reached`);
+        return;
+    }
+
+    let posts;
+    try {
+        posts = follow.platform === 'instagram'
+            ? await listInstagramPosts(follow.account)
+            : (await listCollection(follow.sourceType, follow.url, await getCookiesForSource(follow.sourceType), FOLLOW_SCAN_SIZE)).entries;
+        posts = posts.slice(0, FOLLOW_SCAN_SIZE).filter(post => detectSource(post.url));
+    } catch (error) {
+        console.error(`Follow check failed for ${followKey} of ${userId}:`, error);
+        await saveFollowCheck(follow, { error: error.message.substring(0, 300) });
+        return;
+    }
+
+    // The first check only learns what's already there
+    const seen = new Set(follow.seen || []);
+    const fresh = follow.seen ? posts.filter(post => !seen.has(postId(post.url))) : [];
+
+    // Posts held back by the hourly request quota stay unseen for the next poll
+    const remaining = quota.status.find(s => s.limit === 'requests_per_hour')?.remaining ?? Infinity;
+    const allowance = Math.min(FOLLOW_MAX_NEW, remaining);
+    const queued = fresh.slice(0, allowance).reverse(); // Oldest first, the order they were posted in
+    const heldBack = new Set(fresh.slice(allowance, FOLLOW_MAX_NEW).map(post => postId(post.url)));
+    const newSeen = [...new Set([...posts.map(post => postId(post.url)).filter(id => !heldBack.has(id)), ...seen])];
+
+    const saved = await saveFollowCheck(follow, {
+        seen: newSeen.slice(0, FOLLOW_SEEN_LIMIT),
+        digestPosts: follow.digest ? queued : [],
+    });
+    if (!saved) {
+        console.log(`Skipping follow ${followKey} of ${userId}: already checked by another run`);
+        return;
+    }
+
+    const analyze = (follow.analyze || follow.settings.autoAnalyze === 'on') && hasRole(role, 'analyst') &&
+        evaluateQuota(user, ['analyses_per_day']).allowed;
+    for (const post of queued) {
+        await queueFollowDownload(follow, post, { ...follow.settings, autoAnalyze: analyze ? 'on' : 'off' });
+    }
+    console.log(`Follow ${followKey} of ${userId}: ${posts.length} listed, ${fresh.length} new, ${queued.length} queued`);
+}
+
+/**
+ * Record a check on its subscription: the posts now seen and those to add to the digest, or
+ * the error that stopped it.
+ *
+ * @returns {Promise<boolean>} False if the subscription was checked (or removed) since it was read.
+ */
+async function saveFollowCheck(follow, { seen = null, digestPosts = [], error = null }) {
+    const sets = ['checked_at = :now'];
+    const values = { ':now': { S: new Date().toISOString() } };
+    if (seen) {
+        sets.push('seen = :seen');
+        values[':seen'] = { L: seen.map(id => ({ S: id })) };
+    }
+    if (digestPosts.length > 0) {
+        sets.push('digest_posts = list_append(if_not_exists(digest_posts, :empty), :posts)');
+        values[':empty'] = { L: [] };
+        values[':posts'] = { L: digestPosts.map(post => ({ M: { title: { S: post.title.substring(0, 200) }, url: { S: post.url } } })) };
+    }
+    if (error) {
+        sets.push('last_error = :error');
+        values[':error'] = { S: error };
+    }
+    if (follow.checkedAt) values[':previous'] = { S: follow.checkedAt };
 
+    try {
+        await ddb.send(new UpdateItemCommand({
+            TableName: DYNAMODB_FOLLOWS_TABLE,
+            Key: followItemKey(follow.userId, follow.key),
+            UpdateExpression: `SET ${sets.join(', ')}${error ? '' : ' REMOVE last_error'}`,
+            ConditionExpression: `attribute_exists(follow_key) AND ${follow.checkedAt ? 'checked_at = :previous' : 'attribute_not_exists(checked_at)'}`,
+            ExpressionAttributeValues: values,
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return false;
+        throw error;
+    }
+}
+
+// A new post becomes a normal download job, as if the follower had sent its link: the
+// "New from" message is its progress message, and it counts against their hourly requests
+async function queueFollowDownload(follow, post, settings) {
+    const sourceType = detectSource(post.url);
+    const downloadId = randomUUID();
+
+    const notice = await telegram.sendMessage(follow.chatId, t(follow.lang, 'follow.newPost', {
+        emoji: getPlatform(follow.platform)?.emoji || '',
+        account: escapeHtml(follow.account),
+        title: escapeHtml(post.title.substring(0, 200)),
+    }));
+    if (!notice?.ok) {
+        console.log(`Not queueing ${post.url} for ${follow.userId}: chat ${follow.chatId} unreachable`);
+        return;
+    }
+
+    await ddb.send(new PutItemCommand({
+        TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+        Item: {
+            download_id: { S: downloadId },
+            ...jobAttributes(),
+            user_id: { S: follow.userId },
+            username: { S: follow.username || 'unknown' },
+            url: { S: post.url },
+            source_type: { S: sourceType },
+            status: { S: 'queued' },
+            percent: { S: '0%' },
+            started_at: { S: new Date().toISOString() },
+            ttl: { N: String(Math.floor(Date.now() / 1000) + (15 * 60)) }
+        }
+    }));
+    await incrementQuotaCounter(ddb, DYNAMODB_TABLE_NAME, { user_id: { S: follow.userId } }, 'requests_hour', 1)
+        .catch(error => console.error('Failed to record follow request:', error.message));
+
+    await sqs.send(new SendMessageCommand({
+        QueueUrl: SQS_QUEUE_URL,
+        MessageBody: JSON.stringify({
+            chatId: follow.chatId,
+            url: post.url,
+            sourceType,
+            userId: follow.userId,
+            username: follow.username,
+            downloadId,
+            progressMessageId: notice.result.message_id,
+            settings,
+            lang: follow.lang,
+        }),
+    }));
+}
+
+// Daily digest: each follower gets one message per chat listing the posts their digest
+// subscriptions queued since the last one. Only the posts listed are removed afterwards,
+// so posts a check appends meanwhile wait for the next digest.
+async function handleFollowDigest() {
+    if (!DYNAMODB_FOLLOWS_TABLE) return;
+
+    const digests = new Map();
+    let lastKey;
+    do {
+        const response = await ddb.send(new ScanCommand({
+            TableName: DYNAMODB_FOLLOWS_TABLE,
+            FilterExpression: 'digest = :true AND size(digest_posts) > :zero',
+            ExpressionAttributeValues: { ':true': { BOOL: true }, ':zero': { N: '0' } },
+            ExclusiveStartKey: lastKey,
+        }));
+        for (const follow of (response.Items || []).map(parseFollow)) {
+            const id = `${follow.userId}:${follow.chatId}`;
+            if (!digests.has(id)) digests.set(id, []);
+            digests.get(id).push(follow);
+        }
+        lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    for (const follows of digests.values()) {
+        const { chatId, lang } = follows[0];
+        const total = follows.reduce((sum, follow) => sum + follow.digestPosts.length, 0);
+        let text = t(lang, 'follow.digestTitle', { count: total });
+
+        for (const follow of follows) {
+            const platform = getPlatform(follow.platform);
+            text += '\n\n' + t(lang, 'follow.digestAccount', {
+                emoji: platform?.emoji || '',
+                account: escapeHtml(follow.account),
+                platform: platform?.label || follow.platform,
+                count: follow.digestPosts.length,
+            });
+            for (const post of follow.digestPosts.slice(-FOLLOW_DIGEST_POSTS).reverse()) {
+                text += `\n• <a href="${escapeHtml(post.url)}">${escapeHtml(post.title.substring(0, 80))}</a>`;
+            }
+            if (follow.digestPosts.length > FOLLOW_DIGEST_POSTS) {
+                text += '\n' + t(lang, 'follow.digestMore', { count: follow.digestPosts.length - FOLLOW_DIGEST_POSTS });
+            }
+        }
+
+        const result = await telegram.sendMessage(chatId, text);
+        if (!result?.ok) {
+            console.error(`Digest for chat ${chatId} not delivered`);
+            continue;
+        }
+
+        for (const follow of follows) {
+            await ddb.send(new UpdateItemCommand({
+                TableName: DYNAMODB_FOLLOWS_TABLE,
+                Key: followItemKey(follow.userId, follow.key),
+                // Highest index first, so no removal shifts one still to come
+                UpdateExpression: `REMOVE ${follow.digestPosts.map((_, i) => `digest_posts[${i}]`).reverse().join(', ')}`,
+                ConditionExpression: 'attribute_exists(follow_key)',
+            })).catch(error => console.error(`Failed to clear digest of ${follow.key} for ${follow.userId}:`, error.message));
+        }
+    }
+    console.log(`Follow digest: sent ${digests.size} digest(s)`);
+}
+
+async function updateUsage(userId, platform, sizeMB, username) {
+    if (!userId || !DYNAMODB_TABLE_NAME) return;
+
+    const key = { user_id: { S: userId } };
     try {
         await ddb.send(new UpdateItemCommand({
             TableName: DYNAMODB_TABLE_NAME,
-            Key: { username: { S: username } },
+            Key: key,
             UpdateExpression: `
                 SET conversations = if_not_exists(conversations, :zero) + :one, 
                     total_mb = if_not_exists(total_mb, :zero) + :size,
                     platform_usage.#p = if_not_exists(platform_usage.#p, :zero) + :size
             `,
+            // Only count usage on existing users; never create a partial user record
+            ConditionExpression: 'attribute_exists(user_id)',
             ExpressionAttributeNames: { '#p': platform },
             ExpressionAttributeValues: {
                 ':zero': { N: '0' },
@@ -548,35 +1394,79 @@ async function updateUsage(username, platform, sizeMB) {
                 ':size': { N: sizeMB.toFixed(2) }
             }
         }));
-        console.log(`Updated usage for @${username}: +${sizeMB.toFixed(2)} MB (${platform})`);
+        console.log(`Updated usage for user ${userId}: +${sizeMB.toFixed(2)} MB (${platform})`);
+
+        // Windowed counters checked by the webhook's quota enforcement
+        await incrementQuotaCounter(ddb, DYNAMODB_TABLE_NAME, key, 'mb_day', sizeMB);
+        await incrementQuotaCounter(ddb, DYNAMODB_TABLE_NAME, key, 'mb_month', sizeMB);
     } catch (error) {
-        console.error(`Failed to update usage for ${username}:`, error);
+        console.error(`Failed to update usage for user ${userId}:`, error);
+    }
+
+    // Daily rows behind /stats and /export stats (see shared/usage.mjs)
+    if (!DYNAMODB_USAGE_TABLE) return;
+    try {
+        await recordUsage(ddb, DYNAMODB_USAGE_TABLE, { userId, username, sourceType: platform, sizeMB });
+    } catch (error) {
+        console.error(`Failed to record daily usage for user ${userId}:`, error);
+    }
+}
+
+/**
+ * Remember the Telegram file_id of an uploaded file on its files item, so inline mode can
+ * share it into other chats without uploading it again.
+ */
+async function rememberTelegramFile(fileKey, sentMessage) {
+    const type = ['video', 'audio', 'document'].find(t => sentMessage?.[t]?.file_id);
+    if (!DYNAMODB_FILES_TABLE || !type) return;
+
+    try {
+        await ddb.send(new UpdateItemCommand({
+            TableName: DYNAMODB_FILES_TABLE,
+            Key: { file_key: { S: fileKey } },
+            UpdateExpression: 'SET telegram_file_id = :id, telegram_file_type = :type',
+            ConditionExpression: 'attribute_exists(file_key)',
+            ExpressionAttributeValues: {
+                ':id': { S: sentMessage[type].file_id },
+                ':type': { S: type },
+            }
+        }));
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+            console.error('Failed to store Telegram file id:', error);
+        }
     }
 }
 
-async function trackFile(key, sourceType, title, sizeMB, url, username, downloadId) {
+// `extra` are further raw attributes, e.g. a clip's parent_key, clip_start and clip_end
+async function trackFile(key, sourceType, title, sizeMB, url, username, userId, downloadId, extra = {}) {
     if (!DYNAMODB_FILES_TABLE) return;
 
     try {
         // Calculate TTL: 7 days from now in epoch seconds
         const ttlSeconds = Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60);
 
+        const item = {
+            file_key: { S: key },
+            source_type: { S: sourceType },
+            title: { S: title },
+            url: { S: url },
+            username: { S: username || 'unknown' },
+            ...(userId && { user_id: { S: userId } }),
+            download_id: { S: downloadId },
+            size_mb: { N: sizeMB.toFixed(2) },
+            created_at: { S: new Date().toISOString() },
+            ttl: { N: String(ttlSeconds) },
+            ...extra
+        };
         await ddb.send(new PutItemCommand({
             TableName: DYNAMODB_FILES_TABLE,
-            Item: {
-                file_key: { S: key },
-                source_type: { S: sourceType },
-                title: { S: title },
-                url: { S: url },
-                username: { S: username || 'unknown' },
-                download_id: { S: downloadId },
-                size_mb: { N: sizeMB.toFixed(2) },
-                created_at: { S: new Date().toISOString() },
-                ttl: { N: String(ttlSeconds) }
-            },
+            Item: item,
             ConditionExpression: 'attribute_not_exists(file_key)'
         }));
         console.log(`Tracked file: ${title} (ID: ${downloadId})`);
+
+        await updateSearchIndex(item);
     } catch (error) {
         if (error.name !== 'ConditionalCheckFailedException') {
             console.error('Failed to track file:', error);
@@ -584,22 +1474,57 @@ async function trackFile(key, sourceType, title, sizeMB, url, username, download
     }
 }
 
-async function handleAnalysisRequest(chatId, downloadId, username) {
+// Add a files item to the /search index (titles at download, transcript and analysis once analyzed)
+async function updateSearchIndex(item) {
+    if (!DYNAMODB_SEARCH_TABLE) return;
+
     try {
-        // Look up the file info from the files table using downloadId
-        const filesResult = await ddb.send(new ScanCommand({
+        const count = await indexFile(ddb, { searchTable: DYNAMODB_SEARCH_TABLE, filesTable: DYNAMODB_FILES_TABLE }, item);
+        console.log(`Indexed ${count} terms for ${item.file_key.S}`);
+    } catch (error) {
+        console.error('Failed to update search index:', error);
+    }
+}
+
+// Cut text to at most `maxBytes` of UTF-8, on a character boundary
+function truncateUtf8(text, maxBytes) {
+    const bytes = Buffer.from(text);
+    if (bytes.length <= maxBytes) return text;
+    return bytes.subarray(0, maxBytes - 3).toString().replace(/\uFFFD+$/, '') + '…';
+}
+
+// Keep the transcript and analysis on the files item so /search can find and show them
+async function saveAnalysis(fileItem, transcript, analysis) {
+    transcript = transcript && truncateUtf8(transcript, MAX_STORED_TEXT_BYTES);
+    analysis = truncateUtf8(analysis, MAX_STORED_TEXT_BYTES);
+    try {
+        const response = await ddb.send(new UpdateItemCommand({
             TableName: DYNAMODB_FILES_TABLE,
-            FilterExpression: 'download_id = :downloadId',
+            Key: { file_key: fileItem.file_key },
+            UpdateExpression: 'SET analysis = :analysis, analyzed_at = :now' + (transcript ? ', transcript = :transcript' : ''),
+            ConditionExpression: 'attribute_exists(file_key)',
             ExpressionAttributeValues: {
-                ':downloadId': { S: downloadId }
-            }
+                ':analysis': { S: analysis },
+                ':now': { S: new Date().toISOString() },
+                ...(transcript && { ':transcript': { S: transcript } }),
+            },
+            ReturnValues: 'ALL_NEW'
         }));
+        await updateSearchIndex(response.Attributes);
+    } catch (error) {
+        console.error('Failed to save analysis:', error.message);
+    }
+}
 
-        if (!filesResult.Items || filesResult.Items.length === 0) {
+async function handleAnalysisRequest(chatId, downloadId, username, lang) {
+    try {
+        // Look up the file info from the files table using downloadId
+        const fileItem = await findFileByDownloadId(ddb, DYNAMODB_FILES_TABLE, downloadId);
+        if (!fileItem) {
             throw new Error(`File not found for downloadId: ${downloadId}. Note: Analysis only works for videos downloaded after this update.`);
         }
 
-        const fileKey = filesResult.Items[0].file_key.S;
+        const fileKey = fileItem.file_key.S;
         console.log(`Found file for analysis: ${fileKey}`);
 
         // Download file from S3 to /tmp
@@ -618,7 +1543,7 @@ async function handleAnalysisRequest(chatId, downloadId, username) {
         const title = filename.replace(/\.[^/.]+$/, '');
 
         // Initialize status tracking
-        const statusLines = ['🧠 <b>Deep Surveying Video...</b>', ''];
+        const statusLines = [t(lang, 'analysis.surveying'), ''];
 
         // Helper to update Telegram message
         const updateProgress = async (newStatus) => {
@@ -635,37 +1560,54 @@ async function handleAnalysisRequest(chatId, downloadId, username) {
             // To avoid message spam, we might want to debounce, but since steps are slow, it's fine.
 
             statusLines.push(newStatus);
-            await editTelegramMessage(chatId, messageId, statusLines.join('\n'));
+            await telegram.editMessageText(chatId, messageId, statusLines.join('\n'));
         };
 
         // Send initial status message
-        const initialMsg = await sendTelegramMessage(chatId, '🧠 <b>Deep Surveying Video...</b>\n\n🔄 Initializing...');
+        const initialMsg = await telegram.sendMessage(chatId, `${t(lang, 'analysis.surveying')}\n\n${t(lang, 'analysis.initializing')}`);
         const messageId = initialMsg.result.message_id;
 
         // Run analysis with progress callback
-        const analysis = await analyzeVideo(videoPath, title, updateProgress);
+        const { analysis, transcript } = await analyzeVideo(videoPath, title, updateProgress, lang);
 
         // Cleanup
         if (existsSync(videoPath)) unlinkSync(videoPath);
 
+        await saveAnalysis(fileItem, transcript, analysis);
+
         // Delete progress message
-        await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/deleteMessage`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ chat_id: chatId, message_id: messageId })
-        });
+        await telegram.deleteMessage(chatId, messageId);
 
         // Send analysis to user (split if too long for Telegram)
-        await sendAnalysisToTelegram(chatId, analysis, title);
+        await sendAnalysisToTelegram(chatId, analysis, title, lang);
 
     } catch (error) {
         console.error('Analysis error:', error);
-        await sendTelegramMessage(chatId, `❌ <b>Analysis Failed</b>\n\n<i>Error: ${error.message}</i>`);
+        await telegram.sendMessage(chatId, t(lang, 'analysis.failed', { error: escapeHtml(error.message) }));
     }
 }
 
-async function sendAnalysisToTelegram(chatId, analysis, title) {
-    const header = `🎬 <b>Video Analysis: ${title}</b>\n\n`;
+// /search "Full analysis" button: re-send a stored analysis
+async function handleStoredAnalysisRequest({ chatId, fileKey, lang }) {
+    try {
+        const response = await ddb.send(new GetItemCommand({
+            TableName: DYNAMODB_FILES_TABLE,
+            Key: { file_key: { S: fileKey } },
+            ProjectionExpression: 'title, analysis'
+        }));
+        if (!response.Item?.analysis) {
+            await telegram.sendMessage(chatId, t(lang, 'analysis.gone'));
+            return;
+        }
+        await sendAnalysisToTelegram(chatId, response.Item.analysis.S, response.Item.title?.S || fileKey.split('/').pop(), lang);
+    } catch (error) {
+        console.error('Failed to send stored analysis:', error);
+        await telegram.sendMessage(chatId, t(lang, 'analysis.loadFailed', { error: escapeHtml(error.message) }));
+    }
+}
+
+async function sendAnalysisToTelegram(chatId, analysis, title, lang) {
+    const header = t(lang, 'analysis.header', { title: escapeHtml(title) }) + '\n\n';
     // Convert Markdown bold to HTML bold in case the AI ignored instructions
     const cleanAnalysis = analysis
         .replace(/\*\*(.*?)\*\*/g, '<b>$1</b>') // **bold**
@@ -675,40 +1617,18 @@ async function sendAnalysisToTelegram(chatId, analysis, title) {
 
     // Telegram has a 4096 char limit per message
     if (fullMessage.length <= 4096) {
-        await sendTelegramMessage(chatId, fullMessage);
+        await telegram.sendMessage(chatId, fullMessage);
     } else {
-        // Split into multiple messages
-        await sendTelegramMessage(chatId, header + '(Analysis split into multiple messages due to length)\n\n');
+        // Split into multiple messages (the client sends them in order)
+        await telegram.sendMessage(chatId, header + t(lang, 'analysis.split'));
 
-        const chunks = splitMessage(analysis, 3900);
+        const chunks = splitHtml(cleanAnalysis, 3900);
         for (let i = 0; i < chunks.length; i++) {
-            await sendTelegramMessage(chatId, `<i>Part ${i + 1}/${chunks.length}</i>\n\n${chunks[i]}`);
-            // Small delay to ensure order
-            await new Promise(resolve => setTimeout(resolve, 500));
+            await telegram.sendMessage(chatId, `${t(lang, 'analysis.part', { part: i + 1, total: chunks.length })}\n\n${chunks[i]}`);
         }
     }
 }
 
-function splitMessage(text, maxLength) {
-    const chunks = [];
-    let currentChunk = '';
-
-    const paragraphs = text.split('\n\n');
-
-    for (const para of paragraphs) {
-        if ((currentChunk + para).length > maxLength) {
-            if (currentChunk) chunks.push(currentChunk.trim());
-            currentChunk = para + '\n\n';
-        } else {
-            currentChunk += para + '\n\n';
-        }
-    }
-
-    if (currentChunk) chunks.push(currentChunk.trim());
-
-    return chunks;
-}
-
 export async function handler(event) {
     console.log('Processing event:', JSON.stringify(event, null, 2));
 
@@ -717,147 +1637,295 @@ export async function handler(event) {
 
         // Check if this is an analysis request
         if (messageBody.action === 'analyze') {
-            const { chatId, downloadId, username } = messageBody;
-            await handleAnalysisRequest(chatId, downloadId, username);
+            const { chatId, downloadId, username, lang } = messageBody;
+            await handleAnalysisRequest(chatId, downloadId, username, lang);
+            continue;
+        }
+
+        // Playlist/channel URL: list its entries and ask what to download
+        if (messageBody.action === 'expand') {
+            await handleExpandRequest(messageBody);
+            continue;
+        }
+
+        // /history buttons (and /search's "Open file")
+        if (messageBody.action === 'relink' || messageBody.action === 'resend') {
+            await handleHistoryRequest(messageBody);
+            continue;
+        }
+
+        // Confirmed /clear
+        if (messageBody.action === 'clear') {
+            await handleClearRequest(messageBody);
+            continue;
+        }
+
+        // Confirmed /broadcast
+        if (messageBody.action === 'broadcast') {
+            await handleBroadcastRequest(messageBody);
+            continue;
+        }
+
+        // /export
+        if (messageBody.action === 'export') {
+            await handleExportRequest(messageBody);
+            continue;
+        }
+
+        // Scheduled /follow poll and digest (EventBridge), and the per-subscription checks the poll queues
+        if (messageBody.action === 'follow-poll') {
+            await handleFollowPoll();
+            continue;
+        }
+        if (messageBody.action === 'follow-check') {
+            await handleFollowCheck(messageBody);
+            continue;
+        }
+        if (messageBody.action === 'follow-digest') {
+            await handleFollowDigest();
+            continue;
+        }
+
+        // /search "Full analysis" button
+        if (messageBody.action === 'show-analysis') {
+            await handleStoredAnalysisRequest(messageBody);
             continue;
         }
 
         // Otherwise, it's a download request
-        const { chatId, url, sourceType, username, downloadId, progressMessageId } = messageBody;
+        // Batch jobs (several links in one message) have a batchId and no progressMessageId;
+        // their progress goes to the batch's shared message instead
+        // `settings` are the user's /settings, resolved by the webhook; `requestedBy` is set in group chats.
+        // Every message carries `lang`, the language to reply in (see shared/i18n.mjs)
+        // Clips (see shared/clips.mjs) carry `clip` ({ start, end } in seconds), and when they are
+        // cut from a stored file (the ✂️ Clip button) that file's key as `parentKey`
+        const { chatId, url, sourceType, username, userId, downloadId, progressMessageId, batchId, settings = {}, requestedBy, lang, clip, parentKey } = messageBody;
+        const autoAnalyze = settings.autoAnalyze === 'on' && !batchId; // Batches keep their Analyze buttons
+        const source = getSource(sourceType);
         let filePath = null;
         let metaTitle = null; // Store title from metadata for proper naming
 
+        // A redelivered message resumes after the job's last finished step, and a finished
+        // job is skipped; one another run still holds is retried later
+        const { claimed, job } = await claimDownloadJob(downloadId);
+        if (!claimed) {
+            if (!job?.outcome) throw new JobLeasedError(downloadId);
+            console.log(`Skipping redelivered download ${downloadId}: already ${job.outcome}`);
+            continue;
+        }
+
+        const stopLease = keepJobLeased(downloadId);
         try {
-            // Get cookies if available
-            const cookiesPath = await getCookiesForSource(sourceType);
-
-            // Download Logic Branch
-            if (sourceType.startsWith('instagram')) {
-                // Use ScrapeCreators for Instagram
-                if (chatId && progressMessageId) {
-                    await editTelegramMessage(chatId, progressMessageId, `📸 <b>Fetching from Instagram (ScrapeCreators)...</b>\n\n<i>This may take a moment...</i>`);
-                }
+            if (!source) {
+                throw new Error(`Unknown source type: ${sourceType}`);
+            }
 
-                // Download to temp path first
-                const tempDownloadPath = `/tmp/${downloadId}_temp.mp4`;
-                console.log(`Using ScrapeCreators to download to: ${tempDownloadPath}`);
+            // Cancelled while still waiting in the queue
+            await throwIfCancelled(downloadId);
 
-                const meta = await downloadInstagramReel(url, tempDownloadPath);
+            let fileSizeMB, s3Url, s3Key, title;
 
-                // Use caption as title, sanitize for filesystem
-                metaTitle = meta.title || `Instagram_${downloadId}`;
-                // Sanitize: remove special chars, limit length, replace spaces with underscores
-                const sanitizedTitle = metaTitle
-                    .replace(/[^\w\s\u0590-\u05FF\u0600-\u06FF-]/g, '') // Keep letters, numbers, spaces, Hebrew, Arabic, hyphens
-                    .replace(/\s+/g, '_')  // Replace spaces with underscores
-                    .substring(0, 100)     // Limit length
-                    .trim() || `Instagram_${downloadId}`;
+            if (job.steps.has('stored')) {
+                // A previous run already stored the file: fetch it back instead of downloading again
+                ({ s3Key, title, sizeMB: fileSizeMB } = job);
+                s3Url = await signS3Url(s3Key);
+                if (settings.delivery !== 'link' && !job.steps.has('delivered')) {
+                    filePath = await fetchFromS3(s3Key);
+                }
+                console.log(`Resuming download ${downloadId} (attempt ${job.attempts}) from ${s3Key}`);
+            } else {
+                // Get cookies if available
+                const cookiesPath = await getCookiesForSource(sourceType);
 
-                // Rename file to use proper title
-                const finalPath = `/tmp/${sanitizedTitle} [${downloadId.substring(0, 8)}].mp4`;
-                renameSync(tempDownloadPath, finalPath);
-                filePath = finalPath;
+                await reportBatchProgress(batchId, downloadId, { status: 'downloading' });
 
-                console.log(`Renamed Instagram file to: ${filePath}`);
-            } else {
-                // Download with yt-dlp (pass downloadId, chatId, progressMessageId for progress tracking)
-                // yt-dlp already names files with title via output template
-                filePath = await downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, progressMessageId);
-            }
-            const stats = await stat(filePath);
-            const fileSizeMB = stats.size / (1024 * 1024);
+                // Download Logic Branch (downloader is declared per source in the registry)
+                if (parentKey) {
+                    // Clip of a file we already have: fetch it back and trim it below
+                    if (chatId && progressMessageId) {
+                        await telegram.editMessageText(chatId, progressMessageId, t(lang, 'clip.cutting', { range: clipLabel(clip) }), { replyMarkup: cancelButton(downloadId, lang) });
+                    }
+                    filePath = await fetchFromS3(parentKey);
+                } else if (source.downloader === 'scrapecreators') {
+                    // Use ScrapeCreators for Instagram
+                    if (chatId && progressMessageId) {
+                        await telegram.editMessageText(chatId, progressMessageId, t(lang, 'download.instagram'), { replyMarkup: cancelButton(downloadId, lang) });
+                    }
 
-            // Upload to S3 (checks for duplicates via S3 HeadObject)
-            // Note: We deliberately use S3 check for now as it's the source of truth for storage.
-            // Future optimization: Check DynamoDB 'files' table first.
-            const s3Url = await uploadToS3(filePath, sourceType);
+                    // Download to temp path first
+                    const tempDownloadPath = `/tmp/${downloadId}_temp.mp4`;
+                    console.log(`Using ScrapeCreators to download to: ${tempDownloadPath}`);
+
+                    const meta = await downloadInstagramReel(url, tempDownloadPath);
+
+                    // Use caption as title, sanitize for filesystem
+                    metaTitle = meta.title || `Instagram_${downloadId}`;
+                    // Sanitize: remove special chars, limit length, replace spaces with underscores
+                    const sanitizedTitle = metaTitle
+                        .replace(/[^\w\s\u0590-\u05FF\u0600-\u06FF-]/g, '') // Keep letters, numbers, spaces, Hebrew, Arabic, hyphens
+                        .replace(/\s+/g, '_')  // Replace spaces with underscores
+                        .substring(0, 100)     // Limit length
+                        .trim() || `Instagram_${downloadId}`;
+
+                    // Rename file to use proper title
+                    const finalPath = `/tmp/${sanitizedTitle} [${downloadId.substring(0, 8)}].mp4`;
+                    renameSync(tempDownloadPath, finalPath);
+                    filePath = finalPath;
+
+                    console.log(`Renamed Instagram file to: ${filePath}`);
+                } else {
+                    // Download with yt-dlp (pass downloadId, chatId, progressMessageId for progress tracking)
+                    // yt-dlp already names files with title via output template
+                    filePath = await downloadMedia(sourceType, url, cookiesPath, downloadId, chatId, progressMessageId, settings, lang, clip);
+                }
 
-            // Extract filename/title for display and tracking
-            const filename = filePath.split('/').pop();
-            const s3Key = `downloads/${sourceType}/${filename}`;
-            const title = filename.replace(/\.[^/.]+$/, ""); // Simple title extraction from filename
+                // yt-dlp only fetched the clip's part; anything else is trimmed here
+                if (clip && (parentKey || source.downloader === 'scrapecreators')) {
+                    filePath = await cutClip(filePath, clip, downloadId);
+                }
+                // Last chance to cancel before anything is stored or sent
+                await throwIfCancelled(downloadId);
+
+                const stats = await stat(filePath);
+                fileSizeMB = stats.size / (1024 * 1024);
+
+                // Upload to S3 (checks for duplicates via S3 HeadObject)
+                // Note: We deliberately use S3 check for now as it's the source of truth for storage.
+                // Future optimization: Check DynamoDB 'files' table first.
+                s3Url = await uploadToS3(filePath, sourceType);
+
+                // Extract filename/title for display and tracking
+                const filename = filePath.split('/').pop();
+                s3Key = getS3Key(sourceType, filename);
+                title = filename.replace(/\.[^/.]+$/, ""); // Simple title extraction from filename
+
+                // A clip is named after its original (whether or not that was ever downloaded)
+                let clipAttributes = {};
+                if (clip) {
+                    title = `${title.replace(clipSuffix(clip), '')} ✂️ ${clipLabel(clip)}`;
+                    clipAttributes = {
+                        parent_key: { S: parentKey || getS3Key(sourceType, filename.replace(clipSuffix(clip), '')) },
+                        clip_start: { N: String(clip.start) },
+                        clip_end: { N: String(clip.end) },
+                    };
+                }
 
-            // Track File in DB
-            await trackFile(s3Key, sourceType, title, fileSizeMB, url, username, downloadId);
+                // Track File in DB
+                await trackFile(s3Key, sourceType, title, fileSizeMB, url, username, userId, downloadId, clipAttributes);
+                await recordDownloadStep(downloadId, 'stored', { s3Key, title, sizeMB: fileSizeMB });
+            }
 
             // Update user usage stats
-            await updateUsage(username, sourceType, fileSizeMB);
-
-            const outputType = sourceType === 'youtube-long' ? '🎵 MP3' : '🎬 MP4';
-
-            const caption = `✅ <b>Download Complete!</b>\n\n` +
-                `<b>${title}</b> (${fileSizeMB.toFixed(1)} MB)\n` +
-                `${outputType} ready:\n` +
-                `<a href="${s3Url}">📥 Direct S3 Link</a>\n\n` +
-                `<i>Link expires in 7 days</i>`;
-
-            // Create inline button for video analysis
-            // Use downloadId as the callback data (short and unique)
-            const analyzeButton = {
-                inline_keyboard: [[
-                    {
-                        text: "🧠 Analyze Video",
-                        callback_data: `analyze:${downloadId}`
+            if (!job.steps.has('billed')) {
+                await updateUsage(userId, sourceType, fileSizeMB, username);
+                await recordDownloadStep(downloadId, 'billed');
+            }
+
+            if (!job.steps.has('delivered')) {
+                const format = s3Key.split('.').pop();
+                const outputType = AUDIO_FORMATS.includes(format) ? `🎵 ${format.toUpperCase()}` : '🎬 MP4';
+
+                const caption = t(lang, 'download.complete', { title, mb: fileSizeMB.toFixed(1), format: outputType }) + '\n' +
+                    `<a href="${s3Url}">${t(lang, 'common.directLink')}</a>\n\n` +
+                    (requestedBy ? t(lang, 'download.requestedBy', { user: escapeHtml(requestedBy) }) + '\n' : '') +
+                    t(lang, 'common.linkExpires');
+
+                // Create inline buttons for video analysis and clipping
+                // Use downloadId as the callback data (short and unique)
+                const analyzeButton = {
+                    inline_keyboard: [[
+                        {
+                            text: t(lang, 'analysis.button'),
+                            callback_data: `analyze:${downloadId}`
+                        },
+                        {
+                            text: t(lang, 'clip.button'),
+                            callback_data: `clip:${downloadId}`
+                        }
+                    ]]
+                };
+
+                // Try to upload directly to Telegram, unless the user only wants the S3 link
+                const uploadSuccess = settings.delivery === 'link' ? false : await uploadToTelegram(chatId, filePath, caption);
+                if (uploadSuccess) await rememberTelegramFile(s3Key, uploadSuccess);
+
+                console.log(`Upload success: ${uploadSuccess}, progressMessageId: ${progressMessageId}`);
+                console.log(`About to check button logic...`);
+
+                // If upload succeeded, we can delete the progress message (file itself has caption)
+                // If upload failed or was skipped, edit the progress message with the result
+                if (batchId) {
+                    // The batch summary carries the S3 link and Analyze button
+                    await reportBatchProgress(batchId, downloadId, { status: 'done', title, sizeMB: fileSizeMB, s3Url, s3Key });
+                } else if (uploadSuccess && progressMessageId) {
+                    console.log(`Entering uploadSuccess && progressMessageId block`);
+
+                    // Delete the "Processing..." message since we sent the file with caption
+                    await telegram.deleteMessage(chatId, progressMessageId);
+
+                    // Send analysis button as separate message (not needed when analysis starts by itself)
+                    if (!autoAnalyze) {
+                        console.log(`About to send button message...`);
+                        console.log(`analyzeButton:`, JSON.stringify(analyzeButton));
+                        await telegram.sendMessage(chatId, t(lang, 'analysis.offer'), { replyMarkup: analyzeButton });
+                        console.log(`Button message sent!`);
                     }
-                ]]
-            };
-
-            // Try to upload directly to Telegram
-            const uploadSuccess = await uploadToTelegram(chatId, filePath, caption);
-
-            console.log(`Upload success: ${uploadSuccess}, progressMessageId: ${progressMessageId}`);
-            console.log(`About to check button logic...`);
-
-            // If upload succeeded, we can delete the progress message (file itself has caption)
-            // If upload failed or was skipped, edit the progress message with the result
-            if (uploadSuccess && progressMessageId) {
-                console.log(`Entering uploadSuccess && progressMessageId block`);
-
-                // Delete the "Processing..." message since we sent the file with caption
-                try {
-                    console.log(`About to delete progress message ${progressMessageId}...`);
-                    await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/deleteMessage`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ chat_id: chatId, message_id: progressMessageId })
-                    });
-                    console.log(`Progress message deleted successfully`);
-                } catch (e) {
-                    console.error('Failed to delete progress message:', e.message);
+                } else if (progressMessageId) {
+                    // Edit the progress message with the completion result + button
+                    await telegram.editMessageText(chatId, progressMessageId, caption, { replyMarkup: autoAnalyze ? null : analyzeButton });
+                } else {
+                    // Fallback: send new message if we don't have progressMessageId
+                    await telegram.sendMessage(chatId, caption, { replyMarkup: autoAnalyze ? null : analyzeButton });
                 }
-
-                // Send analysis button as separate message
-                console.log(`About to send button message...`);
-                console.log(`analyzeButton:`, JSON.stringify(analyzeButton));
-                await sendTelegramMessage(chatId, `Want insights on this video?`, analyzeButton);
-                console.log(`Button message sent!`);
-            } else if (progressMessageId) {
-                // Edit the progress message with the completion result + button
-                await editTelegramMessage(chatId, progressMessageId, caption, analyzeButton);
-            } else {
-                // Fallback: send new message if we don't have progressMessageId
-                await sendTelegramMessage(chatId, caption, analyzeButton);
+                await recordDownloadStep(downloadId, 'delivered');
             }
 
+            // Auto-analysis below isn't part of the job; if it dies, /history can start it again
+            await finishDownloadJob(downloadId, 'done');
+
             // Clean up active download record on success
             await deleteActiveDownload(downloadId);
-        } catch (error) {
-            console.error('Processing error:', error);
 
+            // Auto-analyze (the webhook only enables it for analysts with analysis quota left)
+            if (autoAnalyze) {
+                if (userId) {
+                    await incrementQuotaCounter(ddb, DYNAMODB_TABLE_NAME, { user_id: { S: userId } }, 'analyses_day', 1)
+                        .catch(error => console.error('Failed to record auto-analysis:', error.message));
+                }
+                await telegram.sendMessage(chatId, t(lang, 'analysis.autoStarting'));
+                await handleAnalysisRequest(chatId, downloadId, username, lang);
+            }
+        } catch (error) {
             // Clean up active download record on failure
             await deleteActiveDownload(downloadId);
+            await finishDownloadJob(downloadId, error instanceof DownloadCancelledError ? 'cancelled' : 'failed');
+
+            if (error instanceof DownloadCancelledError) {
+                console.log(`Download ${downloadId} cancelled`);
+                if (batchId) {
+                    await reportBatchProgress(batchId, downloadId, { status: 'cancelled' });
+                } else if (progressMessageId) {
+                    await telegram.editMessageText(chatId, progressMessageId, t(lang, 'download.cancelled'));
+                } else {
+                    await telegram.sendMessage(chatId, t(lang, 'download.cancelled'));
+                }
+                continue;
+            }
+
+            console.error('Processing error:', error);
 
             // Edit progress message with error, or send new message if no progressMessageId
-            const errorMsg = `❌ <b>Download Failed</b>\n\n` +
-                `Sorry, I couldn't download that media.\n\n` +
-                `<i>Error: ${error.message}</i>`;
+            const errorMsg = t(lang, 'download.failed', { error: escapeHtml(error.message) });
 
-            if (progressMessageId) {
-                await editTelegramMessage(chatId, progressMessageId, errorMsg);
+            if (batchId) {
+                await reportBatchProgress(batchId, downloadId, { status: 'failed', error: error.message.substring(0, 300) });
+            } else if (progressMessageId) {
+                await telegram.editMessageText(chatId, progressMessageId, errorMsg);
             } else {
-                await sendTelegramMessage(chatId, errorMsg);
+                await telegram.sendMessage(chatId, errorMsg);
             }
         } finally {
+            stopLease();
             // Cleanup temp file/dir
             if (filePath) {
                 cleanupFile(filePath);
@@ -109,3 +109,47 @@ export async function downloadInstagramReel(url, outputPath) {
         uploadDate: data.taken_at || (metaMedia ? metaMedia.taken_at_timestamp : undefined)
     };
 }
+
+/**
+ * Lists the newest posts of an Instagram profile using ScrapeCreators API (used by /follow).
+ * Only videos are returned, since those are what the downloader fetches.
+ *
+ * @param {string} handle - The profile's username.
+ * @returns {Promise<{ url: string, title: string }[]>} Newest first.
+ */
+export async function listInstagramPosts(handle) {
+    const apiKey = process.env.SCRAPECREATORS_API_KEY;
+    if (!apiKey) {
+        throw new Error('SCRAPECREATORS_API_KEY is not configured');
+    }
+
+    const apiUrl = `https://api.scrapecreators.com/v2/instagram/user/posts?handle=${encodeURIComponent(handle)}`;
+
+    const response = await fetch(apiUrl, {
+        headers: {
+            'x-api-key': apiKey
+        }
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`ScrapeCreators API failed (${response.status}): ${errorText}`);
+    }
+
+    const json = await response.json();
+
+    if (!json.success && json.error) {
+        throw new Error(`ScrapeCreators API error: ${json.message || json.error}`);
+    }
+
+    // Posts are under `items` (sometimes wrapped in `data`)
+    const items = json.items || json.data?.items || [];
+
+    return items
+        .filter(item => item.code && (item.media_type === 2 || item.product_type === 'clips' || item.video_versions))
+        .sort((a, b) => (b.taken_at || 0) - (a.taken_at || 0))
+        .map(item => ({
+            url: `https://www.instagram.com/reel/${item.code}/`,
+            title: item.caption?.text || `Instagram ${item.code}`,
+        }));
+}
@@ -1,3 +1,5 @@
+import { t } from '../shared/i18n.mjs';
+
 /**
  * VISUAL ANALYSIS PROMPT
  * Used by Gemini 2.5 Flash Image to analyze video frames.
@@ -35,9 +37,10 @@ Be vivid and descriptive so someone reading this can "see" the video.`;
  * @param {string} transcript - The audio transcript from AWS Transcribe
  * @param {number} duration - Video duration in seconds
  * @param {string} title - Video title
+ * @param {string} [lang] - The user's language; the report is written in it
  * @returns {string} The formatted prompt for Claude
  */
-export function getSynthesisPrompt(visualAnalysis, transcript, duration, title) {
+export function getSynthesisPrompt(visualAnalysis, transcript, duration, title, lang) {
    return `You are a world-class viral video strategist. You have TWO separate analyses of a ${Math.round(duration)}-second short-form video titled "${title}":
 
 ━━━━━━━━━━━━━━━━━━━━━━
@@ -85,5 +88,6 @@ IMPORTANT:
 - Use emojis for scanability
 - Keep sections concise (Telegram has char limits)
 - Use bullet points, not long paragraphs
-- Use HTML <b>tags</b> for bold text (DO NOT use asterisks like **bold** or *bold*)`;
+- Use HTML <b>tags</b> for bold text (DO NOT use asterisks like **bold** or *bold*)
+- ${t(lang, 'prompt.reportLanguage')}`;
 }
@@ -1,11 +1,15 @@
+// Manual check of the ScrapeCreators Instagram download (hits the live API).
+// Usage: SCRAPECREATORS_API_KEY=... node src/processor/test_scrape.mjs [reel-url] [output-path]
 import { downloadInstagramReel } from './instagram.mjs';
 import { resolve } from 'path';
 
-const API_KEY = 'bp2ITRTv96TyAVcVMbbDjiqmxe93';
-const URL = 'https://www.instagram.com/reels/DTQhUyLCGR1/';
-const OUTPUT_PATH = resolve('./test_reel.mp4');
+const URL = process.argv[2] || 'https://www.instagram.com/reels/DTQhUyLCGR1/';
+const OUTPUT_PATH = resolve(process.argv[3] || './test_reel.mp4');
 
-process.env.SCRAPECREATORS_API_KEY = API_KEY;
+if (!process.env.SCRAPECREATORS_API_KEY) {
+    console.error('❌ Set SCRAPECREATORS_API_KEY first');
+    process.exit(1);
+}
 
 console.log(`🧪 Testing ScrapeCreators download...`);
 console.log(`URL: ${URL}`);
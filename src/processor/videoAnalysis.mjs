@@ -5,19 +5,22 @@ import { TranscribeClient, StartTranscriptionJobCommand, GetTranscriptionJobComm
 import { createWriteStream } from 'fs';
 import { pipeline } from 'stream/promises';
 import { VISUAL_ANALYSIS_PROMPT, getSynthesisPrompt } from './prompts.mjs';
+import { t } from '../shared/i18n.mjs';
 
 const s3 = new S3Client({});
 const transcribe = new TranscribeClient({});
 
-const FFMPEG_PATH = '/opt/bin/ffmpeg';
-const FFPROBE_PATH = '/opt/bin/ffprobe';
+const BIN_DIR = process.env.BIN_DIR || '/opt/bin';
+const FFMPEG_PATH = `${BIN_DIR}/ffmpeg`;
+const FFPROBE_PATH = `${BIN_DIR}/ffprobe`;
 const S3_BUCKET_NAME = process.env.S3_BUCKET_NAME;
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+const OPENROUTER_API_URL = process.env.OPENROUTER_API_URL || 'https://openrouter.ai/api/v1';
 
 /**
- * Get video duration using ffprobe
+ * Get video (or audio) duration in seconds using ffprobe
  */
-async function getVideoDuration(videoPath) {
+export async function getVideoDuration(videoPath) {
     return new Promise((resolve, reject) => {
         const proc = spawn(FFPROBE_PATH, [
             '-v', 'error',
@@ -121,7 +124,7 @@ async function extractAudio(videoPath, outputPath) {
 /**
  * Transcribe audio using AWS Transcribe
  */
-async function transcribeAudio(audioPath, videoName, onProgress) {
+async function transcribeAudio(audioPath, videoName, onProgress, lang) {
     const s3Key = `temp/transcribe/${videoName}_${Date.now()}.wav`;
 
     // Upload audio to S3
@@ -145,7 +148,7 @@ async function transcribeAudio(audioPath, videoName, onProgress) {
         LanguageCode: 'en-US'
     }));
 
-    if (onProgress) await onProgress('✅ Audio Uploaded via S3');
+    if (onProgress) await onProgress(t(lang, 'analysis.step.audioUploaded'));
 
     // Poll for completion
     while (true) {
@@ -199,7 +202,7 @@ async function analyzeVisuals(frames) {
         });
     }
 
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+    const response = await fetch(`${OPENROUTER_API_URL}/chat/completions`, {
         method: 'POST',
         headers: {
             'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
@@ -238,10 +241,10 @@ async function analyzeVisuals(frames) {
 /**
  * Synthesize analysis with Claude Sonnet 4.5
  */
-async function synthesizeAnalysis(visualAnalysis, transcript, duration, title) {
-    const prompt = getSynthesisPrompt(visualAnalysis, transcript, duration, title);
+async function synthesizeAnalysis(visualAnalysis, transcript, duration, title, lang) {
+    const prompt = getSynthesisPrompt(visualAnalysis, transcript, duration, title, lang);
 
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+    const response = await fetch(`${OPENROUTER_API_URL}/chat/completions`, {
         method: 'POST',
         headers: {
             'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
@@ -279,11 +282,17 @@ async function synthesizeAnalysis(visualAnalysis, transcript, duration, title) {
 
 /**
  * Main analysis pipeline
+ *
+ * `onProgress` gets each step as a line of text in `lang`, the user's language, which
+ * the report is also written in.
+ *
+ * @returns {Promise<{ analysis: string, transcript: string|null }>} The report, and the
+ *   transcript (null when the video has no audio or transcription failed).
  */
-export async function analyzeVideo(videoPath, title, onProgress) {
+export async function analyzeVideo(videoPath, title, onProgress, lang) {
     const duration = await getVideoDuration(videoPath);
     console.log(`Video duration: ${duration.toFixed(1)}s`);
-    if (onProgress) await onProgress('✅ Duration Analyzed');
+    if (onProgress) await onProgress(t(lang, 'analysis.step.duration'));
 
     const framesDir = `/tmp/frames_${Date.now()}`;
     const audioPath = `/tmp/audio_${Date.now()}.wav`;
@@ -293,9 +302,9 @@ export async function analyzeVideo(videoPath, title, onProgress) {
         console.log('Starting visual task...');
         const frames = await extractFrames(videoPath, framesDir, duration);
         console.log(`Extracted ${frames.length} frames`);
-        if (onProgress) await onProgress('✅ Frames Extracted');
+        if (onProgress) await onProgress(t(lang, 'analysis.step.frames'));
 
-        if (onProgress) await onProgress('🔄 Analyzing Visuals (Gemini)...');
+        if (onProgress) await onProgress(t(lang, 'analysis.step.visuals'));
         const analysis = await analyzeVisuals(frames);
         console.log('Visual analysis complete');
         return analysis;
@@ -303,13 +312,13 @@ export async function analyzeVideo(videoPath, title, onProgress) {
 
     const audioTask = async () => {
         console.log('Starting audio task...');
-        let transcript = '[No audio detected]';
+        let transcript = null;
 
         const hasAudio = await extractAudio(videoPath, audioPath);
         if (hasAudio) {
             try {
-                if (onProgress) await onProgress('🔄 Transcribing Audio...');
-                transcript = await transcribeAudio(audioPath, title.replace(/[^a-zA-Z0-9]/g, '_'), onProgress);
+                if (onProgress) await onProgress(t(lang, 'analysis.step.transcribing'));
+                transcript = await transcribeAudio(audioPath, title.replace(/[^a-zA-Z0-9]/g, '_'), onProgress, lang);
                 console.log(`Transcript: ${transcript.substring(0, 100)}...`);
                 // Note: transcribeAudio calls onProgress('✅ Audio Transcribed') internally
             } catch (error) {
@@ -317,7 +326,7 @@ export async function analyzeVideo(videoPath, title, onProgress) {
             }
             if (existsSync(audioPath)) unlinkSync(audioPath);
         } else {
-            if (onProgress) await onProgress('⚠️ No Audio Detected');
+            if (onProgress) await onProgress(t(lang, 'analysis.step.noAudio'));
         }
         return transcript;
     };
@@ -326,8 +335,8 @@ export async function analyzeVideo(videoPath, title, onProgress) {
     const [visualAnalysis, transcript] = await Promise.all([visualTask(), audioTask()]);
 
     // Synthesize
-    if (onProgress) await onProgress('⬜ Synthesizing Strategy (Claude)...');
-    const finalAnalysis = await synthesizeAnalysis(visualAnalysis, transcript, duration, title);
+    if (onProgress) await onProgress(t(lang, 'analysis.step.synthesizing'));
+    const finalAnalysis = await synthesizeAnalysis(visualAnalysis, transcript || '[No audio detected]', duration, title, lang);
     console.log('Synthesis complete');
 
     // Cleanup
@@ -335,5 +344,5 @@ export async function analyzeVideo(videoPath, title, onProgress) {
         rmSync(framesDir, { recursive: true, force: true });
     }
 
-    return finalAnalysis;
+    return { analysis: finalAnalysis, transcript };
 }
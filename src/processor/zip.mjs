@@ -0,0 +1,101 @@
+import { open } from 'fs/promises';
+import { crc32 } from 'zlib';
+
+/**
+ * Minimal ZIP writer for bundling already-compressed media (MP3s), so entries are
+ * stored without compression. Each entry is streamed to disk; its CRC and size are
+ * patched into the local header afterwards, so nothing is held in memory.
+ * No ZIP64: the archive must stay under 4 GB (far above Lambda's /tmp).
+ */
+
+// MS-DOS date/time as used by ZIP headers
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Write a ZIP archive.
+ *
+ * @param {string} outputPath
+ * @param {{ name: string, stream: AsyncIterable<Buffer> }[]} entries - Written in order; names must be unique.
+ * @returns {Promise<number>} Number of entries written.
+ */
+export async function writeZip(outputPath, entries) {
+    const file = await open(outputPath, 'w');
+    const { time, day } = dosDateTime(new Date());
+    const central = [];
+    let offset = 0;
+
+    try {
+        for (const { name, stream } of entries) {
+            const nameBuf = Buffer.from(name, 'utf8');
+
+            // Local file header (CRC and sizes filled in after the data)
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034b50, 0);
+            header.writeUInt16LE(20, 4);      // Version needed
+            header.writeUInt16LE(0x0800, 6);  // UTF-8 file names
+            header.writeUInt16LE(0, 8);       // Method: stored
+            header.writeUInt16LE(time, 10);
+            header.writeUInt16LE(day, 12);
+            header.writeUInt16LE(nameBuf.length, 26);
+            await file.write(header, 0, header.length, offset);
+            await file.write(nameBuf, 0, nameBuf.length, offset + header.length);
+
+            let position = offset + header.length + nameBuf.length;
+            let crc = 0;
+            let size = 0;
+            for await (const chunk of stream) {
+                crc = crc32(chunk, crc);
+                await file.write(chunk, 0, chunk.length, position);
+                position += chunk.length;
+                size += chunk.length;
+            }
+
+            const sizes = Buffer.alloc(12);
+            sizes.writeUInt32LE(crc >>> 0, 0);
+            sizes.writeUInt32LE(size, 4);     // Compressed size
+            sizes.writeUInt32LE(size, 8);     // Uncompressed size
+            await file.write(sizes, 0, sizes.length, offset + 14);
+
+            central.push({ nameBuf, crc, size, offset });
+            offset = position;
+        }
+
+        // Central directory
+        const centralStart = offset;
+        for (const entry of central) {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(20, 4);      // Version made by
+            record.writeUInt16LE(20, 6);      // Version needed
+            record.writeUInt16LE(0x0800, 8);
+            record.writeUInt16LE(0, 10);
+            record.writeUInt16LE(time, 12);
+            record.writeUInt16LE(day, 14);
+            record.writeUInt32LE(entry.crc >>> 0, 16);
+            record.writeUInt32LE(entry.size, 20);
+            record.writeUInt32LE(entry.size, 24);
+            record.writeUInt16LE(entry.nameBuf.length, 28);
+            record.writeUInt32LE(entry.offset, 42);
+            await file.write(record, 0, record.length, offset);
+            await file.write(entry.nameBuf, 0, entry.nameBuf.length, offset + record.length);
+            offset += record.length + entry.nameBuf.length;
+        }
+
+        // End of central directory
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(central.length, 8);
+        end.writeUInt16LE(central.length, 10);
+        end.writeUInt32LE(offset - centralStart, 12);
+        end.writeUInt32LE(centralStart, 16);
+        await file.write(end, 0, end.length, offset);
+    } finally {
+        await file.close();
+    }
+
+    return central.length;
+}
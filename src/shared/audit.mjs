@@ -0,0 +1,125 @@
+import { PutItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { randomUUID } from 'crypto';
+
+/**
+ * AUDIT LOG
+ * An append-only record, in its own table, of admin actions, access decisions and refused
+ * access. The Lambdas may only add entries and read them; entries never change and have no
+ * TTL. All entries share one partition (`log`) sorted by `entry_id` ('<ISO time>#<random>'),
+ * so the newest come first; ActorIndex and TargetIndex hold the same order per actor_id and
+ * per target_id. Attributes of an entry:
+ *   action      e.g. 'user.add', 'access.approve', 'access.refused' (see ACTIONS)
+ *   actor_id    Telegram user id of whoever did it (or was refused); `actor` is their label
+ *   target_id   Affected user id, 'group:<chatId>', or absent; `target` is its label
+ *   params      JSON: what was asked for (role, limits, filters, ...)
+ *   before      JSON: the state the action changed, as it was (absent when there was none)
+ *   after       JSON: that state afterwards
+ *   created_at  ISO timestamp
+ */
+const LOG = 'audit';
+
+// Every action written, for /audit's action: filter
+export const ACTIONS = [
+    'user.add', 'user.remove', 'user.role', 'user.quota',
+    'group.allow', 'group.remove', 'group.autograb',
+    'access.approve', 'access.deny', 'access.refused', 'role.refused',
+    'files.clear', 'files.cleared', 'broadcast.send', 'broadcast.sent',
+];
+
+/**
+ * Add an entry.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Audit table name.
+ * @param {{ action: string, actor: { id: string|number, label?: string }, target?: { id: string, label?: string },
+ *   params?: object, before?: object, after?: object }} entry
+ * @param {Date} [now]
+ */
+export async function appendAudit(ddb, tableName, { action, actor, target, params, before, after }, now = new Date()) {
+    const json = value => value !== undefined && value !== null && { S: JSON.stringify(value) };
+    const attrs = {
+        log: { S: LOG },
+        entry_id: { S: `${now.toISOString()}#${randomUUID().substring(0, 8)}` },
+        action: { S: action },
+        actor_id: { S: String(actor.id) },
+        actor: actor.label && { S: actor.label },
+        target_id: target?.id && { S: String(target.id) },
+        target: target?.label && { S: target.label },
+        params: json(params),
+        before: json(before),
+        after: json(after),
+        created_at: { S: now.toISOString() },
+    };
+
+    await ddb.send(new PutItemCommand({
+        TableName: tableName,
+        Item: Object.fromEntries(Object.entries(attrs).filter(([, value]) => value)),
+        ConditionExpression: 'attribute_not_exists(entry_id)',
+    }));
+}
+
+/**
+ * Read one page of entries, newest first.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName
+ * @param {{ actorId?: string, targetId?: string, action?: string }} filters
+ * @param {object} [startKey] - `next` of the previous page.
+ * @param {number} limit
+ * @returns {Promise<{ entries: object[], next: object|null }>} Entries from parseAuditEntry();
+ *   `next` is null on the last page.
+ */
+export async function queryAudit(ddb, tableName, { actorId, targetId, action }, startKey, limit) {
+    // Query the narrowest index; any other filter is applied to what it returns
+    const [indexName, keyName, keyValue] = actorId ? ['ActorIndex', 'actor_id', actorId]
+        : targetId ? ['TargetIndex', 'target_id', targetId]
+            : [undefined, 'log', LOG];
+    const conditions = [
+        actorId && targetId && ['target_id', targetId],
+        action && ['action', action],
+    ].filter(Boolean);
+
+    const entries = [];
+    let lastKey = startKey || undefined;
+    do {
+        const response = await ddb.send(new QueryCommand({
+            TableName: tableName,
+            IndexName: indexName,
+            KeyConditionExpression: '#key = :key',
+            ...(conditions.length && { FilterExpression: conditions.map(([name]) => `#${name} = :${name}`).join(' AND ') }),
+            ExpressionAttributeNames: {
+                '#key': keyName,
+                ...Object.fromEntries(conditions.map(([name]) => [`#${name}`, name])),
+            },
+            ExpressionAttributeValues: {
+                ':key': { S: keyValue },
+                ...Object.fromEntries(conditions.map(([name, value]) => [`:${name}`, { S: value }])),
+            },
+            ScanIndexForward: false,
+            Limit: limit - entries.length,
+            ExclusiveStartKey: lastKey,
+        }));
+        entries.push(...(response.Items || []).map(parseAuditEntry));
+        lastKey = response.LastEvaluatedKey;
+    } while (lastKey && entries.length < limit);
+
+    return { entries, next: lastKey || null };
+}
+
+/**
+ * Convert a raw entry to { action, actorId, actor, targetId, target, params, before, after, createdAt }.
+ */
+export function parseAuditEntry(item) {
+    const json = attr => (attr ? JSON.parse(attr.S) : null);
+    return {
+        action: item.action.S,
+        actorId: item.actor_id.S,
+        actor: item.actor?.S,
+        targetId: item.target_id?.S,
+        target: item.target?.S,
+        params: json(item.params),
+        before: json(item.before),
+        after: json(item.after),
+        createdAt: item.created_at.S,
+    };
+}
@@ -0,0 +1,211 @@
+import { UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { getSource } from './sources/index.mjs';
+import { escapeHtml } from './telegram.mjs';
+import { t } from './i18n.mjs';
+
+/**
+ * BATCHES
+ * A message with several links becomes one job per link plus a batch record in the
+ * active downloads table (key `batch:<batchId>`). The record holds the chat's single
+ * progress message and an `items` map keyed by downloadId, so whichever processor
+ * finishes a job can re-render the whole batch. Attributes per item:
+ *   index, url, source_type, status ('queued' | 'downloading' | 'done' | 'failed' | 'cancelled'),
+ *   and once finished: title, size_mb, s3_url, s3_key or error.
+ * Links that were not queued are kept in `skipped` as { url, reason }.
+ * Batches created from a playlist or channel also carry its `title` and `source_type`
+ * and, when the user asked for one, `zip` (then `zip_status` and `zip_url`).
+ * `lang` is the language of the user who sent the links, for re-rendering.
+ */
+export const BATCH_KEY_PREFIX = 'batch:';
+
+const STATUS_ICONS = { queued: '⏳', downloading: '📥', done: '✅', failed: '❌', cancelled: '✖' };
+const SKIP_REASONS = ['unsupported', 'quota', 'limit'];
+const MAX_TITLE_LENGTH = 60;
+const SHORT_TITLE_LENGTH = 35; // Keeps big batches under Telegram's message length limit
+
+/**
+ * @param {string} batchId
+ * @returns {object} DynamoDB key of the batch record.
+ */
+export function batchKey(batchId) {
+    return { download_id: { S: `${BATCH_KEY_PREFIX}${batchId}` } };
+}
+
+/**
+ * Convert a raw batch record to { batchId, items: [...], skipped: [...] }, items in message order.
+ */
+export function parseBatch(record) {
+    const items = Object.entries(record.items?.M || {})
+        .map(([downloadId, { M: item }]) => ({
+            downloadId,
+            index: parseInt(item.index.N),
+            url: item.url.S,
+            sourceType: item.source_type.S,
+            status: item.status.S,
+            title: item.title?.S,
+            sizeMB: item.size_mb ? parseFloat(item.size_mb.N) : null,
+            s3Url: item.s3_url?.S,
+            s3Key: item.s3_key?.S,
+            error: item.error?.S,
+        }))
+        .sort((a, b) => a.index - b.index);
+
+    const skipped = (record.skipped?.L || []).map(({ M: entry }) => ({ url: entry.url.S, reason: entry.reason.S }));
+    return {
+        batchId: record.download_id.S.slice(BATCH_KEY_PREFIX.length),
+        items,
+        skipped,
+        title: record.title?.S,
+        sourceType: record.source_type?.S,
+        zip: record.zip?.BOOL === true,
+        zipStatus: record.zip_status?.S,
+        zipUrl: record.zip_url?.S,
+        lang: record.lang?.S,
+    };
+}
+
+/**
+ * Render the batch progress message. While jobs are running it has a Cancel button;
+ * once every job has finished it becomes the summary, with all S3 links and an
+ * Analyze button per downloaded file.
+ *
+ * @param {{ items: object[], skipped: string[] }} batch
+ * @returns {{ text: string, replyMarkup: object|null, complete: boolean }}
+ */
+export function renderBatchMessage(batch) {
+    const { items, skipped, lang } = batch;
+    const done = items.filter(i => i.status === 'done');
+    const failed = items.filter(i => i.status === 'failed');
+    const cancelled = items.filter(i => i.status === 'cancelled');
+    const finished = done.length + failed.length + cancelled.length;
+    const complete = finished === items.length;
+
+    const name = batch.title ? escapeHtml(batch.title) : t(lang, complete ? 'batch.complete' : 'batch.download');
+    const maxTitle = items.length > 20 ? SHORT_TITLE_LENGTH : MAX_TITLE_LENGTH;
+
+    let text = complete
+        ? t(lang, 'batch.summary', { name, done: done.length }) +
+            (failed.length ? t(lang, 'batch.summaryFailed', { count: failed.length }) : '') +
+            (cancelled.length ? t(lang, 'batch.summaryCancelled', { count: cancelled.length }) : '') + '\n\n'
+        : t(lang, 'batch.progress', { name, finished, total: items.length }) + '\n\n';
+
+    for (const item of items) {
+        const label = getSource(item.sourceType)?.label || item.sourceType;
+        text += `${item.index}. ${STATUS_ICONS[item.status] || '⏳'} `;
+
+        if (item.status === 'done') {
+            const title = item.title.length > maxTitle ? item.title.substring(0, maxTitle) + '...' : item.title;
+            text += `<a href="${item.s3Url}">${escapeHtml(title)}</a> (${item.sizeMB.toFixed(1)} MB)\n`;
+        } else if (item.status === 'failed') {
+            text += `${label}: <i>${escapeHtml((item.error || t(lang, 'batch.unknownError')).substring(0, 100))}</i>\n`;
+        } else {
+            text += `${label} <i>${t(lang, `status.${item.status}`)}</i>\n`;
+        }
+    }
+
+    if (skipped.length > 0) {
+        const reasons = SKIP_REASONS
+            .map(reason => [reason, skipped.filter(s => s.reason === reason).length])
+            .filter(([, count]) => count > 0)
+            .map(([reason, count]) => t(lang, `batch.skip.${reason}`, { count }));
+        text += '\n' + t(lang, 'batch.skipped', { count: skipped.length, reasons: reasons.join(', ') }) + '\n';
+    }
+    if (batch.zip && complete) {
+        if (batch.zipUrl) text += '\n' + t(lang, 'batch.zipLink', { url: batch.zipUrl }) + '\n';
+        else if (batch.zipStatus === 'failed') text += '\n' + t(lang, 'batch.zipFailed') + '\n';
+        else if (batch.zipStatus !== 'empty') text += '\n' + t(lang, 'batch.zipBuilding') + '\n';
+    }
+    if (complete && done.length > 0) {
+        text += '\n' + t(lang, 'common.linksExpire');
+    }
+
+    // One Analyze button per downloaded file, two per row
+    let replyMarkup = null;
+    if (!complete && batch.batchId) {
+        replyMarkup = { inline_keyboard: [[{ text: t(lang, 'batch.cancel'), callback_data: `cancel:batch:${batch.batchId}` }]] };
+    } else if (complete && done.length > 0) {
+        const buttons = done.map(item => ({ text: t(lang, 'common.analyzeN', { n: item.index }), callback_data: `analyze:${item.downloadId}` }));
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+        replyMarkup = { inline_keyboard: rows };
+    }
+
+    return { text, replyMarkup, complete };
+}
+
+/**
+ * Build the raw `items` and `skipped` attributes for a new batch record.
+ *
+ * @param {{ downloadId: string, url: string, sourceType: string }[]} jobs - Queued links, in message order.
+ * @param {{ url: string, reason: string }[]} skipped
+ * @param {{ title?: string, sourceType?: string, zip?: boolean, lang?: string }} [options] - `title`,
+ *   `sourceType` and `zip` are set for playlist/channel batches.
+ * @returns {object}
+ */
+export function batchAttributes(jobs, skipped, { title, sourceType, zip, lang } = {}) {
+    return {
+        ...(lang && { lang: { S: lang } }),
+        ...(title && { title: { S: title } }),
+        ...(sourceType && { source_type: { S: sourceType } }),
+        ...(zip && { zip: { BOOL: true } }),
+        items: {
+            M: Object.fromEntries(jobs.map((job, i) => [job.downloadId, {
+                M: {
+                    index: { N: String(i + 1) },
+                    url: { S: job.url },
+                    source_type: { S: job.sourceType },
+                    status: { S: 'queued' },
+                }
+            }]))
+        },
+        skipped: { L: skipped.map(s => ({ M: { url: { S: s.url }, reason: { S: s.reason } } })) },
+    };
+}
+
+/**
+ * Update one job's entry in a batch record.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Active downloads table name.
+ * @param {string} batchId
+ * @param {string} downloadId
+ * @param {{ status: string, title?: string, sizeMB?: number, s3Url?: string, s3Key?: string, error?: string }} fields
+ * @returns {Promise<{ batch: object, chatId: string, messageId: number }|null>} The updated batch, or null if it expired.
+ */
+export async function updateBatchItem(ddb, tableName, batchId, downloadId, fields) {
+    const attrs = {
+        status: fields.status && { S: fields.status },
+        title: fields.title && { S: fields.title },
+        size_mb: fields.sizeMB !== undefined && { N: fields.sizeMB.toFixed(2) },
+        s3_url: fields.s3Url && { S: fields.s3Url },
+        s3_key: fields.s3Key && { S: fields.s3Key },
+        error: fields.error && { S: fields.error },
+    };
+    const set = Object.entries(attrs).filter(([, value]) => value);
+
+    try {
+        const response = await ddb.send(new UpdateItemCommand({
+            TableName: tableName,
+            Key: batchKey(batchId),
+            UpdateExpression: 'SET ' + set.map(([name]) => `#items.#id.#${name} = :${name}`).join(', '),
+            ConditionExpression: 'attribute_exists(#items.#id)',
+            ExpressionAttributeNames: {
+                '#items': 'items',
+                '#id': downloadId,
+                ...Object.fromEntries(set.map(([name]) => [`#${name}`, name])),
+            },
+            ExpressionAttributeValues: Object.fromEntries(set.map(([name, value]) => [`:${name}`, value])),
+            ReturnValues: 'ALL_NEW'
+        }));
+
+        const record = response.Attributes;
+        return {
+            batch: parseBatch(record),
+            chatId: record.chat_id.N,
+            messageId: record.message_id ? parseInt(record.message_id.N) : null,
+        };
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return null;
+        throw error;
+    }
+}
@@ -0,0 +1,81 @@
+import { escapeHtml } from './telegram.mjs';
+import { t } from './i18n.mjs';
+
+/**
+ * BROADCASTS
+ * /broadcast resolves its recipients when the admin asks for the preview and stores them,
+ * with the message, in the active downloads table (key `broadcast:<broadcastId>`):
+ *   text (as typed), owner_id, lang (the admin's), status ('preview' | 'sending'),
+ *   recipients: [{ chat_id, lang }], and while sending the checkpoint `sent` (recipients
+ *   done so far) with the delivered, blocked and failed counts up to it.
+ * Confirming hands the record to the processor, which sends from the checkpoint on, so a
+ * redelivered job carries on instead of messaging everyone twice.
+ */
+export const BROADCAST_KEY_PREFIX = 'broadcast:';
+
+/**
+ * @param {string} broadcastId
+ * @returns {object} DynamoDB key of the broadcast record.
+ */
+export function broadcastKey(broadcastId) {
+    return { download_id: { S: `${BROADCAST_KEY_PREFIX}${broadcastId}` } };
+}
+
+/**
+ * Build the raw attributes of a broadcast awaiting confirmation.
+ *
+ * @param {{ text: string, ownerId: string|number, lang: string, recipients: { chatId: string, lang: string }[] }} broadcast
+ * @returns {object}
+ */
+export function broadcastAttributes({ text, ownerId, lang, recipients }) {
+    return {
+        text: { S: text },
+        owner_id: { S: String(ownerId) },
+        lang: { S: lang },
+        status: { S: 'preview' },
+        recipients: { L: recipients.map(r => ({ M: { chat_id: { N: String(r.chatId) }, lang: { S: r.lang } } })) },
+    };
+}
+
+/**
+ * Convert a raw broadcast record to { broadcastId, text, recipients: [...], sent, counts, ... }.
+ */
+export function parseBroadcast(record) {
+    return {
+        broadcastId: record.download_id.S.slice(BROADCAST_KEY_PREFIX.length),
+        text: record.text.S,
+        ownerId: record.owner_id.S,
+        lang: record.lang?.S,
+        status: record.status?.S,
+        recipients: (record.recipients?.L || []).map(({ M: r }) => ({ chatId: r.chat_id.N, lang: r.lang.S })),
+        sent: parseInt(record.sent?.N || '0'),
+        counts: {
+            delivered: parseInt(record.delivered?.N || '0'),
+            blocked: parseInt(record.blocked?.N || '0'),
+            failed: parseInt(record.failed?.N || '0'),
+        },
+    };
+}
+
+/**
+ * The announcement as a recipient sees it, in their language.
+ *
+ * @param {string} text - The admin's message, as typed (escaped here).
+ * @param {string} lang - The recipient's language.
+ * @returns {string} HTML.
+ */
+export function renderBroadcast(text, lang) {
+    return `${t(lang, 'broadcast.header')}\n\n${escapeHtml(text)}`;
+}
+
+/**
+ * Classify a sendMessage response. Telegram answers 403 when the user blocked the bot,
+ * deleted their account or never started a chat with it; those won't succeed on a retry.
+ *
+ * @param {{ ok: boolean, error_code?: number }} result
+ * @returns {'delivered'|'blocked'|'failed'}
+ */
+export function deliveryOutcome(result) {
+    if (result?.ok) return 'delivered';
+    return result?.error_code === 403 ? 'blocked' : 'failed';
+}
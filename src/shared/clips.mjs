@@ -0,0 +1,85 @@
+/**
+ * CLIPS
+ * A clip is one part of a video or audio, given as a time range like `1:23-1:45`
+ * (m:ss or h:mm:ss). Sent after a link, yt-dlp downloads only that part; from the
+ * ✂️ Clip button on a finished download, the processor trims the stored file with ffmpeg.
+ * Either way the clip is stored as its own file, named after the original plus
+ * clipSuffix(), and its files item points back to the original: `parent_key`,
+ * `clip_start` and `clip_end` (seconds).
+ * The button's "reply with a range" prompt is kept in the active downloads table
+ * (key `clip:<chatId>:<messageId>`) with the original's file_key, title, url and
+ * source_type, and owner_id (only they can answer it).
+ */
+export const CLIP_KEY_PREFIX = 'clip:';
+
+// Longest clip accepted
+export const MAX_CLIP_SECONDS = 30 * 60;
+
+// "1:23-1:45", "1:02:03 - 1:02:30" as a word of its own
+const RANGE_PATTERN = /(?:^|\s)(\d{1,2}(?::\d{2}){1,2})\s*[-–]\s*(\d{1,2}(?::\d{2}){1,2})(?=\s|$)/;
+
+/**
+ * @param {string} text - 'm:ss' or 'h:mm:ss'.
+ * @returns {number|null} Seconds, or null if a field is out of range.
+ */
+export function parseTimestamp(text) {
+    const fields = text.split(':').map(Number);
+    if (fields.slice(1).some(value => value >= 60)) return null;
+    return fields.reduce((seconds, value) => seconds * 60 + value, 0);
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} 'm:ss', or 'h:mm:ss' from an hour on.
+ */
+export function formatTimestamp(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Find a clip range in a message (links already removed).
+ *
+ * @param {string} text
+ * @returns {{ clip?: { start: number, end: number }, invalid?: string }} Neither when the
+ *   text has no range; `invalid` is a range that ends before it starts or is longer than
+ *   MAX_CLIP_SECONDS.
+ */
+export function findClipRange(text) {
+    const match = RANGE_PATTERN.exec(text || '');
+    if (!match) return {};
+
+    const start = parseTimestamp(match[1]);
+    const end = parseTimestamp(match[2]);
+    if (start === null || end === null || end <= start || end - start > MAX_CLIP_SECONDS) {
+        return { invalid: `${match[1]}-${match[2]}` };
+    }
+    return { clip: { start, end } };
+}
+
+/**
+ * @param {{ start: number, end: number }} clip
+ * @returns {string} How the range is shown, e.g. '1:23–1:45'.
+ */
+export function clipLabel({ start, end }) {
+    return `${formatTimestamp(start)}–${formatTimestamp(end)}`;
+}
+
+/**
+ * @param {{ start: number, end: number }} clip
+ * @returns {string} Added to the original's file name (before the extension), e.g. '_clip_83-105'.
+ */
+export function clipSuffix({ start, end }) {
+    return `_clip_${start}-${end}`;
+}
+
+/**
+ * @param {string|number} chatId
+ * @param {string|number} messageId - The prompt message.
+ * @returns {object} DynamoDB key of a ✂️ Clip prompt.
+ */
+export function clipPromptKey(chatId, messageId) {
+    return { download_id: { S: `${CLIP_KEY_PREFIX}${chatId}:${messageId}` } };
+}
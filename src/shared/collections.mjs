@@ -0,0 +1,97 @@
+import { escapeHtml } from './telegram.mjs';
+import { t } from './i18n.mjs';
+
+/**
+ * COLLECTIONS (playlists and channels)
+ * A collection URL isn't downloaded directly. The processor lists its entries and
+ * stores them in the active downloads table (key `collection:<collectionId>`), then
+ * asks the user how many to fetch. Confirming fans the chosen entries out as a
+ * batch (see batch.mjs), optionally with a ZIP of all MP3s at the end.
+ */
+export const COLLECTION_KEY_PREFIX = 'collection:';
+
+// Most entries a confirmed collection can queue
+export const MAX_COLLECTION_ITEMS = 50;
+
+// "Latest N" choices offered on the confirmation prompt
+const LIMIT_CHOICES = [5, 10, 25];
+
+/**
+ * @param {string} collectionId
+ * @returns {object} DynamoDB key of the collection record.
+ */
+export function collectionKey(collectionId) {
+    return { download_id: { S: `${COLLECTION_KEY_PREFIX}${collectionId}` } };
+}
+
+/**
+ * Build the raw attributes describing a listed collection.
+ *
+ * @param {{ title: string, kind: 'playlist'|'channel', entries: { url: string, title: string }[], truncated: boolean }} collection
+ * @returns {object}
+ */
+export function collectionAttributes({ title, kind, entries, truncated }) {
+    return {
+        title: { S: title },
+        kind: { S: kind },
+        entries: { L: entries.map(e => ({ M: { url: { S: e.url }, title: { S: e.title } } })) },
+        truncated: { BOOL: truncated },
+        zip: { BOOL: false },
+    };
+}
+
+/**
+ * Convert a raw collection record to a plain object.
+ */
+export function parseCollection(record) {
+    return {
+        title: record.title.S,
+        kind: record.kind.S,
+        entries: record.entries.L.map(({ M: e }) => ({ url: e.url.S, title: e.title.S })),
+        truncated: record.truncated?.BOOL === true,
+        zip: record.zip?.BOOL === true,
+        userId: record.user_id?.S,
+        chatId: record.chat_id?.N,
+        messageId: record.message_id ? parseInt(record.message_id.N) : null,
+        lang: record.lang?.S,
+    };
+}
+
+/**
+ * Render the "how many?" prompt. Buttons send `playlist:<collectionId>:<choice>`
+ * where choice is a number of entries, 'zip' (toggle) or 'cancel'. Rendered in the
+ * language of the user who sent the link (`lang` on the record).
+ *
+ * @param {object} collection - From parseCollection().
+ * @param {string} collectionId
+ * @returns {{ text: string, replyMarkup: object }}
+ */
+export function renderCollectionPrompt(collection, collectionId) {
+    const { lang } = collection;
+    const count = collection.entries.length;
+    // Channels list newest first; playlists keep their own order
+    const limitKey = collection.kind === 'channel' ? 'collection.latest' : 'collection.first';
+    const data = choice => `playlist:${collectionId}:${choice}`;
+
+    const text = t(lang, 'collection.prompt', {
+        title: escapeHtml(collection.title),
+        count: `${count}${collection.truncated ? '+' : ''}`,
+        kind: t(lang, `collection.kind.${collection.kind}`),
+        zip: t(lang, collection.zip ? 'collection.on' : 'collection.off'),
+    });
+
+    const limits = LIMIT_CHOICES.filter(n => n < count).map(n => ({ text: t(lang, limitKey, { count: n }), callback_data: data(n) }));
+    const all = count <= MAX_COLLECTION_ITEMS
+        ? { text: t(lang, 'collection.all', { count }), callback_data: data(count) }
+        : { text: `⬇️ ${t(lang, limitKey, { count: MAX_COLLECTION_ITEMS })}`, callback_data: data(MAX_COLLECTION_ITEMS) };
+
+    const rows = [];
+    if (limits.length > 0) rows.push(limits);
+    rows.push([all]);
+    rows.push([
+        { text: t(lang, collection.zip ? 'collection.zipButtonOn' : 'collection.zipButtonOff'), callback_data: data('zip') },
+        { text: t(lang, 'common.cancel'), callback_data: data('cancel') },
+    ]);
+
+    return { text, replyMarkup: { inline_keyboard: rows } };
+}
@@ -0,0 +1,144 @@
+import { BatchWriteItemCommand, GetItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { listSourceTypes } from './sources/index.mjs';
+
+/**
+ * FILE SELECTION
+ * Reads the files table through SourceTypeIndex (source_type + created_at) instead of
+ * scanning it: one Query per source type. Used by /list (paged) and /clear (everything
+ * that matches). Filters, all optional:
+ *   platform - Platform name, e.g. 'youtube' (limits which source types are queried)
+ *   user     - Username or user id the file was downloaded by
+ *   from, to - Dates (YYYY-MM-DD, inclusive); before - ISO timestamp (exclusive-ish upper bound)
+ *   minMB    - Minimum file size
+ *   fileKey  - One exact file (S3 key); the other filters are ignored
+ * Dates are part of the key condition; user and size are applied as a filter expression.
+ * Buttons refer to files by downloadId (S3 keys are too long for callback_data), which
+ * DownloadIdIndex resolves without a scan.
+ */
+
+/**
+ * @param {{ platform?: string }} filters
+ * @returns {string[]} Source types to query. Collections (playlists, channels) never produce files.
+ */
+export function fileSourceTypes(filters) {
+    return listSourceTypes()
+        .filter(def => !def.collection && (!filters.platform || def.platform === filters.platform))
+        .map(def => def.type);
+}
+
+/**
+ * Query one source type, newest first, from `startKey` until `want` files match or the
+ * index runs out.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Files table name.
+ * @param {string} sourceType
+ * @param {object} filters
+ * @param {object} [startKey] - ExclusiveStartKey to resume from.
+ * @param {number} [want] - Omit to read every match.
+ * @returns {Promise<{ items: object[], finished: boolean }>} Raw items; `finished` once the index has no more.
+ */
+export async function queryFilesBySourceType(ddb, tableName, sourceType, filters, startKey = null, want = null) {
+    const keyConditions = ['source_type = :type'];
+    const values = { ':type': { S: sourceType } };
+
+    const upperBounds = [filters.to && `${filters.to}T23:59:59.999Z`, filters.before].filter(Boolean).sort();
+    if (filters.from) values[':from'] = { S: filters.from };
+    if (upperBounds.length) values[':to'] = { S: upperBounds[0] };
+    if (filters.from && upperBounds.length) {
+        keyConditions.push('created_at BETWEEN :from AND :to');
+    } else if (filters.from) {
+        keyConditions.push('created_at >= :from');
+    } else if (upperBounds.length) {
+        keyConditions.push('created_at <= :to');
+    }
+
+    const conditions = [];
+    if (filters.user) {
+        conditions.push('(username = :user OR user_id = :user)');
+        values[':user'] = { S: filters.user };
+    }
+    if (filters.minMB) {
+        conditions.push('size_mb >= :min');
+        values[':min'] = { N: String(filters.minMB) };
+    }
+
+    const items = [];
+    let lastKey = startKey;
+    do {
+        const response = await ddb.send(new QueryCommand({
+            TableName: tableName,
+            IndexName: 'SourceTypeIndex',
+            KeyConditionExpression: keyConditions.join(' AND '),
+            ...(conditions.length && { FilterExpression: conditions.join(' AND ') }),
+            ExpressionAttributeValues: values,
+            ScanIndexForward: false,
+            ...(want && { Limit: want }),
+            ...(lastKey && { ExclusiveStartKey: lastKey }),
+        }));
+        items.push(...(response.Items || []));
+        lastKey = response.LastEvaluatedKey;
+    } while (lastKey && !(want && items.length >= want));
+
+    return { items, finished: !lastKey };
+}
+
+/**
+ * The file a download produced.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Files table name.
+ * @param {string} downloadId
+ * @returns {Promise<object|null>} Raw item, or null once it has expired.
+ */
+export async function findFileByDownloadId(ddb, tableName, downloadId) {
+    const response = await ddb.send(new QueryCommand({
+        TableName: tableName,
+        IndexName: 'DownloadIdIndex',
+        KeyConditionExpression: 'download_id = :downloadId',
+        ExpressionAttributeValues: { ':downloadId': { S: downloadId } },
+        Limit: 1,
+    }));
+    return response.Items?.[0] || null;
+}
+
+/**
+ * Every file matching the filters.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Files table name.
+ * @param {object} filters
+ * @returns {Promise<object[]>} Raw items.
+ */
+export async function selectFiles(ddb, tableName, filters) {
+    if (filters.fileKey) {
+        const response = await ddb.send(new GetItemCommand({ TableName: tableName, Key: { file_key: { S: filters.fileKey } } }));
+        return response.Item ? [response.Item] : [];
+    }
+
+    const results = await Promise.all(fileSourceTypes(filters)
+        .map(type => queryFilesBySourceType(ddb, tableName, type, filters)));
+    return results.flatMap(result => result.items);
+}
+
+/**
+ * Delete file rows, 25 per request, retrying whatever DynamoDB throttles.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Files table name.
+ * @param {string[]} fileKeys
+ * @returns {Promise<number>} Rows that could not be deleted.
+ */
+export async function deleteFileRecords(ddb, tableName, fileKeys) {
+    let failed = 0;
+    for (let i = 0; i < fileKeys.length; i += 25) {
+        let pending = { [tableName]: fileKeys.slice(i, i + 25).map(key => ({ DeleteRequest: { Key: { file_key: { S: key } } } })) };
+        for (let attempt = 0; pending[tableName]?.length && attempt < 5; attempt++) {
+            if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 100 * 2 ** attempt));
+            const response = await ddb.send(new BatchWriteItemCommand({ RequestItems: pending }));
+            pending = response.UnprocessedItems || {};
+        }
+        failed += pending[tableName]?.length || 0;
+    }
+    return failed;
+}
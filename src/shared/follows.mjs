@@ -0,0 +1,99 @@
+import { detectSource, extractSourceId, getSource } from './sources/index.mjs';
+
+/**
+ * FOLLOWS
+ * `/follow <profile URL>` subscribes a user to an Instagram profile or a YouTube channel.
+ * Each subscription is one item of the follows table:
+ *   user_id       the follower (partition key)
+ *   follow_key    '<platform>:<account>', e.g. 'instagram:natgeo' (sort key)
+ *   platform, account, url, source_type (the collection type yt-dlp lists; none for Instagram)
+ *   chat_id, username, lang   where and how new posts are delivered
+ *   settings      the follower's /settings when they followed (JSON)
+ *   analyze       auto-analyze each new post
+ *   digest        include the account in the daily digest
+ *   seen          ids of the newest posts already handled, newest first (at most FOLLOW_SEEN_LIMIT)
+ *   digest_posts  posts queued since the last digest ({ title, url })
+ *   created_at, checked_at, last_error
+ * A scheduled `follow-poll` message makes the processor queue one `follow-check` per item;
+ * each check lists the account's newest posts and queues a normal download job for every
+ * one not in `seen`. The first check only fills `seen`, so following doesn't download the
+ * back catalogue. A daily `follow-digest` message sends each follower the posts collected
+ * in `digest_posts`.
+ */
+
+// Newest post ids remembered per subscription (more than a check ever lists)
+export const FOLLOW_SEEN_LIMIT = 100;
+
+// Not profiles: instagram.com/<these>/...
+const INSTAGRAM_RESERVED = new Set(['p', 'reel', 'reels', 'tv', 'stories', 'explore', 'accounts', 'direct', 'about', 'developer', 'legal']);
+const INSTAGRAM_PROFILE = /^https?:\/\/(?:www\.|m\.)?instagram\.com\/([\w.]+)\/?(?:[?#].*)?$/i;
+
+/**
+ * Recognise a profile URL that can be followed.
+ *
+ * @param {string} url
+ * @returns {{ platform: string, account: string, key: string, url: string, sourceType: string|null }|null}
+ *   `account` is how the subscription is shown ('natgeo', '@mkbhd', 'UC…'); null if the URL
+ *   isn't an Instagram profile or a YouTube channel. Playlists can't be followed: they list
+ *   oldest first, so new videos wouldn't show up among the first entries.
+ */
+export function parseFollowUrl(url) {
+    const instagram = INSTAGRAM_PROFILE.exec(url);
+    if (instagram && !INSTAGRAM_RESERVED.has(instagram[1].toLowerCase())) {
+        const handle = instagram[1].toLowerCase();
+        return { platform: 'instagram', account: handle, key: `instagram:${handle}`, url: `https://www.instagram.com/${handle}/`, sourceType: null };
+    }
+
+    const sourceType = detectSource(url);
+    const source = getSource(sourceType);
+    if (source?.platform !== 'youtube' || !source.collection || /[?&]list=/.test(url)) return null;
+
+    const match = /\/(@[\w.-]+(?:\/(?:shorts|streams))?)/i.exec(url) ||
+        /\/channel\/(UC[\w-]+)/.exec(url) ||
+        /\/c\/([\w.-]+)/.exec(url);
+    if (!match) return null;
+    return { platform: 'youtube', account: match[1], key: `youtube:${match[1]}`, url, sourceType };
+}
+
+/**
+ * @param {string} userId
+ * @param {string} key - The subscription's follow_key.
+ * @returns {object} DynamoDB key of a subscription.
+ */
+export function followItemKey(userId, key) {
+    return { user_id: { S: String(userId) }, follow_key: { S: key } };
+}
+
+/**
+ * @param {string} url - A post's URL.
+ * @returns {string} The id it is remembered by in `seen` (the URL itself if the platform has none).
+ */
+export function postId(url) {
+    const sourceType = detectSource(url);
+    return (sourceType && extractSourceId(sourceType, url)) || url;
+}
+
+/**
+ * Convert a raw follows item to a plain object.
+ */
+export function parseFollow(item) {
+    return {
+        userId: item.user_id.S,
+        key: item.follow_key.S,
+        platform: item.platform.S,
+        account: item.account.S,
+        url: item.url.S,
+        sourceType: item.source_type?.S || null,
+        chatId: item.chat_id ? Number(item.chat_id.N) : null,
+        username: item.username?.S,
+        lang: item.lang?.S,
+        settings: item.settings?.S ? JSON.parse(item.settings.S) : {},
+        analyze: Boolean(item.analyze?.BOOL),
+        digest: Boolean(item.digest?.BOOL),
+        seen: item.seen ? item.seen.L.map(value => value.S) : null,
+        digestPosts: (item.digest_posts?.L || []).map(({ M }) => ({ title: M.title.S, url: M.url.S })),
+        createdAt: item.created_at?.S,
+        checkedAt: item.checked_at?.S,
+        lastError: item.last_error?.S,
+    };
+}
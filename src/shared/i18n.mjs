@@ -0,0 +1,61 @@
+import en from './locales/en.mjs';
+import he from './locales/he.mjs';
+import ar from './locales/ar.mjs';
+
+/**
+ * MESSAGE CATALOG
+ * Every user-facing string lives in ./locales/<code>.mjs as a flat map of dotted keys
+ * (e.g. 'download.failed') to HTML strings with `{name}` placeholders. Callers escape
+ * user content before passing it as a parameter. Keys missing from a catalog fall back
+ * to English, so a new string only has to be added to en.mjs to ship.
+ *
+ * A user's language is their /language setting, or with the default 'auto' the language
+ * of their Telegram app (`from.language_code`), when we have a catalog for it.
+ */
+const CATALOGS = { en, he, ar };
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Offered by /language and /settings, each named in its own language
+export const LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'he', name: 'עברית' },
+    { code: 'ar', name: 'العربية' },
+];
+
+// Older Telegram clients still send the deprecated ISO 639 code for Hebrew
+const LANGUAGE_ALIASES = { iw: 'he' };
+
+/**
+ * @param {string} [setting] - The user's stored language setting ('auto' or a code).
+ * @param {string} [languageCode] - Telegram's `from.language_code`, e.g. 'he' or 'en-US'.
+ * @returns {string} A language with a catalog.
+ */
+export function resolveLanguage(setting, languageCode) {
+    if (setting && setting !== 'auto' && CATALOGS[setting]) return setting;
+
+    const primary = (languageCode || '').toLowerCase().split('-')[0];
+    const code = LANGUAGE_ALIASES[primary] || primary;
+    return CATALOGS[code] ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Look up a message and fill in its placeholders.
+ *
+ * @param {string} lang - Language code; unknown languages get English.
+ * @param {string} key - Catalog key, e.g. 'download.failed'.
+ * @param {object} [params] - Placeholder values, e.g. { error: 'timed out' }.
+ * @returns {string} The message, or the key itself if no catalog has it.
+ */
+export function t(lang, key, params = {}) {
+    const template = CATALOGS[lang]?.[key] ?? en[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * @param {string} code
+ * @returns {string} The language's own name, e.g. 'עברית'.
+ */
+export function languageName(code) {
+    return LANGUAGES.find(l => l.code === code)?.name || code;
+}
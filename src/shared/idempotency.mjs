@@ -0,0 +1,187 @@
+import { GetItemCommand, PutItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+
+/**
+ * IDEMPOTENCY
+ * Telegram retries webhook deliveries and SQS delivers at least once, so the same work
+ * can arrive twice. Both guards live in the active downloads table:
+ *
+ *   update:<update_id>     The webhook claims each Telegram update before acting on it;
+ *                          a retried update finds its claim and is dropped.
+ *   ledger:<downloadId>    The processor's record of a download job. A run takes a lease
+ *                          on it, renews it while it works, and records each step it
+ *                          finishes (`stored`, `billed`, `delivered`), so a redelivered
+ *                          message resumes after the last finished step, is retried later
+ *                          while a live run still holds the lease, or no-ops once the job
+ *                          is finished.
+ */
+export const UPDATE_KEY_PREFIX = 'update:';
+export const LEDGER_KEY_PREFIX = 'ledger:';
+
+// Telegram stops retrying an update long before this
+const UPDATE_TTL_SECONDS = 60 * 60;
+
+// A run owns its job this long past its last renewal. Live runs renew every
+// LEASE_RENEW_SECONDS, so the lease only runs out when the run died, well before SQS
+// redelivers the message (visibility timeout = the processor's Lambda timeout, 15 minutes)
+const LEASE_SECONDS = 3 * 60;
+export const LEASE_RENEW_SECONDS = 60;
+
+// Outlives every redelivery (maxReceiveCount x visibility timeout)
+const LEDGER_TTL_SECONDS = 24 * 60 * 60;
+
+function epochSeconds(now) {
+    return Math.floor(now.getTime() / 1000);
+}
+
+function ledgerKey(downloadId) {
+    return { download_id: { S: `${LEDGER_KEY_PREFIX}${downloadId}` } };
+}
+
+/**
+ * Claim a Telegram update.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Active downloads table name.
+ * @param {number} updateId
+ * @returns {Promise<boolean>} False if the update was already claimed (a retry).
+ */
+export async function claimUpdate(ddb, tableName, updateId, now = new Date()) {
+    try {
+        await ddb.send(new PutItemCommand({
+            TableName: tableName,
+            Item: {
+                download_id: { S: `${UPDATE_KEY_PREFIX}${updateId}` },
+                ttl: { N: String(epochSeconds(now) + UPDATE_TTL_SECONDS) },
+            },
+            ConditionExpression: 'attribute_not_exists(download_id)',
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return false;
+        throw error;
+    }
+}
+
+/**
+ * Convert a raw ledger record to a plain object.
+ */
+export function parseLedger(record) {
+    return {
+        steps: new Set(record.steps?.SS || []),
+        outcome: record.outcome?.S || null,
+        attempts: parseInt(record.attempts?.N || 0),
+        s3Key: record.s3_key?.S || null,
+        title: record.title?.S || null,
+        sizeMB: record.size_mb ? parseFloat(record.size_mb.N) : null,
+    };
+}
+
+/**
+ * Take the lease on a download job: succeeds for a new job, or for an unfinished one
+ * whose previous run's lease has run out.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Active downloads table name.
+ * @param {string} downloadId
+ * @returns {Promise<{ claimed: boolean, job: object|null }>} `job` (see parseLedger) is the
+ *   job as this run resumes it, or the reason it wasn't claimed (finished or leased).
+ */
+export async function claimJob(ddb, tableName, downloadId, now = new Date()) {
+    const nowSeconds = epochSeconds(now);
+    try {
+        const response = await ddb.send(new UpdateItemCommand({
+            TableName: tableName,
+            Key: ledgerKey(downloadId),
+            UpdateExpression: 'SET lease_until = :lease, attempts = if_not_exists(attempts, :zero) + :one, #ttl = :ttl',
+            ConditionExpression: 'attribute_not_exists(download_id) OR (attribute_not_exists(outcome) AND lease_until < :now)',
+            ExpressionAttributeNames: { '#ttl': 'ttl' },
+            ExpressionAttributeValues: {
+                ':lease': { N: String(nowSeconds + LEASE_SECONDS) },
+                ':now': { N: String(nowSeconds) },
+                ':zero': { N: '0' },
+                ':one': { N: '1' },
+                ':ttl': { N: String(nowSeconds + LEDGER_TTL_SECONDS) },
+            },
+            ReturnValues: 'ALL_NEW',
+        }));
+        return { claimed: true, job: parseLedger(response.Attributes) };
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+        const existing = await ddb.send(new GetItemCommand({ TableName: tableName, Key: ledgerKey(downloadId) }));
+        return { claimed: false, job: existing.Item ? parseLedger(existing.Item) : null };
+    }
+}
+
+/**
+ * Extend this run's lease on a job it claimed.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Active downloads table name.
+ * @param {string} downloadId
+ * @returns {Promise<boolean>} False once the job is finished (or its record is gone).
+ */
+export async function renewJob(ddb, tableName, downloadId, now = new Date()) {
+    try {
+        await ddb.send(new UpdateItemCommand({
+            TableName: tableName,
+            Key: ledgerKey(downloadId),
+            UpdateExpression: 'SET lease_until = :lease',
+            ConditionExpression: 'attribute_exists(download_id) AND attribute_not_exists(outcome)',
+            ExpressionAttributeValues: { ':lease': { N: String(epochSeconds(now) + LEASE_SECONDS) } },
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return false;
+        throw error;
+    }
+}
+
+/**
+ * Record a finished step, with any attributes a resumed run needs to skip it.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Active downloads table name.
+ * @param {string} downloadId
+ * @param {'stored'|'billed'|'delivered'} step
+ * @param {{ s3Key?: string, title?: string, sizeMB?: number }} [fields]
+ */
+export async function recordJobStep(ddb, tableName, downloadId, step, fields = {}) {
+    const sets = [];
+    const values = { ':step': { SS: [step] } };
+    if (fields.s3Key) {
+        sets.push('s3_key = :s3Key');
+        values[':s3Key'] = { S: fields.s3Key };
+    }
+    if (fields.title) {
+        sets.push('title = :title');
+        values[':title'] = { S: fields.title };
+    }
+    if (fields.sizeMB !== undefined) {
+        sets.push('size_mb = :size');
+        values[':size'] = { N: fields.sizeMB.toFixed(2) };
+    }
+
+    await ddb.send(new UpdateItemCommand({
+        TableName: tableName,
+        Key: ledgerKey(downloadId),
+        UpdateExpression: `ADD steps :step${sets.length ? ` SET ${sets.join(', ')}` : ''}`,
+        ExpressionAttributeValues: values,
+    }));
+}
+
+/**
+ * Mark a job finished so redeliveries no-op.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Active downloads table name.
+ * @param {string} downloadId
+ * @param {'done'|'failed'|'cancelled'} outcome
+ */
+export async function finishJob(ddb, tableName, downloadId, outcome) {
+    await ddb.send(new UpdateItemCommand({
+        TableName: tableName,
+        Key: ledgerKey(downloadId),
+        UpdateExpression: 'SET outcome = :outcome REMOVE lease_until',
+        ExpressionAttributeValues: { ':outcome': { S: outcome } },
+    }));
+}
@@ -0,0 +1,48 @@
+import { QueryCommand } from '@aws-sdk/client-dynamodb';
+
+/**
+ * ACTIVE JOBS
+ * Each queued or running download has a row in the active downloads table, keyed on its
+ * downloadId and deleted when the job ends. The same table holds bookkeeping records under
+ * prefixed keys (batches, playlists, /list and /clear sessions, idempotency guards, ...).
+ * Only job rows carry `record_type = 'job'`, so the sparse JobIndex (record_type +
+ * started_at) lists jobs without reading any of the others.
+ */
+export const JOB_RECORD_TYPE = 'job';
+
+/**
+ * @returns {object} Raw attributes that put a row in JobIndex.
+ */
+export function jobAttributes() {
+    return { record_type: { S: JOB_RECORD_TYPE } };
+}
+
+/**
+ * Active jobs, oldest first.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Active downloads table name.
+ * @param {string} [userId] - Only this user's jobs.
+ * @returns {Promise<object[]>} Raw job rows.
+ */
+export async function queryJobs(ddb, tableName, userId = null) {
+    const items = [];
+    let lastKey;
+    do {
+        const response = await ddb.send(new QueryCommand({
+            TableName: tableName,
+            IndexName: 'JobIndex',
+            KeyConditionExpression: 'record_type = :type',
+            ...(userId && { FilterExpression: 'user_id = :uid' }),
+            ExpressionAttributeValues: {
+                ':type': { S: JOB_RECORD_TYPE },
+                ...(userId && { ':uid': { S: String(userId) } }),
+            },
+            ...(lastKey && { ExclusiveStartKey: lastKey }),
+        }));
+        items.push(...(response.Items || []));
+        lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return items;
+}
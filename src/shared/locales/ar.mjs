@@ -0,0 +1,398 @@
+/**
+ * Arabic messages. Keys match en.mjs; anything missing here falls back to English.
+ */
+export default {
+    // Shared bits
+    'common.cancel': '✖ إلغاء',
+    'common.cancelled': 'تم الإلغاء',
+    'common.accessDenied': '🚫 تم رفض الوصول',
+    'common.usage': '❌ الاستخدام: {usage}',
+    'common.total': 'المجموع: {count}',
+    'common.unknown': 'غير معروف',
+    'common.directLink': '📥 رابط S3 مباشر',
+    'common.linkExpires': '<i>تنتهي صلاحية الرابط بعد 7 أيام</i>',
+    'common.linksExpire': '<i>تنتهي صلاحية الروابط بعد 7 أيام</i>',
+    'common.error': '<i>خطأ: {error}</i>',
+    'common.analyzeN': '🧠 تحليل #{n}',
+    'status.queued': 'في الانتظار',
+    'status.downloading': 'قيد التنزيل',
+
+    // /start and /help
+    'start.text': '🎬 <b>بوت تنزيل الوسائط</b>\n\n' +
+        'أرسل لي رابطًا من:\n{sources}\n' +
+        'سأنزّله وأرسل لك رابط S3 (صالح لمدة 60 يومًا).\n\n' +
+        '<i>تُنزَّل فيديوهات YouTube كصوت MP3 افتراضيًا. غيّر الصيغة وطريقة التسليم من /settings.</i>',
+    'help.title': '🤖 <b>الأوامر</b> (دورك: {role})',
+    'help.section.general': 'عام',
+    'help.section.users': 'إدارة المستخدمين',
+    'help.section.files': 'الإحصائيات والملفات',
+    'commands.help': 'عرض الأوامر المتاحة',
+    'commands.language': 'اختيار لغة الردود',
+    'commands.settings': 'الصيغة والجودة وطريقة التسليم',
+    'commands.history': 'تنزيلاتك الأخيرة',
+    'commands.search': 'البحث في العناوين والنصوص والتحليلات',
+    'commands.cancel': 'إلغاء تنزيلاتك الجارية',
+    'commands.dl': 'تنزيل رابط، أو الرسالة التي تردّ عليها',
+    'commands.follow': 'تنزيل المنشورات الجديدة من ملف إنستغرام أو قناة يوتيوب',
+    'commands.following': 'الحسابات التي تتابعها',
+    'commands.unfollow': 'إيقاف متابعة حساب',
+    'commands.users': 'قائمة المستخدمين المسموح لهم',
+    'commands.add': 'إضافة مستخدم إلى قائمة السماح',
+    'commands.remove': 'إزالة مستخدم',
+    'commands.promote': 'تعيين الدور ({roles})',
+    'commands.demote': 'خفض الدور (درجة واحدة افتراضيًا)',
+    'commands.quota': 'عرض الحصص أو تعيينها (off للإزالة)',
+    'commands.group': 'السماح لمحادثة جماعية، أو عرض المجموعات المسموح لها',
+    'commands.broadcast': 'إعلان للمستخدمين المسموح لهم (حسب الدور أو النشاط الأخير)',
+    'commands.audit': 'إجراءات المشرفين ومحاولات الوصول المرفوضة (حسب المنفّذ أو الهدف)',
+    'commands.stats': 'عرض إحصائيات الاستخدام',
+    'commands.export': 'تصدير إحصائيات الاستخدام كملف CSV',
+    'commands.list': 'قائمة الملفات ({platforms})',
+    'commands.clear': '⚠️ حذف الملفات من S3 وقاعدة البيانات',
+    'commands.roleRequired': '🚫 الأمر {command} يتطلب الدور <b>{role}</b>.',
+
+    // Access requests
+    'access.pending': '⏳ <b>طلب الوصول قيد الانتظار</b>\n\nسيراجع أحد المشرفين طلبك قريبًا. ستصلك رسالة هنا.',
+    'access.denied': '🚫 <b>تم رفض الوصول</b>\n\nتم رفض طلب الوصول الخاص بك. أرسل /request &lt;السبب&gt; للطلب مجددًا.',
+    'access.requested': '📨 <b>تم طلب الوصول</b>\n\n' +
+        'لست مخوّلًا باستخدام هذا البوت بعد. أُرسل طلبك إلى المشرفين وستصلك رسالة هنا عند اتخاذ القرار.',
+    'access.reasonTip': '<i>نصيحة: أضف سببًا باستخدام /request &lt;السبب&gt;</i>',
+    'access.tooSoon': '⏳ <b>تم إرسال الطلب بالفعل</b>\n\nطلبك لدى المشرفين بالفعل. يمكنك إرسال طلب آخر {reset}.',
+    'access.failed': '🚫 <b>تم رفض الوصول</b>\n\nلست مخوّلًا باستخدام هذا البوت. تواصل مع المشرف للحصول على وصول.',
+    'access.adminRequest': '🔑 <b>طلب وصول</b>\n\n👤 {name} ({handle})\n🆔 المستخدم: <code>{userId}</code>',
+    'access.approve': '✅ موافقة',
+    'access.deny': '🚫 رفض',
+    'access.approveWithQuota': '📏 موافقة مع حصة',
+    'access.status.pending': 'قيد الانتظار',
+    'access.status.approved': 'مقبول',
+    'access.status.denied': 'مرفوض',
+    'access.status.gone': 'غير موجود',
+    'access.already': '{status} مسبقًا',
+    'access.alreadyBy': '{status} مسبقًا من {admin}',
+    'access.alreadyMessage': '🔑 طلب وصول من {user}: <b>{status}</b>',
+    'access.alreadyMessageBy': '🔑 طلب وصول من {user}: <b>{status}</b> من {admin}',
+    'access.outcome.approve': '✅ تمت الموافقة',
+    'access.outcome.quota': '✅ تمت الموافقة مع حصة',
+    'access.outcome.deny': '🚫 تم الرفض',
+    'access.decided': '🔑 طلب وصول من {name} ({user})\n\n{outcome} من {admin}',
+    'access.approved': '✅ <b>تمت الموافقة على الوصول</b>\n\nيمكنك الآن إرسال الروابط. أرسل /start للبدء.',
+    'access.quotaNote': '📏 الحصص: {limits}',
+    'access.declined': '🚫 <b>تم رفض الوصول</b>\n\nرفض أحد المشرفين طلب الوصول الخاص بك.',
+
+    // Quotas
+    'quota.reached': '⏳ <b>تم بلوغ الحصة</b>\n\nاستخدمت {used}/{max} {label}.\nتُعاد {reset}.',
+    'quota.reachedShort': '⏳ تم بلوغ الحصة',
+    'quota.remaining': '📊 المتبقي: {summary}',
+    'quota.requests_per_hour': 'طلبات هذه الساعة',
+    'quota.daily_mb': 'ميغابايت اليوم',
+    'quota.monthly_mb': 'ميغابايت هذا الشهر',
+    'quota.analyses_per_day': 'تحليلات اليوم',
+    'quota.title': '📏 <b>حصة {user}</b>',
+    'quota.line': '• {limit}: {used}/{max} {unit} (تُعاد {reset})',
+    'quota.unlimited': '• {limit}: بلا حدود',
+    'quota.invalidSetting': '❌ إعداد حصة غير صالح: <code>{setting}</code>\n\nالحصص المتاحة: {limits}',
+    'quota.invalidValue': '❌ قيمة غير صالحة لـ {limit}: <code>{value}</code>',
+    'quota.failed': '❌ فشل تحديث الحصة: {error}',
+    'time.inDays': 'بعد {days} يوم و{hours} ساعة',
+    'time.inHours': 'بعد {hours} ساعة و{minutes} دقيقة',
+    'time.inMinutes': 'بعد {minutes} دقيقة',
+
+    // User management
+    'users.title': '👥 <b>المستخدمون المسموح لهم</b>',
+    'users.none': 'لا يوجد مستخدمون مسموح لهم.',
+    'users.listFailed': '❌ فشل عرض المستخدمين: {error}',
+    'users.unknownRole': '❌ دور غير معروف: {role}\n\nالأدوار: {roles}',
+    'users.added': '✅ أُضيف المستخدم {user} إلى قائمة السماح.',
+    'users.addedAs': '✅ أُضيف المستخدم {user} إلى قائمة السماح بدور {role}.',
+    'users.addFailed': '❌ فشلت إضافة المستخدم: {error}',
+    'users.ownRole': '🚫 لا يمكنك تغيير دورك بنفسك.',
+    'users.notFound': '❌ لم يُعثر على المستخدم {user}.',
+    'users.notFoundAdd': '❌ لم يُعثر على المستخدم {user}. استخدم /add أولًا.',
+    'users.usageRoles': '❌ الاستخدام: {usage}\n\nالأدوار: {roles}',
+    'users.notPromotion': '❌ {user} بدور {current} بالفعل؛ {role} ليس ترقية.',
+    'users.notDemotion': '❌ {user} بدور {current} بالفعل؛ {role} ليس تخفيضًا.',
+    'users.roleChanged': '{icon} أصبح {user} بدور <b>{role}</b> (كان {previous}).',
+    'users.roleFailed': '❌ فشل تغيير الدور: {error}',
+    'users.removed': '🚫 أُزيل المستخدم {user} من قائمة السماح.',
+    'users.removeFailed': '❌ فشلت إزالة المستخدم: {error}',
+    'roles.cannotChange': '🚫 لا يمكنك تغيير دور مستخدم بدور {role}.',
+    'roles.cannotGrant': '🚫 لا يمكنك منح الدور {role}.',
+    'stats.title': '📊 <b>إحصائيات الاستخدام</b>',
+    'stats.line': '   💾 {mb} MB | 🔄 {requests} طلب',
+    'stats.failed': '❌ فشل جلب الإحصائيات: {error}',
+    'stats.lifetime': '<i>الإجماليات منذ البداية</i>',
+    'stats.empty': 'لا توجد تنزيلات في هذه الفترة.',
+    'stats.topUsers': '<b>أكثر المستخدمين</b>',
+    'stats.moreUsers': '…و{count} آخرون',
+    'stats.topPlatforms': '<b>المنصات</b>',
+    'stats.invalidRange': '❌ نطاق غير صالح: {range}\nاستخدم today أو 7d أو 30d أو from:YYYY-MM-DD [to:YYYY-MM-DD]، بحد أقصى {max} يومًا.\n\nالاستخدام: {usage}',
+    'stats.notConfigured': '❌ إحصائيات الاستخدام غير مهيأة.',
+
+    // Group chats
+    'group.listTitle': '👥 <b>المجموعات المسموح لها</b>',
+    'group.autograbTag': '، تنزيل تلقائي',
+    'group.none': 'لا توجد مجموعات مسموح لها. شغّل /group allow داخل مجموعة.',
+    'group.untitled': 'مجموعة',
+    'group.roles': '❌ يمكن للمجموعة منح {roles}.',
+    'group.notAllowedYet': '❌ المجموعة <code>{groupId}</code> غير مسموح لها بعد. شغّل /group allow أولًا.',
+    'group.allowed': '✅ مسموح لها: يعمل الأعضاء بدور <b>{role}</b>',
+    'group.notAllowed': '🚫 غير مسموح لها',
+    'group.autograbOn': '⚡ التنزيل التلقائي: مفعّل (يُنزَّل كل رابط)',
+    'group.autograbOff': '⚡ التنزيل التلقائي: معطّل (اذكرني أو ردّ بـ /dl على رابط)',
+    'group.failed': '❌ فشل تحديث المجموعة: {error}',
+    'group.denied': '🚫 {user}، هذه المجموعة غير مسموح لها باستخدامي، وأنت كذلك.\n\n' +
+        'يمكن للمشرف تشغيل /group allow هنا، أو راسلني على الخاص بـ /request لطلب الوصول.',
+    'group.revoked': '🚫 {user}، تمت إزالة وصولك، ولا يمكن لهذه المجموعة إعادته. اطلب من المشرف إضافتك مجددًا بـ /add.',
+
+    // /settings and /language
+    'settings.title': '⚙️ <b>الإعدادات</b>',
+    'settings.hint': '<i>اضغط على خيار لتغييره.</i>',
+    'settings.unknown': '❌ إعداد غير معروف',
+    'settings.saved': '✅ تم الحفظ',
+    'settings.loadFailed': '❌ فشل تحميل الإعدادات: {error}',
+    'settings.youtubeLongFormat': 'فيديوهات YouTube',
+    'settings.youtubeLongFormat.mp4': 'فيديو MP4',
+    'settings.maxHeight': 'أقصى دقة للفيديو',
+    'settings.maxHeight.best': 'الأفضل',
+    'settings.delivery': 'طريقة التسليم',
+    'settings.delivery.telegram': 'رفع إلى تيليجرام',
+    'settings.delivery.link': 'رابط S3 فقط',
+    'settings.autoAnalyze': 'تحليل تلقائي بعد التنزيل',
+    'settings.autoAnalyze.off': 'معطّل',
+    'settings.autoAnalyze.on': 'مفعّل',
+    'settings.language': 'اللغة',
+    'settings.language.auto': 'تلقائي',
+    'language.menu': '🌐 <b>اللغة</b>: {language}\n\n<i>تلقائي يعني لغة تطبيق تيليجرام لديك.</i>',
+    'language.unknown': '❌ لغة غير معروفة: {code}\n\nاللغات: {codes}',
+    'language.saved': '🌐 تم، سأردّ باللغة <b>{language}</b>.',
+
+    // Downloads
+    'download.roleCannot': '🚫 دورك ({role}) لا يسمح بالتنزيل. اطلب من مشرف تنفيذ /promote لك.',
+    'download.noLinkReply': '❌ لم يُعثر على رابط. ردّ بـ /dl على رسالة فيها رابط، أو أرسل /dl مع الرابط.',
+    'download.noUrl': '❌ لم يُعثر على رابط صالح في رسالتك.',
+    'download.unsupported': '❌ رابط غير مدعوم. أرسل رابطًا من {platforms}.',
+    'download.processing': '{emoji} جارٍ معالجة {source} الخاص بك...',
+    'download.processingFor': '{emoji} جارٍ معالجة {source} لـ {user}...',
+    'download.willReceive': '<i>سيصلك رابط S3 ({format}) قريبًا.</i>',
+    'download.autoAnalyze': '🧠 <i>سيبدأ التحليل تلقائيًا.</i>',
+    'download.starting': '📥 جارٍ بدء التنزيل...\n\n<i>يرجى الانتظار...</i>',
+    'download.progress': '📥 جارٍ التنزيل... <b>{percent}</b>{speed}\n\n<i>يرجى الانتظار...</i>',
+    'download.converting': '🎵 جارٍ التحويل إلى {format}...\n\n<i>أوشكنا على الانتهاء...</i>',
+    'download.merging': '🎬 جارٍ دمج الفيديو والصوت...\n\n<i>أوشكنا على الانتهاء...</i>',
+    'download.instagram': '📸 <b>جارٍ الجلب من إنستغرام (ScrapeCreators)...</b>\n\n<i>قد يستغرق هذا لحظة...</i>',
+    'download.complete': '✅ <b>اكتمل التنزيل!</b>\n\n<b>{title}</b> ({mb} MB)\n{format} جاهز:',
+    'download.requestedBy': '👤 بطلب من {user}',
+    'download.cancelled': '✖ <b>تم إلغاء التنزيل</b>',
+    'download.failed': '❌ <b>فشل التنزيل</b>\n\nعذرًا، لم أتمكن من تنزيل هذه الوسائط.\n\n<i>خطأ: {error}</i>',
+
+    // Batches and playlists
+    'batch.download': 'تنزيل مجمّع',
+    'batch.complete': 'اكتمل التنزيل المجمّع',
+    'batch.progress': '📦 <b>{name}</b>: انتهى {finished}/{total}',
+    'batch.summary': '📦 <b>{name}</b>: نُزّل {done}',
+    'batch.summaryFailed': '، فشل {count}',
+    'batch.summaryCancelled': '، أُلغي {count}',
+    'batch.unknownError': 'خطأ غير معروف',
+    'batch.skipped': '⚠️ تم تخطي {count} رابط: {reasons}',
+    'batch.skip.unsupported': '{count} غير مدعوم',
+    'batch.skip.quota': '{count} تتجاوز حصتك',
+    'batch.skip.limit': '{count} تتجاوز حد التنزيل المجمّع',
+    'batch.zipLink': '🗜️ <a href="{url}">ملف ZIP لكل ملفات MP3</a>',
+    'batch.zipFailed': '🗜️ <i>تعذّر إنشاء ملف ZIP</i>',
+    'batch.zipBuilding': '🗜️ <i>جارٍ إنشاء ملف ZIP...</i>',
+    'batch.cancel': '✖ إلغاء الكل',
+    'collection.reading': '{emoji} جارٍ قراءة {source}...\n\n<i>جارٍ عدّ الفيديوهات، يستغرق ذلك بضع ثوانٍ.</i>',
+    'collection.prompt': '📚 <b>{title}</b>\n\n' +
+        'وُجد <b>{count}</b> فيديو في {kind}.\n' +
+        'كم فيديو أنزّل؟ يُضاف كل واحد إلى الطابور كتنزيل مستقل.\n\n' +
+        '🗜️ ملف ZIP لكل ملفات MP3: <b>{zip}</b>',
+    'collection.kind.playlist': 'قائمة التشغيل هذه',
+    'collection.kind.channel': 'هذه القناة',
+    'collection.on': 'مفعّل',
+    'collection.off': 'معطّل',
+    'collection.latest': 'أحدث {count}',
+    'collection.first': 'أول {count}',
+    'collection.all': '⬇️ الكل ({count})',
+    'collection.zipButtonOn': '🗜️ ZIP: مفعّل',
+    'collection.zipButtonOff': '🗜️ ZIP: معطّل',
+    'collection.zipOn': '🗜️ تم تفعيل ZIP',
+    'collection.zipOff': 'تم تعطيل ZIP',
+    'collection.expired': '⌛ انتهت صلاحية هذه الرسالة',
+    'collection.notYours': '🚫 فقط من أرسل الرابط يمكنه الاختيار',
+    'collection.cancelled': '✖ <b>تم الإلغاء</b>\n\n{title}',
+    'collection.alreadyQueued': 'في الطابور بالفعل',
+    'collection.queueing': '⬇️ جارٍ إضافة {count} فيديو إلى الطابور...',
+    'collection.noVideos': 'لم يُعثر على فيديوهات',
+    'collection.failed': '❌ <b>تعذّرت قراءة قائمة التشغيل</b>\n\n<i>خطأ: {error}</i>',
+
+    // /cancel
+    'cancel.nothing': 'لا شيء لإلغائه: ليست لديك تنزيلات جارية.',
+    'cancel.title': '✖ <b>التنزيلات الجارية</b>',
+    'cancel.all': '✖ إلغاء الكل',
+    'cancel.fallbackLabel': 'تنزيل',
+    'cancel.listFailed': '❌ فشل عرض التنزيلات: {error}',
+    'cancel.unavailable': '❌ الإلغاء غير متاح',
+    'cancel.batchFinished': '⌛ انتهى هذا التنزيل المجمّع بالفعل',
+    'cancel.batchNotYours': '🚫 فقط من أرسل الروابط يمكنه الإلغاء',
+    'cancel.cancellingCount': '✖ جارٍ إلغاء {count} تنزيل...',
+    'cancel.cancellingCountMessage': '✖ <b>جارٍ إلغاء {count} تنزيل</b>',
+    'cancel.nothingLeft': 'لم يتبقَّ شيء لإلغائه',
+    'cancel.nothingLeftMessage': 'لم يتبقَّ شيء لإلغائه.',
+    'cancel.cancelling': '✖ جارٍ الإلغاء...',
+    'cancel.finished': '⌛ لا شيء لإلغائه: انتهى التنزيل',
+
+    // /history, /list, /search and inline mode
+    'history.title': '🗂️ <b>تنزيلاتك</b>',
+    'history.empty': 'لا توجد تنزيلات في آخر 7 أيام.',
+    'history.link': '🔗 رابط #{n}',
+    'history.send': '📤 إرسال #{n}',
+    'history.hint': '<i>🔗 ينشئ رابطًا جديدًا صالحًا 7 أيام، 📤 يرسل الملف هنا مجددًا.</i>',
+    'history.loadFailed': '❌ فشل تحميل السجل: {error}',
+    'history.expired': '⌛ انتهت صلاحية هذا التنزيل',
+    'history.relinking': '🔗 جارٍ إنشاء رابط جديد...',
+    'history.sending': '📤 جارٍ الإرسال...',
+    'history.tooLarge': '📦 الملف أكبر من أن يُرسل عبر تيليجرام، إليك رابطًا جديدًا بدلًا من ذلك:\n\n{caption}',
+    'history.gone': 'لم يعد الملف محفوظًا.',
+    'history.failed': '❌ <b>تعذّر جلب {name}</b>\n\n{reason}',
+    'list.activeTitle': '⏳ <b>التنزيلات الجارية</b>',
+    'list.title': '📂 <b>الملفات المنزّلة</b>',
+    'list.platformTitle': '📂 <b>تنزيلات {platform}</b>',
+    'list.empty': 'لم يُعثر على ملفات.',
+    'list.noMore': 'لا مزيد من الملفات.',
+    'list.page': 'الصفحة {page}: <b>{mb} MB</b> ({count} ملف)',
+    'list.prev': '▶️ السابق',
+    'list.next': 'التالي ◀️',
+    'list.unknownFilter': '❌ مرشّح غير معروف: {filter}\n\nالاستخدام: {usage}',
+    'list.olderThan': '⏳ أقدم من {days} يوم',
+    'list.expired': '⌛ انتهت صلاحية هذه القائمة، شغّل /list مجددًا',
+    'list.failed': '❌ فشل عرض القائمة: {error}',
+    'search.notConfigured': '❌ البحث غير مُعدّ.',
+    'search.noTerms': '❌ ابحث عن كلمة واحدة على الأقل (تُتجاهل الكلمات الشائعة مثل "the").',
+    'search.noResults': '🔎 لا نتائج لـ <b>{query}</b>',
+    'search.open': '📥 فتح #{n}',
+    'search.analysis': '🧠 التحليل #{n}',
+    'search.expired': '⌛ انتهت صلاحية هذا الملف',
+    'search.loadingAnalysis': '🧠 جارٍ تحميل التحليل...',
+    'search.failed': '❌ فشل البحث: {error}',
+    'inline.requestAccess': '🔑 طلب الوصول',
+    'inline.file': 'ملف',
+
+    // /clear
+    'clear.nothing': '🗑️ لا شيء لحذفه',
+    'clear.confirmTitle': '⚠️ <b>حذف الملفات؟</b>',
+    'clear.confirmPlatformTitle': '⚠️ <b>حذف ملفات {platform}؟</b>',
+    'clear.confirmBody': 'سيؤدي هذا إلى حذف <b>{count}</b> ملف نهائيًا، <b>{mb} MB</b>، من S3 وجدول الملفات. تُحفظ إحصائيات المستخدمين.',
+    'clear.confirm': '🗑️ تأكيد',
+    'clear.failed': '❌ فشل الحذف: {error}',
+    'clear.expired': '⌛ انتهت صلاحية هذه المعاينة، شغّل /clear مجددًا',
+    'clear.cancelled': '✖ <b>تم إلغاء الحذف</b>\n\nلم يُحذف أي شيء.',
+    'clear.clearing': '🗑️ جارٍ الحذف...',
+    'clear.clearingMessage': '🗑️ <b>جارٍ حذف الملفات...</b>\n\n<i>قد يستغرق هذا لحظة.</i>',
+    'clear.progress': '🗑️ <b>جارٍ حذف الملفات...</b>\n\nحُذف {done}/{total}',
+    'clear.complete': '✅ <b>اكتمل الحذف</b>\n\n' +
+        'حُذف <b>{count}</b> ملف من S3 وجدول الملفات.\n' +
+        'تم تحرير <b>{mb} MB</b>. حُفظت إحصائيات المستخدمين.',
+    'clear.errors': '⚠️ {count} خطأ، مثل <i>{error}</i>',
+    'clear.error': '❌ <b>فشل الحذف</b>\n\n<i>خطأ: {error}</i>',
+
+    // Broadcasts
+    'broadcast.previewTitle': '📣 <b>معاينة الإعلان</b>',
+    'broadcast.activeWithin': '🕒 نشطون خلال آخر {days} يوم',
+    'broadcast.recipients': 'سيُرسل إلى <b>{count}</b> مستخدم.',
+    'broadcast.unreachable': '⚠️ {count} مستخدم مطابق لم يراسلني بشكل خاص بعد ولا يمكن الوصول إليه.',
+    'broadcast.send': '📣 إرسال إلى {count}',
+    'broadcast.none': '📣 لا يوجد مستخدمون للإرسال إليهم',
+    'broadcast.failed': '❌ فشل الإعلان: {error}',
+    'broadcast.expired': '⌛ انتهت صلاحية هذه المعاينة، شغّل /broadcast مجددًا',
+    'broadcast.cancelled': '✖ <b>تم إلغاء الإعلان</b>\n\nلم يُرسل أي شيء.',
+    'broadcast.sending': '📣 جارٍ الإرسال...',
+    'broadcast.sendingMessage': '📣 <b>جارٍ إرسال الإعلان...</b>',
+    'broadcast.progress': '📣 <b>جارٍ إرسال الإعلان...</b>\n\nأُرسل {done}/{total}',
+    'broadcast.header': '📣 <b>إعلان</b>',
+    'broadcast.complete': '✅ <b>تم إرسال الإعلان</b>\n\n' +
+        'وصل: <b>{delivered}</b>\n' +
+        'حظروا البوت: <b>{blocked}</b>\n' +
+        'فشل: <b>{failed}</b>',
+    'broadcast.gone': 'انتهت صلاحية الإعلان',
+    'broadcast.error': '❌ <b>فشل الإعلان</b>\n\n<i>خطأ: {error}</i>',
+
+    // Audit log
+    'audit.title': '📜 <b>سجل التدقيق</b> (UTC)',
+    'audit.empty': 'لم يُعثر على إدخالات.',
+    'audit.noMore': 'لا مزيد من الإدخالات.',
+    'audit.page': 'الصفحة {page}',
+    'audit.newer': '▶️ الأحدث',
+    'audit.older': 'الأقدم ◀️',
+    'audit.expired': '⌛ انتهت صلاحية هذه الصفحة، شغّل /audit مجددًا',
+    'audit.failed': '❌ فشل سجل التدقيق: {error}',
+    'audit.notConfigured': '❌ سجل التدقيق غير مُعدّ.',
+    'audit.unknownAction': '❌ إجراء غير معروف: {action}\n\nالإجراءات: {actions}',
+
+    // Usage export (/export stats)
+    'export.preparing': '⏳ جارٍ تحضير تصدير الاستخدام ({from} → {to})…',
+    'export.complete': '📤 <b>تصدير الاستخدام</b> {from} → {to}: {rows} صف',
+    'export.download': '⬇️ تنزيل CSV (ينتهي الرابط خلال 7 أيام)',
+    'export.error': '❌ <b>فشل التصدير</b>\n\n<i>خطأ: {error}</i>',
+
+    // Clips (time ranges, see shared/clips.mjs)
+    'clip.button': '✂️ مقطع',
+    'clip.prompt': '✂️ ردّ على هذه الرسالة بالجزء الذي تريد الاحتفاظ به من <b>{title}</b>، مثل <code>1:23-1:45</code> (m:ss أو h:mm:ss).',
+    'clip.expired': 'هذا الملف لم يعد متاحًا',
+    'clip.invalidRange': '❌ نطاق زمني غير صالح: {range}\nحدّد البداية والنهاية بصيغة m:ss أو h:mm:ss، مثل <code>1:23-1:45</code>، بفارق {max} دقيقة كحد أقصى.',
+    'clip.oneLink': '❌ يعمل النطاق الزمني مع رابط واحد فقط.',
+    'clip.range': '✂️ مقطع: {range}',
+    'clip.processing': '✂️ <b>جارٍ قص {range}</b> من {title}...',
+    'clip.cutting': '✂️ جارٍ قص {range}...',
+
+    // Follows (see shared/follows.mjs)
+    'follow.notConfigured': '🔔 متابعة الحسابات غير مُعدّة (لم يتم إعداد جدول المتابعات).',
+    'follow.unsupported': '❌ أرسل رابط ملف إنستغرام أو قناة يوتيوب، مثل <code>/follow https://www.instagram.com/natgeo/</code>',
+    'follow.analyzeRole': '🚫 التحليل التلقائي للمنشورات الجديدة يتطلب دور <b>analyst</b>.',
+    'follow.limit': '❌ أنت تتابع بالفعل {max} حسابًا، وهو الحد الأقصى. استخدم /unfollow لإزالة حساب أولًا.',
+    'follow.already': 'ℹ️ أنت تتابع <b>{account}</b> بالفعل.',
+    'follow.added': '🔔 تتم الآن متابعة {emoji} <b>{account}</b> ({platform}).\n<i>يتم فحص المنشورات الجديدة بانتظام وتنزيلها هنا بإعدادات /settings الحالية.</i>',
+    'follow.addedAnalyze': '🧠 سيتم تحليل كل منشور جديد تلقائيًا.',
+    'follow.addedDigest': '📰 ستظهر المنشورات الجديدة أيضًا في ملخص يومي.',
+    'follow.failed': '❌ فشل تحديث متابعاتك: {error}',
+    'follow.none': 'أنت لا تتابع أي حساب بعد. أرسل /follow مع رابط ملف شخصي.',
+    'follow.title': '🔔 <b>المتابَعون</b> ({count}/{max})',
+    'follow.optionAnalyze': '🧠 تحليل',
+    'follow.optionDigest': '📰 ملخص',
+    'follow.checkedAt': '<i>آخر فحص {time} UTC</i>',
+    'follow.notChecked': '<i>لم يُفحص بعد</i>',
+    'follow.lastError': '⚠️ <i>فشل آخر فحص: {error}</i>',
+    'follow.notFound': 'أنت لا تتابع هذا الحساب. راجع /following.',
+    'follow.removed': '✅ تم إلغاء متابعة <b>{account}</b>.',
+    'follow.removedShort': 'تم إلغاء متابعة {account}',
+    'follow.newPost': '🔔 جديد من {emoji} <b>{account}</b>: {title}',
+    'follow.digestTitle': '📰 <b>الملخص اليومي</b>: {count} منشور جديد',
+    'follow.digestAccount': '{emoji} <b>{account}</b> ({platform}): {count}',
+    'follow.digestMore': '<i>…و{count} أخرى</i>',
+
+    // Video analysis
+    'analysis.button': '🧠 تحليل الفيديو',
+    'analysis.offer': 'هل تريد رؤى حول هذا الفيديو؟',
+    'analysis.quotaReached': '⏳ تم بلوغ حصة التحليل اليومية',
+    'analysis.starting': '🧠 جارٍ بدء التحليل...',
+    'analysis.startingMessage': '🧠 <b>يبدأ تحليل الفيديو...</b>\n\n' +
+        '<i>سيستغرق هذا نحو 2-3 دقائق. سأحلّل افتتاحية الفيديو وآليات الاحتفاظ بالمشاهدين واستراتيجية الانتشار.</i>',
+    'analysis.autoStarting': '🧠 <b>يبدأ التحليل التلقائي...</b>\n\n<i>سيستغرق هذا نحو 2-3 دقائق.</i>',
+    'analysis.surveying': '🧠 <b>جارٍ فحص الفيديو بعمق...</b>',
+    'analysis.initializing': '🔄 جارٍ التهيئة...',
+    'analysis.step.duration': '✅ تم تحليل المدة',
+    'analysis.step.frames': '✅ تم استخراج الإطارات',
+    'analysis.step.visuals': '🔄 جارٍ تحليل المرئيات (Gemini)...',
+    'analysis.step.transcribing': '🔄 جارٍ تفريغ الصوت...',
+    'analysis.step.audioUploaded': '✅ تم رفع الصوت عبر S3',
+    'analysis.step.noAudio': '⚠️ لم يُكتشف صوت',
+    'analysis.step.synthesizing': '⬜ جارٍ صياغة الاستراتيجية (Claude)...',
+    'analysis.header': '🎬 <b>تحليل الفيديو: {title}</b>',
+    'analysis.split': '(قُسّم التحليل إلى عدة رسائل بسبب طوله)',
+    'analysis.part': '<i>الجزء {part}/{total}</i>',
+    'analysis.failed': '❌ <b>فشل التحليل</b>\n\n<i>خطأ: {error}</i>',
+    'analysis.gone': '❌ لم يعد هذا التحليل محفوظًا.',
+    'analysis.loadFailed': '❌ <b>تعذّر تحميل التحليل</b>\n\n<i>خطأ: {error}</i>',
+
+    // Appended to the synthesis model's prompt (see processor/prompts.mjs)
+    'prompt.reportLanguage': 'Write the whole report in Arabic.',
+};
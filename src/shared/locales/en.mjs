@@ -0,0 +1,398 @@
+/**
+ * English messages, and the fallback for keys missing from other catalogs (see ../i18n.mjs).
+ */
+export default {
+    // Shared bits
+    'common.cancel': '✖ Cancel',
+    'common.cancelled': 'Cancelled',
+    'common.accessDenied': '🚫 Access denied',
+    'common.usage': '❌ Usage: {usage}',
+    'common.total': 'Total: {count}',
+    'common.unknown': 'Unknown',
+    'common.directLink': '📥 Direct S3 Link',
+    'common.linkExpires': '<i>Link expires in 7 days</i>',
+    'common.linksExpire': '<i>Links expire in 7 days</i>',
+    'common.error': '<i>Error: {error}</i>',
+    'common.analyzeN': '🧠 Analyze #{n}',
+    'status.queued': 'queued',
+    'status.downloading': 'downloading',
+
+    // /start and /help
+    'start.text': '🎬 <b>Media Downloader Bot</b>\n\n' +
+        'Send me a link from:\n{sources}\n' +
+        "I'll download it and send you an S3 link (valid for 60 days).\n\n" +
+        '<i>YouTube videos return MP3 audio by default. Change formats and delivery in /settings.</i>',
+    'help.title': '🤖 <b>Commands</b> (your role: {role})',
+    'help.section.general': 'General',
+    'help.section.users': 'User Management',
+    'help.section.files': 'Stats & Files',
+    'commands.help': 'Show available commands',
+    'commands.language': "Choose the language I reply in",
+    'commands.settings': 'Output format, quality and delivery',
+    'commands.history': 'Your recent downloads',
+    'commands.search': 'Search titles, transcripts and analyses',
+    'commands.cancel': 'Cancel your active downloads',
+    'commands.dl': 'Download a link, or the message replied to',
+    'commands.follow': 'Download new posts of an Instagram profile or YouTube channel',
+    'commands.following': 'Accounts you follow',
+    'commands.unfollow': 'Stop following an account',
+    'commands.users': 'List allowed users',
+    'commands.add': 'Add user to allowlist',
+    'commands.remove': 'Remove user',
+    'commands.promote': 'Set role ({roles})',
+    'commands.demote': 'Lower role (one step by default)',
+    'commands.quota': 'View or set limits (off to remove)',
+    'commands.group': 'Allow a group chat, or list allowed groups',
+    'commands.broadcast': 'Announce to allowed users (by role or recent activity)',
+    'commands.audit': 'Admin actions and refused access (by who or whom)',
+    'commands.stats': 'View usage stats',
+    'commands.export': 'Export usage stats as CSV',
+    'commands.list': 'List files ({platforms})',
+    'commands.clear': '⚠️ Delete files from S3 & DB',
+    'commands.roleRequired': '🚫 {command} requires the <b>{role}</b> role.',
+
+    // Access requests
+    'access.pending': "⏳ <b>Access Request Pending</b>\n\nAn admin will review your request soon. You'll be notified here.",
+    'access.denied': '🚫 <b>Access Denied</b>\n\nYour access request was declined. Send /request &lt;reason&gt; to ask again.',
+    'access.requested': '📨 <b>Access Requested</b>\n\n' +
+        "You are not authorized to use this bot yet. Your request was sent to the admins and you'll be notified here when they decide.",
+    'access.reasonTip': '<i>Tip: add a reason with /request &lt;reason&gt;</i>',
+    'access.tooSoon': '⏳ <b>Request Already Sent</b>\n\nThe admins already have your request. You can send another one {reset}.',
+    'access.failed': '🚫 <b>Access Denied</b>\n\nYou are not authorized to use this bot. Contact the admin for access.',
+    'access.adminRequest': '🔑 <b>Access Request</b>\n\n👤 {name} ({handle})\n🆔 User: <code>{userId}</code>',
+    'access.approve': '✅ Approve',
+    'access.deny': '🚫 Deny',
+    'access.approveWithQuota': '📏 Approve with quota',
+    'access.status.pending': 'pending',
+    'access.status.approved': 'approved',
+    'access.status.denied': 'denied',
+    'access.status.gone': 'gone',
+    'access.already': 'Already {status}',
+    'access.alreadyBy': 'Already {status} by {admin}',
+    'access.alreadyMessage': '🔑 Access request from {user}: <b>{status}</b>',
+    'access.alreadyMessageBy': '🔑 Access request from {user}: <b>{status}</b> by {admin}',
+    'access.outcome.approve': '✅ Approved',
+    'access.outcome.quota': '✅ Approved with quota',
+    'access.outcome.deny': '🚫 Denied',
+    'access.decided': '🔑 Access request from {name} ({user})\n\n{outcome} by {admin}',
+    'access.approved': '✅ <b>Access Approved</b>\n\nYou can now send me links. Send /start to get started.',
+    'access.quotaNote': '📏 Limits: {limits}',
+    'access.declined': '🚫 <b>Access Denied</b>\n\nAn admin declined your access request.',
+
+    // Quotas
+    'quota.reached': "⏳ <b>Quota Reached</b>\n\nYou've used {used}/{max} {label}.\nResets {reset}.",
+    'quota.reachedShort': '⏳ Quota reached',
+    'quota.remaining': '📊 Remaining: {summary}',
+    'quota.requests_per_hour': 'requests this hour',
+    'quota.daily_mb': 'MB today',
+    'quota.monthly_mb': 'MB this month',
+    'quota.analyses_per_day': 'analyses today',
+    'quota.title': '📏 <b>Quota for {user}</b>',
+    'quota.line': '• {limit}: {used}/{max} {unit} (resets {reset})',
+    'quota.unlimited': '• {limit}: unlimited',
+    'quota.invalidSetting': '❌ Invalid quota setting: <code>{setting}</code>\n\nValid limits: {limits}',
+    'quota.invalidValue': '❌ Invalid value for {limit}: <code>{value}</code>',
+    'quota.failed': '❌ Failed to update quota: {error}',
+    'time.inDays': 'in {days}d {hours}h',
+    'time.inHours': 'in {hours}h {minutes}m',
+    'time.inMinutes': 'in {minutes}m',
+
+    // User management
+    'users.title': '👥 <b>Allowed Users</b>',
+    'users.none': 'No allowed users.',
+    'users.listFailed': '❌ Failed to list users: {error}',
+    'users.unknownRole': '❌ Unknown role: {role}\n\nRoles: {roles}',
+    'users.added': '✅ User {user} added to allowlist.',
+    'users.addedAs': '✅ User {user} added to allowlist as {role}.',
+    'users.addFailed': '❌ Failed to add user: {error}',
+    'users.ownRole': "🚫 You can't change your own role.",
+    'users.notFound': '❌ User {user} not found.',
+    'users.notFoundAdd': '❌ User {user} not found. Use /add first.',
+    'users.usageRoles': '❌ Usage: {usage}\n\nRoles: {roles}',
+    'users.notPromotion': '❌ {user} is already {current}; {role} is not a promotion.',
+    'users.notDemotion': '❌ {user} is already {current}; {role} is not a demotion.',
+    'users.roleChanged': '{icon} {user} is now <b>{role}</b> (was {previous}).',
+    'users.roleFailed': '❌ Failed to change role: {error}',
+    'users.removed': '🚫 User {user} removed from allowlist.',
+    'users.removeFailed': '❌ Failed to remove user: {error}',
+    'roles.cannotChange': "🚫 You can't change the role of a user who is {role}.",
+    'roles.cannotGrant': "🚫 You can't grant the {role} role.",
+    'stats.title': '📊 <b>Usage Statistics</b>',
+    'stats.line': '   💾 {mb} MB | 🔄 {requests} reqs',
+    'stats.failed': '❌ Failed to fetch stats: {error}',
+    'stats.lifetime': '<i>Lifetime totals</i>',
+    'stats.empty': 'No downloads in this period.',
+    'stats.topUsers': '<b>Top users</b>',
+    'stats.moreUsers': '…and {count} more',
+    'stats.topPlatforms': '<b>Platforms</b>',
+    'stats.invalidRange': '❌ Invalid range: {range}\nUse today, 7d, 30d or from:YYYY-MM-DD [to:YYYY-MM-DD], at most {max} days.\n\nUsage: {usage}',
+    'stats.notConfigured': '❌ Usage statistics are not configured.',
+
+    // Group chats
+    'group.listTitle': '👥 <b>Allowed Groups</b>',
+    'group.autograbTag': ', auto-grab',
+    'group.none': 'No allowed groups. Run /group allow inside a group.',
+    'group.untitled': 'Group',
+    'group.roles': '❌ A group can grant {roles}.',
+    'group.notAllowedYet': "❌ Group <code>{groupId}</code> isn't allowed yet. Run /group allow first.",
+    'group.allowed': '✅ Allowed: members can act as <b>{role}</b>',
+    'group.notAllowed': '🚫 Not allowed',
+    'group.autograbOn': '⚡ Auto-grab: on (every link is downloaded)',
+    'group.autograbOff': '⚡ Auto-grab: off (mention me or reply /dl to a link)',
+    'group.failed': '❌ Failed to update group: {error}',
+    'group.denied': "🚫 {user}, this group isn't allowed to use me and neither are you.\n\n" +
+        'An admin can run /group allow here, or message me privately to /request access.',
+    'group.revoked': "🚫 {user}, your access was removed, and this group can't give it back. Ask an admin to /add you again.",
+
+    // /settings and /language
+    'settings.title': '⚙️ <b>Settings</b>',
+    'settings.hint': '<i>Tap an option to change it.</i>',
+    'settings.unknown': '❌ Unknown setting',
+    'settings.saved': '✅ Saved',
+    'settings.loadFailed': '❌ Failed to load settings: {error}',
+    'settings.youtubeLongFormat': 'YouTube videos',
+    'settings.youtubeLongFormat.mp4': 'MP4 video',
+    'settings.maxHeight': 'Max video resolution',
+    'settings.maxHeight.best': 'Best',
+    'settings.delivery': 'Delivery',
+    'settings.delivery.telegram': 'Telegram upload',
+    'settings.delivery.link': 'S3 link only',
+    'settings.autoAnalyze': 'Auto-analyze after download',
+    'settings.autoAnalyze.off': 'Off',
+    'settings.autoAnalyze.on': 'On',
+    'settings.language': 'Language',
+    'settings.language.auto': 'Automatic',
+    'language.menu': '🌐 <b>Language</b>: {language}\n\n<i>Automatic follows the language of your Telegram app.</i>',
+    'language.unknown': '❌ Unknown language: {code}\n\nLanguages: {codes}',
+    'language.saved': "🌐 Done, I'll reply in <b>{language}</b>.",
+
+    // Downloads
+    'download.roleCannot': "🚫 Your role ({role}) can't download. Ask an admin to /promote you.",
+    'download.noLinkReply': '❌ No link found. Reply /dl to a message with a link, or send /dl with the link.',
+    'download.noUrl': '❌ No valid URL found in your message.',
+    'download.unsupported': '❌ Unsupported URL. Please send a link from {platforms}.',
+    'download.processing': '{emoji} Processing your {source}...',
+    'download.processingFor': '{emoji} Processing {source} for {user}...',
+    'download.willReceive': "<i>You'll receive an S3 link ({format}) shortly.</i>",
+    'download.autoAnalyze': '🧠 <i>Analysis will start automatically.</i>',
+    'download.starting': '📥 Starting download...\n\n<i>Please wait...</i>',
+    'download.progress': '📥 Downloading... <b>{percent}</b>{speed}\n\n<i>Please wait...</i>',
+    'download.converting': '🎵 Converting to {format}...\n\n<i>Almost done...</i>',
+    'download.merging': '🎬 Merging video and audio...\n\n<i>Almost done...</i>',
+    'download.instagram': '📸 <b>Fetching from Instagram (ScrapeCreators)...</b>\n\n<i>This may take a moment...</i>',
+    'download.complete': '✅ <b>Download Complete!</b>\n\n<b>{title}</b> ({mb} MB)\n{format} ready:',
+    'download.requestedBy': '👤 Requested by {user}',
+    'download.cancelled': '✖ <b>Download Cancelled</b>',
+    'download.failed': "❌ <b>Download Failed</b>\n\nSorry, I couldn't download that media.\n\n<i>Error: {error}</i>",
+
+    // Batches and playlists
+    'batch.download': 'Batch Download',
+    'batch.complete': 'Batch Complete',
+    'batch.progress': '📦 <b>{name}</b>: {finished}/{total} finished',
+    'batch.summary': '📦 <b>{name}</b>: {done} downloaded',
+    'batch.summaryFailed': ', {count} failed',
+    'batch.summaryCancelled': ', {count} cancelled',
+    'batch.unknownError': 'Unknown error',
+    'batch.skipped': '⚠️ Skipped {count} link(s): {reasons}',
+    'batch.skip.unsupported': '{count} unsupported',
+    'batch.skip.quota': '{count} over your quota',
+    'batch.skip.limit': '{count} over the batch limit',
+    'batch.zipLink': '🗜️ <a href="{url}">ZIP of all MP3s</a>',
+    'batch.zipFailed': "🗜️ <i>Couldn't build the ZIP</i>",
+    'batch.zipBuilding': '🗜️ <i>Building ZIP...</i>',
+    'batch.cancel': '✖ Cancel batch',
+    'collection.reading': '{emoji} Reading {source}...\n\n<i>Counting videos, this takes a few seconds.</i>',
+    'collection.prompt': '📚 <b>{title}</b>\n\n' +
+        'Found <b>{count}</b> videos in this {kind}.\n' +
+        'How many should I download? Each one is queued as its own download.\n\n' +
+        '🗜️ ZIP of all MP3s: <b>{zip}</b>',
+    'collection.kind.playlist': 'playlist',
+    'collection.kind.channel': 'channel',
+    'collection.on': 'on',
+    'collection.off': 'off',
+    'collection.latest': 'Latest {count}',
+    'collection.first': 'First {count}',
+    'collection.all': '⬇️ All {count}',
+    'collection.zipButtonOn': '🗜️ ZIP: On',
+    'collection.zipButtonOff': '🗜️ ZIP: Off',
+    'collection.zipOn': '🗜️ ZIP on',
+    'collection.zipOff': 'ZIP off',
+    'collection.expired': '⌛ This prompt has expired',
+    'collection.notYours': '🚫 Only the person who sent the link can choose',
+    'collection.cancelled': '✖ <b>Cancelled</b>\n\n{title}',
+    'collection.alreadyQueued': 'Already queued',
+    'collection.queueing': '⬇️ Queueing {count} videos...',
+    'collection.noVideos': 'No videos found',
+    'collection.failed': "❌ <b>Couldn't Read Playlist</b>\n\n<i>Error: {error}</i>",
+
+    // /cancel
+    'cancel.nothing': 'Nothing to cancel: you have no active downloads.',
+    'cancel.title': '✖ <b>Active Downloads</b>',
+    'cancel.all': '✖ Cancel all',
+    'cancel.fallbackLabel': 'Download',
+    'cancel.listFailed': '❌ Failed to list downloads: {error}',
+    'cancel.unavailable': '❌ Cancelling is not available',
+    'cancel.batchFinished': '⌛ This batch has already finished',
+    'cancel.batchNotYours': '🚫 Only the person who sent the links can cancel',
+    'cancel.cancellingCount': '✖ Cancelling {count} download(s)...',
+    'cancel.cancellingCountMessage': '✖ <b>Cancelling {count} download(s)</b>',
+    'cancel.nothingLeft': 'Nothing left to cancel',
+    'cancel.nothingLeftMessage': 'Nothing left to cancel.',
+    'cancel.cancelling': '✖ Cancelling...',
+    'cancel.finished': '⌛ Nothing to cancel: the download has finished',
+
+    // /history, /list, /search and inline mode
+    'history.title': '🗂️ <b>Your Downloads</b>',
+    'history.empty': 'No downloads in the last 7 days.',
+    'history.link': '🔗 Link #{n}',
+    'history.send': '📤 Send #{n}',
+    'history.hint': '<i>🔗 gets a fresh 7-day link, 📤 sends the file here again.</i>',
+    'history.loadFailed': '❌ Failed to load history: {error}',
+    'history.expired': '⌛ That download has expired',
+    'history.relinking': '🔗 Getting a fresh link...',
+    'history.sending': '📤 Sending...',
+    'history.tooLarge': "📦 Too large to send through Telegram, here's a fresh link instead:\n\n{caption}",
+    'history.gone': 'The file is no longer stored.',
+    'history.failed': "❌ <b>Couldn't get {name}</b>\n\n{reason}",
+    'list.activeTitle': '⏳ <b>Active Downloads</b>',
+    'list.title': '📂 <b>Downloaded Files</b>',
+    'list.platformTitle': '📂 <b>{platform} Downloads</b>',
+    'list.empty': 'No files found.',
+    'list.noMore': 'No more files.',
+    'list.page': 'Page {page}: <b>{mb} MB</b> ({count} files)',
+    'list.prev': '◀️ Prev',
+    'list.next': 'Next ▶️',
+    'list.unknownFilter': '❌ Unknown filter: {filter}\n\nUsage: {usage}',
+    'list.olderThan': '⏳ older than {days} days',
+    'list.expired': '⌛ This list has expired, run /list again',
+    'list.failed': '❌ List failed: {error}',
+    'search.notConfigured': '❌ Search is not configured.',
+    'search.noTerms': '❌ Search for at least one word (common words like "the" are ignored).',
+    'search.noResults': '🔎 No results for <b>{query}</b>',
+    'search.open': '📥 Open #{n}',
+    'search.analysis': '🧠 Analysis #{n}',
+    'search.expired': '⌛ That file has expired',
+    'search.loadingAnalysis': '🧠 Loading analysis...',
+    'search.failed': '❌ Search failed: {error}',
+    'inline.requestAccess': '🔑 Request access',
+    'inline.file': 'File',
+
+    // /clear
+    'clear.nothing': '🗑️ Nothing to clear',
+    'clear.confirmTitle': '⚠️ <b>Clear files?</b>',
+    'clear.confirmPlatformTitle': '⚠️ <b>Clear {platform} files?</b>',
+    'clear.confirmBody': 'This permanently deletes <b>{count}</b> file(s), <b>{mb} MB</b>, from S3 and the files table. User stats are kept.',
+    'clear.confirm': '🗑️ Confirm',
+    'clear.failed': '❌ Clear failed: {error}',
+    'clear.expired': '⌛ This preview has expired, run /clear again',
+    'clear.cancelled': '✖ <b>Clear cancelled</b>\n\nNothing was deleted.',
+    'clear.clearing': '🗑️ Clearing...',
+    'clear.clearingMessage': '🗑️ <b>Clearing files...</b>\n\n<i>This may take a moment.</i>',
+    'clear.progress': '🗑️ <b>Clearing files...</b>\n\n{done}/{total} deleted',
+    'clear.complete': '✅ <b>Clear Complete</b>\n\n' +
+        'Deleted <b>{count}</b> file(s) from S3 and the files table.\n' +
+        'Freed <b>{mb} MB</b>. User stats preserved.',
+    'clear.errors': '⚠️ {count} error(s), e.g. <i>{error}</i>',
+    'clear.error': '❌ <b>Clear Failed</b>\n\n<i>Error: {error}</i>',
+
+    // Broadcasts
+    'broadcast.previewTitle': '📣 <b>Broadcast preview</b>',
+    'broadcast.activeWithin': '🕒 active in the last {days} days',
+    'broadcast.recipients': 'Goes to <b>{count}</b> user(s).',
+    'broadcast.unreachable': "⚠️ {count} matching user(s) haven't messaged me privately yet and can't be reached.",
+    'broadcast.send': '📣 Send to {count}',
+    'broadcast.none': '📣 No users to send to',
+    'broadcast.failed': '❌ Broadcast failed: {error}',
+    'broadcast.expired': '⌛ This preview has expired, run /broadcast again',
+    'broadcast.cancelled': '✖ <b>Broadcast cancelled</b>\n\nNothing was sent.',
+    'broadcast.sending': '📣 Sending...',
+    'broadcast.sendingMessage': '📣 <b>Sending broadcast...</b>',
+    'broadcast.progress': '📣 <b>Sending broadcast...</b>\n\n{done}/{total} sent',
+    'broadcast.header': '📣 <b>Announcement</b>',
+    'broadcast.complete': '✅ <b>Broadcast Sent</b>\n\n' +
+        'Delivered: <b>{delivered}</b>\n' +
+        'Blocked the bot: <b>{blocked}</b>\n' +
+        'Failed: <b>{failed}</b>',
+    'broadcast.gone': 'The broadcast has expired',
+    'broadcast.error': '❌ <b>Broadcast Failed</b>\n\n<i>Error: {error}</i>',
+
+    // Audit log
+    'audit.title': '📜 <b>Audit log</b> (UTC)',
+    'audit.empty': 'No entries found.',
+    'audit.noMore': 'No more entries.',
+    'audit.page': 'Page {page}',
+    'audit.newer': '◀️ Newer',
+    'audit.older': 'Older ▶️',
+    'audit.expired': '⌛ This page has expired, run /audit again',
+    'audit.failed': '❌ Audit log failed: {error}',
+    'audit.notConfigured': '❌ The audit log is not configured.',
+    'audit.unknownAction': '❌ Unknown action: {action}\n\nActions: {actions}',
+
+    // Usage export (/export stats)
+    'export.preparing': '⏳ Preparing the usage export ({from} → {to})…',
+    'export.complete': '📤 <b>Usage export</b> {from} → {to}: {rows} rows',
+    'export.download': '⬇️ Download CSV (link expires in 7 days)',
+    'export.error': '❌ <b>Export Failed</b>\n\n<i>Error: {error}</i>',
+
+    // Clips (time ranges, see shared/clips.mjs)
+    'clip.button': '✂️ Clip',
+    'clip.prompt': '✂️ Reply to this message with the part of <b>{title}</b> to keep, e.g. <code>1:23-1:45</code> (m:ss or h:mm:ss).',
+    'clip.expired': 'This file is no longer available',
+    'clip.invalidRange': '❌ Invalid time range: {range}\nGive start and end as m:ss or h:mm:ss, e.g. <code>1:23-1:45</code>, at most {max} minutes apart.',
+    'clip.oneLink': '❌ A time range only works with a single link.',
+    'clip.range': '✂️ Clip: {range}',
+    'clip.processing': '✂️ <b>Clipping {range}</b> of {title}...',
+    'clip.cutting': '✂️ Cutting {range}...',
+
+    // Follows (see shared/follows.mjs)
+    'follow.notConfigured': '🔔 Following accounts is not set up (no follows table configured).',
+    'follow.unsupported': '❌ Send an Instagram profile or YouTube channel link, e.g. <code>/follow https://www.instagram.com/natgeo/</code>',
+    'follow.analyzeRole': '🚫 Auto-analysis of new posts needs the <b>analyst</b> role.',
+    'follow.limit': '❌ You already follow {max} accounts, the most allowed. /unfollow one first.',
+    'follow.already': 'ℹ️ You already follow <b>{account}</b>.',
+    'follow.added': '🔔 Following {emoji} <b>{account}</b> ({platform}).\n<i>New posts are checked regularly and downloaded here with your current /settings.</i>',
+    'follow.addedAnalyze': '🧠 Each new post is analyzed automatically.',
+    'follow.addedDigest': '📰 New posts are also listed in a daily digest.',
+    'follow.failed': '❌ Failed to update your follows: {error}',
+    'follow.none': "You don't follow any accounts yet. Send /follow with a profile link.",
+    'follow.title': '🔔 <b>Following</b> ({count}/{max})',
+    'follow.optionAnalyze': '🧠 analyze',
+    'follow.optionDigest': '📰 digest',
+    'follow.checkedAt': '<i>Checked {time} UTC</i>',
+    'follow.notChecked': '<i>Not checked yet</i>',
+    'follow.lastError': '⚠️ <i>Last check failed: {error}</i>',
+    'follow.notFound': "You don't follow that account. See /following.",
+    'follow.removed': '✅ Unfollowed <b>{account}</b>.',
+    'follow.removedShort': 'Unfollowed {account}',
+    'follow.newPost': '🔔 New from {emoji} <b>{account}</b>: {title}',
+    'follow.digestTitle': '📰 <b>Daily digest</b>: {count} new post(s)',
+    'follow.digestAccount': '{emoji} <b>{account}</b> ({platform}): {count}',
+    'follow.digestMore': '<i>…and {count} more</i>',
+
+    // Video analysis
+    'analysis.button': '🧠 Analyze Video',
+    'analysis.offer': 'Want insights on this video?',
+    'analysis.quotaReached': '⏳ Daily analysis quota reached',
+    'analysis.starting': '🧠 Starting analysis...',
+    'analysis.startingMessage': '🧠 <b>Video Analysis Starting...</b>\n\n' +
+        "<i>This will take ~2-3 minutes. I'll analyze the video's hook, retention mechanics, and virality strategy.</i>",
+    'analysis.autoStarting': '🧠 <b>Auto-analysis Starting...</b>\n\n<i>This will take ~2-3 minutes.</i>',
+    'analysis.surveying': '🧠 <b>Deep Surveying Video...</b>',
+    'analysis.initializing': '🔄 Initializing...',
+    'analysis.step.duration': '✅ Duration Analyzed',
+    'analysis.step.frames': '✅ Frames Extracted',
+    'analysis.step.visuals': '🔄 Analyzing Visuals (Gemini)...',
+    'analysis.step.transcribing': '🔄 Transcribing Audio...',
+    'analysis.step.audioUploaded': '✅ Audio Uploaded via S3',
+    'analysis.step.noAudio': '⚠️ No Audio Detected',
+    'analysis.step.synthesizing': '⬜ Synthesizing Strategy (Claude)...',
+    'analysis.header': '🎬 <b>Video Analysis: {title}</b>',
+    'analysis.split': '(Analysis split into multiple messages due to length)',
+    'analysis.part': '<i>Part {part}/{total}</i>',
+    'analysis.failed': '❌ <b>Analysis Failed</b>\n\n<i>Error: {error}</i>',
+    'analysis.gone': '❌ That analysis is no longer stored.',
+    'analysis.loadFailed': "❌ <b>Couldn't load the analysis</b>\n\n<i>Error: {error}</i>",
+
+    // Appended to the synthesis model's prompt (see processor/prompts.mjs)
+    'prompt.reportLanguage': 'Write the whole report in English.',
+};
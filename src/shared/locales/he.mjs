@@ -0,0 +1,398 @@
+/**
+ * Hebrew messages. Keys match en.mjs; anything missing here falls back to English.
+ */
+export default {
+    // Shared bits
+    'common.cancel': '✖ ביטול',
+    'common.cancelled': 'בוטל',
+    'common.accessDenied': '🚫 אין הרשאה',
+    'common.usage': '❌ שימוש: {usage}',
+    'common.total': 'סה״כ: {count}',
+    'common.unknown': 'לא ידוע',
+    'common.directLink': '📥 קישור ישיר ל-S3',
+    'common.linkExpires': '<i>הקישור בתוקף ל-7 ימים</i>',
+    'common.linksExpire': '<i>הקישורים בתוקף ל-7 ימים</i>',
+    'common.error': '<i>שגיאה: {error}</i>',
+    'common.analyzeN': '🧠 ניתוח #{n}',
+    'status.queued': 'בתור',
+    'status.downloading': 'בהורדה',
+
+    // /start and /help
+    'start.text': '🎬 <b>בוט הורדת מדיה</b>\n\n' +
+        'שלחו לי קישור מ:\n{sources}\n' +
+        'אוריד אותו ואשלח לכם קישור S3 (בתוקף ל-60 יום).\n\n' +
+        '<i>סרטוני YouTube מוחזרים כשמע MP3 כברירת מחדל. אפשר לשנות פורמט ואופן משלוח ב-/settings.</i>',
+    'help.title': '🤖 <b>פקודות</b> (התפקיד שלך: {role})',
+    'help.section.general': 'כללי',
+    'help.section.users': 'ניהול משתמשים',
+    'help.section.files': 'סטטיסטיקה וקבצים',
+    'commands.help': 'הצגת הפקודות הזמינות',
+    'commands.language': 'בחירת השפה שבה אענה',
+    'commands.settings': 'פורמט, איכות ואופן משלוח',
+    'commands.history': 'ההורדות האחרונות שלך',
+    'commands.search': 'חיפוש בכותרות, בתמלולים ובניתוחים',
+    'commands.cancel': 'ביטול ההורדות הפעילות שלך',
+    'commands.dl': 'הורדת קישור, או של ההודעה שעליה עונים',
+    'commands.follow': 'הורדת פוסטים חדשים מפרופיל אינסטגרם או מערוץ יוטיוב',
+    'commands.following': 'החשבונות שאחריהם אתם עוקבים',
+    'commands.unfollow': 'הפסקת מעקב אחרי חשבון',
+    'commands.users': 'רשימת המשתמשים המורשים',
+    'commands.add': 'הוספת משתמש לרשימת המורשים',
+    'commands.remove': 'הסרת משתמש',
+    'commands.promote': 'קביעת תפקיד ({roles})',
+    'commands.demote': 'הורדת תפקיד (בדרגה אחת כברירת מחדל)',
+    'commands.quota': 'הצגה או קביעה של מכסות (off להסרה)',
+    'commands.group': 'אישור צ׳אט קבוצתי, או רשימת הקבוצות המאושרות',
+    'commands.broadcast': 'הודעה למשתמשים המורשים (לפי תפקיד או פעילות אחרונה)',
+    'commands.audit': 'פעולות מנהלים וגישות שנדחו (לפי מבצע או יעד)',
+    'commands.stats': 'סטטיסטיקת שימוש',
+    'commands.export': 'ייצוא סטטיסטיקת שימוש כ-CSV',
+    'commands.list': 'רשימת קבצים ({platforms})',
+    'commands.clear': '⚠️ מחיקת קבצים מ-S3 ומהמסד',
+    'commands.roleRequired': '🚫 הפקודה {command} דורשת את התפקיד <b>{role}</b>.',
+
+    // Access requests
+    'access.pending': '⏳ <b>בקשת הגישה ממתינה</b>\n\nמנהל יבדוק את הבקשה שלך בקרוב. תקבלו הודעה כאן.',
+    'access.denied': '🚫 <b>הגישה נדחתה</b>\n\nבקשת הגישה שלך נדחתה. שלחו /request &lt;סיבה&gt; כדי לבקש שוב.',
+    'access.requested': '📨 <b>הגישה התבקשה</b>\n\n' +
+        'עדיין אין לך הרשאה להשתמש בבוט. הבקשה נשלחה למנהלים ותקבלו הודעה כאן כשיחליטו.',
+    'access.reasonTip': '<i>טיפ: אפשר לצרף סיבה עם /request &lt;סיבה&gt;</i>',
+    'access.tooSoon': '⏳ <b>הבקשה כבר נשלחה</b>\n\nהבקשה שלך כבר אצל המנהלים. אפשר לשלוח בקשה נוספת {reset}.',
+    'access.failed': '🚫 <b>הגישה נדחתה</b>\n\nאין לך הרשאה להשתמש בבוט. פנו למנהל לקבלת גישה.',
+    'access.adminRequest': '🔑 <b>בקשת גישה</b>\n\n👤 {name} ({handle})\n🆔 משתמש: <code>{userId}</code>',
+    'access.approve': '✅ אישור',
+    'access.deny': '🚫 דחייה',
+    'access.approveWithQuota': '📏 אישור עם מכסה',
+    'access.status.pending': 'ממתינה',
+    'access.status.approved': 'אושרה',
+    'access.status.denied': 'נדחתה',
+    'access.status.gone': 'לא קיימת',
+    'access.already': 'כבר {status}',
+    'access.alreadyBy': 'כבר {status} על ידי {admin}',
+    'access.alreadyMessage': '🔑 בקשת גישה מ-{user}: <b>{status}</b>',
+    'access.alreadyMessageBy': '🔑 בקשת גישה מ-{user}: <b>{status}</b> על ידי {admin}',
+    'access.outcome.approve': '✅ אושרה',
+    'access.outcome.quota': '✅ אושרה עם מכסה',
+    'access.outcome.deny': '🚫 נדחתה',
+    'access.decided': '🔑 בקשת גישה מ-{name} ({user})\n\n{outcome} על ידי {admin}',
+    'access.approved': '✅ <b>הגישה אושרה</b>\n\nאפשר לשלוח לי קישורים. שלחו /start כדי להתחיל.',
+    'access.quotaNote': '📏 מכסות: {limits}',
+    'access.declined': '🚫 <b>הגישה נדחתה</b>\n\nמנהל דחה את בקשת הגישה שלך.',
+
+    // Quotas
+    'quota.reached': '⏳ <b>הגעת למכסה</b>\n\nניצלת {used}/{max} {label}.\nמתאפס {reset}.',
+    'quota.reachedShort': '⏳ הגעת למכסה',
+    'quota.remaining': '📊 נותרו: {summary}',
+    'quota.requests_per_hour': 'בקשות בשעה הזו',
+    'quota.daily_mb': 'MB היום',
+    'quota.monthly_mb': 'MB החודש',
+    'quota.analyses_per_day': 'ניתוחים היום',
+    'quota.title': '📏 <b>מכסה עבור {user}</b>',
+    'quota.line': '• {limit}: {used}/{max} {unit} (מתאפס {reset})',
+    'quota.unlimited': '• {limit}: ללא הגבלה',
+    'quota.invalidSetting': '❌ הגדרת מכסה לא תקינה: <code>{setting}</code>\n\nמכסות אפשריות: {limits}',
+    'quota.invalidValue': '❌ ערך לא תקין עבור {limit}: <code>{value}</code>',
+    'quota.failed': '❌ עדכון המכסה נכשל: {error}',
+    'time.inDays': 'בעוד {days} ימים ו-{hours} שעות',
+    'time.inHours': 'בעוד {hours} שעות ו-{minutes} דקות',
+    'time.inMinutes': 'בעוד {minutes} דקות',
+
+    // User management
+    'users.title': '👥 <b>משתמשים מורשים</b>',
+    'users.none': 'אין משתמשים מורשים.',
+    'users.listFailed': '❌ הצגת המשתמשים נכשלה: {error}',
+    'users.unknownRole': '❌ תפקיד לא מוכר: {role}\n\nתפקידים: {roles}',
+    'users.added': '✅ המשתמש {user} נוסף לרשימת המורשים.',
+    'users.addedAs': '✅ המשתמש {user} נוסף לרשימת המורשים בתפקיד {role}.',
+    'users.addFailed': '❌ הוספת המשתמש נכשלה: {error}',
+    'users.ownRole': '🚫 אי אפשר לשנות את התפקיד של עצמך.',
+    'users.notFound': '❌ המשתמש {user} לא נמצא.',
+    'users.notFoundAdd': '❌ המשתמש {user} לא נמצא. השתמשו קודם ב-/add.',
+    'users.usageRoles': '❌ שימוש: {usage}\n\nתפקידים: {roles}',
+    'users.notPromotion': '❌ {user} כבר {current}; {role} אינו קידום.',
+    'users.notDemotion': '❌ {user} כבר {current}; {role} אינו הורדה בדרגה.',
+    'users.roleChanged': '{icon} {user} הוא עכשיו <b>{role}</b> (היה {previous}).',
+    'users.roleFailed': '❌ שינוי התפקיד נכשל: {error}',
+    'users.removed': '🚫 המשתמש {user} הוסר מרשימת המורשים.',
+    'users.removeFailed': '❌ הסרת המשתמש נכשלה: {error}',
+    'roles.cannotChange': '🚫 אי אפשר לשנות את התפקיד של משתמש שהוא {role}.',
+    'roles.cannotGrant': '🚫 אי אפשר להעניק את התפקיד {role}.',
+    'stats.title': '📊 <b>סטטיסטיקת שימוש</b>',
+    'stats.line': '   💾 {mb} MB | 🔄 {requests} בקשות',
+    'stats.failed': '❌ טעינת הסטטיסטיקה נכשלה: {error}',
+    'stats.lifetime': '<i>סה"כ מאז ומעולם</i>',
+    'stats.empty': 'אין הורדות בתקופה הזו.',
+    'stats.topUsers': '<b>משתמשים מובילים</b>',
+    'stats.moreUsers': '…ועוד {count}',
+    'stats.topPlatforms': '<b>פלטפורמות</b>',
+    'stats.invalidRange': '❌ טווח לא תקין: {range}\nיש להשתמש ב-today, 7d, 30d או from:YYYY-MM-DD [to:YYYY-MM-DD], עד {max} ימים.\n\nשימוש: {usage}',
+    'stats.notConfigured': '❌ סטטיסטיקת השימוש אינה מוגדרת.',
+
+    // Group chats
+    'group.listTitle': '👥 <b>קבוצות מאושרות</b>',
+    'group.autograbTag': ', הורדה אוטומטית',
+    'group.none': 'אין קבוצות מאושרות. הריצו /group allow בתוך קבוצה.',
+    'group.untitled': 'קבוצה',
+    'group.roles': '❌ קבוצה יכולה להעניק {roles}.',
+    'group.notAllowedYet': '❌ הקבוצה <code>{groupId}</code> עדיין לא מאושרת. הריצו קודם /group allow.',
+    'group.allowed': '✅ מאושרת: החברים פועלים בתפקיד <b>{role}</b>',
+    'group.notAllowed': '🚫 לא מאושרת',
+    'group.autograbOn': '⚡ הורדה אוטומטית: פעילה (כל קישור יורד)',
+    'group.autograbOff': '⚡ הורדה אוטומטית: כבויה (תייגו אותי או ענו /dl לקישור)',
+    'group.failed': '❌ עדכון הקבוצה נכשל: {error}',
+    'group.denied': '🚫 {user}, הקבוצה הזו לא מורשית להשתמש בי, וגם את/ה לא.\n\n' +
+        'מנהל יכול להריץ כאן /group allow, או שאפשר לשלוח לי הודעה פרטית עם /request כדי לבקש גישה.',
+    'group.revoked': '🚫 {user}, הגישה שלך הוסרה, והקבוצה הזו לא יכולה להחזיר אותה. בקש/י ממנהל להוסיף אותך שוב עם /add.',
+
+    // /settings and /language
+    'settings.title': '⚙️ <b>הגדרות</b>',
+    'settings.hint': '<i>הקישו על אפשרות כדי לשנות אותה.</i>',
+    'settings.unknown': '❌ הגדרה לא מוכרת',
+    'settings.saved': '✅ נשמר',
+    'settings.loadFailed': '❌ טעינת ההגדרות נכשלה: {error}',
+    'settings.youtubeLongFormat': 'סרטוני YouTube',
+    'settings.youtubeLongFormat.mp4': 'וידאו MP4',
+    'settings.maxHeight': 'רזולוציית וידאו מרבית',
+    'settings.maxHeight.best': 'הטובה ביותר',
+    'settings.delivery': 'אופן משלוח',
+    'settings.delivery.telegram': 'העלאה לטלגרם',
+    'settings.delivery.link': 'קישור S3 בלבד',
+    'settings.autoAnalyze': 'ניתוח אוטומטי אחרי הורדה',
+    'settings.autoAnalyze.off': 'כבוי',
+    'settings.autoAnalyze.on': 'פעיל',
+    'settings.language': 'שפה',
+    'settings.language.auto': 'אוטומטית',
+    'language.menu': '🌐 <b>שפה</b>: {language}\n\n<i>אוטומטית פירושו השפה של אפליקציית הטלגרם שלך.</i>',
+    'language.unknown': '❌ שפה לא מוכרת: {code}\n\nשפות: {codes}',
+    'language.saved': '🌐 בוצע, אענה ב<b>{language}</b>.',
+
+    // Downloads
+    'download.roleCannot': '🚫 התפקיד שלך ({role}) לא מאפשר הורדות. בקשו ממנהל לבצע /promote.',
+    'download.noLinkReply': '❌ לא נמצא קישור. ענו /dl להודעה עם קישור, או שלחו /dl יחד עם הקישור.',
+    'download.noUrl': '❌ לא נמצא קישור תקין בהודעה.',
+    'download.unsupported': '❌ קישור לא נתמך. שלחו קישור מ: {platforms}.',
+    'download.processing': '{emoji} מעבד את ה-{source} שלך...',
+    'download.processingFor': '{emoji} מעבד {source} עבור {user}...',
+    'download.willReceive': '<i>קישור S3 ({format}) יגיע בקרוב.</i>',
+    'download.autoAnalyze': '🧠 <i>הניתוח יתחיל אוטומטית.</i>',
+    'download.starting': '📥 מתחיל הורדה...\n\n<i>נא להמתין...</i>',
+    'download.progress': '📥 מוריד... <b>{percent}</b>{speed}\n\n<i>נא להמתין...</i>',
+    'download.converting': '🎵 ממיר ל-{format}...\n\n<i>כמעט סיימנו...</i>',
+    'download.merging': '🎬 ממזג וידאו ושמע...\n\n<i>כמעט סיימנו...</i>',
+    'download.instagram': '📸 <b>מביא מאינסטגרם (ScrapeCreators)...</b>\n\n<i>זה עשוי לקחת רגע...</i>',
+    'download.complete': '✅ <b>ההורדה הושלמה!</b>\n\n<b>{title}</b> ({mb} MB)\n{format} מוכן:',
+    'download.requestedBy': '👤 התבקש על ידי {user}',
+    'download.cancelled': '✖ <b>ההורדה בוטלה</b>',
+    'download.failed': '❌ <b>ההורדה נכשלה</b>\n\nמצטער, לא הצלחתי להוריד את המדיה.\n\n<i>שגיאה: {error}</i>',
+
+    // Batches and playlists
+    'batch.download': 'הורדה מרובה',
+    'batch.complete': 'ההורדה המרובה הושלמה',
+    'batch.progress': '📦 <b>{name}</b>: {finished}/{total} הסתיימו',
+    'batch.summary': '📦 <b>{name}</b>: {done} הורדו',
+    'batch.summaryFailed': ', {count} נכשלו',
+    'batch.summaryCancelled': ', {count} בוטלו',
+    'batch.unknownError': 'שגיאה לא ידועה',
+    'batch.skipped': '⚠️ דולגו {count} קישורים: {reasons}',
+    'batch.skip.unsupported': '{count} לא נתמכים',
+    'batch.skip.quota': '{count} מעבר למכסה שלך',
+    'batch.skip.limit': '{count} מעבר למגבלת ההורדה המרובה',
+    'batch.zipLink': '🗜️ <a href="{url}">ZIP של כל קובצי ה-MP3</a>',
+    'batch.zipFailed': '🗜️ <i>יצירת ה-ZIP נכשלה</i>',
+    'batch.zipBuilding': '🗜️ <i>יוצר ZIP...</i>',
+    'batch.cancel': '✖ ביטול הכול',
+    'collection.reading': '{emoji} קורא {source}...\n\n<i>סופר סרטונים, זה לוקח כמה שניות.</i>',
+    'collection.prompt': '📚 <b>{title}</b>\n\n' +
+        'נמצאו <b>{count}</b> סרטונים ב{kind} הזה.\n' +
+        'כמה להוריד? כל אחד נכנס לתור כהורדה נפרדת.\n\n' +
+        '🗜️ ZIP של כל קובצי ה-MP3: <b>{zip}</b>',
+    'collection.kind.playlist': 'פלייליסט',
+    'collection.kind.channel': 'ערוץ',
+    'collection.on': 'פעיל',
+    'collection.off': 'כבוי',
+    'collection.latest': '{count} האחרונים',
+    'collection.first': '{count} הראשונים',
+    'collection.all': '⬇️ כל ה-{count}',
+    'collection.zipButtonOn': '🗜️ ZIP: פעיל',
+    'collection.zipButtonOff': '🗜️ ZIP: כבוי',
+    'collection.zipOn': '🗜️ ZIP פעיל',
+    'collection.zipOff': 'ZIP כבוי',
+    'collection.expired': '⌛ פג תוקף ההודעה הזו',
+    'collection.notYours': '🚫 רק מי ששלח את הקישור יכול לבחור',
+    'collection.cancelled': '✖ <b>בוטל</b>\n\n{title}',
+    'collection.alreadyQueued': 'כבר בתור',
+    'collection.queueing': '⬇️ מכניס {count} סרטונים לתור...',
+    'collection.noVideos': 'לא נמצאו סרטונים',
+    'collection.failed': '❌ <b>קריאת הפלייליסט נכשלה</b>\n\n<i>שגיאה: {error}</i>',
+
+    // /cancel
+    'cancel.nothing': 'אין מה לבטל: אין לך הורדות פעילות.',
+    'cancel.title': '✖ <b>הורדות פעילות</b>',
+    'cancel.all': '✖ ביטול הכול',
+    'cancel.fallbackLabel': 'הורדה',
+    'cancel.listFailed': '❌ הצגת ההורדות נכשלה: {error}',
+    'cancel.unavailable': '❌ ביטול אינו זמין',
+    'cancel.batchFinished': '⌛ ההורדה המרובה כבר הסתיימה',
+    'cancel.batchNotYours': '🚫 רק מי ששלח את הקישורים יכול לבטל',
+    'cancel.cancellingCount': '✖ מבטל {count} הורדות...',
+    'cancel.cancellingCountMessage': '✖ <b>מבטל {count} הורדות</b>',
+    'cancel.nothingLeft': 'לא נשאר מה לבטל',
+    'cancel.nothingLeftMessage': 'לא נשאר מה לבטל.',
+    'cancel.cancelling': '✖ מבטל...',
+    'cancel.finished': '⌛ אין מה לבטל: ההורדה הסתיימה',
+
+    // /history, /list, /search and inline mode
+    'history.title': '🗂️ <b>ההורדות שלך</b>',
+    'history.empty': 'אין הורדות ב-7 הימים האחרונים.',
+    'history.link': '🔗 קישור #{n}',
+    'history.send': '📤 שליחה #{n}',
+    'history.hint': '<i>🔗 יוצר קישור חדש ל-7 ימים, 📤 שולח את הקובץ לכאן שוב.</i>',
+    'history.loadFailed': '❌ טעינת ההיסטוריה נכשלה: {error}',
+    'history.expired': '⌛ פג תוקף ההורדה הזו',
+    'history.relinking': '🔗 יוצר קישור חדש...',
+    'history.sending': '📤 שולח...',
+    'history.tooLarge': '📦 גדול מדי לשליחה בטלגרם, הנה קישור חדש במקום:\n\n{caption}',
+    'history.gone': 'הקובץ כבר לא שמור.',
+    'history.failed': '❌ <b>לא הצלחתי להביא את {name}</b>\n\n{reason}',
+    'list.activeTitle': '⏳ <b>הורדות פעילות</b>',
+    'list.title': '📂 <b>קבצים שהורדו</b>',
+    'list.platformTitle': '📂 <b>הורדות {platform}</b>',
+    'list.empty': 'לא נמצאו קבצים.',
+    'list.noMore': 'אין עוד קבצים.',
+    'list.page': 'עמוד {page}: <b>{mb} MB</b> ({count} קבצים)',
+    'list.prev': '▶️ הקודם',
+    'list.next': 'הבא ◀️',
+    'list.unknownFilter': '❌ מסנן לא מוכר: {filter}\n\nשימוש: {usage}',
+    'list.olderThan': '⏳ ישנים מ-{days} ימים',
+    'list.expired': '⌛ פג תוקף הרשימה, הריצו /list שוב',
+    'list.failed': '❌ הצגת הרשימה נכשלה: {error}',
+    'search.notConfigured': '❌ החיפוש לא מוגדר.',
+    'search.noTerms': '❌ חפשו לפחות מילה אחת (מילים נפוצות כמו "the" לא נלקחות בחשבון).',
+    'search.noResults': '🔎 אין תוצאות עבור <b>{query}</b>',
+    'search.open': '📥 פתיחה #{n}',
+    'search.analysis': '🧠 ניתוח #{n}',
+    'search.expired': '⌛ פג תוקף הקובץ',
+    'search.loadingAnalysis': '🧠 טוען ניתוח...',
+    'search.failed': '❌ החיפוש נכשל: {error}',
+    'inline.requestAccess': '🔑 בקשת גישה',
+    'inline.file': 'קובץ',
+
+    // /clear
+    'clear.nothing': '🗑️ אין מה למחוק',
+    'clear.confirmTitle': '⚠️ <b>למחוק קבצים?</b>',
+    'clear.confirmPlatformTitle': '⚠️ <b>למחוק קבצי {platform}?</b>',
+    'clear.confirmBody': 'הפעולה מוחקת לצמיתות <b>{count}</b> קבצים, <b>{mb} MB</b>, מ-S3 ומטבלת הקבצים. סטטיסטיקת המשתמשים נשמרת.',
+    'clear.confirm': '🗑️ אישור',
+    'clear.failed': '❌ המחיקה נכשלה: {error}',
+    'clear.expired': '⌛ פג תוקף התצוגה המקדימה, הריצו /clear שוב',
+    'clear.cancelled': '✖ <b>המחיקה בוטלה</b>\n\nשום דבר לא נמחק.',
+    'clear.clearing': '🗑️ מוחק...',
+    'clear.clearingMessage': '🗑️ <b>מוחק קבצים...</b>\n\n<i>זה עשוי לקחת רגע.</i>',
+    'clear.progress': '🗑️ <b>מוחק קבצים...</b>\n\n{done}/{total} נמחקו',
+    'clear.complete': '✅ <b>המחיקה הושלמה</b>\n\n' +
+        'נמחקו <b>{count}</b> קבצים מ-S3 ומטבלת הקבצים.\n' +
+        'שוחררו <b>{mb} MB</b>. סטטיסטיקת המשתמשים נשמרה.',
+    'clear.errors': '⚠️ {count} שגיאות, למשל <i>{error}</i>',
+    'clear.error': '❌ <b>המחיקה נכשלה</b>\n\n<i>שגיאה: {error}</i>',
+
+    // Broadcasts
+    'broadcast.previewTitle': '📣 <b>תצוגה מקדימה של ההודעה</b>',
+    'broadcast.activeWithin': '🕒 פעילים ב-{days} הימים האחרונים',
+    'broadcast.recipients': 'תישלח ל-<b>{count}</b> משתמשים.',
+    'broadcast.unreachable': '⚠️ {count} משתמשים מתאימים עוד לא כתבו לי בפרטי ולא ניתן להגיע אליהם.',
+    'broadcast.send': '📣 שליחה ל-{count}',
+    'broadcast.none': '📣 אין משתמשים לשלוח אליהם',
+    'broadcast.failed': '❌ השליחה נכשלה: {error}',
+    'broadcast.expired': '⌛ פג תוקף התצוגה המקדימה, הריצו /broadcast שוב',
+    'broadcast.cancelled': '✖ <b>השליחה בוטלה</b>\n\nשום דבר לא נשלח.',
+    'broadcast.sending': '📣 שולח...',
+    'broadcast.sendingMessage': '📣 <b>שולח את ההודעה...</b>',
+    'broadcast.progress': '📣 <b>שולח את ההודעה...</b>\n\n{done}/{total} נשלחו',
+    'broadcast.header': '📣 <b>הודעה</b>',
+    'broadcast.complete': '✅ <b>ההודעה נשלחה</b>\n\n' +
+        'נמסרה: <b>{delivered}</b>\n' +
+        'חסמו את הבוט: <b>{blocked}</b>\n' +
+        'נכשלה: <b>{failed}</b>',
+    'broadcast.gone': 'פג תוקף ההודעה',
+    'broadcast.error': '❌ <b>השליחה נכשלה</b>\n\n<i>שגיאה: {error}</i>',
+
+    // Audit log
+    'audit.title': '📜 <b>יומן ביקורת</b> (UTC)',
+    'audit.empty': 'לא נמצאו רשומות.',
+    'audit.noMore': 'אין עוד רשומות.',
+    'audit.page': 'עמוד {page}',
+    'audit.newer': '▶️ חדשות יותר',
+    'audit.older': 'ישנות יותר ◀️',
+    'audit.expired': '⌛ פג תוקף העמוד, הריצו /audit שוב',
+    'audit.failed': '❌ יומן הביקורת נכשל: {error}',
+    'audit.notConfigured': '❌ יומן הביקורת לא מוגדר.',
+    'audit.unknownAction': '❌ פעולה לא מוכרת: {action}\n\nפעולות: {actions}',
+
+    // Usage export (/export stats)
+    'export.preparing': '⏳ מכין את ייצוא השימוש ({from} → {to})…',
+    'export.complete': '📤 <b>ייצוא שימוש</b> {from} → {to}: {rows} שורות',
+    'export.download': '⬇️ הורדת CSV (הקישור יפוג בעוד 7 ימים)',
+    'export.error': '❌ <b>הייצוא נכשל</b>\n\n<i>שגיאה: {error}</i>',
+
+    // Clips (time ranges, see shared/clips.mjs)
+    'clip.button': '✂️ קטע',
+    'clip.prompt': '✂️ השיבו להודעה הזו עם החלק של <b>{title}</b> שתרצו לשמור, למשל <code>1:23-1:45</code> (m:ss או h:mm:ss).',
+    'clip.expired': 'הקובץ כבר לא זמין',
+    'clip.invalidRange': '❌ טווח זמן לא תקין: {range}\nיש לציין התחלה וסוף בפורמט m:ss או h:mm:ss, למשל <code>1:23-1:45</code>, עד {max} דקות.',
+    'clip.oneLink': '❌ טווח זמן עובד רק עם קישור יחיד.',
+    'clip.range': '✂️ קטע: {range}',
+    'clip.processing': '✂️ <b>חותך את {range}</b> מתוך {title}...',
+    'clip.cutting': '✂️ חותך את {range}...',
+
+    // Follows (see shared/follows.mjs)
+    'follow.notConfigured': '🔔 מעקב אחרי חשבונות אינו מוגדר (לא הוגדרה טבלת מעקבים).',
+    'follow.unsupported': '❌ שלחו קישור לפרופיל אינסטגרם או לערוץ יוטיוב, למשל <code>/follow https://www.instagram.com/natgeo/</code>',
+    'follow.analyzeRole': '🚫 ניתוח אוטומטי של פוסטים חדשים דורש את התפקיד <b>analyst</b>.',
+    'follow.limit': '❌ אתם כבר עוקבים אחרי {max} חשבונות, המספר המרבי. הסירו אחד עם /unfollow קודם.',
+    'follow.already': 'ℹ️ אתם כבר עוקבים אחרי <b>{account}</b>.',
+    'follow.added': '🔔 עוקבים אחרי {emoji} <b>{account}</b> ({platform}).\n<i>פוסטים חדשים נבדקים באופן קבוע ומורדים לכאן לפי ה-/settings הנוכחיות שלכם.</i>',
+    'follow.addedAnalyze': '🧠 כל פוסט חדש ינותח אוטומטית.',
+    'follow.addedDigest': '📰 פוסטים חדשים יופיעו גם בסיכום יומי.',
+    'follow.failed': '❌ עדכון המעקבים נכשל: {error}',
+    'follow.none': 'אתם עדיין לא עוקבים אחרי אף חשבון. שלחו /follow עם קישור לפרופיל.',
+    'follow.title': '🔔 <b>מעקבים</b> ({count}/{max})',
+    'follow.optionAnalyze': '🧠 ניתוח',
+    'follow.optionDigest': '📰 סיכום',
+    'follow.checkedAt': '<i>נבדק ב-{time} UTC</i>',
+    'follow.notChecked': '<i>עדיין לא נבדק</i>',
+    'follow.lastError': '⚠️ <i>הבדיקה האחרונה נכשלה: {error}</i>',
+    'follow.notFound': 'אתם לא עוקבים אחרי החשבון הזה. ראו /following.',
+    'follow.removed': '✅ המעקב אחרי <b>{account}</b> הופסק.',
+    'follow.removedShort': 'המעקב אחרי {account} הופסק',
+    'follow.newPost': '🔔 חדש מ-{emoji} <b>{account}</b>: {title}',
+    'follow.digestTitle': '📰 <b>סיכום יומי</b>: {count} פוסטים חדשים',
+    'follow.digestAccount': '{emoji} <b>{account}</b> ({platform}): {count}',
+    'follow.digestMore': '<i>…ועוד {count}</i>',
+
+    // Video analysis
+    'analysis.button': '🧠 ניתוח הסרטון',
+    'analysis.offer': 'רוצים תובנות על הסרטון הזה?',
+    'analysis.quotaReached': '⏳ הגעת למכסת הניתוחים היומית',
+    'analysis.starting': '🧠 מתחיל ניתוח...',
+    'analysis.startingMessage': '🧠 <b>ניתוח הסרטון מתחיל...</b>\n\n' +
+        '<i>זה ייקח כ-2-3 דקות. אנתח את הפתיח של הסרטון, מנגנוני השימור ואסטרטגיית הוויראליות.</i>',
+    'analysis.autoStarting': '🧠 <b>ניתוח אוטומטי מתחיל...</b>\n\n<i>זה ייקח כ-2-3 דקות.</i>',
+    'analysis.surveying': '🧠 <b>סוקר את הסרטון לעומק...</b>',
+    'analysis.initializing': '🔄 מאתחל...',
+    'analysis.step.duration': '✅ האורך נותח',
+    'analysis.step.frames': '✅ הפריימים חולצו',
+    'analysis.step.visuals': '🔄 מנתח את הוויזואליה (Gemini)...',
+    'analysis.step.transcribing': '🔄 מתמלל את השמע...',
+    'analysis.step.audioUploaded': '✅ השמע הועלה דרך S3',
+    'analysis.step.noAudio': '⚠️ לא זוהה שמע',
+    'analysis.step.synthesizing': '⬜ מגבש אסטרטגיה (Claude)...',
+    'analysis.header': '🎬 <b>ניתוח סרטון: {title}</b>',
+    'analysis.split': '(הניתוח פוצל לכמה הודעות בגלל האורך)',
+    'analysis.part': '<i>חלק {part}/{total}</i>',
+    'analysis.failed': '❌ <b>הניתוח נכשל</b>\n\n<i>שגיאה: {error}</i>',
+    'analysis.gone': '❌ הניתוח הזה כבר לא שמור.',
+    'analysis.loadFailed': '❌ <b>טעינת הניתוח נכשלה</b>\n\n<i>שגיאה: {error}</i>',
+
+    // Appended to the synthesis model's prompt (see processor/prompts.mjs)
+    'prompt.reportLanguage': 'Write the whole report in Hebrew.',
+};
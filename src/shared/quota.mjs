@@ -0,0 +1,155 @@
+import { UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { DEFAULT_LANGUAGE, t } from './i18n.mjs';
+
+/**
+ * PER-USER QUOTAS
+ * Limits live on the user record in a `quota` map (missing key = unlimited).
+ * Each limit is enforced against a fixed UTC window counter stored as two
+ * top-level attributes: `<counter>` and `<counter>_period` (the window it belongs to).
+ * A counter whose period is stale counts as zero.
+ * Each limit is described to users by the catalog message `quota.<limit>`.
+ */
+export const QUOTA_LIMITS = [
+    { limit: 'requests_per_hour', counter: 'requests_hour', window: 'hour', unit: 'requests' },
+    { limit: 'daily_mb', counter: 'mb_day', window: 'day', unit: 'MB' },
+    { limit: 'monthly_mb', counter: 'mb_month', window: 'month', unit: 'MB' },
+    { limit: 'analyses_per_day', counter: 'analyses_day', window: 'day', unit: 'analyses' },
+];
+
+/**
+ * @param {'hour'|'day'|'month'} window
+ * @param {Date} [date]
+ * @returns {string} Period key, e.g. '2026-10-19T14', '2026-10-19' or '2026-10'.
+ */
+export function periodKey(window, date = new Date()) {
+    const iso = date.toISOString();
+    if (window === 'hour') return iso.substring(0, 13);
+    if (window === 'month') return iso.substring(0, 7);
+    return iso.substring(0, 10);
+}
+
+/**
+ * @param {'hour'|'day'|'month'} window
+ * @param {Date} [date]
+ * @returns {Date} Start of the next window (when the counter resets).
+ */
+export function periodReset(window, date = new Date()) {
+    const y = date.getUTCFullYear();
+    const m = date.getUTCMonth();
+    const d = date.getUTCDate();
+    if (window === 'hour') return new Date(Date.UTC(y, m, d, date.getUTCHours() + 1));
+    if (window === 'month') return new Date(Date.UTC(y, m + 1, 1));
+    return new Date(Date.UTC(y, m, d + 1));
+}
+
+/**
+ * Read the current value of a window counter from a raw DynamoDB user item.
+ */
+function counterValue(item, counter, window, now) {
+    if (item?.[`${counter}_period`]?.S !== periodKey(window, now)) return 0;
+    return parseFloat(item?.[counter]?.N || 0);
+}
+
+/**
+ * Evaluate a user's quota limits.
+ *
+ * @param {object} item - Raw DynamoDB user item.
+ * @param {string[]} limits - Limit names to check, e.g. ['requests_per_hour', 'daily_mb'].
+ * @param {Date} [now]
+ * @returns {{ allowed: boolean, exceeded: object|null, status: object[] }}
+ *   `status` has one entry per configured limit: { limit, counter, unit, max, used, remaining, resetAt }.
+ */
+export function evaluateQuota(item, limits, now = new Date()) {
+    const quota = item?.quota?.M || {};
+    const status = [];
+
+    for (const def of QUOTA_LIMITS) {
+        if (!limits.includes(def.limit) || !quota[def.limit]) continue;
+        const max = parseFloat(quota[def.limit].N);
+        const used = counterValue(item, def.counter, def.window, now);
+        status.push({
+            ...def,
+            max,
+            used,
+            remaining: Math.max(0, max - used),
+            resetAt: periodReset(def.window, now),
+        });
+    }
+
+    const exceeded = status.find(s => s.used >= s.max) || null;
+    return { allowed: !exceeded, exceeded, status };
+}
+
+// Rounds of add-or-reset before giving up; a round only fails when another request
+// moved the counter to a new window in between, or when the user has no record
+const COUNTER_ATTEMPTS = 3;
+
+/**
+ * Add to a window counter on the users table, resetting it first if its period is stale.
+ * Each write is a single conditional update, so two requests at a window boundary can't
+ * overwrite each other's count: the one that loses the reset retries as an add. Never
+ * creates the user record: counters only go on users who already have one.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Users table name.
+ * @param {object} key - DynamoDB key of the user record.
+ * @param {string} counter - Counter attribute, e.g. 'mb_day'.
+ * @param {number} amount
+ */
+export async function incrementQuotaCounter(ddb, tableName, key, counter, amount) {
+    const def = QUOTA_LIMITS.find(l => l.counter === counter);
+    const period = periodKey(def.window);
+    const names = { '#k': Object.keys(key)[0], '#c': counter, '#p': `${counter}_period` };
+    const values = { ':amount': { N: amount.toFixed(2) }, ':period': { S: period } };
+
+    for (let attempt = 0; attempt < COUNTER_ATTEMPTS; attempt++) {
+        try {
+            // Same window: add to the running total
+            await ddb.send(new UpdateItemCommand({
+                TableName: tableName,
+                Key: key,
+                UpdateExpression: 'SET #c = #c + :amount',
+                ConditionExpression: '#p = :period',
+                ExpressionAttributeNames: { '#c': names['#c'], '#p': names['#p'] },
+                ExpressionAttributeValues: values
+            }));
+            return;
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') throw error;
+        }
+
+        try {
+            // New window (or first use): start the counter over, unless another request just did
+            await ddb.send(new UpdateItemCommand({
+                TableName: tableName,
+                Key: key,
+                UpdateExpression: 'SET #c = :amount, #p = :period',
+                ConditionExpression: 'attribute_exists(#k) AND (attribute_not_exists(#p) OR #p <> :period)',
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values
+            }));
+            return;
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') throw error;
+        }
+    }
+    throw new Error(`Could not update ${counter}: no user record, or it kept changing window`);
+}
+
+/**
+ * Format a reset time relative to now, e.g. "in 2h 15m".
+ *
+ * @param {Date} resetAt
+ * @param {string} [lang]
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function formatResetTime(resetAt, lang = DEFAULT_LANGUAGE, now = new Date()) {
+    const totalMin = Math.max(1, Math.ceil((resetAt.getTime() - now.getTime()) / 60000));
+    const days = Math.floor(totalMin / 1440);
+    const hours = Math.floor((totalMin % 1440) / 60);
+    const mins = totalMin % 60;
+    if (days > 0) return t(lang, 'time.inDays', { days, hours });
+    if (hours > 0) return t(lang, 'time.inHours', { hours, minutes: mins });
+    return t(lang, 'time.inMinutes', { minutes: mins });
+}
@@ -0,0 +1,78 @@
+/**
+ * ROLES
+ * Ordered from least to most privileged. A user with a given role can do
+ * everything the roles below it can.
+ *   - viewer:     can talk to the bot (/start, /help) but not queue work
+ *   - downloader: can send links to download
+ *   - analyst:    can also run video analysis
+ *   - admin:      can manage users, quotas and files
+ *   - owner:      can also promote/demote admins (bootstrapped from TELEGRAM_ADMIN_USER_ID/USERNAME)
+ */
+export const ROLES = ['viewer', 'downloader', 'analyst', 'admin', 'owner'];
+
+// Roles written before role-based access existed
+const LEGACY_ROLES = {
+    user: 'analyst',
+};
+
+/**
+ * Map a stored role value to a known role. Unknown values get the least privilege.
+ *
+ * @param {string|undefined} role
+ * @returns {string}
+ */
+export function normalizeRole(role) {
+    if (ROLES.includes(role)) return role;
+    return LEGACY_ROLES[role] || 'viewer';
+}
+
+/**
+ * @param {string} role - The user's role.
+ * @param {string} required - The minimum role needed.
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+    return ROLES.indexOf(normalizeRole(role)) >= ROLES.indexOf(required);
+}
+
+/**
+ * Check whether `actorRole` may change a user from `currentRole` to `newRole`.
+ * Actors can only manage users strictly below them and can't grant more than they have.
+ *
+ * @returns {{ key: string, params: object }|null} Why not, as a message catalog key and
+ *   its parameters, or null if allowed.
+ */
+export function checkRoleChange(actorRole, currentRole, newRole) {
+    const actor = ROLES.indexOf(normalizeRole(actorRole));
+    if (ROLES.indexOf(normalizeRole(currentRole)) >= actor && actorRole !== 'owner') {
+        return { key: 'roles.cannotChange', params: { role: normalizeRole(currentRole) } };
+    }
+    if (ROLES.indexOf(newRole) > actor) {
+        return { key: 'roles.cannotGrant', params: { role: newRole } };
+    }
+    return null;
+}
+
+/**
+ * The most privileged of the given roles, ignoring null/undefined.
+ *
+ * @param {...(string|null)} roles
+ * @returns {string|null}
+ */
+export function highestRole(...roles) {
+    const known = roles.filter(Boolean).map(normalizeRole);
+    if (known.length === 0) return null;
+    return known.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best));
+}
+
+/**
+ * Whether a user was removed with /remove or denied access (older denials predate
+ * `revoked_at`). Unlike a user who was never added, this also keeps them from acting
+ * under an allowlisted group's role.
+ *
+ * @param {object|null} item - Raw users table item.
+ * @returns {boolean}
+ */
+export function isRevoked(item) {
+    return Boolean(item?.revoked_at) || item?.request_status?.S === 'denied';
+}
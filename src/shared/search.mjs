@@ -0,0 +1,300 @@
+import { BatchGetItemCommand, BatchWriteItemCommand, GetItemCommand, QueryCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { escapeHtml } from './telegram.mjs';
+
+/**
+ * FULL-TEXT SEARCH
+ * An inverted index over each downloaded file's title, transcript and analysis, kept in
+ * its own table: one posting per (term, file_key) with the file's weighted term frequency
+ * (`tf`), length in tokens (`len`) and owner (`user_id`, so a user's search can skip
+ * other users' files before fetching them). Results are ranked with BM25, so rare terms and
+ * title hits count for more. A `#stats` row holds the document count and total length
+ * for the idf and average length; it is approximate once postings expire with their file.
+ *
+ * The files item remembers what was indexed (`search_terms`, `search_len`) so a re-index
+ * (e.g. after analysis adds a transcript) can drop postings for terms that disappeared.
+ * Tokenizing, scoring and snippets are plain functions; only indexFile(), removeFromIndex()
+ * and searchFiles() touch DynamoDB.
+ */
+
+// Field weights: a title hit is worth three in the body
+const FIELDS = [
+    { attr: 'title', weight: 3 },
+    { attr: 'transcript', weight: 1 },
+    { attr: 'analysis', weight: 1 },
+];
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STATS_KEY = { term: { S: '#stats' }, file_key: { S: '#stats' } };
+
+// Most query terms looked up, and postings read per term
+const MAX_QUERY_TERMS = 8;
+const MAX_POSTINGS = 1000;
+
+const SNIPPET_LENGTH = 160;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her', 'his',
+    'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so',
+    'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when',
+    'which', 'who', 'will', 'with', 'you', 'your',
+]);
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split text into lowercase search terms (letters and digits in any script, accents
+ * removed), dropping stop words and single characters. Filenames' underscores count
+ * as spaces.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Weighted term frequencies of a raw files item.
+ *
+ * @param {object} item - Raw DynamoDB files item.
+ * @returns {{ terms: Map<string, number>, length: number }}
+ */
+export function buildDocument(item) {
+    const terms = new Map();
+    let length = 0;
+    for (const { attr, weight } of FIELDS) {
+        const tokens = tokenize(item[attr]?.S);
+        length += tokens.length;
+        for (const term of tokens) terms.set(term, (terms.get(term) || 0) + weight);
+    }
+    return { terms, length };
+}
+
+/**
+ * BM25 score of one posting.
+ *
+ * @param {number} tf - Weighted term frequency in the document.
+ * @param {number} length - Document length in tokens.
+ * @param {number} df - Documents containing the term.
+ * @param {{ docs: number, avgLength: number }} stats
+ * @returns {number}
+ */
+export function scorePosting(tf, length, df, { docs, avgLength }) {
+    const idf = Math.log(1 + (Math.max(docs, df) - df + 0.5) / (df + 0.5));
+    return idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / (avgLength || length || 1)));
+}
+
+/**
+ * A short excerpt around the first query term found in the transcript or analysis
+ * (or the title), HTML-escaped with the hits in bold.
+ *
+ * @param {object} item - Raw DynamoDB files item.
+ * @param {string[]} terms - Tokenized query.
+ * @returns {{ field: string, html: string }|null}
+ */
+export function makeSnippet(item, terms) {
+    if (terms.length === 0) return null;
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+    for (const field of ['transcript', 'analysis', 'title']) {
+        const text = (item[field]?.S || '').replace(/\s+/g, ' ');
+        // Match on an accent-free copy so "cafe" finds "café"; NFKD + mark removal keeps
+        // most strings the same length, otherwise fall back to the raw text
+        const plain = text.normalize('NFKD').replace(/\p{M}/gu, '');
+        const searchable = plain.length === text.length ? plain : text;
+
+        pattern.lastIndex = 0;
+        const match = pattern.exec(searchable);
+        if (!match) continue;
+
+        const start = Math.max(0, match.index - SNIPPET_LENGTH / 2);
+        const end = Math.min(text.length, start + SNIPPET_LENGTH);
+        const highlighted = [];
+        let last = start;
+        pattern.lastIndex = start;
+        for (let hit = pattern.exec(searchable); hit && hit.index < end; hit = pattern.exec(searchable)) {
+            const hitEnd = Math.min(end, hit.index + hit[0].length);
+            highlighted.push(escapeHtml(text.slice(last, hit.index)), `<b>${escapeHtml(text.slice(hit.index, hitEnd))}</b>`);
+            last = hitEnd;
+        }
+        highlighted.push(escapeHtml(text.slice(last, end)));
+
+        const html = (start > 0 ? '…' : '') + highlighted.join('') + (end < text.length ? '…' : '');
+        return { field, html };
+    }
+    return null;
+}
+
+async function batchWrite(ddb, tableName, requests) {
+    for (let i = 0; i < requests.length; i += 25) {
+        let pending = { [tableName]: requests.slice(i, i + 25) };
+        // Retry whatever DynamoDB throttled
+        for (let attempt = 0; pending && Object.keys(pending).length > 0 && attempt < 5; attempt++) {
+            if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 100 * 2 ** attempt));
+            const response = await ddb.send(new BatchWriteItemCommand({ RequestItems: pending }));
+            pending = response.UnprocessedItems;
+        }
+    }
+}
+
+/**
+ * (Re)index one file. Call again whenever its title, transcript or analysis changes.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {{ searchTable: string, filesTable: string }} tables
+ * @param {object} item - Raw DynamoDB files item (with any previous `search_terms` / `search_len`).
+ * @returns {Promise<number>} Number of distinct terms indexed.
+ */
+export async function indexFile(ddb, { searchTable, filesTable }, item) {
+    const fileKey = item.file_key.S;
+    const { terms, length } = buildDocument(item);
+    const previousTerms = item.search_terms?.SS || [];
+    const previousLength = item.search_len ? parseInt(item.search_len.N) : null;
+
+    const puts = [...terms].map(([term, tf]) => ({
+        PutRequest: {
+            Item: {
+                term: { S: term },
+                file_key: { S: fileKey },
+                tf: { N: String(tf) },
+                len: { N: String(length) },
+                ...(item.user_id && { user_id: item.user_id }),
+                ...(item.ttl && { ttl: item.ttl }),
+            }
+        }
+    }));
+    const deletes = previousTerms
+        .filter(term => !terms.has(term))
+        .map(term => ({ DeleteRequest: { Key: { term: { S: term }, file_key: { S: fileKey } } } }));
+    await batchWrite(ddb, searchTable, [...puts, ...deletes]);
+
+    await ddb.send(new UpdateItemCommand({
+        TableName: searchTable,
+        Key: STATS_KEY,
+        UpdateExpression: 'ADD docs :docs, total_len :len',
+        ExpressionAttributeValues: {
+            ':docs': { N: previousLength === null ? '1' : '0' },
+            ':len': { N: String(length - (previousLength || 0)) },
+        }
+    }));
+
+    // String sets can't be empty, so files with no terms just drop the attribute
+    await ddb.send(new UpdateItemCommand({
+        TableName: filesTable,
+        Key: { file_key: { S: fileKey } },
+        UpdateExpression: terms.size > 0 ? 'SET search_terms = :terms, search_len = :len' : 'SET search_len = :len REMOVE search_terms',
+        ExpressionAttributeValues: {
+            ...(terms.size > 0 && { ':terms': { SS: [...terms.keys()] } }),
+            ':len': { N: String(length) },
+        }
+    }));
+
+    return terms.size;
+}
+
+/**
+ * Drop deleted files from the index.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {{ searchTable: string }} tables
+ * @param {object[]} items - Raw DynamoDB files items, as last indexed.
+ */
+export async function removeFromIndex(ddb, { searchTable }, items) {
+    const indexed = items.filter(item => item.search_len);
+    if (indexed.length === 0) return;
+
+    const deletes = indexed.flatMap(item => (item.search_terms?.SS || [])
+        .map(term => ({ DeleteRequest: { Key: { term: { S: term }, file_key: item.file_key } } })));
+    await batchWrite(ddb, searchTable, deletes);
+
+    await ddb.send(new UpdateItemCommand({
+        TableName: searchTable,
+        Key: STATS_KEY,
+        UpdateExpression: 'ADD docs :docs, total_len :len',
+        ExpressionAttributeValues: {
+            ':docs': { N: String(-indexed.length) },
+            ':len': { N: String(-indexed.reduce((sum, item) => sum + parseInt(item.search_len.N), 0)) },
+        }
+    }));
+}
+
+async function readPostings(ddb, searchTable, term) {
+    const postings = [];
+    let lastKey;
+    do {
+        const response = await ddb.send(new QueryCommand({
+            TableName: searchTable,
+            KeyConditionExpression: 'term = :term',
+            ExpressionAttributeValues: { ':term': { S: term } },
+            ExclusiveStartKey: lastKey,
+        }));
+        postings.push(...(response.Items || []));
+        lastKey = response.LastEvaluatedKey;
+    } while (lastKey && postings.length < MAX_POSTINGS);
+    return postings;
+}
+
+async function getFiles(ddb, filesTable, fileKeys) {
+    const response = await ddb.send(new BatchGetItemCommand({
+        RequestItems: { [filesTable]: { Keys: fileKeys.map(fileKey => ({ file_key: { S: fileKey } })) } }
+    }));
+    return new Map((response.Responses?.[filesTable] || []).map(item => [item.file_key.S, item]));
+}
+
+/**
+ * Search the index. Files that have expired from the files table are left out.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {{ searchTable: string, filesTable: string }} tables
+ * @param {string} query
+ * @param {{ limit?: number, userId?: string|number }} [options] - `userId` limits results to
+ *   that user's downloads.
+ * @returns {Promise<{ terms: string[], results: { item: object, score: number, snippet: object|null }[] }>}
+ *   `item` is the raw files item, best match first.
+ */
+export async function searchFiles(ddb, { searchTable, filesTable }, query, { limit = 5, userId = null } = {}) {
+    const owner = userId === null ? null : String(userId);
+    const terms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+    if (terms.length === 0) return { terms, results: [] };
+
+    const statsResponse = await ddb.send(new GetItemCommand({ TableName: searchTable, Key: STATS_KEY }));
+    const docs = parseInt(statsResponse.Item?.docs?.N || 0);
+    const stats = { docs, avgLength: docs > 0 ? parseInt(statsResponse.Item.total_len.N) / docs : 0 };
+
+    const scores = new Map();
+    for (const term of terms) {
+        const postings = await readPostings(ddb, searchTable, term);
+        for (const posting of postings) {
+            // Postings written before they carried an owner are checked on the file instead
+            if (owner && posting.user_id && posting.user_id.S !== owner) continue;
+            const score = scorePosting(parseFloat(posting.tf.N), parseInt(posting.len.N), postings.length, stats);
+            scores.set(posting.file_key.S, (scores.get(posting.file_key.S) || 0) + score);
+        }
+    }
+
+    // Fetch candidates a few spare at a time, as some have expired or belong to someone else
+    const ranked = [...scores].sort((a, b) => b[1] - a[1]);
+    const results = [];
+    for (let i = 0; i < ranked.length && results.length < limit; i += limit * 2) {
+        const candidates = ranked.slice(i, i + limit * 2);
+        const items = await getFiles(ddb, filesTable, candidates.map(([fileKey]) => fileKey));
+        for (const [fileKey, score] of candidates) {
+            const item = items.get(fileKey);
+            if (!item || (owner && item.user_id?.S !== owner)) continue;
+            results.push({ item, score, snippet: makeSnippet(item, terms) });
+            if (results.length === limit) break;
+        }
+    }
+
+    return { terms, results };
+}
@@ -0,0 +1,132 @@
+import { getSource, getOutputFormat } from './sources/index.mjs';
+import { LANGUAGES, t } from './i18n.mjs';
+
+/**
+ * PER-USER SETTINGS
+ * Stored on the user record in a `settings` map of strings (missing key = default).
+ * The webhook resolves them when a link is queued and passes them to the processor
+ * in the SQS message as a plain object keyed by `key`.
+ *   - attr: key in the stored map; key: name in the resolved object
+ *   - role: minimum role that sees the setting in /settings
+ * Labels come from the message catalog (`settings.<key>` and `settings.<key>.<value>`),
+ * except options named the same in every language, which carry their own `label`.
+ */
+export const SETTINGS = [
+    {
+        key: 'youtubeLongFormat',
+        attr: 'youtube_long_format',
+        emoji: '🎵',
+        role: 'downloader',
+        default: 'mp3',
+        options: [
+            { value: 'mp3', label: 'MP3' },
+            { value: 'm4a', label: 'M4A' },
+            { value: 'mp4' },
+        ],
+    },
+    {
+        key: 'maxHeight',
+        attr: 'max_height',
+        emoji: '📐',
+        role: 'downloader',
+        default: 'best',
+        options: [
+            { value: 'best' },
+            { value: '1080', label: '1080p' },
+            { value: '720', label: '720p' },
+            { value: '480', label: '480p' },
+            { value: '360', label: '360p' },
+        ],
+    },
+    {
+        key: 'delivery',
+        attr: 'delivery',
+        emoji: '📤',
+        role: 'downloader',
+        default: 'telegram',
+        options: [
+            { value: 'telegram' },
+            { value: 'link' },
+        ],
+    },
+    {
+        key: 'autoAnalyze',
+        attr: 'auto_analyze',
+        emoji: '🧠',
+        role: 'analyst',
+        default: 'off',
+        options: [
+            { value: 'off' },
+            { value: 'on' },
+        ],
+    },
+    {
+        key: 'language',
+        attr: 'language',
+        emoji: '🌐',
+        role: 'viewer',
+        default: 'auto',
+        options: [
+            { value: 'auto' },
+            ...LANGUAGES.map(l => ({ value: l.code, label: l.name })),
+        ],
+    },
+];
+
+// Output formats whose files are audio only
+export const AUDIO_FORMATS = ['mp3', 'm4a'];
+
+/**
+ * @param {string} attr - Stored attribute name, e.g. 'max_height'.
+ * @returns {object|undefined}
+ */
+export function getSetting(attr) {
+    return SETTINGS.find(s => s.attr === attr);
+}
+
+/**
+ * @param {object} setting - An entry of SETTINGS.
+ * @param {string} lang
+ * @returns {string}
+ */
+export function settingLabel(setting, lang) {
+    return t(lang, `settings.${setting.key}`);
+}
+
+/**
+ * @param {object} setting - An entry of SETTINGS.
+ * @param {{ value: string, label?: string }} option - One of its options.
+ * @param {string} lang
+ * @returns {string}
+ */
+export function optionLabel(setting, option, lang) {
+    return option.label || t(lang, `settings.${setting.key}.${option.value}`);
+}
+
+/**
+ * Resolve a raw DynamoDB user item's settings, filling in defaults and
+ * ignoring values that are no longer valid options.
+ *
+ * @param {object|null} item
+ * @returns {object} e.g. { youtubeLongFormat: 'mp3', maxHeight: 'best', delivery: 'telegram', autoAnalyze: 'off', language: 'auto' }
+ */
+export function parseSettings(item) {
+    const stored = item?.settings?.M || {};
+    return Object.fromEntries(SETTINGS.map(s => {
+        const value = stored[s.attr]?.S;
+        return [s.key, s.options.some(o => o.value === value) ? value : s.default];
+    }));
+}
+
+/**
+ * The output format for a source type, honouring the user's settings where the
+ * registry allows it (source types with a `formatSetting`).
+ *
+ * @param {string} sourceType
+ * @param {object} [settings] - From parseSettings().
+ * @returns {string} 'mp3', 'm4a' or 'mp4'
+ */
+export function resolveOutputFormat(sourceType, settings = {}) {
+    const formatSetting = getSource(sourceType)?.formatSetting;
+    return (formatSetting && settings[formatSetting]) || getOutputFormat(sourceType);
+}
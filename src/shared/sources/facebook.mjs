@@ -0,0 +1,41 @@
+/**
+ * Facebook source definitions.
+ * Covers /videos/, /watch, /reel/ and /share/v/ links plus fb.watch short links.
+ */
+export default {
+    platform: 'facebook',
+    label: 'Facebook',
+    shortLabel: 'FB',
+    emoji: '📘',
+    cookies: null,
+    useProxy: false,
+
+    /**
+     * Extract the numeric video ID, or the share/short-link code when there is none.
+     *
+     * @param {string} url - The Facebook URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const match = url.match(/facebook\.com\/(?:.+\/videos\/|watch\/?\?v=|reel\/)(\d+)/i) ||
+            url.match(/(?:facebook\.com\/share\/[vr]\/|fb\.watch\/)([\w-]+)/i);
+        return match ? match[1] : null;
+    },
+
+    types: [
+        {
+            type: 'facebook-video',
+            label: 'Facebook Video',
+            emoji: '📘',
+            patterns: [
+                /facebook\.com\/.+\/videos\/\d+/i,
+                /facebook\.com\/watch\/?\?v=\d+/i,
+                /facebook\.com\/reel\/\d+/i,
+                /facebook\.com\/share\/[vr]\/[\w-]+/i,
+                /fb\.watch\/[\w-]+/i,
+            ],
+            downloader: 'ytdlp',
+            format: 'mp4',
+        },
+    ],
+};
@@ -0,0 +1,113 @@
+import instagram from './instagram.mjs';
+import youtube from './youtube.mjs';
+import tiktok from './tiktok.mjs';
+import twitter from './twitter.mjs';
+import reddit from './reddit.mjs';
+import vimeo from './vimeo.mjs';
+import facebook from './facebook.mjs';
+
+/**
+ * SOURCE REGISTRY
+ * Shared by the webhook and processor Lambdas. Each platform module declares:
+ *   - platform, label, shortLabel, emoji: display info for /stats and messages
+ *   - cookies: which cookies secret to load ('youtube', 'instagram' or null)
+ *   - useProxy: whether downloads go through YOUTUBE_PROXY
+ *   - extractId(url): canonical ID extractor
+ *   - types: ordered source types, each with URL patterns, downloader and output format.
+ *     Types marked `collection: true` (playlists, channels) are expanded into one job
+ *     per entry instead of being downloaded (see shared/collections.mjs).
+ *     Types with a `formatSetting` let users override `format` (see shared/settings.mjs).
+ *
+ * Order matters: the first matching source type wins, so more specific
+ * patterns (stories, shorts) must be listed before generic ones.
+ * To add a platform, create a module next to this one and append it here.
+ */
+const PLATFORMS = [instagram, youtube, tiktok, twitter, reddit, vimeo, facebook];
+
+const S3_DOWNLOADS_PREFIX = 'downloads';
+
+const SOURCE_TYPES = PLATFORMS.flatMap(platform =>
+    platform.types.map(def => ({
+        s3Prefix: def.type,
+        ...def,
+        platform: platform.platform,
+        cookies: platform.cookies,
+        useProxy: platform.useProxy,
+    }))
+);
+
+const sourcesByType = new Map(SOURCE_TYPES.map(def => [def.type, def]));
+
+/**
+ * @returns {Array<object>} All registered platform modules, in match order.
+ */
+export function listPlatforms() {
+    return PLATFORMS;
+}
+
+/**
+ * @returns {Array<object>} All registered source types, in match order.
+ */
+export function listSourceTypes() {
+    return SOURCE_TYPES;
+}
+
+/**
+ * @param {string} name - Platform name, e.g. 'youtube'.
+ * @returns {object|undefined}
+ */
+export function getPlatform(name) {
+    return PLATFORMS.find(p => p.platform === name);
+}
+
+/**
+ * @param {string} sourceType - Source type, e.g. 'youtube-long'.
+ * @returns {object|undefined} The source definition merged with its platform settings.
+ */
+export function getSource(sourceType) {
+    return sourcesByType.get(sourceType);
+}
+
+/**
+ * Detect the source type of a URL.
+ *
+ * @param {string} url
+ * @returns {string|null} The source type, or null if no platform matches.
+ */
+export function detectSource(url) {
+    const match = SOURCE_TYPES.find(def => def.patterns.some(pattern => pattern.test(url)));
+    return match ? match.type : null;
+}
+
+/**
+ * Extract the platform's canonical ID for a URL.
+ *
+ * @param {string} sourceType
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function extractSourceId(sourceType, url) {
+    const source = getSource(sourceType);
+    if (!source) return null;
+    return getPlatform(source.platform).extractId(url);
+}
+
+/**
+ * @param {string} sourceType
+ * @returns {string} Output file format ('mp3' or 'mp4').
+ */
+export function getOutputFormat(sourceType) {
+    return getSource(sourceType)?.format || 'mp4';
+}
+
+/**
+ * Build the S3 key a downloaded file is stored under.
+ *
+ * @param {string} sourceType
+ * @param {string} filename
+ * @returns {string}
+ */
+export function getS3Key(sourceType, filename) {
+    const prefix = getSource(sourceType)?.s3Prefix || sourceType;
+    return `${S3_DOWNLOADS_PREFIX}/${prefix}/${filename}`;
+}
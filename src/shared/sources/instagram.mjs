@@ -0,0 +1,44 @@
+/**
+ * Instagram source definitions.
+ * Reels, posts and stories are fetched through ScrapeCreators rather than yt-dlp.
+ */
+export default {
+    platform: 'instagram',
+    label: 'Instagram',
+    shortLabel: 'IG',
+    emoji: '📸',
+    cookies: 'instagram',
+    useProxy: true,
+
+    /**
+     * Extract the canonical post ID (shortcode or story ID) from a URL.
+     *
+     * @param {string} url - The Instagram URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const story = url.match(/instagram\.com\/stories\/[^\/]+\/(\d+)/i);
+        if (story) return story[1];
+        const post = url.match(/instagram\.com\/(?:reel|reels|p)\/([\w-]+)/i);
+        return post ? post[1] : null;
+    },
+
+    types: [
+        {
+            type: 'instagram-story',
+            label: 'Instagram Story',
+            emoji: '📸',
+            patterns: [/instagram\.com\/stories\/[^\/]+\/\d+/i],
+            downloader: 'scrapecreators',
+            format: 'mp4',
+        },
+        {
+            type: 'instagram-reel',
+            label: 'Instagram Reel',
+            emoji: '🎞️',
+            patterns: [/instagram\.com\/(reel|reels|p)\/[\w-]+/i],
+            downloader: 'scrapecreators',
+            format: 'mp4',
+        },
+    ],
+};
@@ -0,0 +1,38 @@
+/**
+ * Reddit source definitions.
+ * Covers post permalinks, redd.it short links and direct v.redd.it video links.
+ */
+export default {
+    platform: 'reddit',
+    label: 'Reddit',
+    shortLabel: 'RD',
+    emoji: '👽',
+    cookies: null,
+    useProxy: false,
+
+    /**
+     * Extract the post ID (or the v.redd.it media ID for direct video links).
+     *
+     * @param {string} url - The Reddit URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const match = url.match(/reddit\.com\/r\/[^\/]+\/comments\/(\w+)/i) ||
+            url.match(/(?:v\.)?redd\.it\/(\w+)/i);
+        return match ? match[1] : null;
+    },
+
+    types: [
+        {
+            type: 'reddit-video',
+            label: 'Reddit Video',
+            emoji: '👽',
+            patterns: [
+                /reddit\.com\/r\/[^\/]+\/comments\/\w+/i,
+                /(v\.)?redd\.it\/\w+/i,
+            ],
+            downloader: 'ytdlp',
+            format: 'mp4',
+        },
+    ],
+};
@@ -0,0 +1,40 @@
+/**
+ * TikTok source definitions.
+ * Downloaded with yt-dlp; short links (vm./vt.tiktok.com) are resolved by yt-dlp itself.
+ */
+export default {
+    platform: 'tiktok',
+    label: 'TikTok',
+    shortLabel: 'TT',
+    emoji: '🎶',
+    cookies: null,
+    useProxy: false,
+
+    /**
+     * Extract the numeric video ID, or the short-link code for vm./vt. links.
+     *
+     * @param {string} url - The TikTok URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const video = url.match(/tiktok\.com\/@[^\/]+\/video\/(\d+)/i);
+        if (video) return video[1];
+        const short = url.match(/(?:vm|vt)\.tiktok\.com\/([\w-]+)|tiktok\.com\/t\/([\w-]+)/i);
+        return short ? (short[1] || short[2]) : null;
+    },
+
+    types: [
+        {
+            type: 'tiktok-video',
+            label: 'TikTok Video',
+            emoji: '🎶',
+            patterns: [
+                /tiktok\.com\/@[^\/]+\/video\/\d+/i,
+                /(vm|vt)\.tiktok\.com\/[\w-]+/i,
+                /tiktok\.com\/t\/[\w-]+/i,
+            ],
+            downloader: 'ytdlp',
+            format: 'mp4',
+        },
+    ],
+};
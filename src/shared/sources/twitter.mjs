@@ -0,0 +1,34 @@
+/**
+ * X / Twitter source definitions.
+ * Only status URLs with attached video are supported; yt-dlp fails on text-only posts.
+ */
+export default {
+    platform: 'twitter',
+    label: 'X/Twitter',
+    shortLabel: 'X',
+    emoji: '🐦',
+    cookies: null,
+    useProxy: false,
+
+    /**
+     * Extract the numeric status ID.
+     *
+     * @param {string} url - The x.com or twitter.com status URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const match = url.match(/(?:twitter|x)\.com\/[^\/]+\/status(?:es)?\/(\d+)/i);
+        return match ? match[1] : null;
+    },
+
+    types: [
+        {
+            type: 'twitter-video',
+            label: 'X/Twitter Video',
+            emoji: '🐦',
+            patterns: [/(^|\/\/|\.)(twitter|x)\.com\/[^\/]+\/status(es)?\/\d+/i],
+            downloader: 'ytdlp',
+            format: 'mp4',
+        },
+    ],
+};
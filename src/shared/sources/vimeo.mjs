@@ -0,0 +1,37 @@
+/**
+ * Vimeo source definitions.
+ * Public videos and player embeds; private videos need the unlisted hash in the URL.
+ */
+export default {
+    platform: 'vimeo',
+    label: 'Vimeo',
+    shortLabel: 'VM',
+    emoji: '🎬',
+    cookies: null,
+    useProxy: false,
+
+    /**
+     * Extract the numeric video ID.
+     *
+     * @param {string} url - The vimeo.com or player.vimeo.com URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const match = url.match(/vimeo\.com\/(?:video\/|.*\/)?(\d+)/i);
+        return match ? match[1] : null;
+    },
+
+    types: [
+        {
+            type: 'vimeo-video',
+            label: 'Vimeo Video',
+            emoji: '🎬',
+            patterns: [
+                /player\.vimeo\.com\/video\/\d+/i,
+                /vimeo\.com\/(.*\/)?\d+/i,
+            ],
+            downloader: 'ytdlp',
+            format: 'mp4',
+        },
+    ],
+};
@@ -0,0 +1,55 @@
+/**
+ * YouTube source definitions.
+ * Shorts are kept as video; long-form videos are reduced to audio unless the
+ * user picks another format in /settings.
+ * Playlist and channel URLs are collections: they expand into one job per video.
+ */
+export default {
+    platform: 'youtube',
+    label: 'YouTube',
+    shortLabel: 'YT',
+    emoji: '🎥',
+    cookies: 'youtube',
+    useProxy: true,
+
+    /**
+     * Extract the 11-character video ID from a watch, shorts or youtu.be URL.
+     *
+     * @param {string} url - The YouTube URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const match = url.match(/(?:youtube\.com\/(?:shorts\/|watch\?(?:.*&)?v=)|youtu\.be\/)([\w-]{11})/i);
+        return match ? match[1] : null;
+    },
+
+    types: [
+        {
+            type: 'youtube-playlist',
+            label: 'YouTube Playlist/Channel',
+            emoji: '📚',
+            // playlist?list=..., /@handle (optionally a /videos, /shorts or /streams tab), /channel/UC..., /c/name
+            patterns: [/youtube\.com\/(playlist\?(?:.*&)?list=|@[\w.-]+\/?(?:videos|shorts|streams)?\/?(?:[?#]|$)|channel\/UC[\w-]+\/?(?:videos)?\/?(?:[?#]|$)|c\/[\w.-]+\/?(?:videos)?\/?(?:[?#]|$))/i],
+            downloader: 'ytdlp',
+            format: 'mp3',
+            collection: true,
+        },
+        {
+            type: 'youtube-short',
+            label: 'YouTube Short',
+            emoji: '📱',
+            patterns: [/(youtube\.com\/shorts\/|youtu\.be\/[\w-]{11}$)/i],
+            downloader: 'ytdlp',
+            format: 'mp4',
+        },
+        {
+            type: 'youtube-long',
+            label: 'YouTube Video',
+            emoji: '🎵',
+            patterns: [/(youtube\.com\/watch\?v=|youtu\.be\/[\w-]+)/i],
+            downloader: 'ytdlp',
+            format: 'mp3',
+            formatSetting: 'youtubeLongFormat',
+        },
+    ],
+};
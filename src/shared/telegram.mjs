@@ -0,0 +1,348 @@
+/**
+ * TELEGRAM BOT API CLIENT
+ * The one way both Lambdas talk to Telegram. On top of plain HTTP calls it:
+ *
+ *   - runs calls for the same chat one at a time, in order, so a burst of sends can't
+ *     overtake each other or trip the per-chat flood limit all at once;
+ *   - honours 429 `retry_after` (up to MAX_RETRY_AFTER_SECONDS) and retries network and
+ *     5xx failures with backoff;
+ *   - coalesces edits: an edit still waiting in the queue is replaced by a newer edit of the
+ *     same message, an edit identical to the last one sent is skipped, and edits of one
+ *     message are spaced EDIT_INTERVAL_MS apart. "message is not modified" counts as success;
+ *   - keeps text within Telegram's limits: long messages are split (keyboard on the last
+ *     part), long edits and captions are cut, with HTML tags closed either way.
+ *
+ * Every helper resolves to Telegram's response ({ ok, result } or { ok: false, description })
+ * and never throws, so a failed notification can't fail a download.
+ */
+
+export const MESSAGE_LIMIT = 4096;
+export const CAPTION_LIMIT = 1024;
+
+const MAX_RETRIES = 3;
+// A longer wait would eat the Lambda's time budget; give up on that call instead
+const MAX_RETRY_AFTER_SECONDS = 30;
+const EDIT_INTERVAL_MS = 1000;
+
+/**
+ * Escape text for HTML parse mode (safe inside tags and attribute values).
+ *
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Drop a cut-off tag or entity at the end and close any tags left open. `reopen` holds
+// those tags' opening tags, to carry them over to the next part.
+function closeHtml(html) {
+    const trimmed = html.replace(/<[^>]*$/, '').replace(/&[#a-z0-9]*$/i, '');
+    const open = [];
+    for (const [tag, closing, name] of trimmed.matchAll(/<(\/?)([a-z-]+)[^>]*>/gi)) {
+        if (closing) {
+            const index = open.findLastIndex(entry => entry.name === name.toLowerCase());
+            if (index !== -1) open.splice(index, 1);
+        } else {
+            open.push({ name: name.toLowerCase(), tag });
+        }
+    }
+    return {
+        html: trimmed + open.toReversed().map(({ name }) => `</${name}>`).join(''),
+        kept: trimmed.length,
+        reopen: open.map(({ tag }) => tag).join(''),
+    };
+}
+
+// The longest prefix that fits in `limit` with "…" and its closing tags; `kept` is how
+// much of the input it covers
+function cutHtml(html, limit) {
+    let cut = closeHtml(html.slice(0, limit - 1));
+    // Leave room for the closing tags (Telegram allows little nesting)
+    for (let keep = limit - 17; cut.html.length + 1 > limit && keep > 0; keep -= 16) {
+        cut = closeHtml(html.slice(0, keep));
+    }
+    return { ...cut, html: cut.html + '…' };
+}
+
+/**
+ * Cut HTML to at most `limit` characters, ending with "…" and balanced tags.
+ *
+ * @param {string} html
+ * @param {number} limit
+ * @returns {string}
+ */
+export function truncateHtml(html, limit) {
+    return html.length <= limit ? html : cutHtml(html, limit).html;
+}
+
+/**
+ * Split HTML into messages of at most `limit` characters, between paragraphs where
+ * possible, then between lines, then anywhere.
+ *
+ * @param {string} html
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function splitHtml(html, limit = MESSAGE_LIMIT) {
+    if (html.length <= limit) return [html];
+
+    const chunks = [];
+    let current = '';
+    const push = (piece, separator) => {
+        if (current && (current + separator + piece).length > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? current + separator + piece : piece;
+    };
+
+    for (const paragraph of html.split('\n\n')) {
+        if (paragraph.length <= limit) {
+            push(paragraph, '\n\n');
+            continue;
+        }
+        for (const line of paragraph.split('\n')) {
+            let rest = line;
+            while (rest.length > limit) {
+                const piece = cutHtml(rest, limit);
+                // Give up on carrying tags over if they leave no room for text
+                const reopen = piece.kept > piece.reopen.length + 16 ? piece.reopen : '';
+                push(piece.html, '\n');
+                rest = reopen + rest.slice(piece.kept);
+            }
+            push(rest, '\n');
+        }
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sameMarkup(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * @param {{ token: string, apiUrl?: string }} options - `apiUrl` is only overridden locally
+ *   (see scripts/local).
+ */
+export function createTelegramClient({ token, apiUrl = 'https://api.telegram.org' }) {
+    const chatQueues = new Map();   // chat id -> tail of its call chain
+    const pendingEdits = new Map(); // "chat:message" -> queued edit not yet sent
+    const sentEdits = new Map();    // "chat:message" -> { text, replyMarkup, at } of the last edit
+
+    // Multipart when there's a file to upload, JSON otherwise
+    function encode(params) {
+        const values = Object.entries(params).filter(([, value]) => value !== undefined && value !== null);
+        if (!values.some(([, value]) => value instanceof Blob || value?.blob instanceof Blob)) {
+            return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(Object.fromEntries(values)) };
+        }
+
+        const form = new FormData();
+        for (const [name, value] of values) {
+            if (value?.blob instanceof Blob) form.append(name, value.blob, value.fileName);
+            else if (value instanceof Blob) form.append(name, value);
+            else form.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+        return { body: form };
+    }
+
+    /**
+     * Call any Bot API method, with retries. Not queued; prefer the helpers below.
+     *
+     * @param {string} method
+     * @param {object} [params]
+     * @returns {Promise<{ ok: boolean, result?: *, description?: string, error_code?: number }>}
+     */
+    async function call(method, params = {}) {
+        let lastError = null;
+        for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+            try {
+                const response = await fetch(`${apiUrl}/bot${token}/${method}`, { method: 'POST', ...encode(params) });
+                const result = await response.json().catch(() => ({ ok: false, error_code: response.status, description: response.statusText }));
+                if (result.ok) return result;
+
+                const retryAfter = result.parameters?.retry_after;
+                if (result.error_code === 429 && retryAfter <= MAX_RETRY_AFTER_SECONDS && attempt < MAX_RETRIES) {
+                    console.warn(`Telegram ${method} rate limited, retrying in ${retryAfter}s`);
+                    await sleep(retryAfter * 1000);
+                    continue;
+                }
+                if (response.status >= 500 && attempt < MAX_RETRIES) {
+                    await sleep(500 * 2 ** attempt);
+                    continue;
+                }
+                return result;
+            } catch (error) {
+                lastError = error;
+                if (attempt < MAX_RETRIES) await sleep(500 * 2 ** attempt);
+            }
+        }
+        console.error(`Telegram ${method} failed:`, lastError);
+        return { ok: false, description: lastError?.message || 'Request failed' };
+    }
+
+    // Run `task` after everything already queued for the chat
+    function enqueue(chatId, task) {
+        const key = String(chatId);
+        const run = (chatQueues.get(key) || Promise.resolve()).then(task);
+        const tail = run.catch(() => {});
+        chatQueues.set(key, tail);
+        tail.then(() => {
+            if (chatQueues.get(key) === tail) chatQueues.delete(key);
+        });
+        return run;
+    }
+
+    function logFailure(method, result) {
+        if (!result.ok) console.error(`Telegram ${method} rejected:`, JSON.stringify(result));
+        return result;
+    }
+
+    /**
+     * Send a message; text over the limit goes out as several messages.
+     *
+     * @param {number|string} chatId
+     * @param {string} text - HTML.
+     * @param {{ replyMarkup?: object, replyTo?: number }} [options] - `replyTo` quotes a message
+     *   (sent anyway if it was deleted).
+     * @returns {Promise<object>} Response for the last part (the one with the keyboard).
+     */
+    function sendMessage(chatId, text, { replyMarkup = null, replyTo = null } = {}) {
+        return enqueue(chatId, async () => {
+            const parts = splitHtml(text);
+            let result;
+            for (const [index, part] of parts.entries()) {
+                const last = index === parts.length - 1;
+                result = logFailure('sendMessage', await call('sendMessage', {
+                    chat_id: chatId,
+                    text: part,
+                    parse_mode: 'HTML',
+                    link_preview_options: { is_disabled: true },
+                    reply_markup: last ? replyMarkup : null,
+                    reply_parameters: index === 0 && replyTo ? { message_id: replyTo, allow_sending_without_reply: true } : null,
+                }));
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Replace a message's text (and keyboard; omitting it removes the keyboard).
+     *
+     * @param {number|string} chatId
+     * @param {number} messageId
+     * @param {string} text - HTML; cut to the limit.
+     * @param {{ replyMarkup?: object }} [options]
+     * @returns {Promise<object>}
+     */
+    function editMessageText(chatId, messageId, text, { replyMarkup = null } = {}) {
+        const key = `${chatId}:${messageId}`;
+        const edit = { text: truncateHtml(text, MESSAGE_LIMIT), replyMarkup };
+
+        // A newer edit of a message that's still waiting just changes what will be sent
+        const pending = pendingEdits.get(key);
+        if (pending) {
+            pending.edit = edit;
+            return pending.promise;
+        }
+
+        const entry = { edit };
+        pendingEdits.set(key, entry);
+        entry.promise = enqueue(chatId, async () => {
+            pendingEdits.delete(key);
+            const { text, replyMarkup } = entry.edit;
+            const last = sentEdits.get(key);
+            if (last && last.text === text && sameMarkup(last.replyMarkup, replyMarkup)) {
+                return { ok: true, result: true };
+            }
+            if (last) await sleep(Math.max(0, last.at + EDIT_INTERVAL_MS - Date.now()));
+
+            const result = await call('editMessageText', {
+                chat_id: chatId,
+                message_id: messageId,
+                text,
+                parse_mode: 'HTML',
+                link_preview_options: { is_disabled: true },
+                reply_markup: replyMarkup,
+            });
+            if (result.ok || /message is not modified/i.test(result.description || '')) {
+                if (sentEdits.size > 1000) sentEdits.clear();
+                sentEdits.set(key, { text, replyMarkup, at: Date.now() });
+                return { ok: true, result: result.result ?? true };
+            }
+            return logFailure('editMessageText', result);
+        });
+        return entry.promise;
+    }
+
+    /**
+     * @param {number|string} chatId
+     * @param {number} messageId
+     * @returns {Promise<object>}
+     */
+    function deleteMessage(chatId, messageId) {
+        return enqueue(chatId, async () => {
+            pendingEdits.delete(`${chatId}:${messageId}`);
+            sentEdits.delete(`${chatId}:${messageId}`);
+            return logFailure('deleteMessage', await call('deleteMessage', { chat_id: chatId, message_id: messageId }));
+        });
+    }
+
+    /**
+     * Upload a file as a video, audio or document message.
+     *
+     * @param {number|string} chatId
+     * @param {'video'|'audio'|'document'} type
+     * @param {Blob} blob
+     * @param {string} fileName
+     * @param {{ caption?: string, replyMarkup?: object }} [options] - Caption is HTML; cut to the limit.
+     * @returns {Promise<object>} `result` is the sent message (with its file_id).
+     */
+    function sendMedia(chatId, type, blob, fileName, { caption = null, replyMarkup = null } = {}) {
+        const method = { video: 'sendVideo', audio: 'sendAudio', document: 'sendDocument' }[type];
+        return enqueue(chatId, async () => logFailure(method, await call(method, {
+            chat_id: chatId,
+            [type]: { blob, fileName },
+            caption: caption && truncateHtml(caption, CAPTION_LIMIT),
+            parse_mode: caption ? 'HTML' : null,
+            reply_markup: replyMarkup,
+        })));
+    }
+
+    /**
+     * @param {string} callbackQueryId
+     * @param {string} [text] - Shown as a toast.
+     * @returns {Promise<object>}
+     */
+    async function answerCallbackQuery(callbackQueryId, text = null) {
+        return logFailure('answerCallbackQuery', await call('answerCallbackQuery', { callback_query_id: callbackQueryId, text }));
+    }
+
+    /**
+     * @param {string} inlineQueryId
+     * @param {object[]} results
+     * @param {object} [options] - Extra answerInlineQuery parameters (cache_time, next_offset, button…).
+     * @returns {Promise<object>}
+     */
+    async function answerInlineQuery(inlineQueryId, results, options = {}) {
+        return logFailure('answerInlineQuery', await call('answerInlineQuery', { inline_query_id: inlineQueryId, results, ...options }));
+    }
+
+    /**
+     * @returns {Promise<object>} `result` is the bot's User.
+     */
+    async function getMe() {
+        return logFailure('getMe', await call('getMe'));
+    }
+
+    return { call, sendMessage, editMessageText, deleteMessage, sendMedia, answerCallbackQuery, answerInlineQuery, getMe };
+}
@@ -0,0 +1,220 @@
+import { QueryCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { getSource } from './sources/index.mjs';
+
+/**
+ * DAILY USAGE
+ * Every billed download adds to one row of the usage table per (UTC day, user, source type):
+ *   day         'YYYY-MM-DD' (partition key)
+ *   usage_key   '<userId>#<sourceType>' (sort key)
+ *   user_id, username, source_type
+ *   downloads   number of downloads
+ *   mb          megabytes stored
+ *   ttl         expiry, USAGE_RETENTION_DAYS after the day
+ * A range is read with one Query per day, so /stats and /export stats never scan.
+ * The lifetime totals on the user record (total_mb, conversations) are kept as before.
+ */
+const USAGE_RETENTION_DAYS = 400;
+
+// Longest range /stats and /export stats accept
+export const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @param {Date} [date]
+ * @returns {string} The UTC day, 'YYYY-MM-DD'.
+ */
+export function usageDay(date = new Date()) {
+    return date.toISOString().substring(0, 10);
+}
+
+// A real 'YYYY-MM-DD' day (not e.g. '2026-02-30')
+function isDay(text) {
+    return DATE_PATTERN.test(text) && !Number.isNaN(Date.parse(text)) && usageDay(new Date(text)) === text;
+}
+
+/**
+ * Add one download to its day's row.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName - Usage table name.
+ * @param {{ userId: string, username?: string, sourceType: string, sizeMB: number }} usage
+ * @param {Date} [now]
+ */
+export async function recordUsage(ddb, tableName, { userId, username, sourceType, sizeMB }, now = new Date()) {
+    const day = usageDay(now);
+    await ddb.send(new UpdateItemCommand({
+        TableName: tableName,
+        Key: { day: { S: day }, usage_key: { S: `${userId}#${sourceType}` } },
+        UpdateExpression: `SET user_id = :uid, source_type = :type, #ttl = :ttl${username ? ', username = :username' : ''}
+            ADD downloads :one, mb :size`,
+        ExpressionAttributeNames: { '#ttl': 'ttl' },
+        ExpressionAttributeValues: {
+            ':uid': { S: String(userId) },
+            ':type': { S: sourceType },
+            ':ttl': { N: String(Math.floor(Date.parse(day) / 1000) + USAGE_RETENTION_DAYS * 24 * 60 * 60) },
+            ':one': { N: '1' },
+            ':size': { N: sizeMB.toFixed(2) },
+            ...(username && { ':username': { S: username } }),
+        },
+    }));
+}
+
+/**
+ * Parse a range argument: 'today', '<N>d' (the last N days, today included) or
+ * 'from:YYYY-MM-DD' with an optional 'to:YYYY-MM-DD' (default today). Other arguments
+ * are returned in `rest`.
+ *
+ * @param {string[]} args
+ * @param {Date} [now]
+ * @returns {{ range: { from: string, to: string }|null, rest: string[], invalid?: string }}
+ *   `range` is null when no range was given; `invalid` is the first range argument that
+ *   isn't valid (bad date, `to` before `from`, or longer than MAX_RANGE_DAYS).
+ */
+export function parseUsageRange(args, now = new Date()) {
+    const today = usageDay(now);
+    const rest = [];
+    let from = null;
+    let to = null;
+
+    for (const arg of args.filter(Boolean)) {
+        const [name, ...value] = arg.split(':');
+        const date = value.join(':');
+        const days = /^(\d+)d$/.exec(arg);
+
+        if (arg === 'today') {
+            from = to = today;
+        } else if (days) {
+            const count = parseInt(days[1]);
+            if (count < 1 || count > MAX_RANGE_DAYS) return { range: null, rest, invalid: arg };
+            from = usageDay(new Date(now.getTime() - (count - 1) * DAY_MS));
+            to = today;
+        } else if (name === 'from' || name === 'to') {
+            if (!isDay(date)) return { range: null, rest, invalid: arg };
+            if (name === 'from') from = date;
+            else to = date;
+        } else {
+            rest.push(arg);
+        }
+    }
+
+    if (!from && !to) return { range: null, rest };
+    if (!from) return { range: null, rest, invalid: `to:${to}` };
+    to ??= today;
+    if (to < from || usageDays({ from, to }).length > MAX_RANGE_DAYS) {
+        return { range: null, rest, invalid: `from:${from} to:${to}` };
+    }
+    return { range: { from, to }, rest };
+}
+
+/**
+ * @param {{ from: string, to: string }} range
+ * @returns {string[]} Every day of the range, oldest first.
+ */
+export function usageDays({ from, to }) {
+    const days = [];
+    for (let time = Date.parse(from); time <= Date.parse(to) && days.length <= MAX_RANGE_DAYS; time += DAY_MS) {
+        days.push(usageDay(new Date(time)));
+    }
+    return days;
+}
+
+/**
+ * Read the usage rows of a range.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} ddb
+ * @param {string} tableName
+ * @param {{ from: string, to: string }} range
+ * @param {string} [userId] - Only this user's rows.
+ * @returns {Promise<object[]>} Rows from parseUsageRow(), oldest day first.
+ */
+export async function queryUsage(ddb, tableName, range, userId) {
+    const rows = [];
+    for (const day of usageDays(range)) {
+        let lastKey;
+        do {
+            const response = await ddb.send(new QueryCommand({
+                TableName: tableName,
+                KeyConditionExpression: userId ? '#day = :day AND begins_with(usage_key, :user)' : '#day = :day',
+                ExpressionAttributeNames: { '#day': 'day' },
+                ExpressionAttributeValues: {
+                    ':day': { S: day },
+                    ...(userId && { ':user': { S: `${userId}#` } }),
+                },
+                ExclusiveStartKey: lastKey,
+            }));
+            rows.push(...(response.Items || []).map(parseUsageRow));
+            lastKey = response.LastEvaluatedKey;
+        } while (lastKey);
+    }
+    return rows;
+}
+
+/**
+ * Convert a raw usage row to { day, userId, username, sourceType, platform, downloads, mb }.
+ */
+export function parseUsageRow(item) {
+    const sourceType = item.source_type.S;
+    return {
+        day: item.day.S,
+        userId: item.user_id.S,
+        username: item.username?.S,
+        sourceType,
+        platform: getSource(sourceType)?.platform || sourceType,
+        downloads: parseInt(item.downloads?.N || '0'),
+        mb: parseFloat(item.mb?.N || '0'),
+    };
+}
+
+/**
+ * Totals of a range, overall, per user and per platform.
+ *
+ * @param {object[]} rows - From queryUsage().
+ * @returns {{ downloads: number, mb: number, users: object[], platforms: object[] }} `users`
+ *   ({ userId, username, downloads, mb }) and `platforms` ({ platform, downloads, mb }) are
+ *   sorted by MB, largest first.
+ */
+export function summarizeUsage(rows) {
+    const users = new Map();
+    const platforms = new Map();
+    const add = (map, key, init, row) => {
+        const entry = map.get(key) || { ...init, downloads: 0, mb: 0 };
+        entry.downloads += row.downloads;
+        entry.mb += row.mb;
+        map.set(key, entry);
+    };
+
+    for (const row of rows) {
+        add(users, row.userId, { userId: row.userId, username: row.username }, row);
+        add(platforms, row.platform, { platform: row.platform }, row);
+        // Keep the newest handle seen (rows are oldest first)
+        if (row.username) users.get(row.userId).username = row.username;
+    }
+
+    const byMB = (a, b) => b.mb - a.mb || b.downloads - a.downloads;
+    return {
+        downloads: rows.reduce((sum, row) => sum + row.downloads, 0),
+        mb: rows.reduce((sum, row) => sum + row.mb, 0),
+        users: [...users.values()].sort(byMB),
+        platforms: [...platforms.values()].sort(byMB),
+    };
+}
+
+/**
+ * Render usage rows as CSV, one line per day, user and source type.
+ *
+ * @param {object[]} rows - From queryUsage().
+ * @returns {string}
+ */
+export function usageCsv(rows) {
+    const cell = value => {
+        const text = String(value ?? '');
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [['day', 'user_id', 'username', 'platform', 'source_type', 'downloads', 'mb']];
+    for (const row of rows) {
+        lines.push([row.day, row.userId, row.username, row.platform, row.sourceType, row.downloads, row.mb.toFixed(2)]);
+    }
+    return lines.map(line => line.map(cell).join(',')).join('\n') + '\n';
+}
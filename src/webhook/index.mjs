@@ -1,73 +1,876 @@
 import { SQSClient, SendMessageCommand } from '@aws-sdk/client-sqs';
-import { DynamoDBClient, GetItemCommand, PutItemCommand, UpdateItemCommand, ScanCommand, DeleteItemCommand } from '@aws-sdk/client-dynamodb';
+import { DynamoDBClient, GetItemCommand, PutItemCommand, UpdateItemCommand, ScanCommand, DeleteItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { randomUUID } from 'crypto';
+import { detectSource, extractSourceId, getPlatform, getSource, listPlatforms, listSourceTypes } from '../shared/sources/index.mjs';
+import { QUOTA_LIMITS, evaluateQuota, incrementQuotaCounter, formatResetTime } from '../shared/quota.mjs';
+import { batchKey, batchAttributes, parseBatch, renderBatchMessage, updateBatchItem } from '../shared/batch.mjs';
+import { SETTINGS, getSetting, parseSettings, resolveOutputFormat, settingLabel, optionLabel } from '../shared/settings.mjs';
+import { MAX_COLLECTION_ITEMS, collectionKey, parseCollection, renderCollectionPrompt } from '../shared/collections.mjs';
+import { buildDocument, searchFiles, tokenize } from '../shared/search.mjs';
+import { fileSourceTypes, findFileByDownloadId, queryFilesBySourceType, selectFiles } from '../shared/files.mjs';
+import { ACTIONS as AUDIT_ACTIONS, appendAudit, queryAudit } from '../shared/audit.mjs';
+import { MAX_RANGE_DAYS, parseUsageRange, queryUsage, summarizeUsage } from '../shared/usage.mjs';
+import { MAX_CLIP_SECONDS, clipLabel, clipPromptKey, findClipRange } from '../shared/clips.mjs';
+import { followItemKey, parseFollow, parseFollowUrl } from '../shared/follows.mjs';
+import { broadcastKey, broadcastAttributes, renderBroadcast } from '../shared/broadcast.mjs';
+import { claimUpdate } from '../shared/idempotency.mjs';
+import { jobAttributes, queryJobs } from '../shared/jobs.mjs';
+import { createTelegramClient, escapeHtml } from '../shared/telegram.mjs';
+import { languageName, resolveLanguage, t } from '../shared/i18n.mjs';
+import { ROLES, normalizeRole, hasRole, checkRoleChange, highestRole, isRevoked } from '../shared/roles.mjs';
 
 const sqs = new SQSClient({});
 const ddb = new DynamoDBClient({});
+const s3 = new S3Client({});
+// TELEGRAM_API_URL is only set by the local dev runner (scripts/local), which fakes the Bot API
+const telegram = createTelegramClient({ token: process.env.TELEGRAM_BOT_TOKEN, apiUrl: process.env.TELEGRAM_API_URL });
 
 const SQS_QUEUE_URL = process.env.SQS_QUEUE_URL;
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const S3_BUCKET_NAME = process.env.S3_BUCKET_NAME;
 const DYNAMODB_TABLE_NAME = process.env.DYNAMODB_TABLE_NAME;
 const DYNAMODB_FILES_TABLE = process.env.DYNAMODB_FILES_TABLE;
 const DYNAMODB_ACTIVE_DOWNLOADS_TABLE = process.env.DYNAMODB_ACTIVE_DOWNLOADS_TABLE;
+const DYNAMODB_SEARCH_TABLE = process.env.DYNAMODB_SEARCH_TABLE;
+const DYNAMODB_AUDIT_TABLE = process.env.DYNAMODB_AUDIT_TABLE;
+const DYNAMODB_USAGE_TABLE = process.env.DYNAMODB_USAGE_TABLE;
+const DYNAMODB_FOLLOWS_TABLE = process.env.DYNAMODB_FOLLOWS_TABLE;
 const TELEGRAM_ADMIN_USERNAME = process.env.TELEGRAM_ADMIN_USERNAME;
+const TELEGRAM_ADMIN_USER_ID = process.env.TELEGRAM_ADMIN_USER_ID;
 const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
 
-// URL patterns for supported sources
-const patterns = {
-  instagramStory: /instagram\.com\/stories\/[^\/]+\/\d+/i,
-  instagramReel: /instagram\.com\/(reel|reels|p)\/[\w-]+/i,
-  youtubeShort: /(youtube\.com\/shorts\/|youtu\.be\/[\w-]{11}$)/i,
-  youtubeLong: /(youtube\.com\/watch\?v=|youtu\.be\/[\w-]+)/i,
+// Commands, the minimum role each one needs, and its /help entry. Descriptions and
+// section names are catalog messages: `commands.<name>` and `help.section.<section>`.
+const COMMANDS = [
+  { command: '/help', role: 'viewer', section: 'general', usage: '/help' },
+  { command: '/language', role: 'viewer', section: 'general', usage: '/language [code]' },
+  { command: '/settings', role: 'downloader', section: 'general', usage: '/settings' },
+  { command: '/history', role: 'viewer', section: 'general', usage: '/history' },
+  { command: '/search', role: 'downloader', section: 'general', usage: '/search words' },
+  { command: '/cancel', role: 'downloader', section: 'general', usage: '/cancel' },
+  { command: '/dl', role: 'downloader', section: 'general', usage: '/dl [link]' },
+  { command: '/follow', role: 'downloader', section: 'general', usage: '/follow profile-link [analyze] [digest]' },
+  { command: '/following', role: 'downloader', section: 'general', usage: '/following' },
+  { command: '/unfollow', role: 'downloader', section: 'general', usage: '/unfollow number|profile-link' },
+  { command: '/users', role: 'admin', section: 'users', usage: '/users' },
+  { command: '/add', role: 'admin', section: 'users', usage: '/add @user|id [role]' },
+  { command: '/remove', role: 'admin', section: 'users', usage: '/remove @user' },
+  { command: '/promote', role: 'admin', section: 'users', usage: '/promote @user role' },
+  { command: '/demote', role: 'admin', section: 'users', usage: '/demote @user [role]' },
+  { command: '/quota', role: 'admin', section: 'users', usage: '/quota @user [limit=value ...]' },
+  { command: '/group', role: 'admin', section: 'users', usage: '/group [chat-id] [allow [role]|remove|autograb on|off]' },
+  { command: '/broadcast', role: 'admin', section: 'users', usage: '/broadcast [role:role[,role]] [active:7d] message' },
+  { command: '/audit', role: 'admin', section: 'users', usage: '/audit [actor:@user|id] [target:@user|id|group-id] [action:name]' },
+  { command: '/stats', role: 'admin', section: 'files', usage: '/stats [today|7d|30d|from:YYYY-MM-DD [to:YYYY-MM-DD]|all] [user:@name]' },
+  { command: '/export', role: 'admin', section: 'files', usage: '/export stats [today|7d|30d|from:YYYY-MM-DD [to:YYYY-MM-DD]] [user:@name]' },
+  { command: '/list', role: 'admin', section: 'files', usage: '/list [platform] [user:@name] [from:YYYY-MM-DD] [to:YYYY-MM-DD] [min:MB]' },
+  { command: '/clear', role: 'admin', section: 'files', usage: '/clear [platform] [user:@name] [older:30d] [key:file-key]' },
+];
+
+// Callback query actions (the part of callback_data before ':') and the minimum role each needs
+const CALLBACK_ROLES = {
+  analyze: 'analyst',
+  access: 'admin',
+  playlist: 'downloader',
+  settings: 'downloader',
+  language: 'viewer',
+  cancel: 'downloader',
+  history: 'viewer',
+  list: 'admin',
+  search: 'downloader',
+  clear: 'admin',
+  broadcast: 'admin',
+  audit: 'admin',
+  clip: 'downloader',
+  unfollow: 'downloader',
 };
 
-async function sendTelegramMessage(chatId, text) {
-  const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
+// Starter limits applied by the "Approve with quota" button on access requests
+const APPROVAL_QUOTA = {
+  daily_mb: 200,
+  requests_per_hour: 5,
+  analyses_per_day: 2,
+};
+
+// Admins hear about a user's access requests at most once per this long; repeats in
+// between (another reason, or /request again after a denial) are refused
+const ACCESS_REQUEST_TTL_SECONDS = 24 * 60 * 60;
+
+// Minimum role needed to queue a download by sending a link
+const DOWNLOAD_ROLE = 'downloader';
+
+// Most links queued from a single message; the rest are reported as skipped
+const MAX_BATCH_LINKS = 20;
+
+// Downloads shown by /history
+const HISTORY_LIMIT = 10;
+
+// Results shown by /search
+const SEARCH_LIMIT = 5;
+
+// Files per /list page, and how long its Prev/Next buttons keep working
+const LIST_PAGE_SIZE = 20;
+const LIST_TTL_SECONDS = 60 * 60;
+const LIST_KEY_PREFIX = 'list:';
+
+// How long a /clear preview can be confirmed
+const CLEAR_TTL_SECONDS = 10 * 60;
+const CLEAR_KEY_PREFIX = 'clear:';
+
+// How long a /broadcast preview can be confirmed, and how long a confirmed one is kept
+// for the processor (it deletes the record once every message is sent)
+const BROADCAST_TTL_SECONDS = 10 * 60;
+const BROADCAST_SENDING_TTL_SECONDS = 24 * 60 * 60;
+
+// Entries per /audit page, and how long its Older/Newer buttons keep working
+const AUDIT_PAGE_SIZE = 10;
+const AUDIT_TTL_SECONDS = 60 * 60;
+const AUDIT_KEY_PREFIX = 'audit:';
+
+// access.refused is audited at most once per user per UTC day; the marker outlives the day
+const REFUSED_TTL_SECONDS = 24 * 60 * 60;
+const REFUSED_KEY_PREFIX = 'refused:';
+
+// /stats and /export stats: range used when none is given, and users listed as top users
+const STATS_DEFAULT_RANGE = '7d';
+const EXPORT_DEFAULT_RANGE = '30d';
+const STATS_TOP_USERS = 10;
+
+// How long a ✂️ Clip prompt waits for its reply
+const CLIP_PROMPT_TTL_SECONDS = 10 * 60;
+
+// Most accounts one user can /follow
+const MAX_FOLLOWS = 20;
+
+// Inline mode results per page, from this many of the caller's most recent files
+const INLINE_PAGE_SIZE = 20;
+const INLINE_SCAN_LIMIT = 200;
+
+// Allowlisted group chats live in the users table under `group:<chatId>`, and grant their
+// members at most an analyst role
+const GROUP_KEY_PREFIX = 'group:';
+const GROUP_ROLES = ['viewer', 'downloader', 'analyst'];
+const DEFAULT_GROUP_ROLE = 'downloader';
+
+// Telegram redelivers updates it thinks failed (e.g. a slow response). Each update is
+// claimed once; if the claim itself fails, handle the update rather than drop it.
+async function isRetriedUpdate(updateId) {
+  if (updateId === undefined || !DYNAMODB_ACTIVE_DOWNLOADS_TABLE) return false;
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text,
-        parse_mode: 'HTML',
-        disable_web_page_preview: true,
-      }),
-    });
-    return response.json();
+    return !(await claimUpdate(ddb, DYNAMODB_ACTIVE_DOWNLOADS_TABLE, updateId));
   } catch (error) {
-    console.error('Failed to send Telegram message:', error);
+    console.error(`Failed to claim update ${updateId}:`, error);
+    return false;
   }
 }
 
-async function checkAuth(username) {
-  if (!username) return false;
+// USER IDENTITY
+// The users table is keyed on the numeric Telegram user id (stored as a string in `user_id`).
+// Usernames can change, so they are kept as attributes and indexed (UsernameIndex on
+// `username_lower`). Users added by @handle before the bot has seen their id, and rows
+// migrated from the old username-keyed table, live under a `username:<handle>` placeholder
+// key until that user first talks to the bot and claims it.
 
-  // Auto-allow admin
-  if (username === TELEGRAM_ADMIN_USERNAME) {
-    await ensureUserExists(username, true, 'admin');
-    return true;
+function userKey(userId) {
+  return { user_id: { S: String(userId) } };
+}
+
+// DynamoDB deletes expired items late (sometimes days after their ttl), so previews and
+// prompts kept in the active downloads table are checked against it when used
+function isExpired(item) {
+  return Boolean(item.ttl) && Number(item.ttl.N) <= Math.floor(Date.now() / 1000);
+}
+
+function placeholderId(username) {
+  return `username:${username.toLowerCase()}`;
+}
+
+function displayUser(item) {
+  return item?.username?.S ? `@${item.username.S}` : `id ${item?.user_id?.S}`;
+}
+
+function isOwner(from) {
+  if (TELEGRAM_ADMIN_USER_ID) return String(from.id) === TELEGRAM_ADMIN_USER_ID;
+  return !!from.username && from.username === TELEGRAM_ADMIN_USERNAME;
+}
+
+async function getUser(userId) {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: userKey(userId),
+  }));
+  return response.Item || null;
+}
+
+async function findUserByUsername(username) {
+  const response = await ddb.send(new QueryCommand({
+    TableName: DYNAMODB_TABLE_NAME,
+    IndexName: 'UsernameIndex',
+    KeyConditionExpression: 'username_lower = :u',
+    ExpressionAttributeValues: { ':u': { S: username.toLowerCase() } },
+  }));
+  // Prefer a claimed (id-keyed) record over a placeholder
+  const items = response.Items || [];
+  return items.find(i => !i.user_id.S.startsWith('username:')) || items[0] || null;
+}
+
+/**
+ * Resolve a command argument (@handle or numeric user id) to { id, item, label }.
+ * Unknown handles resolve to their placeholder id so /add can create one.
+ */
+async function resolveTarget(arg) {
+  if (/^\d+$/.test(arg)) {
+    const item = await getUser(arg);
+    return { id: arg, item, label: item ? displayUser(item) : `id ${arg}` };
   }
 
+  const username = arg.replace('@', '');
+  const item = await findUserByUsername(username);
+  return { id: item ? item.user_id.S : placeholderId(username), item, label: item ? displayUser(item) : `@${username}` };
+}
+
+/**
+ * Move a placeholder record (added by handle or migrated) to the user's real id.
+ */
+async function claimPlaceholder(from) {
+  const placeholder = await getUser(placeholderId(from.username));
+  if (!placeholder) return null;
+
+  const item = {
+    ...placeholder,
+    ...userKey(from.id),
+    username: { S: from.username },
+    username_lower: { S: from.username.toLowerCase() },
+    platform_usage: placeholder.platform_usage || { M: {} },
+  };
+
   try {
-    const command = new GetItemCommand({
+    await ddb.send(new PutItemCommand({
       TableName: DYNAMODB_TABLE_NAME,
-      Key: { username: { S: username } },
-    });
-    const response = await ddb.send(command);
-    return response.Item?.is_allowed?.BOOL === true;
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(user_id)'
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    return getUser(from.id);
+  }
+
+  await ddb.send(new DeleteItemCommand({
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: userKey(placeholderId(from.username))
+  }));
+  console.log(`Claimed placeholder for @${from.username} as user ${from.id}`);
+  return item;
+}
+
+/**
+ * Load a Telegram user's record by id, claiming a placeholder if there is one,
+ * and keep the stored username current when they rename. Their app language is
+ * kept too, so messages they didn't trigger (access requests and decisions) can
+ * be sent in it.
+ */
+async function loadUser(from) {
+  let item = await getUser(from.id);
+  if (!item && from.username) {
+    item = await claimPlaceholder(from);
+  }
+
+  const renamed = item && from.username && item.username?.S !== from.username;
+  const relocalized = item && from.language_code && item.language_code?.S !== from.language_code;
+  if (renamed || relocalized) {
+    await ddb.send(new UpdateItemCommand({
+      TableName: DYNAMODB_TABLE_NAME,
+      Key: userKey(from.id),
+      UpdateExpression: 'SET ' + [renamed && 'username = :u, username_lower = :lower', relocalized && 'language_code = :lang']
+        .filter(Boolean).join(', '),
+      ExpressionAttributeValues: {
+        ...(renamed && { ':u': { S: from.username }, ':lower': { S: from.username.toLowerCase() } }),
+        ...(relocalized && { ':lang': { S: from.language_code } })
+      }
+    }));
+    if (renamed) item.username = { S: from.username };
+    if (relocalized) item.language_code = { S: from.language_code };
+  }
+
+  return item;
+}
+
+// The language to talk to a user in (see shared/i18n.mjs): their /language setting,
+// else their Telegram app's language, live from the update when we have one
+function userLanguage(item, from = null) {
+  return resolveLanguage(parseSettings(item).language, from?.language_code || item?.language_code?.S);
+}
+
+/**
+ * Returns { role, lang }: the user's role if they are allowlisted, or null if they are
+ * not, and the language to reply in (see userLanguage). When role is null, `known` says
+ * whether the user has a record and `revoked` whether they were removed or denied.
+ * The owner (TELEGRAM_ADMIN_USER_ID, or TELEGRAM_ADMIN_USERNAME if no id is set) is
+ * always allowed, so there is a way in on first deploy.
+ * Pass `privateChatId` (private chats only) to keep the user's stored chat_id current,
+ * which is how the bot reaches admins for access requests and users for /broadcast.
+ * Allowlisted users also get a `last_active` date, for /broadcast's active filter.
+ */
+async function checkAuth(from, privateChatId = null) {
+  if (!from?.id) return { role: null, lang: userLanguage(null, from) };
+
+  const owner = isOwner(from);
+
+  try {
+    let item = await loadUser(from);
+
+    // Auto-allow owner
+    if (owner && !item) {
+      await ensureUserExists(from, true, 'owner', privateChatId);
+      item = await getUser(from.id);
+    }
+
+    const lang = userLanguage(item, from);
+    if (!owner && item?.is_allowed?.BOOL !== true) return { role: null, lang, known: Boolean(item), revoked: isRevoked(item) };
+
+    const today = new Date().toISOString().slice(0, 10);
+    const chatId = privateChatId && item?.chat_id?.N !== String(privateChatId) ? privateChatId : null;
+    if (chatId || item?.last_active?.S !== today) {
+      await recordActivity(from.id, today, chatId);
+    }
+
+    return { role: owner ? 'owner' : normalizeRole(item.role?.S), lang };
   } catch (error) {
     console.error('Auth check error:', error);
-    return false;
+    return { role: owner ? 'owner' : null, lang: userLanguage(null, from) };
+  }
+}
+
+// At most one write per user per day, plus one whenever their private chat changes
+async function recordActivity(userId, today, chatId = null) {
+  try {
+    await ddb.send(new UpdateItemCommand({
+      TableName: DYNAMODB_TABLE_NAME,
+      Key: userKey(userId),
+      UpdateExpression: 'SET last_active = :today' + (chatId ? ', chat_id = :chatId' : ''),
+      ExpressionAttributeValues: {
+        ':today': { S: today },
+        ...(chatId && { ':chatId': { N: String(chatId) } })
+      }
+    }));
+  } catch (error) {
+    console.error('Failed to record activity:', error);
+  }
+}
+
+// AUDIT LOG (see shared/audit.mjs)
+// Admin actions record the user or group fields they change, before and after. A failed
+// write is logged, not thrown: the action it records has already happened.
+
+async function audit(action, from, details = {}) {
+  if (!DYNAMODB_AUDIT_TABLE) return;
+  try {
+    await appendAudit(ddb, DYNAMODB_AUDIT_TABLE, { action, actor: { id: from.id, label: requesterLabel(from) }, ...details });
+  } catch (error) {
+    console.error(`Failed to write audit entry ${action}:`, error);
+  }
+}
+
+// Strangers can message the bot as often as they like, so only their first refusal of the
+// day is logged: a conditional put on `refused:<userId>:<day>` in the active table decides
+async function auditRefusal(from, params) {
+  if (!DYNAMODB_AUDIT_TABLE) return;
+  const today = new Date().toISOString().slice(0, 10);
+  try {
+    await ddb.send(new PutItemCommand({
+      TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+      Item: {
+        download_id: { S: `${REFUSED_KEY_PREFIX}${from.id}:${today}` },
+        ttl: { N: String(Math.floor(Date.now() / 1000) + REFUSED_TTL_SECONDS) }
+      },
+      ConditionExpression: 'attribute_not_exists(download_id)'
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') console.error('Failed to record refusal:', error);
+    return;
+  }
+  await audit('access.refused', from, { params });
+}
+
+function userState(item) {
+  if (!item) return null;
+  return {
+    allowed: item.is_allowed?.BOOL === true,
+    role: item.role?.S ?? null,
+    ...(item.quota?.M && { quota: Object.fromEntries(Object.entries(item.quota.M).map(([name, value]) => [name, parseFloat(value.N)])) }),
+  };
+}
+
+function groupState(item) {
+  if (!item) return null;
+  return { allowed: item.is_allowed?.BOOL === true, role: item.role?.S ?? null, autograb: item.autograb?.BOOL === true };
+}
+
+// GROUP CHATS
+// In a group the bot only reacts when it is @-mentioned, to /dl (in reply to a link, or
+// with one), or to every link when the group's auto-grab mode is on. An allowlisted group
+// (`/group allow`, run inside it) grants its members the group's role; members who are
+// allowlisted themselves keep their own role when it is higher, and members who were
+// removed or denied get nothing. Quotas, usage and files are always attributed to the
+// person who triggered the download, so a member without a record gets one on first use.
+
+function isGroupChat(chat) {
+  return chat?.type === 'group' || chat?.type === 'supergroup';
+}
+
+function groupKey(chatId) {
+  return userKey(`${GROUP_KEY_PREFIX}${chatId}`);
+}
+
+function isGroupRecord(item) {
+  return item.user_id.S.startsWith(GROUP_KEY_PREFIX);
+}
+
+async function getGroup(chatId) {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: groupKey(chatId),
+  }));
+  return response.Item || null;
+}
+
+// The bot's own @username, for spotting mentions and /command@bot (fetched once per container)
+let botUsername = null;
+
+async function getBotUsername() {
+  if (!botUsername) botUsername = (await telegram.getMe()).result?.username || null;
+  return botUsername;
+}
+
+/**
+ * Role of `from` in `chat`: their own role (see checkAuth), or in an allowlisted group
+ * the higher of that and the group's role, unless they were removed or denied. Returns
+ * { role, group, lang }; role is null if neither lets them in. Replies are in the sender's
+ * language, in groups too.
+ */
+async function checkChatAuth(from, chat) {
+  if (!isGroupChat(chat)) {
+    return { ...(await checkAuth(from, chat?.type === 'private' ? chat.id : null)), group: null };
+  }
+
+  const [{ role: userRole, lang, known = true, revoked = false }, group] = await Promise.all([
+    checkAuth(from),
+    getGroup(chat.id).catch(error => {
+      console.error('Group lookup error:', error);
+      return null;
+    }),
+  ]);
+  const groupRole = group?.is_allowed?.BOOL && !revoked ? normalizeRole(group.role?.S) : null;
+  // Quota counters and settings are only written to existing records
+  if (groupRole && !known) await ensureUserExists(from);
+  return { role: highestRole(userRole, groupRole), group, lang };
+}
+
+/**
+ * Decide whether a group message is meant for the bot. Returns null to ignore it, or
+ * { text, explicit, followReply }: `text` has any @botname suffix removed from the command,
+ * `explicit` is false for links only picked up by auto-grab (which never get error replies),
+ * and `followReply` means a link-less message should take the links of the one it replies to.
+ */
+function parseGroupTrigger(message, text, group, botName) {
+  const name = (botName || '').toLowerCase();
+
+  const command = text.match(/^\/(\w+)(?:@(\w+))?/);
+  if (command) {
+    // Commands for another bot in the group
+    if (command[2] && command[2].toLowerCase() !== name) return null;
+    const normalized = `/${command[1]}${text.slice(command[0].length)}`;
+    const known = command[1] === 'start' || COMMANDS.some(c => c.command === `/${command[1]}`);
+    return known ? { text: normalized, explicit: true, followReply: command[1] === 'dl' } : null;
+  }
+
+  const entities = message.entities || message.caption_entities || [];
+  const mentioned = !!name && entities.some(entity => entity.type === 'mention' &&
+    text.substr(entity.offset, entity.length).toLowerCase() === `@${name}`);
+  if (mentioned) return { text, explicit: true, followReply: true };
+
+  if (group?.is_allowed?.BOOL && group.autograb?.BOOL) return { text, explicit: false, followReply: false };
+  return null;
+}
+
+// How a requester is named in group chats
+function requesterLabel(from) {
+  return from.username ? `@${from.username}` : (from.first_name || `id ${from.id}`);
+}
+
+function formatQuotaAmount(status, value) {
+  return status.unit === 'MB' ? value.toFixed(1) : String(Math.floor(value));
+}
+
+/**
+ * Check a user's quota before queueing work. Admins are never limited.
+ * `pendingCounter` is the counter this request is about to consume, so the
+ * remaining allowance shown already accounts for it.
+ * Returns { allowed, message }: `message` explains the refusal (with reset time)
+ * or, when allowed, summarises the remaining allowance (empty if no limits are set),
+ * in `lang`.
+ */
+async function checkQuota(userId, role, limits, pendingCounter = null, lang) {
+  if (hasRole(role, 'admin')) return { allowed: true, message: '' };
+
+  let user = null;
+  try {
+    user = await getUser(userId);
+  } catch (error) {
+    // Fail open: a DynamoDB hiccup shouldn't block an allowlisted user
+    console.error('Quota check error:', error);
+    return { allowed: true, message: '' };
+  }
+
+  const { allowed, exceeded, status } = evaluateQuota(user, limits);
+
+  if (!allowed) {
+    return {
+      allowed,
+      message: t(lang, 'quota.reached', {
+        used: formatQuotaAmount(exceeded, exceeded.used),
+        max: formatQuotaAmount(exceeded, exceeded.max),
+        label: t(lang, `quota.${exceeded.limit}`),
+        reset: formatResetTime(exceeded.resetAt, lang),
+      })
+    };
+  }
+
+  const message = status
+    .map(s => `${formatQuotaAmount(s, Math.max(0, s.remaining - (s.counter === pendingCounter ? 1 : 0)))} ${t(lang, `quota.${s.limit}`)}`)
+    .join(' · ');
+  return { allowed, status, message: message ? t(lang, 'quota.remaining', { summary: message }) : '' };
+}
+
+// Admins the bot can message, as { chatId, lang }
+async function getAdmins() {
+  const scan = await ddb.send(new ScanCommand({
+    TableName: DYNAMODB_TABLE_NAME,
+    FilterExpression: 'is_allowed = :allowed AND #role IN (:admin, :owner) AND attribute_exists(chat_id)',
+    ExpressionAttributeNames: { '#role': 'role' },
+    ExpressionAttributeValues: {
+      ':allowed': { BOOL: true },
+      ':admin': { S: 'admin' },
+      ':owner': { S: 'owner' }
+    }
+  }));
+  return (scan.Items || []).map(item => ({ chatId: item.chat_id.N, lang: userLanguage(item) }));
+}
+
+/**
+ * Denied path: record a pending access request on the user record and DM every
+ * admin with Approve / Deny / Approve-with-quota buttons, each in their own language.
+ * `/request <reason>` attaches a reason, or re-opens a request that was denied.
+ * `request_expires_at` (epoch seconds) marks when the user may ask again; the update
+ * that sets it is conditional, so admins are messaged once per ACCESS_REQUEST_TTL_SECONDS.
+ */
+async function handleAccessRequest(chatId, from, text, lang) {
+  const userId = String(from.id);
+  const handle = from.username ? `@${from.username}` : `id ${userId}`;
+  const isExplicit = /^\/request(\s|@|$)/.test(text);
+  const reason = isExplicit ? text.replace(/^\/request\S*\s*/, '').trim().substring(0, 300) : '';
+
+  try {
+    const user = await getUser(userId);
+    const status = user?.request_status?.S;
+
+    if (status === 'pending' && !reason) {
+      await telegram.sendMessage(chatId, t(lang, 'access.pending'));
+      return;
+    }
+    if (status === 'denied' && !isExplicit) {
+      await telegram.sendMessage(chatId, t(lang, 'access.denied'));
+      return;
+    }
+
+    const displayName = [from.first_name, from.last_name].filter(Boolean).join(' ') || from.username || userId;
+    const now = new Date().toISOString();
+    const nowSeconds = Math.floor(Date.now() / 1000);
+
+    const usernameUpdate = (from.username ? ', username = :username, username_lower = :lower' : '') +
+      (from.language_code ? ', language_code = :lang' : '');
+    const usernameValues = {
+      ...(from.username && { ':username': { S: from.username }, ':lower': { S: from.username.toLowerCase() } }),
+      ...(from.language_code && { ':lang': { S: from.language_code } })
+    };
+
+    try {
+      await ddb.send(new UpdateItemCommand({
+        TableName: DYNAMODB_TABLE_NAME,
+        Key: userKey(userId),
+        UpdateExpression: 'SET request_status = :pending, request_chat_id = :chatId, display_name = :name, request_reason = :reason, requested_at = :now, ' +
+          'request_expires_at = :expires, ' +
+          'is_allowed = if_not_exists(is_allowed, :false), created_at = if_not_exists(created_at, :now), platform_usage = if_not_exists(platform_usage, :empty)' +
+          usernameUpdate,
+        ConditionExpression: 'attribute_not_exists(request_expires_at) OR request_expires_at < :nowSeconds',
+        ExpressionAttributeValues: {
+          ...usernameValues,
+          ':pending': { S: 'pending' },
+          ':chatId': { N: String(chatId) },
+          ':name': { S: displayName },
+          ':reason': { S: reason },
+          ':now': { S: now },
+          ':nowSeconds': { N: String(nowSeconds) },
+          ':expires': { N: String(nowSeconds + ACCESS_REQUEST_TTL_SECONDS) },
+          ':false': { BOOL: false },
+          ':empty': { M: {} }
+        }
+      }));
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+
+      // Asked too recently: the admins already have (or just decided) a request
+      const expires = Number(user?.request_expires_at?.N || nowSeconds + ACCESS_REQUEST_TTL_SECONDS);
+      await telegram.sendMessage(chatId, t(lang, 'access.tooSoon', { reset: formatResetTime(new Date(expires * 1000), lang) }));
+      return;
+    }
+
+    const adminMsg = adminLang => t(adminLang, 'access.adminRequest', { name: escapeHtml(displayName), handle, userId }) + '\n' +
+      (reason ? `💬 ${escapeHtml(reason)}\n` : '');
+    const buttons = adminLang => ({
+      inline_keyboard: [
+        [
+          { text: t(adminLang, 'access.approve'), callback_data: `access:approve:${userId}` },
+          { text: t(adminLang, 'access.deny'), callback_data: `access:deny:${userId}` }
+        ],
+        [{ text: t(adminLang, 'access.approveWithQuota'), callback_data: `access:quota:${userId}` }]
+      ]
+    });
+
+    const admins = await getAdmins();
+    await Promise.allSettled(admins.map(admin => telegram.sendMessage(admin.chatId, adminMsg(admin.lang), { replyMarkup: buttons(admin.lang) })));
+    console.log(`Access request from ${handle} sent to ${admins.length} admins`);
+
+    await telegram.sendMessage(
+      chatId,
+      t(lang, 'access.requested') + (reason ? '' : '\n\n' + t(lang, 'access.reasonTip'))
+    );
+  } catch (error) {
+    console.error('Access request error:', error);
+    await telegram.sendMessage(chatId, t(lang, 'access.failed'));
+  }
+}
+
+/**
+ * Admin pressed Approve / Deny / Approve-with-quota on an access request.
+ * The conditional update makes sure only the first admin's decision counts.
+ * The admin sees the outcome in `lang`; the requester is told in their own language.
+ */
+async function handleAccessDecision(callbackQuery, decision, targetId, adminLabel, lang) {
+  const adminChatId = callbackQuery.message.chat.id;
+  const adminMessageId = callbackQuery.message.message_id;
+  const approve = decision === 'approve' || decision === 'quota';
+  const now = new Date().toISOString();
+
+  const values = {
+    ':pending': { S: 'pending' },
+    ':status': { S: approve ? 'approved' : 'denied' },
+    ':admin': { S: adminLabel },
+    ':now': { S: now }
+  };
+  let updateExpression = 'SET request_status = :status, request_decided_by = :admin, request_decided_at = :now';
+
+  if (approve) {
+    // Requests only come from private chats, so this is where the bot can reach them
+    updateExpression += ', is_allowed = :allowed, #role = :role, chat_id = request_chat_id';
+    values[':allowed'] = { BOOL: true };
+    values[':role'] = { S: 'analyst' };
+  } else {
+    updateExpression += ', revoked_at = :now';
+  }
+  if (decision === 'quota') {
+    updateExpression += ', quota = :quota';
+    values[':quota'] = { M: Object.fromEntries(Object.entries(APPROVAL_QUOTA).map(([k, v]) => [k, { N: String(v) }])) };
+  }
+
+  const previous = await getUser(targetId);
+  let user;
+  try {
+    const result = await ddb.send(new UpdateItemCommand({
+      TableName: DYNAMODB_TABLE_NAME,
+      Key: userKey(targetId),
+      UpdateExpression: updateExpression + (approve ? ' REMOVE revoked_at' : ''),
+      ConditionExpression: 'request_status = :pending',
+      ExpressionAttributeNames: approve ? { '#role': 'role' } : undefined,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    }));
+    user = result.Attributes;
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+
+    const existing = await getUser(targetId);
+    const params = {
+      status: t(lang, `access.status.${existing?.request_status?.S || 'gone'}`),
+      admin: existing?.request_decided_by?.S,
+      user: displayUser(existing || { user_id: { S: targetId } }),
+    };
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, params.admin ? 'access.alreadyBy' : 'access.already', params));
+    await telegram.editMessageText(adminChatId, adminMessageId, t(lang, params.admin ? 'access.alreadyMessageBy' : 'access.alreadyMessage', params));
+    return;
+  }
+
+  const displayName = user.display_name?.S || displayUser(user);
+  const outcome = t(lang, `access.outcome.${decision === 'quota' ? 'quota' : approve ? 'approve' : 'deny'}`);
+  await audit(approve ? 'access.approve' : 'access.deny', callbackQuery.from, {
+    target: { id: targetId, label: displayUser(user) },
+    params: { ...(user.request_reason?.S && { reason: user.request_reason.S }), ...(decision === 'quota' && { quota: APPROVAL_QUOTA }) },
+    before: { request: 'pending', ...userState(previous) },
+    after: { request: user.request_status.S, ...userState(user) },
+  });
+
+  await telegram.answerCallbackQuery(callbackQuery.id, outcome);
+  await telegram.editMessageText(adminChatId, adminMessageId,
+    t(lang, 'access.decided', { name: escapeHtml(displayName), user: displayUser(user), outcome, admin: adminLabel }));
+
+  // Notify the requester
+  const requesterChatId = user.request_chat_id?.N;
+  if (requesterChatId) {
+    const requesterLang = userLanguage(user);
+    const quotaNote = decision === 'quota'
+      ? '\n\n' + t(requesterLang, 'access.quotaNote', { limits: Object.entries(APPROVAL_QUOTA).map(([k, v]) => `${k} ${v}`).join(', ') })
+      : '';
+    await telegram.sendMessage(
+      requesterChatId,
+      approve ? t(requesterLang, 'access.approved') + quotaNote : t(requesterLang, 'access.declined')
+    );
+  }
+}
+
+async function recordQuotaUsage(userId, counter, amount = 1) {
+  try {
+    await incrementQuotaCounter(ddb, DYNAMODB_TABLE_NAME, userKey(userId), counter, amount);
+  } catch (error) {
+    console.error(`Failed to record ${counter} for ${userId}:`, error);
+  }
+}
+
+// SETTINGS (see shared/settings.mjs)
+
+async function saveSetting(userId, attr, value) {
+  try {
+    await ddb.send(new UpdateItemCommand({
+      TableName: DYNAMODB_TABLE_NAME,
+      Key: userKey(userId),
+      UpdateExpression: 'SET settings.#attr = :value',
+      ConditionExpression: 'attribute_exists(settings)',
+      ExpressionAttributeNames: { '#attr': attr },
+      ExpressionAttributeValues: { ':value': { S: value } }
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+
+    // First setting saved for this user: create the map (on their record, never a new one)
+    await ddb.send(new UpdateItemCommand({
+      TableName: DYNAMODB_TABLE_NAME,
+      Key: userKey(userId),
+      UpdateExpression: 'SET settings = :settings',
+      ConditionExpression: 'attribute_exists(user_id)',
+      ExpressionAttributeValues: { ':settings': { M: { [attr]: { S: value } } } }
+    }));
+  }
+}
+
+/**
+ * The user's settings for a job about to be queued. Auto-analyze is switched off
+ * unless the user may analyze and has analysis quota left.
+ */
+async function resolveJobSettings(userId, role) {
+  let settings;
+  try {
+    settings = parseSettings(await getUser(userId));
+  } catch (error) {
+    console.error('Settings lookup error:', error);
+    settings = parseSettings(null);
+  }
+
+  if (settings.autoAnalyze === 'on') {
+    const allowed = hasRole(role, CALLBACK_ROLES.analyze) &&
+      (await checkQuota(userId, role, ['analyses_per_day'])).allowed;
+    if (!allowed) settings.autoAnalyze = 'off';
+  }
+  return settings;
+}
+
+function renderSettingsMenu(settings, role, lang) {
+  const visible = SETTINGS.filter(s => hasRole(role, s.role));
+
+  let text = t(lang, 'settings.title') + '\n\n';
+  for (const s of visible) {
+    text += `${s.emoji} ${settingLabel(s, lang)}: <b>${optionLabel(s, s.options.find(o => o.value === settings[s.key]), lang)}</b>\n`;
+  }
+  text += '\n' + t(lang, 'settings.hint');
+
+  const rows = visible.map(s => s.options.map(o => ({
+    text: `${o.value === settings[s.key] ? '✅' : s.emoji} ${optionLabel(s, o, lang)}`,
+    callback_data: `settings:${s.attr}:${o.value}`
+  })));
+
+  return { text, replyMarkup: { inline_keyboard: rows } };
+}
+
+// "settings:attr:value" buttons on the /settings menu. Changing the language answers
+// in the new one.
+async function handleSettingsCallback(callbackQuery, from, role, attr, value, lang) {
+  const setting = getSetting(attr);
+  if (!setting || !hasRole(role, setting.role) || !setting.options.some(o => o.value === value)) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'settings.unknown'));
+    return;
+  }
+
+  await saveSetting(from.id, attr, value);
+  const settings = parseSettings(await getUser(from.id));
+  const newLang = resolveLanguage(settings.language, from.language_code);
+  const { text, replyMarkup } = renderSettingsMenu(settings, role, newLang);
+
+  await telegram.answerCallbackQuery(callbackQuery.id, t(newLang, 'settings.saved'));
+  await telegram.editMessageText(callbackQuery.message.chat.id, callbackQuery.message.message_id, text, { replyMarkup });
+}
+
+// LANGUAGE
+// /language is the language row of /settings on its own, open to every role. Its buttons
+// send `language:<value>`, where value is a catalog's language code or 'auto'.
+
+function renderLanguageMenu(settings, lang) {
+  const setting = getSetting('language');
+  const buttons = setting.options.map(o => ({
+    text: `${o.value === settings.language ? '✅ ' : ''}${optionLabel(setting, o, lang)}`,
+    callback_data: `language:${o.value}`
+  }));
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  const current = optionLabel(setting, setting.options.find(o => o.value === settings.language), lang);
+  return { text: t(lang, 'language.menu', { language: current }), replyMarkup: { inline_keyboard: rows } };
+}
+
+async function handleLanguageCallback(callbackQuery, from, value, lang) {
+  const setting = getSetting('language');
+  if (!setting.options.some(o => o.value === value)) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'settings.unknown'));
+    return;
   }
+
+  await saveSetting(from.id, setting.attr, value);
+  const newLang = resolveLanguage(value, from.language_code);
+  const { text, replyMarkup } = renderLanguageMenu({ language: value }, newLang);
+
+  await telegram.answerCallbackQuery(callbackQuery.id, t(newLang, 'settings.saved'));
+  await telegram.editMessageText(callbackQuery.message.chat.id, callbackQuery.message.message_id, text, { replyMarkup });
 }
 
-async function ensureUserExists(username, isAllowed = false, role = 'user') {
+async function ensureUserExists(from, isAllowed = false, role = 'viewer', chatId = null) {
   try {
+    const usernameAttrs = from.username
+      ? { username: { S: from.username }, username_lower: { S: from.username.toLowerCase() } }
+      : {};
     const command = new PutItemCommand({
       TableName: DYNAMODB_TABLE_NAME,
       Item: {
-        username: { S: username },
+        ...userKey(from.id),
+        ...usernameAttrs,
+        ...(chatId && { chat_id: { N: String(chatId) } }),
         is_allowed: { BOOL: isAllowed },
         role: { S: role },
         conversations: { N: '0' },
@@ -75,7 +878,7 @@ async function ensureUserExists(username, isAllowed = false, role = 'user') {
         platform_usage: { M: {} },
         created_at: { S: new Date().toISOString() }
       },
-      ConditionExpression: 'attribute_not_exists(username)'
+      ConditionExpression: 'attribute_not_exists(user_id)'
     });
     await ddb.send(command);
   } catch (error) {
@@ -85,282 +888,2227 @@ async function ensureUserExists(username, isAllowed = false, role = 'user') {
   }
 }
 
-async function handleAdminCommands(chatId, text, senderUsername) {
-  if (senderUsername !== TELEGRAM_ADMIN_USERNAME) return false;
+// Returns the updated user record
+async function setUserRole(userId, role) {
+  const response = await ddb.send(new UpdateItemCommand({
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: userKey(userId),
+    UpdateExpression: 'SET #role = :role',
+    ConditionExpression: 'attribute_exists(user_id)',
+    ExpressionAttributeNames: { '#role': 'role' },
+    ExpressionAttributeValues: { ':role': { S: role } },
+    ReturnValues: 'ALL_NEW'
+  }));
+  return response.Attributes;
+}
 
+async function handleCommands(chatId, text, sender, senderRole, chat = null, lang) {
   const parts = text.split(' ');
   const command = parts[0];
-  const targetUser = parts[1]?.replace('@', '');
+  const targetArg = parts[1]; // @handle or numeric user id
+
+  const spec = COMMANDS.find(c => c.command === command);
+  if (!spec) return false;
+
+  if (!hasRole(senderRole, spec.role)) {
+    await audit('role.refused', sender, { params: { command, role: senderRole, required: spec.role } });
+    await telegram.sendMessage(chatId, t(lang, 'commands.roleRequired', { command, role: spec.role }));
+    return true;
+  }
 
-  if (command === '/add' && targetUser) {
+  if (command === '/add' && targetArg) {
+    const requestedRole = parts[2];
     try {
-      await ddb.send(new UpdateItemCommand({
+      const target = await resolveTarget(targetArg);
+
+      if (requestedRole) {
+        if (!ROLES.includes(requestedRole)) {
+          await telegram.sendMessage(chatId, t(lang, 'users.unknownRole', { role: escapeHtml(requestedRole), roles: ROLES.join(', ') }));
+          return true;
+        }
+        const denied = checkRoleChange(senderRole, target.item?.role?.S, requestedRole);
+        if (denied) {
+          await telegram.sendMessage(chatId, t(lang, denied.key, denied.params));
+          return true;
+        }
+      }
+
+      // New @handle entries become placeholders; index their username so they can be found
+      const isNewHandle = !target.item && target.id.startsWith('username:');
+      const handle = targetArg.replace('@', '');
+
+      // Keep an existing user's role unless one was given explicitly
+      const response = await ddb.send(new UpdateItemCommand({
         TableName: DYNAMODB_TABLE_NAME,
-        Key: { username: { S: targetUser } },
-        UpdateExpression: 'SET is_allowed = :allowed, #role = :role, created_at = if_not_exists(created_at, :now)',
+        Key: userKey(target.id),
+        UpdateExpression: (requestedRole
+          ? 'SET is_allowed = :allowed, #role = :role, created_at = if_not_exists(created_at, :now), platform_usage = if_not_exists(platform_usage, :empty)'
+          : 'SET is_allowed = :allowed, #role = if_not_exists(#role, :role), created_at = if_not_exists(created_at, :now), platform_usage = if_not_exists(platform_usage, :empty)') +
+          (isNewHandle ? ', username = :username, username_lower = :lower' : '') +
+          ' REMOVE revoked_at',
         ExpressionAttributeNames: { '#role': 'role' },
         ExpressionAttributeValues: {
           ':allowed': { BOOL: true },
-          ':role': { S: 'user' },
-          ':now': { S: new Date().toISOString() }
-        }
+          ':role': { S: requestedRole || 'analyst' },
+          ':now': { S: new Date().toISOString() },
+          ':empty': { M: {} },
+          ...(isNewHandle ? { ':username': { S: handle }, ':lower': { S: handle.toLowerCase() } } : {})
+        },
+        ReturnValues: 'ALL_NEW'
       }));
-      await sendTelegramMessage(chatId, `✅ User @${targetUser} added to allowlist.`);
+      await audit('user.add', sender, {
+        target: { id: target.id, label: target.label },
+        params: { role: requestedRole },
+        before: userState(target.item),
+        after: userState(response.Attributes),
+      });
+      await telegram.sendMessage(chatId, t(lang, requestedRole ? 'users.addedAs' : 'users.added', { user: target.label, role: requestedRole }));
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'users.addFailed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  if ((command === '/promote' || command === '/demote') && targetArg) {
+    try {
+      const target = await resolveTarget(targetArg);
+      const user = target.item;
+
+      if (target.id === String(sender.id)) {
+        await telegram.sendMessage(chatId, t(lang, 'users.ownRole'));
+        return true;
+      }
+
+      if (!user) {
+        await telegram.sendMessage(chatId, t(lang, 'users.notFoundAdd', { user: target.label }));
+        return true;
+      }
+
+      const currentRole = normalizeRole(user.role?.S);
+      const currentLevel = ROLES.indexOf(currentRole);
+      let newRole = parts[2];
+
+      if (!newRole && command === '/demote') {
+        newRole = ROLES[Math.max(0, currentLevel - 1)];
+      }
+      if (!ROLES.includes(newRole)) {
+        await telegram.sendMessage(chatId, t(lang, 'users.usageRoles', { usage: spec.usage, roles: ROLES.join(', ') }));
+        return true;
+      }
+
+      const newLevel = ROLES.indexOf(newRole);
+      if (command === '/promote' ? newLevel <= currentLevel : newLevel >= currentLevel) {
+        await telegram.sendMessage(chatId, t(lang, command === '/promote' ? 'users.notPromotion' : 'users.notDemotion',
+          { user: target.label, current: currentRole, role: newRole }));
+        return true;
+      }
+
+      const denied = checkRoleChange(senderRole, currentRole, newRole);
+      if (denied) {
+        await telegram.sendMessage(chatId, t(lang, denied.key, denied.params));
+        return true;
+      }
+
+      const updated = await setUserRole(target.id, newRole);
+      await audit('user.role', sender, {
+        target: { id: target.id, label: target.label },
+        params: { command, role: newRole },
+        before: userState(user),
+        after: userState(updated),
+      });
+      await telegram.sendMessage(chatId, t(lang, 'users.roleChanged',
+        { icon: command === '/promote' ? '⬆️' : '⬇️', user: target.label, role: newRole, previous: currentRole }));
     } catch (error) {
-      await sendTelegramMessage(chatId, `❌ Failed to add user: ${error.message}`);
+      await telegram.sendMessage(chatId, t(lang, 'users.roleFailed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  if (command === '/remove' && targetArg) {
+    try {
+      const target = await resolveTarget(targetArg);
+      if (!target.item) {
+        await telegram.sendMessage(chatId, t(lang, 'users.notFound', { user: target.label }));
+        return true;
+      }
+
+      const denied = checkRoleChange(senderRole, target.item.role?.S, 'viewer');
+      if (denied) {
+        await telegram.sendMessage(chatId, t(lang, denied.key, denied.params));
+        return true;
+      }
+
+      const response = await ddb.send(new UpdateItemCommand({
+        TableName: DYNAMODB_TABLE_NAME,
+        Key: userKey(target.id),
+        UpdateExpression: 'SET is_allowed = :allowed, revoked_at = :now',
+        ExpressionAttributeValues: { ':allowed': { BOOL: false }, ':now': { S: new Date().toISOString() } },
+        ReturnValues: 'ALL_NEW'
+      }));
+      await audit('user.remove', sender, {
+        target: { id: target.id, label: target.label },
+        before: userState(target.item),
+        after: userState(response.Attributes),
+      });
+      await telegram.sendMessage(chatId, t(lang, 'users.removed', { user: target.label }));
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'users.removeFailed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  // QUOTA COMMAND
+  // /quota @user                        -> show limits and current usage
+  // /quota @user daily_mb=500 ...       -> set limits (value 'off' removes a limit)
+  // /quota @user clear                  -> remove all limits
+  if (command === '/quota' && targetArg) {
+    try {
+      const target = await resolveTarget(targetArg);
+      const user = target.item;
+      if (!user) {
+        await telegram.sendMessage(chatId, t(lang, 'users.notFound', { user: target.label }));
+        return true;
+      }
+
+      const quota = { ...(user.quota?.M || {}) };
+      const updates = parts.slice(2).filter(Boolean);
+
+      if (updates.length > 0) {
+        for (const update of updates) {
+          if (update === 'clear') {
+            Object.keys(quota).forEach(k => delete quota[k]);
+            continue;
+          }
+
+          const [name, value] = update.split('=');
+          if (!QUOTA_LIMITS.some(l => l.limit === name) || value === undefined) {
+            await telegram.sendMessage(chatId, t(lang, 'quota.invalidSetting', { setting: escapeHtml(update), limits: QUOTA_LIMITS.map(l => l.limit).join(', ') }));
+            return true;
+          }
+
+          if (value === 'off') {
+            delete quota[name];
+          } else if (!isNaN(parseFloat(value)) && parseFloat(value) >= 0) {
+            quota[name] = { N: String(parseFloat(value)) };
+          } else {
+            await telegram.sendMessage(chatId, t(lang, 'quota.invalidValue', { limit: name, value: escapeHtml(value) }));
+            return true;
+          }
+        }
+
+        const response = await ddb.send(new UpdateItemCommand({
+          TableName: DYNAMODB_TABLE_NAME,
+          Key: userKey(target.id),
+          UpdateExpression: 'SET quota = :quota',
+          ExpressionAttributeValues: { ':quota': { M: quota } },
+          ReturnValues: 'ALL_NEW'
+        }));
+        await audit('user.quota', sender, {
+          target: { id: target.id, label: target.label },
+          params: { changes: updates },
+          before: userState(user),
+          after: userState(response.Attributes),
+        });
+        user.quota = { M: quota };
+      }
+
+      const { status } = evaluateQuota(user, QUOTA_LIMITS.map(l => l.limit));
+      let msg = t(lang, 'quota.title', { user: target.label }) + '\n\n';
+      for (const def of QUOTA_LIMITS) {
+        const s = status.find(st => st.limit === def.limit);
+        msg += (s
+          ? t(lang, 'quota.line', {
+            limit: def.limit,
+            used: formatQuotaAmount(s, s.used),
+            max: formatQuotaAmount(s, s.max),
+            unit: s.unit,
+            reset: formatResetTime(s.resetAt, lang),
+          })
+          : t(lang, 'quota.unlimited', { limit: def.limit })) + '\n';
+      }
+
+      await telegram.sendMessage(chatId, msg);
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'quota.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  // STATS COMMAND
+  // /stats [range] [user:@name] -> downloads and MB in the range from the daily usage table,
+  //                                with top users and platforms (default: last 7 days)
+  // /stats all                  -> lifetime totals of every user, from the users table
+  if (command === '/stats' && parts[1] !== 'all') {
+    const { range, user, invalid, invalidRange } = await parseStatsArgs(parts.slice(1), STATS_DEFAULT_RANGE);
+    if (invalidRange) {
+      await telegram.sendMessage(chatId, t(lang, 'stats.invalidRange', { range: escapeHtml(invalidRange), max: MAX_RANGE_DAYS, usage: spec.usage }));
+      return true;
+    }
+    if (invalid) {
+      await telegram.sendMessage(chatId, t(lang, 'list.unknownFilter', { filter: escapeHtml(invalid), usage: spec.usage }));
+      return true;
+    }
+    if (!DYNAMODB_USAGE_TABLE) {
+      await telegram.sendMessage(chatId, t(lang, 'stats.notConfigured'));
+      return true;
+    }
+
+    try {
+      const summary = summarizeUsage(await queryUsage(ddb, DYNAMODB_USAGE_TABLE, range, user?.id));
+      await telegram.sendMessage(chatId, renderUsageStats(range, user, summary, lang));
+    } catch (error) {
+      console.error(error);
+      await telegram.sendMessage(chatId, t(lang, 'stats.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  if (command === '/stats') {
+    try {
+      const scan = await ddb.send(new ScanCommand({ TableName: DYNAMODB_TABLE_NAME }));
+      let statsMsg = t(lang, 'stats.title') + '\n' + t(lang, 'stats.lifetime') + '\n\n';
+
+      for (const item of scan.Items || []) {
+        if (isGroupRecord(item)) continue;
+        const user = displayUser(item);
+        const mb = parseFloat(item.total_mb?.N || 0).toFixed(1);
+        const reqs = item.conversations?.N || 0;
+        const allowed = item.is_allowed?.BOOL ? '✅' : '🚫';
+
+        // Get platform usage breakdown (source types summed per platform)
+        const platformUsage = item.platform_usage?.M || {};
+        let platformBreakdown = '';
+
+        const platformTotals = listPlatforms()
+          .map(platform => ({
+            platform,
+            total: platform.types.reduce((sum, def) => sum + parseFloat(platformUsage[def.type]?.N || 0), 0),
+          }))
+          .filter(({ total }) => total > 0);
+
+        if (platformTotals.length > 0) {
+          platformBreakdown = '   ' + platformTotals
+            .map(({ platform, total }) => `${platform.emoji} ${platform.shortLabel}: ${total.toFixed(1)} MB`)
+            .join(' | ') + '\n';
+        }
+
+        statsMsg += `${allowed} <b>${user}</b>\n`;
+        statsMsg += t(lang, 'stats.line', { mb, requests: reqs }) + '\n';
+        statsMsg += platformBreakdown;
+        statsMsg += '\n';
+      }
+
+      await telegram.sendMessage(chatId, statsMsg);
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'stats.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  // EXPORT COMMAND - /export stats [range] [user:@name]: the daily usage rows as a CSV
+  // (default: last 30 days). The processor uploads it to S3 and edits in the link.
+  if (command === '/export') {
+    if (parts[1] !== 'stats') {
+      await telegram.sendMessage(chatId, t(lang, 'common.usage', { usage: spec.usage }));
+      return true;
+    }
+
+    const { range, user, invalid, invalidRange } = await parseStatsArgs(parts.slice(2), EXPORT_DEFAULT_RANGE);
+    if (invalidRange) {
+      await telegram.sendMessage(chatId, t(lang, 'stats.invalidRange', { range: escapeHtml(invalidRange), max: MAX_RANGE_DAYS, usage: spec.usage }));
+      return true;
+    }
+    if (invalid) {
+      await telegram.sendMessage(chatId, t(lang, 'list.unknownFilter', { filter: escapeHtml(invalid), usage: spec.usage }));
+      return true;
+    }
+    if (!DYNAMODB_USAGE_TABLE) {
+      await telegram.sendMessage(chatId, t(lang, 'stats.notConfigured'));
+      return true;
+    }
+
+    const placeholder = await telegram.sendMessage(chatId, t(lang, 'export.preparing', { from: range.from, to: range.to }));
+    await sqs.send(
+      new SendMessageCommand({
+        QueueUrl: SQS_QUEUE_URL,
+        MessageBody: JSON.stringify({
+          action: 'export',
+          kind: 'stats',
+          chatId,
+          progressMessageId: placeholder?.result?.message_id,
+          range,
+          userId: user?.id,
+          lang,
+        }),
+      })
+    );
+    return true;
+  }
+
+  // GROUP COMMAND
+  // /group                       -> this group's status (in a group), or every allowed group
+  // /group allow [role]          -> allowlist this group (default role: downloader)
+  // /group remove                -> take it off the allowlist
+  // /group autograb on|off       -> download every link posted, not only mentions and /dl
+  // From a private chat, put the group's chat id first: /group -100123456 remove
+  if (command === '/group') {
+    const args = parts.slice(1).filter(Boolean);
+    const groupId = /^-\d+$/.test(args[0] || '') ? args.shift() : (isGroupChat(chat) ? String(chat.id) : null);
+    const [action, value] = args;
+    let previous;
+
+    try {
+      if (!groupId) {
+        const scan = await ddb.send(new ScanCommand({
+          TableName: DYNAMODB_TABLE_NAME,
+          FilterExpression: 'begins_with(user_id, :prefix) AND is_allowed = :allowed',
+          ExpressionAttributeValues: { ':prefix': { S: GROUP_KEY_PREFIX }, ':allowed': { BOOL: true } }
+        }));
+        const groups = scan.Items || [];
+        let msg = t(lang, 'group.listTitle') + '\n\n';
+        for (const item of groups) {
+          msg += `• ${escapeHtml(item.chat_title?.S || t(lang, 'group.untitled'))} <code>${item.user_id.S.slice(GROUP_KEY_PREFIX.length)}</code> ` +
+            `(${normalizeRole(item.role?.S)}${item.autograb?.BOOL ? t(lang, 'group.autograbTag') : ''})\n`;
+        }
+        msg += groups.length === 0 ? t(lang, 'group.none') : '\n' + t(lang, 'common.total', { count: groups.length });
+        await telegram.sendMessage(chatId, msg);
+        return true;
+      }
+
+      if (action === 'allow') {
+        const role = value || DEFAULT_GROUP_ROLE;
+        if (!GROUP_ROLES.includes(role)) {
+          await telegram.sendMessage(chatId, t(lang, 'group.roles', { roles: GROUP_ROLES.join(', ') }));
+          return true;
+        }
+        const title = String(chat?.id) === groupId ? chat.title : null;
+        previous = (await ddb.send(new UpdateItemCommand({
+          TableName: DYNAMODB_TABLE_NAME,
+          Key: groupKey(groupId),
+          UpdateExpression: 'SET is_allowed = :allowed, #role = :role, added_by = :by, created_at = if_not_exists(created_at, :now)' +
+            (title ? ', chat_title = :title' : ''),
+          ExpressionAttributeNames: { '#role': 'role' },
+          ExpressionAttributeValues: {
+            ':allowed': { BOOL: true },
+            ':role': { S: role },
+            ':by': { S: String(sender.id) },
+            ':now': { S: new Date().toISOString() },
+            ...(title && { ':title': { S: title } })
+          },
+          ReturnValues: 'ALL_OLD'
+        }))).Attributes;
+      } else if (action === 'remove' || action === 'autograb') {
+        if (action === 'autograb' && !['on', 'off'].includes(value)) {
+          await telegram.sendMessage(chatId, t(lang, 'common.usage', { usage: spec.usage }));
+          return true;
+        }
+        try {
+          previous = (await ddb.send(new UpdateItemCommand({
+            TableName: DYNAMODB_TABLE_NAME,
+            Key: groupKey(groupId),
+            UpdateExpression: action === 'remove' ? 'SET is_allowed = :value' : 'SET autograb = :value',
+            ConditionExpression: 'attribute_exists(user_id)',
+            ExpressionAttributeValues: { ':value': { BOOL: action === 'autograb' && value === 'on' } },
+            ReturnValues: 'ALL_OLD'
+          }))).Attributes;
+        } catch (error) {
+          if (error.name !== 'ConditionalCheckFailedException') throw error;
+          await telegram.sendMessage(chatId, t(lang, 'group.notAllowedYet', { groupId }));
+          return true;
+        }
+      } else if (action) {
+        await telegram.sendMessage(chatId, t(lang, 'common.usage', { usage: spec.usage }));
+        return true;
+      }
+
+      const group = await getGroup(groupId);
+      if (action) {
+        await audit(`group.${action}`, sender, {
+          target: { id: `${GROUP_KEY_PREFIX}${groupId}`, label: group?.chat_title?.S || groupId },
+          params: action === 'allow' ? { role: value || DEFAULT_GROUP_ROLE } : { value },
+          before: groupState(previous),
+          after: groupState(group),
+        });
+      }
+      await telegram.sendMessage(chatId,
+        `👥 <b>${escapeHtml(group?.chat_title?.S || chat?.title || t(lang, 'group.untitled'))}</b> <code>${groupId}</code>\n\n` +
+        (group?.is_allowed?.BOOL ? t(lang, 'group.allowed', { role: normalizeRole(group.role?.S) }) : t(lang, 'group.notAllowed')) + '\n' +
+        t(lang, group?.autograb?.BOOL ? 'group.autograbOn' : 'group.autograbOff')
+      );
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'group.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  // USERS LIST COMMAND
+  if (command === '/users') {
+    try {
+      const scan = await ddb.send(new ScanCommand({ TableName: DYNAMODB_TABLE_NAME }));
+      let msg = t(lang, 'users.title') + '\n\n';
+      let count = 0;
+
+      for (const item of scan.Items || []) {
+        if (item.is_allowed?.BOOL && !isGroupRecord(item)) {
+          msg += `• ${displayUser(item)} (${normalizeRole(item.role?.S)})\n`;
+          count++;
+        }
+      }
+
+      if (count === 0) msg += t(lang, 'users.none');
+      else msg += '\n' + t(lang, 'common.total', { count });
+
+      await telegram.sendMessage(chatId, msg);
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'users.listFailed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  // HELP COMMAND - only lists commands the sender's role can run
+  if (command === '/help') {
+    let helpMsg = t(lang, 'help.title', { role: senderRole }) + '\n';
+    let section = null;
+    const params = { roles: ROLES.join(', '), platforms: listPlatforms().map(p => p.platform).join(', ') };
+
+    for (const c of COMMANDS.filter(c => hasRole(senderRole, c.role))) {
+      if (c.section !== section) {
+        section = c.section;
+        helpMsg += `\n<b>${t(lang, `help.section.${section}`)}</b>\n`;
+      }
+      helpMsg += `• ${c.usage} - ${t(lang, `commands.${c.command.slice(1)}`, params)}\n`;
+    }
+
+    await telegram.sendMessage(chatId, helpMsg);
+    return true;
+  }
+
+  // LANGUAGE COMMAND
+  // /language          -> language buttons
+  // /language <code>   -> switch straight away ('auto' follows the Telegram app again)
+  if (command === '/language') {
+    const setting = getSetting('language');
+    const value = parts[1]?.toLowerCase();
+    try {
+      if (!value) {
+        const settings = parseSettings(await getUser(sender.id));
+        const { text, replyMarkup } = renderLanguageMenu(settings, lang);
+        await telegram.sendMessage(chatId, text, { replyMarkup });
+        return true;
+      }
+
+      if (!setting.options.some(o => o.value === value)) {
+        await telegram.sendMessage(chatId, t(lang, 'language.unknown', { code: escapeHtml(value), codes: setting.options.map(o => o.value).join(', ') }));
+        return true;
+      }
+
+      await saveSetting(sender.id, setting.attr, value);
+      const newLang = resolveLanguage(value, sender.language_code);
+      await telegram.sendMessage(chatId, t(newLang, 'language.saved', { language: languageName(newLang) }));
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'settings.loadFailed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  if (command === '/settings') {
+    try {
+      const settings = parseSettings(await getUser(sender.id));
+      const { text, replyMarkup } = renderSettingsMenu(settings, senderRole, lang);
+      await telegram.sendMessage(chatId, text, { replyMarkup });
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'settings.loadFailed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  if (command === '/history') {
+    try {
+      const files = await queryHistory(sender.id, HISTORY_LIMIT);
+      const { text, replyMarkup } = renderHistory(files, senderRole, lang);
+      await telegram.sendMessage(chatId, text, { replyMarkup });
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'history.loadFailed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  if (command === '/search' && parts.length > 1) {
+    if (!DYNAMODB_SEARCH_TABLE) {
+      await telegram.sendMessage(chatId, t(lang, 'search.notConfigured'));
+      return true;
+    }
+
+    try {
+      const query = parts.slice(1).join(' ');
+      const { terms, results } = await searchFiles(ddb, { searchTable: DYNAMODB_SEARCH_TABLE, filesTable: DYNAMODB_FILES_TABLE }, query, {
+        limit: SEARCH_LIMIT,
+        userId: hasRole(senderRole, 'admin') ? null : sender.id,
+      });
+      const { text, replyMarkup } = renderSearchResults(query, terms, results, senderRole, lang);
+      await telegram.sendMessage(chatId, text, { replyMarkup });
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'search.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  if (command === '/cancel') {
+    try {
+      const downloads = await listUserDownloads(sender.id);
+      if (downloads.length === 0) {
+        await telegram.sendMessage(chatId, t(lang, 'cancel.nothing'));
+        return true;
+      }
+
+      let msg = t(lang, 'cancel.title') + '\n\n';
+      const buttons = [];
+      downloads.forEach((item, i) => {
+        const label = getSource(item.source_type?.S)?.label || item.source_type?.S || t(lang, 'cancel.fallbackLabel');
+        const url = item.url?.S || '';
+        const shortUrl = url.length > 40 ? url.substring(0, 40) + '...' : url;
+        msg += `${i + 1}. ${label} <i>${t(lang, `status.${item.status?.S || 'queued'}`)}</i>\n   🔗 ${escapeHtml(shortUrl)}\n`;
+        buttons.push({ text: `✖ ${i + 1}`, callback_data: `cancel:${item.download_id.S}` });
+      });
+
+      const rows = [];
+      for (let i = 0; i < buttons.length; i += 4) rows.push(buttons.slice(i, i + 4));
+      if (downloads.length > 1) rows.push([{ text: t(lang, 'cancel.all'), callback_data: 'cancel:all' }]);
+
+      await telegram.sendMessage(chatId, msg, { replyMarkup: { inline_keyboard: rows } });
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'cancel.listFailed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  // FOLLOW COMMANDS (see shared/follows.mjs)
+  // /follow <profile link> [analyze] [digest]  -> download new posts as they appear
+  // /following                                 -> subscriptions, with Unfollow buttons
+  // /unfollow <number|profile link>            -> number as listed by /following
+  if (['/follow', '/following', '/unfollow'].includes(command) && !DYNAMODB_FOLLOWS_TABLE) {
+    await telegram.sendMessage(chatId, t(lang, 'follow.notConfigured'));
+    return true;
+  }
+
+  if (command === '/follow' && parts[1]) {
+    const profile = parseFollowUrl(parts[1]);
+    const options = parts.slice(2).filter(Boolean);
+    if (!profile) {
+      await telegram.sendMessage(chatId, t(lang, 'follow.unsupported'));
+      return true;
+    }
+    if (options.some(option => option !== 'analyze' && option !== 'digest')) {
+      await telegram.sendMessage(chatId, t(lang, 'common.usage', { usage: spec.usage }));
+      return true;
+    }
+    const analyze = options.includes('analyze');
+    if (analyze && !hasRole(senderRole, CALLBACK_ROLES.analyze)) {
+      await telegram.sendMessage(chatId, t(lang, 'follow.analyzeRole'));
+      return true;
+    }
+
+    try {
+      const follows = await listFollows(sender.id);
+      if (follows.length >= MAX_FOLLOWS) {
+        await telegram.sendMessage(chatId, t(lang, 'follow.limit', { max: MAX_FOLLOWS }));
+        return true;
+      }
+
+      const settings = await resolveJobSettings(sender.id, senderRole);
+      await ddb.send(new PutItemCommand({
+        TableName: DYNAMODB_FOLLOWS_TABLE,
+        Item: {
+          ...followItemKey(sender.id, profile.key),
+          platform: { S: profile.platform },
+          account: { S: profile.account },
+          url: { S: profile.url },
+          ...(profile.sourceType && { source_type: { S: profile.sourceType } }),
+          chat_id: { N: String(chatId) },
+          username: { S: sender.username || String(sender.id) },
+          lang: { S: lang },
+          settings: { S: JSON.stringify(settings) },
+          analyze: { BOOL: analyze },
+          digest: { BOOL: options.includes('digest') },
+          created_at: { S: new Date().toISOString() }
+        },
+        ConditionExpression: 'attribute_not_exists(follow_key)'
+      }));
+
+      const platform = getPlatform(profile.platform);
+      let msg = t(lang, 'follow.added', { emoji: platform.emoji, account: escapeHtml(profile.account), platform: platform.label });
+      if (analyze) msg += '\n' + t(lang, 'follow.addedAnalyze');
+      if (options.includes('digest')) msg += '\n' + t(lang, 'follow.addedDigest');
+      await telegram.sendMessage(chatId, msg);
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        await telegram.sendMessage(chatId, t(lang, 'follow.already', { account: escapeHtml(profile.account) }));
+        return true;
+      }
+      await telegram.sendMessage(chatId, t(lang, 'follow.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  if (command === '/following') {
+    try {
+      const { text, replyMarkup } = renderFollowing(await listFollows(sender.id), lang);
+      await telegram.sendMessage(chatId, text, { replyMarkup });
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'follow.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  if (command === '/unfollow' && parts[1]) {
+    try {
+      const follows = await listFollows(sender.id);
+      const follow = /^\d+$/.test(parts[1])
+        ? follows[parseInt(parts[1]) - 1]
+        : follows.find(f => f.key === parseFollowUrl(parts[1])?.key);
+      if (!follow) {
+        await telegram.sendMessage(chatId, t(lang, 'follow.notFound'));
+        return true;
+      }
+
+      await ddb.send(new DeleteItemCommand({ TableName: DYNAMODB_FOLLOWS_TABLE, Key: followItemKey(sender.id, follow.key) }));
+      await telegram.sendMessage(chatId, t(lang, 'follow.removed', { account: escapeHtml(follow.account) }));
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'follow.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  // LIST COMMANDS
+  if (command === '/list') {
+    const { filters, invalid } = parseFileFilters(parts.slice(1));
+    if (invalid) {
+      await telegram.sendMessage(chatId, t(lang, 'list.unknownFilter', { filter: escapeHtml(invalid), usage: spec.usage }));
+      return true;
+    }
+
+    try {
+      // First, get active downloads
+      let activeDownloads = [];
+      if (DYNAMODB_ACTIVE_DOWNLOADS_TABLE) {
+        activeDownloads = await queryJobs(ddb, DYNAMODB_ACTIVE_DOWNLOADS_TABLE);
+      }
+
+      // Show active downloads section
+      let msg = '';
+      if (activeDownloads.length > 0) {
+        msg += t(lang, 'list.activeTitle') + '\n\n';
+        for (const item of activeDownloads) {
+          const user = item.username?.S || t(lang, 'common.unknown');
+          const sourceUrl = item.url?.S || 'N/A';
+          const percent = item.percent?.S || '0%';
+          const speed = item.speed?.S || '';
+          const sourceType = item.source_type?.S || '';
+          const startedAt = item.started_at?.S;
+
+          // Calculate elapsed time
+          let elapsed = '';
+          if (startedAt) {
+            const elapsedMs = Date.now() - new Date(startedAt).getTime();
+            const elapsedSec = Math.floor(elapsedMs / 1000);
+            elapsed = elapsedSec < 60 ? `${elapsedSec}s` : `${Math.floor(elapsedSec / 60)}m ${elapsedSec % 60}s`;
+          }
+
+          // Truncate URL for display
+          const shortUrl = sourceUrl.length > 40 ? sourceUrl.substring(0, 40) + '...' : sourceUrl;
+
+          msg += `📥 <b>${percent}</b> ${speed ? `(${speed})` : ''}\n`;
+          msg += `   👤 @${user} | 🏷️ ${sourceType}\n`;
+          msg += `   🔗 ${shortUrl}\n`;
+          if (elapsed) msg += `   ⏱️ ${elapsed}\n`;
+          msg += '\n';
+        }
+        msg += '-------------------\n\n';
+      }
+
+      const page = await queryFilesPage(filters, {});
+      const listId = page.next ? await createFileList(sender.id, filters, page.next) : null;
+      const { text, replyMarkup } = renderFileList(filters, page.items, 0, listId, Boolean(page.next), lang);
+
+      await telegram.sendMessage(chatId, msg + text, { replyMarkup });
+    } catch (error) {
+      await telegram.sendMessage(chatId, t(lang, 'list.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  // CLEAR COMMAND - Deletes files from S3 and the files table, preserves user stats.
+  // Shows a dry run first; the processor does the deleting once confirmed.
+  if (command === '/clear') {
+    const { filters, invalid } = parseFileFilters(parts.slice(1), ['older', 'key']);
+    if (invalid) {
+      await telegram.sendMessage(chatId, t(lang, 'list.unknownFilter', { filter: escapeHtml(invalid), usage: spec.usage }));
+      return true;
+    }
+
+    try {
+      const files = await selectFiles(ddb, DYNAMODB_FILES_TABLE, filters);
+      const described = describeFileFilters(filters, lang);
+      if (files.length === 0) {
+        await telegram.sendMessage(chatId, t(lang, 'clear.nothing') + (described ? `\n${described}` : ''));
+        return true;
+      }
+
+      const totalMB = files.reduce((sum, item) => sum + parseFloat(item.size_mb?.N || 0), 0);
+      // Pin the purge to the files counted here: nothing downloaded after the preview goes
+      const newest = files.reduce((latest, item) => (item.created_at?.S > latest ? item.created_at.S : latest), '');
+      const snapshot = filters.fileKey ? filters : { ...filters, before: newest };
+      const clearId = await createClearRequest(sender.id, snapshot, { files: files.length, mb: Number(totalMB.toFixed(1)) });
+      const platform = listPlatforms().find(p => p.platform === filters.platform);
+
+      await telegram.sendMessage(chatId,
+        (platform ? t(lang, 'clear.confirmPlatformTitle', { platform: platform.label }) : t(lang, 'clear.confirmTitle')) + '\n' +
+        (described ? `${described}\n` : '') +
+        '\n' + t(lang, 'clear.confirmBody', { count: files.length, mb: totalMB.toFixed(1) }),
+        { replyMarkup: { inline_keyboard: [[
+          { text: t(lang, 'clear.confirm'), callback_data: `clear:${clearId}:confirm` },
+          { text: t(lang, 'common.cancel'), callback_data: `clear:${clearId}:cancel` },
+        ]] } });
+    } catch (error) {
+      console.error(error);
+      await telegram.sendMessage(chatId, t(lang, 'clear.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  // BROADCAST COMMAND - Announcement to every allowlisted user, or only some roles or only
+  // users active in the last N days. Shows who it will reach first; the processor sends.
+  if (command === '/broadcast') {
+    const { audience, message, invalid, invalidRole } = parseBroadcastArgs(text.slice(command.length));
+    if (invalidRole !== undefined) {
+      await telegram.sendMessage(chatId, t(lang, 'users.unknownRole', { role: escapeHtml(invalidRole), roles: ROLES.join(', ') }));
+      return true;
+    }
+    if (invalid) {
+      await telegram.sendMessage(chatId, t(lang, 'list.unknownFilter', { filter: escapeHtml(invalid), usage: spec.usage }));
+      return true;
+    }
+
+    if (message) {
+      try {
+        const { recipients, unreachable } = await selectBroadcastRecipients(audience);
+        const described = describeAudience(audience, lang);
+        const unreachableNote = unreachable ? '\n' + t(lang, 'broadcast.unreachable', { count: unreachable }) : '';
+        if (recipients.length === 0) {
+          await telegram.sendMessage(chatId, t(lang, 'broadcast.none') + (described ? `\n${described}` : '') + unreachableNote);
+          return true;
+        }
+
+        const broadcastId = await createBroadcast(sender.id, message, recipients, lang);
+        await telegram.sendMessage(chatId,
+          t(lang, 'broadcast.previewTitle') + '\n' +
+          (described ? `${described}\n` : '') +
+          '\n' + renderBroadcast(message, lang) + '\n\n' +
+          t(lang, 'broadcast.recipients', { count: recipients.length }) + unreachableNote,
+          { replyMarkup: { inline_keyboard: [[
+            { text: t(lang, 'broadcast.send', { count: recipients.length }), callback_data: `broadcast:${broadcastId}:confirm` },
+            { text: t(lang, 'common.cancel'), callback_data: `broadcast:${broadcastId}:cancel` },
+          ]] } });
+      } catch (error) {
+        console.error(error);
+        await telegram.sendMessage(chatId, t(lang, 'broadcast.failed', { error: escapeHtml(error.message) }));
+      }
+      return true;
+    }
+  }
+
+  // AUDIT COMMAND
+  // /audit                                          -> latest entries, newest first
+  // /audit actor:@ada target:@bob action:user.role  -> only matching entries
+  if (command === '/audit') {
+    if (!DYNAMODB_AUDIT_TABLE) {
+      await telegram.sendMessage(chatId, t(lang, 'audit.notConfigured'));
+      return true;
+    }
+
+    try {
+      const { filters, invalid, invalidAction } = await parseAuditFilters(parts.slice(1));
+      if (invalidAction !== undefined) {
+        await telegram.sendMessage(chatId, t(lang, 'audit.unknownAction', { action: escapeHtml(invalidAction), actions: AUDIT_ACTIONS.join(', ') }));
+        return true;
+      }
+      if (invalid) {
+        await telegram.sendMessage(chatId, t(lang, 'list.unknownFilter', { filter: escapeHtml(invalid), usage: spec.usage }));
+        return true;
+      }
+
+      const { entries, next } = await queryAudit(ddb, DYNAMODB_AUDIT_TABLE, filters, null, AUDIT_PAGE_SIZE);
+      const auditId = next ? await createAuditPages(sender.id, filters, next) : null;
+      const { text, replyMarkup } = renderAuditPage(filters, entries, 0, auditId, Boolean(next), lang);
+      await telegram.sendMessage(chatId, text, { replyMarkup });
+    } catch (error) {
+      console.error(error);
+      await telegram.sendMessage(chatId, t(lang, 'audit.failed', { error: escapeHtml(error.message) }));
+    }
+    return true;
+  }
+
+  // Known command with missing arguments
+  await telegram.sendMessage(chatId, t(lang, 'common.usage', { usage: spec.usage }));
+  return true;
+}
+
+// Every distinct URL in a message: links in the text or caption, plus the URLs behind
+// `text_link` entities (hidden links, common in forwarded posts)
+function extractUrls(message) {
+  const urls = [];
+  for (const [text, entities] of [[message.text, message.entities], [message.caption, message.caption_entities]]) {
+    if (!text) continue;
+    urls.push(...(text.match(/https?:\/\/[^\s]+/gi) || []));
+    for (const entity of entities || []) {
+      if (entity.type === 'text_link') urls.push(entity.url);
+      // Telegram also marks scheme-less links like "youtu.be/abc" as url entities
+      if (entity.type === 'url') {
+        const link = text.substring(entity.offset, entity.offset + entity.length);
+        urls.push(/^https?:\/\//i.test(link) ? link : `https://${link}`);
+      }
+    }
+  }
+  // Drop punctuation glued to the end of a link ("see https://...!")
+  return [...new Set(urls.map(url => url.replace(/[)\]>.,!?'"]+$/, '')))];
+}
+
+async function createActiveDownload(downloadId, from, username, url, sourceType, batchId = null) {
+  if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE) return;
+
+  try {
+    const ttlSeconds = Math.floor(Date.now() / 1000) + (15 * 60); // 15 min TTL
+    await ddb.send(new PutItemCommand({
+      TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+      Item: {
+        download_id: { S: downloadId },
+        ...jobAttributes(),
+        user_id: { S: String(from.id) },
+        username: { S: username },
+        url: { S: url },
+        source_type: { S: sourceType },
+        status: { S: 'queued' },
+        percent: { S: '0%' },
+        started_at: { S: new Date().toISOString() },
+        ttl: { N: String(ttlSeconds) },
+        ...(batchId && { batch_id: { S: batchId } })
+      }
+    }));
+  } catch (error) {
+    console.error('Failed to create active download record:', error);
+  }
+}
+
+/**
+ * Queue several links from one message as separate jobs that share a single
+ * progress message (see shared/batch.mjs). Links past the batch limit or the
+ * user's remaining hourly requests are listed as skipped instead.
+ * `options.settings` are the user's resolved /settings and `options.lang` their language;
+ * group chats pass `replyTo` and `requestedBy`. Playlist/channel batches also pass { title, sourceType, zip, maxLinks,
+ * messageId } to reuse the confirmation prompt as the progress message.
+ */
+async function queueBatch(chatId, message, from, username, links, unsupported, quota, options = {}) {
+  const maxLinks = options.maxLinks || MAX_BATCH_LINKS;
+  const remaining = quota.status?.find(s => s.limit === 'requests_per_hour')?.remaining ?? Infinity;
+  const queuedCount = Math.min(links.length, maxLinks, remaining);
+  const overflowReason = remaining < Math.min(links.length, maxLinks) ? 'quota' : 'limit';
+
+  const batchId = randomUUID();
+  const jobs = links.slice(0, queuedCount).map(link => ({ ...link, downloadId: randomUUID() }));
+  const skipped = [
+    ...links.slice(queuedCount).map(link => ({ url: link.url, reason: overflowReason })),
+    ...unsupported.map(link => ({ url: link.url, reason: 'unsupported' })),
+  ];
+
+  const attributes = batchAttributes(jobs, skipped, options);
+  const { text, replyMarkup } = renderBatchMessage(parseBatch({ ...batchKey(batchId), ...attributes }));
+  let progressMessageId = options.messageId;
+  if (progressMessageId) {
+    await telegram.editMessageText(chatId, progressMessageId, text, { replyMarkup });
+  } else {
+    const progressMsg = await telegram.sendMessage(chatId, text, { replyMarkup, replyTo: options.replyTo });
+    progressMessageId = progressMsg?.result?.message_id;
+  }
+
+  if (DYNAMODB_ACTIVE_DOWNLOADS_TABLE) {
+    try {
+      const ttlSeconds = Math.floor(Date.now() / 1000) + (24 * 60 * 60); // Outlives every job in the batch
+      await ddb.send(new PutItemCommand({
+        TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+        Item: {
+          ...batchKey(batchId),
+          ...attributes,
+          chat_id: { N: String(chatId) },
+          ...(progressMessageId && { message_id: { N: String(progressMessageId) } }),
+          user_id: { S: String(from.id) },
+          started_at: { S: new Date().toISOString() },
+          ttl: { N: String(ttlSeconds) }
+        }
+      }));
+    } catch (error) {
+      console.error('Failed to create batch record:', error);
+    }
+  }
+
+  await recordQuotaUsage(from.id, 'requests_hour', jobs.length);
+
+  for (const job of jobs) {
+    await createActiveDownload(job.downloadId, from, username, job.url, job.sourceType, batchId);
+    await sqs.send(
+      new SendMessageCommand({
+        QueueUrl: SQS_QUEUE_URL,
+        MessageBody: JSON.stringify({
+          chatId,
+          url: job.url,
+          sourceType: job.sourceType,
+          messageId: message.message_id,
+          userId: String(from.id),
+          username,
+          downloadId: job.downloadId,
+          batchId,
+          settings: options.settings,
+          lang: options.lang,
+          ...(options.requestedBy && { requestedBy: options.requestedBy }),
+        }),
+      })
+    );
+  }
+
+  console.log(`Queued batch ${batchId}: ${jobs.length} job(s), ${skipped.length} skipped`);
+}
+
+/**
+ * Playlist/channel URL: the processor lists its entries (yt-dlp runs there) and
+ * replaces the placeholder message with a "how many?" prompt. Nothing counts
+ * against the quota until the user confirms.
+ */
+async function queueExpansion(chatId, message, from, username, link, replyTo = null, lang) {
+  const collectionId = randomUUID();
+  const source = getSource(link.sourceType);
+
+  const placeholder = await telegram.sendMessage(
+    chatId,
+    t(lang, 'collection.reading', { emoji: source.emoji, source: source.label }),
+    { replyTo }
+  );
+
+  await sqs.send(
+    new SendMessageCommand({
+      QueueUrl: SQS_QUEUE_URL,
+      MessageBody: JSON.stringify({
+        action: 'expand',
+        chatId,
+        url: link.url,
+        sourceType: link.sourceType,
+        messageId: message.message_id,
+        userId: String(from.id),
+        username,
+        collectionId,
+        progressMessageId: placeholder?.result?.message_id,
+        lang,
+      }),
+    })
+  );
+}
+
+/**
+ * Buttons on the playlist prompt: `playlist:<collectionId>:<choice>` where choice is
+ * a number of entries to queue, 'zip' (toggle the ZIP option) or 'cancel'.
+ */
+async function handlePlaylistCallback(callbackQuery, from, role, username, collectionId, choice, lang) {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+
+  const response = await ddb.send(new GetItemCommand({
+    TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+    Key: collectionKey(collectionId),
+  }));
+  if (!response.Item || isExpired(response.Item)) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'collection.expired'));
+    return;
+  }
+
+  const collection = parseCollection(response.Item);
+  if (collection.userId !== String(from.id)) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'collection.notYours'));
+    return;
+  }
+
+  if (choice === 'zip') {
+    collection.zip = !collection.zip;
+    await ddb.send(new UpdateItemCommand({
+      TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+      Key: collectionKey(collectionId),
+      UpdateExpression: 'SET zip = :zip',
+      ExpressionAttributeValues: { ':zip': { BOOL: collection.zip } }
+    }));
+    const { text, replyMarkup } = renderCollectionPrompt(collection, collectionId);
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, collection.zip ? 'collection.zipOn' : 'collection.zipOff'));
+    await telegram.editMessageText(chatId, messageId, text, { replyMarkup });
+    return;
+  }
+
+  if (choice === 'cancel') {
+    await ddb.send(new DeleteItemCommand({ TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE, Key: collectionKey(collectionId) }));
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'common.cancelled'));
+    await telegram.editMessageText(chatId, messageId, t(lang, 'collection.cancelled', { title: escapeHtml(collection.title) }));
+    return;
+  }
+
+  const count = Math.min(parseInt(choice) || 0, MAX_COLLECTION_ITEMS, collection.entries.length);
+  if (count < 1) {
+    await telegram.answerCallbackQuery(callbackQuery.id);
+    return;
+  }
+
+  const quota = await checkQuota(from.id, role, ['requests_per_hour', 'daily_mb', 'monthly_mb'], 'requests_hour', lang);
+  if (!quota.allowed) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'quota.reachedShort'));
+    await telegram.sendMessage(chatId, quota.message);
+    return;
+  }
+
+  // Consume the prompt so a double tap can't queue the playlist twice
+  try {
+    await ddb.send(new DeleteItemCommand({
+      TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+      Key: collectionKey(collectionId),
+      ConditionExpression: 'attribute_exists(download_id)'
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'collection.alreadyQueued'));
+    return;
+  }
+
+  await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'collection.queueing', { count }));
+
+  const links = [];
+  const unsupported = [];
+  for (const entry of collection.entries.slice(0, count)) {
+    const sourceType = detectSource(entry.url);
+    if (sourceType && !getSource(sourceType).collection) links.push({ url: entry.url, sourceType });
+    else unsupported.push({ url: entry.url });
+  }
+
+  await queueBatch(chatId, callbackQuery.message, from, username, links, unsupported, quota, {
+    settings: await resolveJobSettings(from.id, role),
+    title: collection.title,
+    sourceType: response.Item.source_type?.S,
+    zip: collection.zip,
+    maxLinks: MAX_COLLECTION_ITEMS,
+    messageId,
+    lang,
+  });
+}
+
+// HISTORY
+// Downloads are looked up through the files table's UserIdIndex (user_id + created_at), so
+// renaming doesn't lose them and a new owner of an old @handle doesn't see them. Files
+// expire from the table after 7 days, like their links.
+
+/**
+ * @param {number|string} userId - Telegram user id.
+ * @param {number} [limit] - Newest first; omit to read everything.
+ * @param {string} [downloadId] - Only return this download.
+ * @returns {Promise<object[]>} Raw file items.
+ */
+async function queryHistory(userId, limit = null, downloadId = null) {
+  if (!DYNAMODB_FILES_TABLE) return [];
+
+  const items = [];
+  let lastKey;
+  do {
+    const response = await ddb.send(new QueryCommand({
+      TableName: DYNAMODB_FILES_TABLE,
+      IndexName: 'UserIdIndex',
+      KeyConditionExpression: 'user_id = :userId',
+      ...(downloadId && { FilterExpression: 'download_id = :downloadId' }),
+      ExpressionAttributeValues: {
+        ':userId': { S: String(userId) },
+        ...(downloadId && { ':downloadId': { S: downloadId } }),
+      },
+      ScanIndexForward: false,
+      ...(limit && { Limit: limit - items.length }),
+      ExclusiveStartKey: lastKey,
+    }));
+    items.push(...(response.Items || []));
+    lastKey = response.LastEvaluatedKey;
+  } while (lastKey && !(limit && items.length >= limit) && !(downloadId && items.length > 0));
+
+  return items;
+}
+
+// /history list: one row of buttons per file (new link, re-send, and Analyze for analysts)
+function renderHistory(files, role, lang) {
+  if (files.length === 0) {
+    return { text: `${t(lang, 'history.title')}\n\n${t(lang, 'history.empty')}`, replyMarkup: null };
+  }
+
+  let text = t(lang, 'history.title') + '\n\n';
+  const rows = [];
+  files.forEach((item, i) => {
+    const n = i + 1;
+    const title = item.title?.S || t(lang, 'common.unknown');
+    const label = getSource(item.source_type?.S)?.label || item.source_type?.S || 'misc';
+    const size = parseFloat(item.size_mb?.N || 0);
+    const date = (item.created_at?.S || '').substring(0, 10);
+    text += `${n}. <b>${escapeHtml(title.length > 60 ? title.substring(0, 60) + '...' : title)}</b>\n`;
+    text += `   📦 ${size.toFixed(1)} MB | 🏷️ ${label} | 📅 ${date}\n`;
+
+    const downloadId = item.download_id.S;
+    const row = [
+      { text: t(lang, 'history.link', { n }), callback_data: `history:relink:${downloadId}` },
+      { text: t(lang, 'history.send', { n }), callback_data: `history:resend:${downloadId}` },
+    ];
+    if (hasRole(role, 'analyst')) row.push({ text: t(lang, 'common.analyzeN', { n }), callback_data: `analyze:${downloadId}` });
+    rows.push(row);
+  });
+  text += '\n' + t(lang, 'history.hint');
+
+  return { text, replyMarkup: { inline_keyboard: rows } };
+}
+
+// "history:relink:<downloadId>" or "history:resend:<downloadId>". The processor signs
+// the link or fetches the file from S3.
+async function handleHistoryCallback(callbackQuery, from, action, downloadId, lang) {
+  if (!['relink', 'resend'].includes(action)) {
+    await telegram.answerCallbackQuery(callbackQuery.id);
+    return;
+  }
+
+  const [file] = await queryHistory(from.id, null, downloadId);
+  if (!file) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'history.expired'));
+    return;
+  }
+
+  await telegram.answerCallbackQuery(callbackQuery.id, t(lang, action === 'relink' ? 'history.relinking' : 'history.sending'));
+  await sqs.send(
+    new SendMessageCommand({
+      QueueUrl: SQS_QUEUE_URL,
+      MessageBody: JSON.stringify({
+        action,
+        chatId: callbackQuery.message.chat.id,
+        fileKey: file.file_key.S,
+        title: file.title?.S,
+        downloadId,
+        lang,
+      }),
+    })
+  );
+}
+
+// FILE LIST
+// /list reads the files table through SourceTypeIndex (see shared/files.mjs): one Query
+// per source type, newest first, merged into pages. A page's cursor maps each source type to the index key of the last file shown from it
+// (ExclusiveStartKey for the next Query), or null once that type is used up. Cursors are
+// too big for callback_data, so they live in the active downloads table under
+// `list:<listId>` and the Prev/Next buttons send `list:<listId>:<page>`.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse /list and /clear arguments into shared/files.mjs filters: an optional platform name
+ * plus `user:@name`, `from:`/`to:` dates and `min:MB`; /clear also takes `older:<days>d`
+ * and `key:<file key>` (the rest of the line, as keys can contain spaces).
+ *
+ * @param {string[]} args
+ * @param {string[]} [extra] - Extra filter names to accept, e.g. ['older', 'key'].
+ * @returns {{ filters: object, invalid?: string }} `invalid` is the first argument that isn't a filter.
+ */
+function parseFileFilters(args, extra = []) {
+  const filters = {};
+  const words = args.filter(Boolean);
+  for (let i = 0; i < words.length; i++) {
+    const arg = words[i];
+    const [name, ...rest] = arg.split(':');
+    const value = rest.join(':');
+
+    if (!value && listPlatforms().some(p => p.platform === name.toLowerCase())) {
+      filters.platform = name.toLowerCase();
+    } else if (name === 'user' && value) {
+      filters.user = value.replace('@', '');
+    } else if ((name === 'from' || name === 'to') && DATE_PATTERN.test(value)) {
+      filters[name] = value;
+    } else if (name === 'min' && parseFloat(value) > 0) {
+      filters.minMB = parseFloat(value);
+    } else if (name === 'older' && extra.includes('older') && /^\d+d?$/.test(value)) {
+      filters.olderThanDays = parseInt(value);
+      filters.before = new Date(Date.now() - filters.olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+    } else if (name === 'key' && extra.includes('key') && value) {
+      filters.fileKey = [value, ...words.slice(i + 1)].join(' ');
+      break;
+    } else {
+      return { filters, invalid: arg };
+    }
+  }
+  return { filters };
+}
+
+function describeFileFilters(filters, lang) {
+  if (filters.fileKey) return `🔑 <code>${escapeHtml(filters.fileKey)}</code>`;
+  return [
+    filters.user && `👤 @${escapeHtml(filters.user)}`,
+    (filters.from || filters.to) && `📅 ${filters.from || '…'} → ${filters.to || '…'}`,
+    filters.olderThanDays !== undefined && t(lang, 'list.olderThan', { days: filters.olderThanDays }),
+    filters.minMB && `📦 ≥ ${filters.minMB} MB`,
+  ].filter(Boolean).join(' | ');
+}
+
+/**
+ * Read one page of files, newest first.
+ *
+ * @param {object} filters - From parseListFilters().
+ * @param {object} cursor - Source type -> ExclusiveStartKey, or null when used up. {} for the first page.
+ * @returns {Promise<{ items: object[], next: object|null }>} `next` is the following page's cursor, or null on the last page.
+ */
+async function queryFilesPage(filters, cursor) {
+  const sourceTypes = fileSourceTypes(filters).filter(type => cursor[type] !== null);
+
+  const results = await Promise.all(sourceTypes.map(async type =>
+    [type, await queryFilesBySourceType(ddb, DYNAMODB_FILES_TABLE, type, filters, cursor[type], LIST_PAGE_SIZE)]));
+
+  const items = results
+    .flatMap(([, result]) => result.items)
+    .sort((a, b) => b.created_at.S.localeCompare(a.created_at.S))
+    .slice(0, LIST_PAGE_SIZE);
+
+  // Each type's shown files are a prefix of what was read, so resume after the last one
+  const next = { ...cursor };
+  for (const [type, result] of results) {
+    const shown = result.items.filter(item => items.includes(item));
+    if (shown.length === result.items.length && result.finished) {
+      next[type] = null;
+    } else if (shown.length > 0) {
+      const last = shown[shown.length - 1];
+      next[type] = { file_key: last.file_key, source_type: last.source_type, created_at: last.created_at };
+    }
+  }
+  const hasMore = sourceTypes.some(type => next[type] !== null);
+
+  return { items, next: hasMore ? next : null };
+}
+
+// Store a /list's filters and page cursors (page 0 needs none); returns its listId
+async function createFileList(userId, filters, nextCursor) {
+  if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE) return null;
+
+  const listId = randomUUID().substring(0, 8);
+  await ddb.send(new PutItemCommand({
+    TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+    Item: {
+      download_id: { S: `${LIST_KEY_PREFIX}${listId}` },
+      owner_id: { S: String(userId) },
+      filters: { S: JSON.stringify(filters) },
+      cursors: { L: [{ S: '{}' }, { S: JSON.stringify(nextCursor) }] },
+      ttl: { N: String(Math.floor(Date.now() / 1000) + LIST_TTL_SECONDS) }
+    }
+  }));
+  return listId;
+}
+
+function renderFileList(filters, items, page, listId, hasNext, lang) {
+  const platform = listPlatforms().find(p => p.platform === filters.platform);
+  let text = (platform ? t(lang, 'list.platformTitle', { platform: platform.label }) : t(lang, 'list.title')) + '\n';
+  const described = describeFileFilters(filters, lang);
+  if (described) text += `${described}\n`;
+  text += '\n';
+
+  if (items.length === 0) {
+    return { text: text + t(lang, page === 0 ? 'list.empty' : 'list.noMore'), replyMarkup: null };
+  }
+
+  let pageMB = 0;
+  items.forEach((item, i) => {
+    const title = item.title?.S || t(lang, 'common.unknown');
+    const size = parseFloat(item.size_mb?.N || 0);
+    const type = item.source_type?.S || 'misc';
+    const user = item.username?.S;
+    pageMB += size;
+
+    text += `${page * LIST_PAGE_SIZE + i + 1}. 📄 <b>${escapeHtml(title)}</b>\n`;
+    text += `   📦 ${size.toFixed(1)} MB | 🏷️ ${type}${user ? ` | 👤 @${escapeHtml(user)}` : ''} | 📅 ${(item.created_at?.S || '').substring(0, 10)}\n\n`;
+  });
+
+  text += `-------------------\n`;
+  text += t(lang, 'list.page', { page: page + 1, mb: pageMB.toFixed(1), count: items.length });
+
+  const buttons = [];
+  if (page > 0) buttons.push({ text: t(lang, 'list.prev'), callback_data: `list:${listId}:${page - 1}` });
+  if (hasNext) buttons.push({ text: t(lang, 'list.next'), callback_data: `list:${listId}:${page + 1}` });
+
+  return { text, replyMarkup: buttons.length ? { inline_keyboard: [buttons] } : null };
+}
+
+// "list:<listId>:<page>" (Prev/Next buttons under /list)
+async function handleListCallback(callbackQuery, from, listId, pageArg, lang) {
+  const page = parseInt(pageArg) || 0;
+  const key = { download_id: { S: `${LIST_KEY_PREFIX}${listId}` } };
+
+  const response = await ddb.send(new GetItemCommand({ TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE, Key: key }));
+  const cursors = response.Item?.cursors?.L;
+  if (!cursors || page >= cursors.length || isExpired(response.Item)) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'list.expired'));
+    return;
+  }
+  // Only whoever ran the /list can page it
+  if (response.Item.owner_id?.S !== String(from.id)) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'common.accessDenied'));
+    return;
+  }
+
+  const filters = JSON.parse(response.Item.filters.S);
+  const { items, next } = await queryFilesPage(filters, JSON.parse(cursors[page].S));
+
+  // Remember the cursor for the page after this one the first time we reach it
+  if (next && page === cursors.length - 1) {
+    await ddb.send(new UpdateItemCommand({
+      TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+      Key: key,
+      UpdateExpression: 'SET cursors = list_append(cursors, :next)',
+      ExpressionAttributeValues: { ':next': { L: [{ S: JSON.stringify(next) }] } }
+    }));
+  }
+
+  const { text, replyMarkup } = renderFileList(filters, items, page, listId, Boolean(next), lang);
+  await telegram.answerCallbackQuery(callbackQuery.id);
+  await telegram.editMessageText(callbackQuery.message.chat.id, callbackQuery.message.message_id, text, { replyMarkup });
+}
+
+// CLEAR
+// A /clear preview is stored as `clear:<clearId>` with its filters, narrowed with `before`
+// to the newest file it counted. Confirming consumes it and queues the purge; the processor
+// re-selects the files with those filters, so files downloaded in between are kept, and
+// deletes the S3 objects, their rows and their search postings.
+
+// `preview` is the { files, mb } the dry run found, for the audit log
+async function createClearRequest(userId, filters, preview) {
+  const clearId = randomUUID().substring(0, 8);
+  await ddb.send(new PutItemCommand({
+    TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+    Item: {
+      download_id: { S: `${CLEAR_KEY_PREFIX}${clearId}` },
+      owner_id: { S: String(userId) },
+      filters: { S: JSON.stringify(filters) },
+      preview: { S: JSON.stringify(preview) },
+      ttl: { N: String(Math.floor(Date.now() / 1000) + CLEAR_TTL_SECONDS) }
+    }
+  }));
+  return clearId;
+}
+
+// "clear:<clearId>:confirm" or "clear:<clearId>:cancel" (/clear preview buttons)
+async function handleClearCallback(callbackQuery, from, clearId, choice, lang) {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+
+  // Consume the preview so a double tap can't queue the purge twice. DynamoDB removes
+  // expired items late (up to days), so an expired preview must be refused here.
+  let response;
+  try {
+    response = await ddb.send(new DeleteItemCommand({
+      TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+      Key: { download_id: { S: `${CLEAR_KEY_PREFIX}${clearId}` } },
+      ConditionExpression: 'attribute_exists(download_id) AND owner_id = :uid AND #ttl > :now',
+      ExpressionAttributeNames: { '#ttl': 'ttl' },
+      ExpressionAttributeValues: { ':uid': { S: String(from.id) }, ':now': { N: String(Math.floor(Date.now() / 1000)) } },
+      ReturnValues: 'ALL_OLD'
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'clear.expired'));
+    return;
+  }
+
+  if (choice !== 'confirm') {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'common.cancelled'));
+    await telegram.editMessageText(chatId, messageId, t(lang, 'clear.cancelled'));
+    return;
+  }
+
+  const filters = JSON.parse(response.Attributes.filters.S);
+  await audit('files.clear', from, {
+    params: filters,
+    before: response.Attributes.preview ? JSON.parse(response.Attributes.preview.S) : undefined,
+  });
+
+  await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'clear.clearing'));
+  await telegram.editMessageText(chatId, messageId, t(lang, 'clear.clearingMessage'));
+  await sqs.send(
+    new SendMessageCommand({
+      QueueUrl: SQS_QUEUE_URL,
+      MessageBody: JSON.stringify({
+        action: 'clear',
+        chatId,
+        progressMessageId: messageId,
+        userId: String(from.id),
+        filters,
+        lang,
+      }),
+    })
+  );
+}
+
+// STATS
+// Windowed /stats and /export stats read the usage table (see shared/usage.mjs).
+
+/**
+ * Parse /stats and /export stats arguments: a range (see parseUsageRange) and `user:@name`
+ * (or a user id).
+ *
+ * @param {string[]} args
+ * @param {string} defaultRange - Used when no range is given, e.g. '7d'.
+ * @returns {Promise<{ range: object, user?: { id: string, label: string }, invalid?: string, invalidRange?: string }>}
+ */
+async function parseStatsArgs(args, defaultRange) {
+  const parsed = parseUsageRange(args);
+  if (parsed.invalid) return { invalidRange: parsed.invalid };
+
+  let user;
+  for (const arg of parsed.rest) {
+    const [name, ...rest] = arg.split(':');
+    const value = rest.join(':');
+    if (name !== 'user' || !value || user) return { invalid: arg };
+    user = await resolveTarget(value);
+  }
+  return { range: parsed.range || parseUsageRange([defaultRange]).range, user };
+}
+
+function platformLabel(name) {
+  const platform = getPlatform(name);
+  return platform ? `${platform.emoji} ${platform.shortLabel}` : escapeHtml(name);
+}
+
+function renderUsageStats(range, user, summary, lang) {
+  let msg = t(lang, 'stats.title') + '\n' +
+    `📅 ${range.from === range.to ? range.from : `${range.from} → ${range.to}`}` +
+    (user ? ` | 👤 ${escapeHtml(user.label)}` : '') + '\n\n';
+
+  if (summary.downloads === 0) return msg + t(lang, 'stats.empty');
+
+  msg += t(lang, 'stats.line', { mb: summary.mb.toFixed(1), requests: summary.downloads }).trim() + '\n';
+
+  if (!user) {
+    msg += '\n' + t(lang, 'stats.topUsers') + '\n';
+    summary.users.slice(0, STATS_TOP_USERS).forEach((entry, i) => {
+      const label = entry.username ? `@${entry.username}` : `id ${entry.userId}`;
+      msg += `${i + 1}. <b>${escapeHtml(label)}</b>\n` + t(lang, 'stats.line', { mb: entry.mb.toFixed(1), requests: entry.downloads }) + '\n';
+    });
+    if (summary.users.length > STATS_TOP_USERS) {
+      msg += t(lang, 'stats.moreUsers', { count: summary.users.length - STATS_TOP_USERS }) + '\n';
+    }
+  }
+
+  msg += '\n' + t(lang, 'stats.topPlatforms') + '\n';
+  for (const entry of summary.platforms) {
+    msg += `${platformLabel(entry.platform)}\n` + t(lang, 'stats.line', { mb: entry.mb.toFixed(1), requests: entry.downloads }) + '\n';
+  }
+  return msg;
+}
+
+// BROADCAST
+// A /broadcast preview is stored as `broadcast:<broadcastId>` with its message and the
+// recipients it resolved to (see shared/broadcast.mjs). Confirming marks it as sending and
+// queues it; the processor sends the messages and reports delivered, blocked and failed.
+
+// Leading `role:` and `active:` words are the audience, everything after them the message
+// (line breaks kept)
+function parseBroadcastArgs(args) {
+  const audience = {};
+  let rest = args.trim();
+  let match;
+  while ((match = rest.match(/^(role|active):(\S*)\s*/))) {
+    const [word, name, value] = match;
+    if (name === 'role') {
+      const roles = value.split(',').filter(Boolean);
+      const unknown = roles.find(role => !ROLES.includes(role));
+      if (unknown !== undefined || roles.length === 0) return { invalidRole: unknown ?? value };
+      audience.roles = [...new Set([...(audience.roles || []), ...roles])];
+    } else if (/^\d+d?$/.test(value) && parseInt(value) > 0) {
+      audience.activeDays = parseInt(value);
+    } else {
+      return { invalid: word.trim() };
+    }
+    rest = rest.slice(word.length);
+  }
+  return { audience, message: rest };
+}
+
+function describeAudience(audience, lang) {
+  return [
+    audience.roles && `👥 ${audience.roles.join(', ')}`,
+    audience.activeDays && t(lang, 'broadcast.activeWithin', { days: audience.activeDays }),
+  ].filter(Boolean).join(' | ');
+}
+
+/**
+ * Allowlisted users matching the audience. Users the bot has no private chat with can't be
+ * messaged and are only counted. `last_active` is recorded by checkAuth, so users who
+ * haven't been seen since it was introduced don't match an `active:` filter.
+ *
+ * @param {{ roles?: string[], activeDays?: number }} audience
+ * @returns {Promise<{ recipients: { chatId: string, lang: string }[], unreachable: number }>}
+ */
+async function selectBroadcastRecipients({ roles, activeDays }) {
+  const since = activeDays && new Date(Date.now() - activeDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const recipients = [];
+  let unreachable = 0;
+  let lastKey;
+  do {
+    const response = await ddb.send(new ScanCommand({
+      TableName: DYNAMODB_TABLE_NAME,
+      FilterExpression: 'is_allowed = :allowed',
+      ExpressionAttributeValues: { ':allowed': { BOOL: true } },
+      ExclusiveStartKey: lastKey,
+    }));
+    for (const item of response.Items || []) {
+      if (isGroupRecord(item)) continue;
+      if (roles && !roles.includes(normalizeRole(item.role?.S))) continue;
+      if (since && !(item.last_active?.S >= since)) continue;
+
+      if (item.chat_id?.N) recipients.push({ chatId: item.chat_id.N, lang: userLanguage(item) });
+      else unreachable++;
+    }
+    lastKey = response.LastEvaluatedKey;
+  } while (lastKey);
+
+  return { recipients, unreachable };
+}
+
+async function createBroadcast(userId, text, recipients, lang) {
+  const broadcastId = randomUUID().substring(0, 8);
+  await ddb.send(new PutItemCommand({
+    TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+    Item: {
+      ...broadcastKey(broadcastId),
+      ...broadcastAttributes({ text, ownerId: userId, lang, recipients }),
+      ttl: { N: String(Math.floor(Date.now() / 1000) + BROADCAST_TTL_SECONDS) }
+    }
+  }));
+  return broadcastId;
+}
+
+// "broadcast:<broadcastId>:confirm" or "broadcast:<broadcastId>:cancel" (/broadcast preview buttons)
+async function handleBroadcastCallback(callbackQuery, from, broadcastId, choice, lang) {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  const condition = {
+    ConditionExpression: '#status = :preview AND owner_id = :uid AND #ttl > :now',
+    ExpressionAttributeNames: { '#status': 'status', '#ttl': 'ttl' },
+  };
+  const values = { ':preview': { S: 'preview' }, ':uid': { S: String(from.id) }, ':now': { N: String(Math.floor(Date.now() / 1000)) } };
+
+  // Only a preview can be confirmed or cancelled, so a double tap can't send twice
+  let confirmed;
+  try {
+    if (choice !== 'confirm') {
+      await ddb.send(new DeleteItemCommand({
+        TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+        Key: broadcastKey(broadcastId),
+        ...condition,
+        ExpressionAttributeValues: values,
+      }));
+    } else {
+      confirmed = (await ddb.send(new UpdateItemCommand({
+        TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+        Key: broadcastKey(broadcastId),
+        UpdateExpression: 'SET #status = :sending, #ttl = :ttl',
+        ...condition,
+        ExpressionAttributeValues: {
+          ...values,
+          ':sending': { S: 'sending' },
+          ':ttl': { N: String(Math.floor(Date.now() / 1000) + BROADCAST_SENDING_TTL_SECONDS) },
+        },
+        ReturnValues: 'ALL_NEW',
+      }))).Attributes;
     }
-    return true;
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'broadcast.expired'));
+    return;
   }
 
-  if (command === '/remove' && targetUser) {
-    try {
-      await ddb.send(new UpdateItemCommand({
-        TableName: DYNAMODB_TABLE_NAME,
-        Key: { username: { S: targetUser } },
-        UpdateExpression: 'SET is_allowed = :allowed',
-        ExpressionAttributeValues: { ':allowed': { BOOL: false } }
-      }));
-      await sendTelegramMessage(chatId, `🚫 User @${targetUser} removed from allowlist.`);
-    } catch (error) {
-      await sendTelegramMessage(chatId, `❌ Failed to remove user: ${error.message}`);
+  if (choice !== 'confirm') {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'common.cancelled'));
+    await telegram.editMessageText(chatId, messageId, t(lang, 'broadcast.cancelled'));
+    return;
+  }
+
+  await audit('broadcast.send', from, {
+    params: { broadcastId, text: confirmed.text.S, recipients: confirmed.recipients.L.length },
+  });
+
+  await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'broadcast.sending'));
+  await telegram.editMessageText(chatId, messageId, t(lang, 'broadcast.sendingMessage'));
+  await sqs.send(
+    new SendMessageCommand({
+      QueueUrl: SQS_QUEUE_URL,
+      MessageBody: JSON.stringify({
+        action: 'broadcast',
+        chatId,
+        progressMessageId: messageId,
+        broadcastId,
+        lang,
+      }),
+    })
+  );
+}
+
+// AUDIT
+// /audit pages through the audit log (see shared/audit.mjs). Like /list, the filters and the
+// cursor of each page reached so far are stored as `audit:<auditId>` for its buttons.
+
+// actor: and target: take an @handle or user id (target: also a group's chat id); their
+// labels are kept for the page header
+async function parseAuditFilters(args) {
+  const filters = {};
+  for (const arg of args.filter(Boolean)) {
+    const [name, ...rest] = arg.split(':');
+    const value = rest.join(':');
+
+    if (name === 'target' && /^-\d+$/.test(value)) {
+      filters.targetId = `${GROUP_KEY_PREFIX}${value}`;
+      filters.target = value;
+    } else if ((name === 'actor' || name === 'target') && value) {
+      const resolved = await resolveTarget(value);
+      filters[`${name}Id`] = resolved.id;
+      filters[name] = resolved.label;
+    } else if (name === 'action' && value) {
+      if (!AUDIT_ACTIONS.includes(value)) return { invalidAction: value };
+      filters.action = value;
+    } else {
+      return { invalid: arg };
     }
-    return true;
   }
+  return { filters };
+}
 
-  if (command === '/stats') {
-    try {
-      const scan = await ddb.send(new ScanCommand({ TableName: DYNAMODB_TABLE_NAME }));
-      let statsMsg = '📊 <b>Usage Statistics</b>\n\n';
+async function createAuditPages(userId, filters, nextKey) {
+  const auditId = randomUUID().substring(0, 8);
+  await ddb.send(new PutItemCommand({
+    TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+    Item: {
+      download_id: { S: `${AUDIT_KEY_PREFIX}${auditId}` },
+      owner_id: { S: String(userId) },
+      filters: { S: JSON.stringify(filters) },
+      cursors: { L: [{ S: 'null' }, { S: JSON.stringify(nextKey) }] },
+      ttl: { N: String(Math.floor(Date.now() / 1000) + AUDIT_TTL_SECONDS) }
+    }
+  }));
+  return auditId;
+}
 
-      for (const item of scan.Items || []) {
-        const user = item.username.S;
-        const mb = parseFloat(item.total_mb?.N || 0).toFixed(1);
-        const reqs = item.conversations?.N || 0;
-        const allowed = item.is_allowed?.BOOL ? '✅' : '🚫';
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return '–';
+  if (Array.isArray(value)) return value.join(' ');
+  if (typeof value === 'object') return Object.entries(value).map(([name, v]) => `${name}=${v}`).join(' ');
+  const text = String(value);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
 
-        // Get platform usage breakdown
-        const platformUsage = item.platform_usage?.M || {};
-        let platformBreakdown = '';
+function formatAuditFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}=${escapeHtml(formatAuditValue(value))}`)
+    .join(', ');
+}
 
-        const ytLong = parseFloat(platformUsage['youtube-long']?.N || 0);
-        const ytShort = parseFloat(platformUsage['youtube-short']?.N || 0);
-        const igReel = parseFloat(platformUsage['instagram-reel']?.N || 0);
-        const igStory = parseFloat(platformUsage['instagram-story']?.N || 0);
+// "field: old → new" for each field that changed; a lone before or after is listed as is
+function formatAuditChanges(before, after) {
+  if (!before && !after) return [];
+  if (!before || !after) return [`📋 ${formatAuditFields(before || after)}`];
 
-        const ytTotal = ytLong + ytShort;
-        const igTotal = igReel + igStory;
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(name => JSON.stringify(before[name]) !== JSON.stringify(after[name]))
+    .map(name => `✏️ ${name}: ${escapeHtml(formatAuditValue(before[name]))} → ${escapeHtml(formatAuditValue(after[name]))}`);
+}
 
-        if (ytTotal > 0 || igTotal > 0) {
-          platformBreakdown = `   🎥 YT: ${ytTotal.toFixed(1)} MB | 📸 IG: ${igTotal.toFixed(1)} MB\n`;
-        }
+function renderAuditPage(filters, entries, page, auditId, hasNext, lang) {
+  let text = t(lang, 'audit.title') + '\n';
+  const described = [
+    filters.actor && `👤 ${escapeHtml(filters.actor)}`,
+    filters.target && `🎯 ${escapeHtml(filters.target)}`,
+    filters.action && `⚙️ ${filters.action}`,
+  ].filter(Boolean).join(' | ');
+  if (described) text += `${described}\n`;
+  text += '\n';
+
+  if (entries.length === 0) {
+    return { text: text + t(lang, page === 0 ? 'audit.empty' : 'audit.noMore'), replyMarkup: null };
+  }
 
-        statsMsg += `${allowed} <b>@${user}</b>\n`;
-        statsMsg += `   💾 ${mb} MB | 🔄 ${reqs} reqs\n`;
-        statsMsg += platformBreakdown;
-        statsMsg += '\n';
-      }
+  entries.forEach((entry, i) => {
+    const target = entry.targetId ? ` → ${escapeHtml(entry.target || entry.targetId)}` : '';
+    text += `${page * AUDIT_PAGE_SIZE + i + 1}. <b>${entry.action}</b> · ${entry.createdAt.slice(0, 16).replace('T', ' ')}\n`;
+    text += `   👤 ${escapeHtml(entry.actor || `id ${entry.actorId}`)}${target}\n`;
+    if (entry.params && Object.keys(entry.params).length) text += `   ⚙️ ${formatAuditFields(entry.params)}\n`;
+    for (const change of formatAuditChanges(entry.before, entry.after)) text += `   ${change}\n`;
+    text += '\n';
+  });
+  text += t(lang, 'audit.page', { page: page + 1 });
+
+  const buttons = [];
+  if (page > 0) buttons.push({ text: t(lang, 'audit.newer'), callback_data: `audit:${auditId}:${page - 1}` });
+  if (hasNext) buttons.push({ text: t(lang, 'audit.older'), callback_data: `audit:${auditId}:${page + 1}` });
+
+  return { text, replyMarkup: buttons.length ? { inline_keyboard: [buttons] } : null };
+}
 
-      await sendTelegramMessage(chatId, statsMsg);
-    } catch (error) {
-      await sendTelegramMessage(chatId, `❌ Failed to fetch stats: ${error.message}`);
-    }
-    return true;
+// "audit:<auditId>:<page>" (Newer/Older buttons under /audit)
+async function handleAuditCallback(callbackQuery, auditId, pageArg, lang) {
+  const page = parseInt(pageArg) || 0;
+  const key = { download_id: { S: `${AUDIT_KEY_PREFIX}${auditId}` } };
+
+  const response = await ddb.send(new GetItemCommand({ TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE, Key: key }));
+  const cursors = response.Item?.cursors?.L;
+  if (!cursors || page >= cursors.length) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'audit.expired'));
+    return;
   }
 
-  // USERS LIST COMMAND
-  if (command === '/users') {
-    try {
-      const scan = await ddb.send(new ScanCommand({ TableName: DYNAMODB_TABLE_NAME }));
-      let msg = '👥 <b>Allowed Users</b>\n\n';
-      let count = 0;
+  const filters = JSON.parse(response.Item.filters.S);
+  const { entries, next } = await queryAudit(ddb, DYNAMODB_AUDIT_TABLE, filters, JSON.parse(cursors[page].S), AUDIT_PAGE_SIZE);
+
+  // Remember the cursor for the page after this one the first time we reach it
+  if (next && page === cursors.length - 1) {
+    await ddb.send(new UpdateItemCommand({
+      TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+      Key: key,
+      UpdateExpression: 'SET cursors = list_append(cursors, :next)',
+      ExpressionAttributeValues: { ':next': { L: [{ S: JSON.stringify(next) }] } }
+    }));
+  }
 
-      for (const item of scan.Items || []) {
-        if (item.is_allowed?.BOOL) {
-          msg += `• @${item.username.S}\n`;
-          count++;
-        }
-      }
+  const { text, replyMarkup } = renderAuditPage(filters, entries, page, auditId, Boolean(next), lang);
+  await telegram.answerCallbackQuery(callbackQuery.id);
+  await telegram.editMessageText(callbackQuery.message.chat.id, callbackQuery.message.message_id, text, { replyMarkup });
+}
 
-      if (count === 0) msg += 'No allowed users.';
-      else msg += `\nTotal: ${count}`;
+// CLIPS
+// The ✂️ Clip button on a finished download (`clip:<downloadId>`) asks for a time range
+// with a prompt to reply to, stored as `clip:<chatId>:<messageId>` (see shared/clips.mjs).
+// A reply with a range queues a download job that the processor cuts from the stored file.
 
-      await sendTelegramMessage(chatId, msg);
-    } catch (error) {
-      await sendTelegramMessage(chatId, `❌ Failed to list users: ${error.message}`);
+async function handleClipCallback(callbackQuery, from, role, downloadId, lang) {
+  const file = await findFileByDownloadId(ddb, DYNAMODB_FILES_TABLE, downloadId);
+  if (!file) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'clip.expired'));
+    return;
+  }
+  // Only admins may clip other users' downloads
+  if (!hasRole(role, 'admin') && file.user_id?.S !== String(from.id)) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'common.accessDenied'));
+    return;
+  }
+
+  await telegram.answerCallbackQuery(callbackQuery.id);
+  const chatId = callbackQuery.message.chat.id;
+  const prompt = await telegram.sendMessage(chatId,
+    t(lang, 'clip.prompt', { title: escapeHtml(file.title?.S || t(lang, 'common.unknown')) }),
+    { replyMarkup: { force_reply: true, input_field_placeholder: '1:23-1:45' } });
+  if (!prompt?.result?.message_id) return;
+
+  await ddb.send(new PutItemCommand({
+    TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+    Item: {
+      ...clipPromptKey(chatId, prompt.result.message_id),
+      owner_id: { S: String(from.id) },
+      file_key: file.file_key,
+      title: file.title || { S: '' },
+      source_type: file.source_type,
+      url: file.url,
+      ttl: { N: String(Math.floor(Date.now() / 1000) + CLIP_PROMPT_TTL_SECONDS) }
     }
-    return true;
+  }));
+}
+
+// The ✂️ Clip prompt a message replies to, if it is one and `from` asked for it
+async function getClipPrompt(chatId, messageId, from) {
+  if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE) return null;
+
+  const response = await ddb.send(new GetItemCommand({
+    TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+    Key: clipPromptKey(chatId, messageId),
+  }));
+  const prompt = response.Item;
+  return prompt?.owner_id?.S === String(from.id) && !isExpired(prompt) ? prompt : null;
+}
+
+// Reply to a ✂️ Clip prompt: use the prompt up and queue the clip like a download
+async function queueClip(chatId, message, from, username, role, prompt, clip, { replyTo, requestedBy, lang }) {
+  // The file may have expired, and the replier's role changed, since the prompt
+  const file = (await ddb.send(new GetItemCommand({ TableName: DYNAMODB_FILES_TABLE, Key: { file_key: prompt.file_key } }))).Item;
+  if (!file) {
+    await telegram.sendMessage(chatId, t(lang, 'clip.expired'), { replyTo });
+    return;
+  }
+  if (!hasRole(role, 'admin') && file.user_id?.S !== String(from.id)) {
+    await telegram.sendMessage(chatId, t(lang, 'common.accessDenied'), { replyTo });
+    return;
   }
 
-  // HELP COMMAND
-  if (command === '/help') {
-    const helpMsg = '🤖 <b>Admin Commands</b>\n\n' +
-      '<b>User Management</b>\n' +
-      '• /users - List allowed users\n' +
-      '• /add @user - Add user to allowlist\n' +
-      '• /remove @user - Remove user\n\n' +
-      '<b>Stats & Files</b>\n' +
-      '• /stats - View usage stats\n' +
-      '• /list - List all files\n' +
-      '• /list youtube - List YouTube files\n' +
-      '• /list instagram - List Instagram files\n' +
-      '• /clear - ⚠️ Wipe DB & Files';
-
-    await sendTelegramMessage(chatId, helpMsg);
-    return true;
+  const quota = await checkQuota(from.id, role, ['requests_per_hour', 'daily_mb', 'monthly_mb'], 'requests_hour', lang);
+  if (!quota.allowed) {
+    await telegram.sendMessage(chatId, quota.message, { replyTo });
+    return;
   }
 
-  // LIST COMMANDS
-  if (command === '/list') {
-    const type = parts[1]; // 'youtube' or 'instagram' (optional)
+  // A prompt queues one clip, even if the reply is delivered twice
+  try {
+    await ddb.send(new DeleteItemCommand({
+      TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+      Key: { download_id: prompt.download_id },
+      ConditionExpression: 'attribute_exists(download_id) AND #ttl > :now',
+      ExpressionAttributeNames: { '#ttl': 'ttl' },
+      ExpressionAttributeValues: { ':now': { N: String(Math.floor(Date.now() / 1000)) } },
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    return;
+  }
 
-    try {
-      // First, get active downloads
-      let activeDownloads = [];
-      if (DYNAMODB_ACTIVE_DOWNLOADS_TABLE) {
-        const activeScan = await ddb.send(new ScanCommand({ TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE }));
-        activeDownloads = activeScan.Items || [];
-      }
+  const downloadId = randomUUID();
+  const url = prompt.url?.S || '';
+  const sourceType = prompt.source_type.S;
+  await createActiveDownload(downloadId, from, username, url, sourceType);
 
-      // Show active downloads section
-      let msg = '';
-      if (activeDownloads.length > 0) {
-        msg += '⏳ <b>Active Downloads</b>\n\n';
-        for (const item of activeDownloads) {
-          const user = item.username?.S || 'Unknown';
-          const sourceUrl = item.url?.S || 'N/A';
-          const percent = item.percent?.S || '0%';
-          const speed = item.speed?.S || '';
-          const sourceType = item.source_type?.S || '';
-          const startedAt = item.started_at?.S;
+  const processingMsg = await telegram.sendMessage(
+    chatId,
+    t(lang, 'clip.processing', { range: clipLabel(clip), title: escapeHtml(prompt.title?.S || t(lang, 'common.unknown')) }) +
+      (quota.message ? `\n\n${quota.message}` : ''),
+    { replyMarkup: { inline_keyboard: [[{ text: t(lang, 'common.cancel'), callback_data: `cancel:${downloadId}` }]] }, replyTo }
+  );
 
-          // Calculate elapsed time
-          let elapsed = '';
-          if (startedAt) {
-            const elapsedMs = Date.now() - new Date(startedAt).getTime();
-            const elapsedSec = Math.floor(elapsedMs / 1000);
-            elapsed = elapsedSec < 60 ? `${elapsedSec}s` : `${Math.floor(elapsedSec / 60)}m ${elapsedSec % 60}s`;
-          }
+  await recordQuotaUsage(from.id, 'requests_hour');
 
-          // Truncate URL for display
-          const shortUrl = sourceUrl.length > 40 ? sourceUrl.substring(0, 40) + '...' : sourceUrl;
+  await sqs.send(
+    new SendMessageCommand({
+      QueueUrl: SQS_QUEUE_URL,
+      MessageBody: JSON.stringify({
+        chatId,
+        url,
+        sourceType,
+        messageId: message.message_id,
+        userId: String(from.id),
+        username,
+        downloadId,
+        progressMessageId: processingMsg?.result?.message_id,
+        settings: await resolveJobSettings(from.id, role),
+        lang,
+        clip,
+        parentKey: prompt.file_key.S,
+        ...(requestedBy && { requestedBy }),
+      }),
+    })
+  );
+}
 
-          msg += `📥 <b>${percent}</b> ${speed ? `(${speed})` : ''}\n`;
-          msg += `   👤 @${user} | 🏷️ ${sourceType}\n`;
-          msg += `   🔗 ${shortUrl}\n`;
-          if (elapsed) msg += `   ⏱️ ${elapsed}\n`;
-          msg += '\n';
-        }
-        msg += '-------------------\n\n';
-      }
+// SEARCH
+// FOLLOWS (see shared/follows.mjs)
+
+// A user's subscriptions, in follow_key order (the numbering /following and /unfollow use)
+async function listFollows(userId) {
+  const follows = [];
+  let lastKey;
+  do {
+    const response = await ddb.send(new QueryCommand({
+      TableName: DYNAMODB_FOLLOWS_TABLE,
+      KeyConditionExpression: 'user_id = :uid',
+      ExpressionAttributeValues: { ':uid': { S: String(userId) } },
+      ExclusiveStartKey: lastKey,
+    }));
+    follows.push(...(response.Items || []).map(parseFollow));
+    lastKey = response.LastEvaluatedKey;
+  } while (lastKey);
+  return follows;
+}
+
+// /following: one entry per subscription with when it was last checked, and an
+// `unfollow:<followKey>` button for each
+function renderFollowing(follows, lang) {
+  if (follows.length === 0) return { text: t(lang, 'follow.none'), replyMarkup: null };
+
+  let text = t(lang, 'follow.title', { count: follows.length, max: MAX_FOLLOWS }) + '\n';
+  const buttons = [];
+  follows.forEach((follow, i) => {
+    const platform = getPlatform(follow.platform);
+    const options = [follow.analyze && t(lang, 'follow.optionAnalyze'), follow.digest && t(lang, 'follow.optionDigest')].filter(Boolean);
+    text += `\n${i + 1}. ${platform?.emoji || ''} <b>${escapeHtml(follow.account)}</b> (${platform?.label || follow.platform})` +
+      (options.length ? ` · ${options.join(' · ')}` : '') + '\n   ';
+    if (follow.lastError) {
+      text += t(lang, 'follow.lastError', { error: escapeHtml(follow.lastError.substring(0, 100)) });
+    } else if (follow.checkedAt) {
+      text += t(lang, 'follow.checkedAt', { time: follow.checkedAt.substring(0, 16).replace('T', ' ') });
+    } else {
+      text += t(lang, 'follow.notChecked');
+    }
+    buttons.push({ text: `✖ ${i + 1}`, callback_data: `unfollow:${follow.key}` });
+  });
 
-      let items = [];
-      let header = '📂 <b>Downloaded Files</b>\n\n';
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 4) rows.push(buttons.slice(i, i + 4));
+  return { text, replyMarkup: { inline_keyboard: rows } };
+}
 
-      if (type === 'youtube' || type === 'instagram') {
-        header = `📂 <b>${type.charAt(0).toUpperCase() + type.slice(1)} Downloads</b>\n\n`;
-        const scan = await ddb.send(new ScanCommand({
-          TableName: DYNAMODB_FILES_TABLE,
-          FilterExpression: 'contains(source_type, :type)',
-          ExpressionAttributeValues: { ':type': { S: type } }
-        }));
-        items = scan.Items || [];
-      } else {
-        // List ALL
-        const scan = await ddb.send(new ScanCommand({ TableName: DYNAMODB_FILES_TABLE }));
-        items = scan.Items || [];
-      }
+// Unfollow button on /following: remove the subscription and redraw the list
+async function handleUnfollowCallback(callbackQuery, from, followKey, lang) {
+  const response = await ddb.send(new DeleteItemCommand({
+    TableName: DYNAMODB_FOLLOWS_TABLE,
+    Key: followItemKey(from.id, followKey),
+    ReturnValues: 'ALL_OLD',
+  }));
+  const account = response.Attributes?.account?.S;
+  await telegram.answerCallbackQuery(callbackQuery.id, account ? t(lang, 'follow.removedShort', { account }) : t(lang, 'follow.notFound'));
+
+  const { text, replyMarkup } = renderFollowing(await listFollows(from.id), lang);
+  await telegram.editMessageText(callbackQuery.message.chat.id, callbackQuery.message.message_id, text, { replyMarkup });
+}
 
-      if (items.length === 0 && activeDownloads.length === 0) {
-        await sendTelegramMessage(chatId, msg + header + 'No files found.');
-        return true;
-      }
+// /search ranks files by title, transcript and analysis (see shared/search.mjs): a user's
+// own downloads, everyone's for admins (like /history and /list). Result buttons send
+// `search:file:<downloadId>` (fresh link) or `search:analysis:<downloadId>` (the stored
+// report, analysts only); the processor does both.
 
-      msg += header;
-      let totalMB = 0;
+const SNIPPET_LABELS = { transcript: '🗣️', analysis: '🧠', title: '📄' };
 
-      // Sort by date desc
-      items.sort((a, b) => (b.created_at?.S || '').localeCompare(a.created_at?.S || ''));
+function renderSearchResults(query, terms, results, role, lang) {
+  if (terms.length === 0) {
+    return { text: t(lang, 'search.noTerms'), replyMarkup: null };
+  }
+  if (results.length === 0) {
+    return { text: t(lang, 'search.noResults', { query: escapeHtml(query) }), replyMarkup: null };
+  }
+
+  let text = `🔎 <b>${escapeHtml(query)}</b>\n\n`;
+  const rows = [];
+  results.forEach(({ item, snippet }, i) => {
+    const n = i + 1;
+    const title = item.title?.S || t(lang, 'common.unknown');
+    const label = getSource(item.source_type?.S)?.label || item.source_type?.S || 'misc';
+    text += `${n}. <b>${escapeHtml(title.length > 60 ? title.substring(0, 60) + '...' : title)}</b>\n`;
+    text += `   🏷️ ${label} | 👤 @${escapeHtml(item.username?.S || 'unknown')} | 📅 ${(item.created_at?.S || '').substring(0, 10)}\n`;
+    if (snippet && snippet.field !== 'title') text += `   ${SNIPPET_LABELS[snippet.field]} <i>${snippet.html}</i>\n`;
+    text += '\n';
+
+    const downloadId = item.download_id.S;
+    const row = [{ text: t(lang, 'search.open', { n }), callback_data: `search:file:${downloadId}` }];
+    if (item.analysis && hasRole(role, 'analyst')) row.push({ text: t(lang, 'search.analysis', { n }), callback_data: `search:analysis:${downloadId}` });
+    rows.push(row);
+  });
+
+  return { text, replyMarkup: { inline_keyboard: rows } };
+}
 
-      // Limit to last 20
-      const displayItems = items.slice(0, 20);
+// "search:file:<downloadId>" or "search:analysis:<downloadId>". Buttons outlive the
+// results they came with, so ownership is checked again here.
+async function handleSearchCallback(callbackQuery, from, role, action, downloadId, lang) {
+  if (action === 'analysis' && !hasRole(role, 'analyst')) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'common.accessDenied'));
+    return;
+  }
 
-      for (const item of displayItems) {
-        const title = item.title?.S || 'Unknown';
-        const size = parseFloat(item.size_mb?.N || 0);
-        const type = item.source_type?.S || 'misc';
+  const file = await findFileByDownloadId(ddb, DYNAMODB_FILES_TABLE, downloadId);
+  if (!file) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'search.expired'));
+    return;
+  }
+  if (!hasRole(role, 'admin') && file.user_id?.S !== String(from.id)) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'common.accessDenied'));
+    return;
+  }
 
-        msg += `📄 <b>${title}</b>\n`;
-        msg += `   📦 ${size.toFixed(1)} MB | 🏷️ ${type}\n\n`;
-      }
+  await telegram.answerCallbackQuery(callbackQuery.id, t(lang, action === 'analysis' ? 'search.loadingAnalysis' : 'history.relinking'));
+  await sqs.send(
+    new SendMessageCommand({
+      QueueUrl: SQS_QUEUE_URL,
+      MessageBody: JSON.stringify({
+        action: action === 'analysis' ? 'show-analysis' : 'relink',
+        chatId: callbackQuery.message.chat.id,
+        fileKey: file.file_key.S,
+        title: file.title?.S,
+        downloadId,
+        lang,
+      }),
+    })
+  );
+}
 
-      // Calculate total size
-      items.forEach(i => totalMB += parseFloat(i.size_mb?.N || 0));
+// CANCELLATION
+// Cancelling only flags the job's active download row (`cancel_requested`). The processor
+// checks the flag before it starts, while yt-dlp runs and before uploading, then reports
+// the job as cancelled. Rows are gone once a job finishes, so late cancels are no-ops.
 
-      msg += `-------------------\n`;
-      msg += `Total Stored: <b>${totalMB.toFixed(1)} MB</b> (${items.length} files)\n`;
-      if (items.length > 20) msg += `<i>(Showing first 20 of ${items.length})</i>`;
+// A user's own jobs, oldest first
+async function listUserDownloads(userId) {
+  if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE) return [];
+  return queryJobs(ddb, DYNAMODB_ACTIVE_DOWNLOADS_TABLE, userId);
+}
 
-      await sendTelegramMessage(chatId, msg);
-    } catch (error) {
-      await sendTelegramMessage(chatId, `❌ List failed: ${error.message}`);
-    }
+/**
+ * Flag one job as cancelled. Admins can cancel anyone's job, everyone else only their own.
+ *
+ * @returns {Promise<boolean>} False if the job has already finished or belongs to someone else.
+ */
+async function requestCancel(downloadId, from, role) {
+  const isAdmin = hasRole(role, 'admin');
+  try {
+    await ddb.send(new UpdateItemCommand({
+      TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+      Key: { download_id: { S: downloadId } },
+      UpdateExpression: 'SET cancel_requested = :true',
+      ConditionExpression: 'attribute_exists(download_id)' + (isAdmin ? '' : ' AND user_id = :uid'),
+      ExpressionAttributeValues: {
+        ':true': { BOOL: true },
+        ...(!isAdmin && { ':uid': { S: String(from.id) } }),
+      }
+    }));
     return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return false;
+    throw error;
   }
+}
 
-  // CLEAR COMMAND - Only clears files, preserves user stats
-  if (command === '/clear') {
-    try {
-      await sendTelegramMessage(chatId, '⚠️ Clearing downloaded files... This may take a moment.');
-
-      // Only delete files records (preserves user stats)
-      const fileScan = await ddb.send(new ScanCommand({ TableName: DYNAMODB_FILES_TABLE }));
-      let deletedCount = 0;
-      for (const item of fileScan.Items || []) {
-        await ddb.send(new DeleteItemCommand({
-          TableName: DYNAMODB_FILES_TABLE,
-          Key: { file_key: item.file_key }
-        }));
-        deletedCount++;
-      }
+// Cancel every unfinished job in a batch. Jobs still waiting in the queue are marked
+// cancelled straight away; running ones are reported by the processor once stopped.
+async function cancelBatch(batchId, from, role) {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
+    Key: batchKey(batchId),
+  }));
+  if (!response.Item) return { status: 'expired' };
+  if (response.Item.user_id?.S !== String(from.id) && !hasRole(role, 'admin')) return { status: 'denied' };
+
+  const pending = parseBatch(response.Item).items.filter(item => ['queued', 'downloading'].includes(item.status));
+  let result = null;
+  for (const item of pending) {
+    const flagged = await requestCancel(item.downloadId, from, role);
+    if (item.status === 'queued' || !flagged) {
+      result = await updateBatchItem(ddb, DYNAMODB_ACTIVE_DOWNLOADS_TABLE, batchId, item.downloadId, { status: 'cancelled' }) || result;
+    }
+  }
+
+  if (result?.messageId) {
+    const { text, replyMarkup } = renderBatchMessage(result.batch);
+    await telegram.editMessageText(result.chatId, result.messageId, text, { replyMarkup });
+  }
+  return { status: 'ok', count: pending.length };
+}
 
-      await sendTelegramMessage(chatId, `✅ Cleared ${deletedCount} file records! User stats preserved.`);
+// "cancel:<downloadId>", "cancel:batch:<batchId>" or "cancel:all" (from /cancel)
+async function handleCancelCallback(callbackQuery, from, role, target, batchId, lang) {
+  if (!DYNAMODB_ACTIVE_DOWNLOADS_TABLE) {
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'cancel.unavailable'));
+    return;
+  }
 
-    } catch (error) {
-      console.error(error);
-      await sendTelegramMessage(chatId, `❌ Clear failed: ${error.message}`);
+  if (target === 'batch') {
+    const { status, count } = await cancelBatch(batchId, from, role);
+    const outcomes = {
+      expired: 'cancel.batchFinished',
+      denied: 'cancel.batchNotYours',
+      ok: count ? 'cancel.cancellingCount' : 'cancel.nothingLeft',
+    };
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, outcomes[status], { count }));
+    return;
+  }
+
+  if (target === 'all') {
+    const downloads = await listUserDownloads(from.id);
+    let count = 0;
+    for (const item of downloads) {
+      if (await requestCancel(item.download_id.S, from, role)) count++;
     }
-    return true;
+    await telegram.answerCallbackQuery(callbackQuery.id, t(lang, count ? 'cancel.cancellingCount' : 'cancel.nothingLeft', { count }));
+    await telegram.editMessageText(callbackQuery.message.chat.id, callbackQuery.message.message_id,
+      t(lang, count ? 'cancel.cancellingCountMessage' : 'cancel.nothingLeftMessage', { count }));
+    return;
   }
 
-  return false;
+  const cancelled = await requestCancel(target, from, role);
+  await telegram.answerCallbackQuery(callbackQuery.id, t(lang, cancelled ? 'cancel.cancelling' : 'cancel.finished'));
 }
 
-function detectSource(url) {
-  if (patterns.instagramStory.test(url)) return 'instagram-story';
-  if (patterns.instagramReel.test(url)) return 'instagram-reel';
-  if (patterns.youtubeShort.test(url)) return 'youtube-short';
-  if (patterns.youtubeLong.test(url)) return 'youtube-long';
-  return null;
+// INLINE MODE
+// `@bot <words>` in any chat lists the caller's own downloads that match, newest first.
+// Files the bot has uploaded to Telegram before (see rememberTelegramFile in the processor)
+// are offered as cached video/audio, so sharing them sends the file itself without
+// re-downloading; the rest as a message with a fresh presigned S3 link.
+
+function signS3Url(key) {
+  return getSignedUrl(s3, new GetObjectCommand({ Bucket: S3_BUCKET_NAME, Key: key }), { expiresIn: 7 * 24 * 60 * 60 });
 }
 
-function extractUrl(text) {
-  const urlMatch = text.match(/https?:\/\/[^\s]+/i);
-  return urlMatch ? urlMatch[0] : null;
+// Files whose title, transcript or analysis contain every word of the query. The last
+// word also matches as a prefix, so results narrow while the user is still typing.
+function matchInlineQuery(files, query) {
+  const words = tokenize(query);
+  if (words.length === 0) return files;
+
+  return files.filter(item => {
+    const { terms } = buildDocument(item);
+    return words.every((word, i) => terms.has(word) ||
+      (i === words.length - 1 && [...terms.keys()].some(term => term.startsWith(word))));
+  });
 }
 
-async function answerCallbackQuery(callbackQueryId, text = null) {
-  const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/answerCallbackQuery`;
-  try {
-    const payload = { callback_query_id: callbackQueryId };
-    if (text) payload.text = text;
+async function renderInlineResult(item, lang) {
+  const id = item.download_id?.S || item.file_key.S.substring(0, 64);
+  const title = item.title?.S || item.file_key.S.split('/').pop();
+  const source = getSource(item.source_type?.S);
+  const sizeMB = parseFloat(item.size_mb?.N || 0).toFixed(1);
+  const description = `${source?.label || item.source_type?.S || t(lang, 'inline.file')} · ${sizeMB} MB · ${(item.created_at?.S || '').substring(0, 10)}`;
+  const caption = `<b>${escapeHtml(title)}</b>`;
+  const fileId = item.telegram_file_id?.S;
+
+  switch (fileId && item.telegram_file_type?.S) {
+    case 'video':
+      return { type: 'video', id, video_file_id: fileId, title, description, caption, parse_mode: 'HTML' };
+    case 'audio':
+      return { type: 'audio', id, audio_file_id: fileId, caption, parse_mode: 'HTML' };
+    case 'document':
+      return { type: 'document', id, document_file_id: fileId, title, description, caption, parse_mode: 'HTML' };
+  }
+
+  const s3Url = await signS3Url(item.file_key.S);
+  return {
+    type: 'article',
+    id,
+    title,
+    description,
+    input_message_content: {
+      message_text: `${source?.emoji || '📥'} ${caption} (${sizeMB} MB)\n<a href="${s3Url}">${t(lang, 'common.directLink')}</a>\n\n${t(lang, 'common.linkExpires')}`,
+      parse_mode: 'HTML',
+      link_preview_options: { is_disabled: true },
+    },
+  };
+}
+
+// Results differ per user, and new downloads should show up quickly
+function answerInlineQuery(inlineQueryId, results, options = {}) {
+  return telegram.answerInlineQuery(inlineQueryId, results, { cache_time: 10, is_personal: true, ...options });
+}
+
+async function handleInlineQuery(inlineQuery) {
+  const from = inlineQuery.from;
+  const { role, lang } = await checkAuth(from);
+  if (!role) {
+    // Opens a private chat with "/start request", which files an access request
+    await answerInlineQuery(inlineQuery.id, [], { button: { text: t(lang, 'inline.requestAccess'), start_parameter: 'request' } });
+    return;
+  }
 
-    await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
+  try {
+    const offset = parseInt(inlineQuery.offset) || 0;
+    const files = matchInlineQuery(await queryHistory(from.id, INLINE_SCAN_LIMIT), inlineQuery.query);
+    const results = await Promise.all(files.slice(offset, offset + INLINE_PAGE_SIZE).map(item => renderInlineResult(item, lang)));
+    await answerInlineQuery(inlineQuery.id, results, {
+      next_offset: offset + INLINE_PAGE_SIZE < files.length ? String(offset + INLINE_PAGE_SIZE) : '',
     });
   } catch (error) {
-    console.error('Failed to answer callback query:', error);
+    console.error('Inline query failed:', error);
+    await answerInlineQuery(inlineQuery.id, []);
   }
 }
 
@@ -383,19 +3131,127 @@ export async function handler(event) {
     }
     const body = JSON.parse(bodyText);
 
+    if (await isRetriedUpdate(body.update_id)) {
+      console.log(`Skipping retried update ${body.update_id}`);
+      return { statusCode: 200, body: 'OK' };
+    }
+
+    // Inline mode: "@bot <words>" typed in any chat
+    if (body.inline_query) {
+      await handleInlineQuery(body.inline_query);
+      return { statusCode: 200, body: 'OK' };
+    }
+
     // Handle callback queries (button presses)
     if (body.callback_query) {
       const callbackQuery = body.callback_query;
       const callbackData = callbackQuery.data;
       const chatId = callbackQuery.message.chat.id;
-      const username = callbackQuery.from?.username;
+      const from = callbackQuery.from;
+      const username = from?.username || String(from?.id); // display/file tracking only
+
+      console.log(`Callback query from ${username} (${from?.id}): ${callbackData}`);
+
+      // Check auth and the role the callback action needs
+      const { role, lang } = await checkChatAuth(from, callbackQuery.message.chat);
+      const requiredRole = CALLBACK_ROLES[callbackData.split(':')[0]];
+      if (!role || (requiredRole && !hasRole(role, requiredRole))) {
+        if (role) {
+          await audit('role.refused', from, { params: { callback: callbackData, chat: chatId, role, required: requiredRole } });
+        } else {
+          await auditRefusal(from, { callback: callbackData, chat: chatId });
+        }
+        await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'common.accessDenied'));
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "settings:attr:value" callback (/settings menu)
+      if (callbackData.startsWith('settings:')) {
+        const [, attr, value] = callbackData.split(':');
+        await handleSettingsCallback(callbackQuery, from, role, attr, value, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "language:value" callback (/language menu)
+      if (callbackData.startsWith('language:')) {
+        const [, value] = callbackData.split(':');
+        await handleLanguageCallback(callbackQuery, from, value, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "clear:clearId:choice" callback (/clear preview buttons)
+      if (callbackData.startsWith('clear:')) {
+        const [, clearId, choice] = callbackData.split(':');
+        await handleClearCallback(callbackQuery, from, clearId, choice, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "audit:auditId:page" callback (/audit Newer/Older buttons)
+      if (callbackData.startsWith('audit:')) {
+        const [, auditId, page] = callbackData.split(':');
+        await handleAuditCallback(callbackQuery, auditId, page, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "broadcast:broadcastId:choice" callback (/broadcast Send/Cancel)
+      if (callbackData.startsWith('broadcast:')) {
+        const [, broadcastId, choice] = callbackData.split(':');
+        await handleBroadcastCallback(callbackQuery, from, broadcastId, choice, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "search:action:downloadId" callback (/search result buttons)
+      if (callbackData.startsWith('search:')) {
+        const [, action, downloadId] = callbackData.split(':');
+        await handleSearchCallback(callbackQuery, from, role, action, downloadId, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "list:listId:page" callback (/list Prev/Next buttons)
+      if (callbackData.startsWith('list:')) {
+        const [, listId, page] = callbackData.split(':');
+        await handleListCallback(callbackQuery, from, listId, page, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "history:action:downloadId" callback (/history buttons)
+      if (callbackData.startsWith('history:')) {
+        const [, action, downloadId] = callbackData.split(':');
+        await handleHistoryCallback(callbackQuery, from, action, downloadId, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "cancel:downloadId", "cancel:batch:batchId" and "cancel:all" callbacks (Cancel buttons)
+      if (callbackData.startsWith('cancel:')) {
+        const [, target, batchId] = callbackData.split(':');
+        await handleCancelCallback(callbackQuery, from, role, target, batchId, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
 
-      console.log(`Callback query from @${username}: ${callbackData}`);
+      // Handle "playlist:collectionId:choice" callback (playlist/channel prompt buttons)
+      if (callbackData.startsWith('playlist:')) {
+        const [, collectionId, choice] = callbackData.split(':');
+        await handlePlaylistCallback(callbackQuery, from, role, username, collectionId, choice, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "access:decision:userId" callback (access request buttons)
+      if (callbackData.startsWith('access:')) {
+        const [, decision, targetId] = callbackData.split(':');
+        await handleAccessDecision(callbackQuery, decision, targetId, from.username ? `@${from.username}` : `id ${from.id}`, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
+
+      // Handle "clip:downloadId" callback (✂️ Clip button on finished downloads)
+      if (callbackData.startsWith('clip:')) {
+        const [, downloadId] = callbackData.split(':');
+        await handleClipCallback(callbackQuery, from, role, downloadId, lang);
+        return { statusCode: 200, body: 'OK' };
+      }
 
-      // Check auth
-      const isAllowed = await checkAuth(username);
-      if (!isAllowed) {
-        await answerCallbackQuery(callbackQuery.id, '🚫 Access denied');
+      // Handle "unfollow:followKey" callback (/following buttons; the key itself contains ':')
+      if (callbackData.startsWith('unfollow:')) {
+        await handleUnfollowCallback(callbackQuery, from, callbackData.slice('unfollow:'.length), lang);
         return { statusCode: 200, body: 'OK' };
       }
 
@@ -403,11 +3259,20 @@ export async function handler(event) {
       if (callbackData.startsWith('analyze:')) {
         const downloadId = callbackData.replace('analyze:', '');
 
+        const quota = await checkQuota(from.id, role, ['analyses_per_day'], 'analyses_day', lang);
+        if (!quota.allowed) {
+          await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'analysis.quotaReached'));
+          await telegram.sendMessage(chatId, quota.message);
+          return { statusCode: 200, body: 'OK' };
+        }
+
         // Answer the callback query immediately
-        await answerCallbackQuery(callbackQuery.id, '🧠 Starting analysis...');
+        await telegram.answerCallbackQuery(callbackQuery.id, t(lang, 'analysis.starting'));
 
         // Edit the message to show analysis is starting
-        await sendTelegramMessage(chatId, '🧠 <b>Video Analysis Starting...</b>\n\n<i>This will take ~2-3 minutes. I\'ll analyze the video\'s hook, retention mechanics, and virality strategy.</i>');
+        await telegram.sendMessage(chatId, t(lang, 'analysis.startingMessage'));
+
+        await recordQuotaUsage(from.id, 'analyses_day');
 
         // Queue analysis job to SQS
         await sqs.send(
@@ -417,7 +3282,9 @@ export async function handler(event) {
               action: 'analyze',
               chatId,
               downloadId,
+              userId: String(from.id),
               username,
+              lang,
             }),
           })
         );
@@ -430,109 +3297,196 @@ export async function handler(event) {
 
     const message = body.message;
 
-    if (!message?.text || !message?.chat?.id) {
+    // Forwarded posts may carry their links in a caption instead of text
+    if (!(message?.text || message?.caption) || !message?.chat?.id) {
       return { statusCode: 200, body: 'OK' };
     }
 
     const chatId = message.chat.id;
-    const text = message.text;
-    const username = message.from?.username;
+    const from = message.from;
+    const username = from?.username || String(from?.id); // display/file tracking only
+    let text = message.text || message.caption;
 
-    if (!username) {
-      await sendTelegramMessage(chatId, '❌ Please set a Telegram username to use this bot.');
+    // AUTH CHECK
+    const { role, group, lang } = await checkChatAuth(from, message.chat);
+
+    // Replies to a ✂️ Clip prompt are for the bot (in groups too)
+    const clipPrompt = message.reply_to_message?.from?.is_bot
+      ? await getClipPrompt(chatId, message.reply_to_message.message_id, from)
+      : null;
+
+    // In groups, ignore everything that isn't meant for the bot, and thread replies
+    // under the message that triggered them
+    const isGroup = isGroupChat(message.chat);
+    const trigger = isGroup
+      ? parseGroupTrigger(message, text, group, await getBotUsername()) || (clipPrompt && { text, explicit: true, followReply: false })
+      : null;
+    if (isGroup && !trigger) {
+      return { statusCode: 200, body: 'OK' };
+    }
+    if (trigger) text = trigger.text;
+    const replyTo = isGroup ? message.message_id : null;
+    const quiet = isGroup && !trigger.explicit; // Auto-grab: stay silent unless something is queued
+
+    if (!role) {
+      // In auto-grab groups, links from others weren't aimed at the bot
+      if (!quiet) await auditRefusal(from, { chat: chatId, text: text.slice(0, 100) });
+      if (!isGroup) {
+        await handleAccessRequest(chatId, from, text, lang);
+      } else if (!quiet) {
+        // Only a removed or denied member is refused in an allowed group
+        const key = group?.is_allowed?.BOOL ? 'group.revoked' : 'group.denied';
+        await telegram.sendMessage(chatId, t(lang, key, { user: escapeHtml(requesterLabel(from)) }), { replyTo });
+      }
       return { statusCode: 200, body: 'OK' };
     }
 
-    // AUTH CHECK
-    const isAllowed = await checkAuth(username);
+    // /dl downloads the links in its own text, or in the message it replies to
+    const isDownloadCommand = /^\/dl(\s|$)/.test(text);
 
-    // Handle Admin Commands if sender is admin
-    if (username === TELEGRAM_ADMIN_USERNAME && text.startsWith('/')) {
-      const handled = await handleAdminCommands(chatId, text, username);
+    // Handle commands (each one checks the role it needs)
+    if (text.startsWith('/') && !isDownloadCommand) {
+      const handled = await handleCommands(chatId, text, from, role, message.chat, lang);
       if (handled) return { statusCode: 200, body: 'OK' };
     }
 
-    if (!isAllowed) {
-      await sendTelegramMessage(chatId, '🚫 <b>Access Denied</b>\n\nYou are not authorized to use this bot. Contact the admin for access.');
-      return { statusCode: 200, body: 'OK' };
-    }
-
     // Handle /start command
     if (text === '/start') {
-      await sendTelegramMessage(
+      await telegram.sendMessage(
         chatId,
-        '🎬 <b>Media Downloader Bot</b>\n\n' +
-        'Send me a link from:\n' +
-        '• Instagram Story\n' +
-        '• Instagram Reel\n' +
-        '• YouTube Short\n' +
-        '• YouTube Video\n\n' +
-        "I'll download it and send you an S3 link (valid for 60 days).\n\n" +
-        '<i>YouTube videos return MP3 audio only.</i>'
+        t(lang, 'start.text', { sources: listSourceTypes().map(def => `• ${def.label}\n`).join('') })
       );
       return { statusCode: 200, body: 'OK' };
     }
 
-    // Extract URL from message
-    const url = extractUrl(text);
-    if (!url) {
-      await sendTelegramMessage(chatId, '❌ No valid URL found in your message.');
+    if (!hasRole(role, DOWNLOAD_ROLE)) {
+      if (!quiet) {
+        await audit('role.refused', from, { params: { chat: chatId, text: text.slice(0, 100), role, required: DOWNLOAD_ROLE } });
+        await telegram.sendMessage(chatId, t(lang, 'download.roleCannot', { role }), { replyTo });
+      }
       return { statusCode: 200, body: 'OK' };
     }
 
-    // Detect source type
-    const sourceType = detectSource(url);
-    if (!sourceType) {
-      await sendTelegramMessage(
-        chatId,
-        '❌ Unsupported URL. Please send an Instagram or YouTube link.'
-      );
+    // Group downloads say who asked for them
+    const requestedBy = isGroup ? requesterLabel(from) : null;
+
+    if (clipPrompt && !text.startsWith('/')) {
+      const { clip, invalid } = findClipRange(text);
+      if (!clip) {
+        await telegram.sendMessage(chatId, t(lang, 'clip.invalidRange', { range: escapeHtml(invalid || text.slice(0, 50)), max: MAX_CLIP_SECONDS / 60 }), { replyTo });
+        return { statusCode: 200, body: 'OK' };
+      }
+      await queueClip(chatId, message, from, username, role, clipPrompt, clip, { replyTo, requestedBy, lang });
+      return { statusCode: 200, body: 'OK' };
+    }
+
+    // Extract every URL from the message (and a forwarded message's entities); /dl and
+    // mentions without a link of their own take the links of the message they reply to
+    const followReply = isDownloadCommand || trigger?.followReply;
+    let urls = extractUrls(message);
+    if (urls.length === 0 && followReply && message.reply_to_message) {
+      urls = extractUrls(message.reply_to_message);
+    }
+    if (urls.length === 0) {
+      if (!quiet) {
+        await telegram.sendMessage(chatId, t(lang, followReply ? 'download.noLinkReply' : 'download.noUrl'), { replyTo });
+      }
+      return { statusCode: 200, body: 'OK' };
+    }
+
+    // Detect source types, de-duplicating different URLs for the same post/video
+    const links = [];
+    const collections = []; // Playlists and channels, confirmed separately
+    const unsupported = [];
+    const seen = new Set();
+    for (const url of urls) {
+      const sourceType = detectSource(url);
+      if (!sourceType) {
+        unsupported.push({ url });
+        continue;
+      }
+      const id = `${getSource(sourceType).platform}:${extractSourceId(sourceType, url) || url}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      (getSource(sourceType).collection ? collections : links).push({ url, sourceType });
+    }
+
+    if (links.length === 0 && collections.length === 0) {
+      if (!quiet) {
+        await telegram.sendMessage(
+          chatId,
+          t(lang, 'download.unsupported', { platforms: listPlatforms().map(p => p.label).join(', ') }),
+          { replyTo }
+        );
+      }
+      return { statusCode: 200, body: 'OK' };
+    }
+
+    // "<link> 1:23-1:45": only that part of it, as a clip (one link per message)
+    const { clip, invalid: invalidClip } = findClipRange(urls.reduce((rest, url) => rest.split(url).join(' '), text));
+    if (invalidClip || (clip && (links.length !== 1 || collections.length > 0))) {
+      if (!quiet) {
+        await telegram.sendMessage(chatId, invalidClip
+          ? t(lang, 'clip.invalidRange', { range: escapeHtml(invalidClip), max: MAX_CLIP_SECONDS / 60 })
+          : t(lang, 'clip.oneLink'), { replyTo });
+      }
+      return { statusCode: 200, body: 'OK' };
+    }
+
+    for (const link of collections) {
+      await queueExpansion(chatId, message, from, username, link, replyTo, lang);
+    }
+    if (links.length === 0) {
+      return { statusCode: 200, body: 'OK' };
+    }
+
+    // Enforce quotas before anything is queued
+    const quota = await checkQuota(from.id, role, ['requests_per_hour', 'daily_mb', 'monthly_mb'], 'requests_hour', lang);
+    if (!quota.allowed) {
+      await telegram.sendMessage(chatId, quota.message, { replyTo });
+      return { statusCode: 200, body: 'OK' };
+    }
+
+    if (links.length > 1) {
+      await queueBatch(chatId, message, from, username, links, unsupported, quota, {
+        settings: await resolveJobSettings(from.id, role),
+        replyTo,
+        requestedBy,
+        lang,
+      });
       return { statusCode: 200, body: 'OK' };
     }
 
+    const { url, sourceType } = links[0];
+
     // Generate unique download ID for tracking
     const downloadId = randomUUID();
 
     // Create active download record
-    if (DYNAMODB_ACTIVE_DOWNLOADS_TABLE) {
-      try {
-        const ttlSeconds = Math.floor(Date.now() / 1000) + (15 * 60); // 15 min TTL
-        await ddb.send(new PutItemCommand({
-          TableName: DYNAMODB_ACTIVE_DOWNLOADS_TABLE,
-          Item: {
-            download_id: { S: downloadId },
-            username: { S: username },
-            url: { S: url },
-            source_type: { S: sourceType },
-            status: { S: 'queued' },
-            percent: { S: '0%' },
-            started_at: { S: new Date().toISOString() },
-            ttl: { N: String(ttlSeconds) }
-          }
-        }));
-      } catch (error) {
-        console.error('Failed to create active download record:', error);
-      }
-    }
+    await createActiveDownload(downloadId, from, username, url, sourceType);
 
-    // Send processing confirmation FIRST and capture message_id
-    const sourceEmoji = {
-      'instagram-story': '📸',
-      'instagram-reel': '🎞️',
-      'youtube-short': '📱',
-      'youtube-long': '🎵',
-    };
+    const settings = await resolveJobSettings(from.id, role);
 
-    const outputType = sourceType === 'youtube-long' ? 'MP3' : 'MP4';
+    // Send processing confirmation FIRST and capture message_id
+    const source = getSource(sourceType);
+    const outputType = resolveOutputFormat(sourceType, settings).toUpperCase();
 
-    const processingMsg = await sendTelegramMessage(
+    const processingMsg = await telegram.sendMessage(
       chatId,
-      `${sourceEmoji[sourceType]} Processing your ${sourceType.replace('-', ' ')}...\n\n` +
-      `<i>You'll receive an S3 link (${outputType}) shortly.</i>`
+      (requestedBy
+        ? t(lang, 'download.processingFor', { emoji: source.emoji, source: source.label, user: escapeHtml(requestedBy) })
+        : t(lang, 'download.processing', { emoji: source.emoji, source: source.label })) + '\n\n' +
+      t(lang, 'download.willReceive', { format: outputType }) +
+      (clip ? '\n' + t(lang, 'clip.range', { range: clipLabel(clip) }) : '') +
+      (settings.autoAnalyze === 'on' ? '\n' + t(lang, 'download.autoAnalyze') : '') +
+      (quota.message ? `\n\n${quota.message}` : ''),
+      { replyMarkup: { inline_keyboard: [[{ text: t(lang, 'common.cancel'), callback_data: `cancel:${downloadId}` }]] }, replyTo }
     );
 
     const progressMessageId = processingMsg?.result?.message_id;
 
+    await recordQuotaUsage(from.id, 'requests_hour');
+
     // Queue the download request with progress message ID
     await sqs.send(
       new SendMessageCommand({
@@ -542,9 +3496,14 @@ export async function handler(event) {
           url,
           sourceType,
           messageId: message.message_id,
+          userId: String(from.id),
           username: username,
           downloadId: downloadId,
           progressMessageId: progressMessageId, // For live progress updates
+          settings,
+          lang,
+          ...(clip && { clip }),
+          ...(requestedBy && { requestedBy }),
         }),
       })
     );
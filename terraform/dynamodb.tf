@@ -1,3 +1,5 @@
+# Legacy username-keyed users table. No longer read by the Lambdas; kept so
+# existing records can be copied with scripts/migrate-users.mjs.
 resource "aws_dynamodb_table" "users" {
   name         = "media-downloader-users"
   billing_mode = "PAY_PER_REQUEST"
@@ -13,6 +15,33 @@ resource "aws_dynamodb_table" "users" {
   }
 }
 
+# Users keyed on Telegram user id (usernames can change or be missing)
+resource "aws_dynamodb_table" "users_by_id" {
+  name         = "media-downloader-users-v2"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "user_id"
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "username_lower"
+    type = "S"
+  }
+
+  global_secondary_index {
+    name            = "UsernameIndex"
+    hash_key        = "username_lower"
+    projection_type = "ALL"
+  }
+
+  tags = {
+    Project = "media-downloader"
+  }
+}
+
 resource "aws_dynamodb_table" "files" {
   name         = "media-downloader-files"
   billing_mode = "PAY_PER_REQUEST"
@@ -33,6 +62,16 @@ resource "aws_dynamodb_table" "files" {
     type = "S"
   }
 
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "download_id"
+    type = "S"
+  }
+
   global_secondary_index {
     name            = "SourceTypeIndex"
     hash_key        = "source_type"
@@ -40,6 +79,21 @@ resource "aws_dynamodb_table" "files" {
     projection_type = "ALL"
   }
 
+  # Per-user download history (/history, inline mode), by Telegram user id
+  global_secondary_index {
+    name            = "UserIdIndex"
+    hash_key        = "user_id"
+    range_key       = "created_at"
+    projection_type = "ALL"
+  }
+
+  # File behind a download's buttons (/search, Clip, Analyze)
+  global_secondary_index {
+    name            = "DownloadIdIndex"
+    hash_key        = "download_id"
+    projection_type = "ALL"
+  }
+
   ttl {
     attribute_name = "ttl"
     enabled        = true
@@ -60,6 +114,52 @@ resource "aws_dynamodb_table" "active_downloads" {
     type = "S"
   }
 
+  attribute {
+    name = "record_type"
+    type = "S"
+  }
+
+  attribute {
+    name = "started_at"
+    type = "S"
+  }
+
+  # Download jobs only (record_type = "job"), not the bookkeeping records kept alongside
+  # them; see src/shared/jobs.mjs
+  global_secondary_index {
+    name            = "JobIndex"
+    hash_key        = "record_type"
+    range_key       = "started_at"
+    projection_type = "ALL"
+  }
+
+  ttl {
+    attribute_name = "ttl"
+    enabled        = true
+  }
+
+  tags = {
+    Project = "media-downloader"
+  }
+}
+
+# Inverted index for /search: one row per (term, file), see src/shared/search.mjs
+resource "aws_dynamodb_table" "search" {
+  name         = "media-downloader-search"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "term"
+  range_key    = "file_key"
+
+  attribute {
+    name = "term"
+    type = "S"
+  }
+
+  attribute {
+    name = "file_key"
+    type = "S"
+  }
+
   ttl {
     attribute_name = "ttl"
     enabled        = true
@@ -69,3 +169,104 @@ resource "aws_dynamodb_table" "active_downloads" {
     Project = "media-downloader"
   }
 }
+
+# Append-only audit log of admin actions and refused access (/audit), see src/shared/audit.mjs.
+# The Lambdas can only add entries and read them, never change or delete one.
+resource "aws_dynamodb_table" "audit" {
+  name         = "media-downloader-audit"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "log"
+  range_key    = "entry_id"
+
+  attribute {
+    name = "log"
+    type = "S"
+  }
+
+  attribute {
+    name = "entry_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "actor_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "target_id"
+    type = "S"
+  }
+
+  global_secondary_index {
+    name            = "ActorIndex"
+    hash_key        = "actor_id"
+    range_key       = "entry_id"
+    projection_type = "ALL"
+  }
+
+  global_secondary_index {
+    name            = "TargetIndex"
+    hash_key        = "target_id"
+    range_key       = "entry_id"
+    projection_type = "ALL"
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  tags = {
+    Project = "media-downloader"
+  }
+}
+
+# Daily usage per user and source type for /stats and /export stats, see src/shared/usage.mjs.
+# Rows expire about 13 months after their day.
+resource "aws_dynamodb_table" "usage" {
+  name         = "media-downloader-usage"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "day"
+  range_key    = "usage_key"
+
+  attribute {
+    name = "day"
+    type = "S"
+  }
+
+  attribute {
+    name = "usage_key"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "ttl"
+    enabled        = true
+  }
+
+  tags = {
+    Project = "media-downloader"
+  }
+}
+
+# /follow subscriptions, one item per user and followed account, see src/shared/follows.mjs
+resource "aws_dynamodb_table" "follows" {
+  name         = "media-downloader-follows"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "user_id"
+  range_key    = "follow_key"
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "follow_key"
+    type = "S"
+  }
+
+  tags = {
+    Project = "media-downloader"
+  }
+}
@@ -43,15 +43,40 @@ resource "aws_iam_role_policy" "webhook_lambda" {
           "dynamodb:UpdateItem",
           "dynamodb:DeleteItem",
           "dynamodb:Scan",
-          "dynamodb:Query"
+          "dynamodb:Query",
+          "dynamodb:BatchGetItem",
+          "dynamodb:BatchWriteItem"
         ]
         Resource = [
-          "${aws_dynamodb_table.users.arn}",
+          "${aws_dynamodb_table.users_by_id.arn}",
+          "${aws_dynamodb_table.users_by_id.arn}/index/*",
           "${aws_dynamodb_table.files.arn}",
           "${aws_dynamodb_table.files.arn}/index/*",
-          "${aws_dynamodb_table.active_downloads.arn}"
+          "${aws_dynamodb_table.active_downloads.arn}",
+          "${aws_dynamodb_table.active_downloads.arn}/index/*",
+          "${aws_dynamodb_table.search.arn}",
+          "${aws_dynamodb_table.usage.arn}",
+          "${aws_dynamodb_table.follows.arn}"
+        ]
+      },
+      {
+        # Audit log: append and read only
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",
+          "dynamodb:Query"
+        ]
+        Resource = [
+          "${aws_dynamodb_table.audit.arn}",
+          "${aws_dynamodb_table.audit.arn}/index/*"
         ]
       },
+      {
+        # Presigned links for inline mode results
+        Effect   = "Allow"
+        Action   = "s3:GetObject"
+        Resource = "${aws_s3_bucket.media.arn}/*"
+      },
       {
         Effect   = "Allow"
         Action   = "kms:Decrypt"
@@ -94,11 +119,13 @@ resource "aws_iam_role_policy" "processor_lambda" {
         Resource = "arn:aws:logs:*:*:*"
       },
       {
+        # SendMessage: /follow's poll queues one check per subscription, and checks queue downloads
         Effect = "Allow"
         Action = [
           "sqs:ReceiveMessage",
           "sqs:DeleteMessage",
-          "sqs:GetQueueAttributes"
+          "sqs:GetQueueAttributes",
+          "sqs:SendMessage"
         ]
         Resource = aws_sqs_queue.download_queue.arn
       },
@@ -132,15 +159,27 @@ resource "aws_iam_role_policy" "processor_lambda" {
           "dynamodb:UpdateItem",
           "dynamodb:DeleteItem",
           "dynamodb:Scan",
-          "dynamodb:Query"
+          "dynamodb:Query",
+          "dynamodb:BatchGetItem",
+          "dynamodb:BatchWriteItem"
         ]
         Resource = [
-          "${aws_dynamodb_table.users.arn}",
+          "${aws_dynamodb_table.users_by_id.arn}",
+          "${aws_dynamodb_table.users_by_id.arn}/index/*",
           "${aws_dynamodb_table.files.arn}",
           "${aws_dynamodb_table.files.arn}/index/*",
-          "${aws_dynamodb_table.active_downloads.arn}"
+          "${aws_dynamodb_table.active_downloads.arn}",
+          "${aws_dynamodb_table.search.arn}",
+          "${aws_dynamodb_table.usage.arn}",
+          "${aws_dynamodb_table.follows.arn}"
         ]
       },
+      {
+        # Audit log: append only (outcomes of /clear and /broadcast)
+        Effect   = "Allow"
+        Action   = "dynamodb:PutItem"
+        Resource = aws_dynamodb_table.audit.arn
+      },
       {
         Effect   = "Allow"
         Action   = "kms:Decrypt"
@@ -1,15 +1,17 @@
 # Processor Lambda function
+# Packaged from src/ so the shared modules (src/shared) ship alongside the handler
 data "archive_file" "processor" {
   type        = "zip"
-  source_dir  = "${path.module}/../src/processor"
+  source_dir  = "${path.module}/../src"
   output_path = "${path.module}/.builds/processor.zip"
+  excludes    = ["webhook"]
 }
 
 resource "aws_lambda_function" "processor" {
   function_name    = "media-downloader-processor"
   filename         = data.archive_file.processor.output_path
   source_code_hash = data.archive_file.processor.output_base64sha256
-  handler          = "index.handler"
+  handler          = "processor/index.handler"
   runtime          = "nodejs22.x"
   role             = aws_iam_role.processor_lambda.arn
   timeout          = 900  # 15 minutes for large downloads
@@ -27,9 +29,14 @@ resource "aws_lambda_function" "processor" {
       INSTAGRAM_COOKIES_SECRET        = aws_secretsmanager_secret.instagram_cookies.arn
       YOUTUBE_COOKIES_SECRET          = aws_secretsmanager_secret.youtube_cookies.arn
       YOUTUBE_PROXY                   = var.youtube_proxy
-      DYNAMODB_TABLE_NAME             = aws_dynamodb_table.users.name
+      DYNAMODB_TABLE_NAME             = aws_dynamodb_table.users_by_id.name
       DYNAMODB_FILES_TABLE            = aws_dynamodb_table.files.name
       DYNAMODB_ACTIVE_DOWNLOADS_TABLE = aws_dynamodb_table.active_downloads.name
+      DYNAMODB_SEARCH_TABLE           = aws_dynamodb_table.search.name
+      DYNAMODB_AUDIT_TABLE            = aws_dynamodb_table.audit.name
+      DYNAMODB_USAGE_TABLE            = aws_dynamodb_table.usage.name
+      DYNAMODB_FOLLOWS_TABLE          = aws_dynamodb_table.follows.name
+      SQS_QUEUE_URL                   = aws_sqs_queue.download_queue.url
       OPENROUTER_API_KEY              = var.openrouter_api_key
       SCRAPECREATORS_API_KEY          = var.scrapecreators_api_key
 
@@ -1,15 +1,17 @@
 # Webhook Lambda function
+# Packaged from src/ so the shared modules (src/shared) ship alongside the handler
 data "archive_file" "webhook" {
   type        = "zip"
-  source_dir  = "${path.module}/../src/webhook"
+  source_dir  = "${path.module}/../src"
   output_path = "${path.module}/.builds/webhook.zip"
+  excludes    = ["processor"]
 }
 
 resource "aws_lambda_function" "webhook" {
   function_name    = "media-downloader-webhook"
   filename         = data.archive_file.webhook.output_path
   source_code_hash = data.archive_file.webhook.output_base64sha256
-  handler          = "index.handler"
+  handler          = "webhook/index.handler"
   runtime          = "nodejs22.x"
   role             = aws_iam_role.webhook_lambda.arn
   timeout          = 30
@@ -18,11 +20,17 @@ resource "aws_lambda_function" "webhook" {
   environment {
     variables = {
       SQS_QUEUE_URL                   = aws_sqs_queue.download_queue.url
+      S3_BUCKET_NAME                  = aws_s3_bucket.media.id
       TELEGRAM_BOT_TOKEN              = var.telegram_bot_token
-      DYNAMODB_TABLE_NAME             = aws_dynamodb_table.users.name
+      DYNAMODB_TABLE_NAME             = aws_dynamodb_table.users_by_id.name
       DYNAMODB_FILES_TABLE            = aws_dynamodb_table.files.name
       DYNAMODB_ACTIVE_DOWNLOADS_TABLE = aws_dynamodb_table.active_downloads.name
+      DYNAMODB_SEARCH_TABLE           = aws_dynamodb_table.search.name
+      DYNAMODB_AUDIT_TABLE            = aws_dynamodb_table.audit.name
+      DYNAMODB_USAGE_TABLE            = aws_dynamodb_table.usage.name
+      DYNAMODB_FOLLOWS_TABLE          = aws_dynamodb_table.follows.name
       TELEGRAM_ADMIN_USERNAME         = var.telegram_admin_username
+      TELEGRAM_ADMIN_USER_ID          = var.telegram_admin_user_id
       TELEGRAM_WEBHOOK_SECRET         = var.telegram_webhook_secret
     }
   }
@@ -18,6 +18,20 @@ resource "aws_s3_bucket_lifecycle_configuration" "media" {
       days = 7
     }
   }
+
+  # CSVs from /export, kept as long as their presigned link is valid
+  rule {
+    id     = "expire-exports-after-7-days"
+    status = "Enabled"
+
+    filter {
+      prefix = "exports/"
+    }
+
+    expiration {
+      days = 7
+    }
+  }
 }
 
 resource "aws_s3_bucket_public_access_block" "media" {
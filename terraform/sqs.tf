@@ -18,3 +18,50 @@ resource "aws_sqs_queue_redrive_policy" "download_queue" {
     maxReceiveCount     = 3
   })
 }
+
+# Scheduled /follow work goes through the download queue like everything else: EventBridge
+# sends a fixed message and the processor fans it out (see src/shared/follows.mjs)
+resource "aws_cloudwatch_event_rule" "follow_poll" {
+  name                = "media-downloader-follow-poll"
+  description         = "Check /follow subscriptions for new posts"
+  schedule_expression = var.follow_poll_schedule
+}
+
+resource "aws_cloudwatch_event_target" "follow_poll" {
+  rule  = aws_cloudwatch_event_rule.follow_poll.name
+  arn   = aws_sqs_queue.download_queue.arn
+  input = jsonencode({ action = "follow-poll" })
+}
+
+resource "aws_cloudwatch_event_rule" "follow_digest" {
+  name                = "media-downloader-follow-digest"
+  description         = "Send the daily /follow digest"
+  schedule_expression = var.follow_digest_schedule
+}
+
+resource "aws_cloudwatch_event_target" "follow_digest" {
+  rule  = aws_cloudwatch_event_rule.follow_digest.name
+  arn   = aws_sqs_queue.download_queue.arn
+  input = jsonencode({ action = "follow-digest" })
+}
+
+resource "aws_sqs_queue_policy" "download_queue" {
+  queue_url = aws_sqs_queue.download_queue.id
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [{
+      Effect    = "Allow"
+      Principal = { Service = "events.amazonaws.com" }
+      Action    = "sqs:SendMessage"
+      Resource  = aws_sqs_queue.download_queue.arn
+      Condition = {
+        ArnEquals = {
+          "aws:SourceArn" = [
+            aws_cloudwatch_event_rule.follow_poll.arn,
+            aws_cloudwatch_event_rule.follow_digest.arn
+          ]
+        }
+      }
+    }]
+  })
+}
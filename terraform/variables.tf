@@ -45,10 +45,16 @@ variable "youtube_proxy" {
 
 
 variable "telegram_admin_username" {
-  description = "Telegram username of the bot admin (without @)"
+  description = "Telegram username of the bot owner (without @); further admins are added with /promote"
   type        = string
 }
 
+variable "telegram_admin_user_id" {
+  description = "Numeric Telegram user id of the bot owner. Recommended: if empty, the owner is matched by telegram_admin_username"
+  type        = string
+  default     = ""
+}
+
 variable "telegram_webhook_secret" {
   description = "Secret token for Telegram webhook authentication"
   type        = string
@@ -60,3 +66,15 @@ variable "openrouter_api_key" {
   type        = string
   sensitive   = true
 }
+
+variable "follow_poll_schedule" {
+  description = "EventBridge schedule for checking /follow subscriptions for new posts"
+  type        = string
+  default     = "rate(1 hour)"
+}
+
+variable "follow_digest_schedule" {
+  description = "EventBridge schedule for the daily /follow digest (UTC)"
+  type        = string
+  default     = "cron(0 8 * * ? *)"
+}
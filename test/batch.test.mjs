@@ -0,0 +1,86 @@
+/**
+ * Tests for batch records and the batch progress message in src/shared/batch.mjs.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { batchAttributes, batchKey, parseBatch, renderBatchMessage } from '../src/shared/batch.mjs';
+
+const JOBS = [
+    { downloadId: 'd1', url: 'https://youtu.be/a', sourceType: 'youtube-long' },
+    { downloadId: 'd2', url: 'https://www.tiktok.com/@u/video/1', sourceType: 'tiktok-video' },
+];
+
+// A batch as stored by the webhook, then with `updates` applied per downloadId
+function batch(updates = {}, { skipped = [], ...options } = {}) {
+    const parsed = parseBatch({ ...batchKey('b1'), ...batchAttributes(JOBS, skipped, { lang: 'en', ...options }) });
+    parsed.items = parsed.items.map(item => ({ ...item, ...updates[item.downloadId] }));
+    return parsed;
+}
+
+const DONE = { status: 'done', title: 'First <video>', sizeMB: 12.34, s3Url: 'https://s3/1' };
+
+test('batchAttributes and parseBatch round-trip a new batch, items in message order', () => {
+    const parsed = batch({}, { skipped: [{ url: 'https://example.com', reason: 'unsupported' }], title: 'Mix', zip: true });
+    assert.equal(parsed.batchId, 'b1');
+    assert.deepEqual(parsed.items.map(item => [item.index, item.downloadId, item.status]), [[1, 'd1', 'queued'], [2, 'd2', 'queued']]);
+    assert.deepEqual(parsed.skipped, [{ url: 'https://example.com', reason: 'unsupported' }]);
+    assert.equal(parsed.title, 'Mix');
+    assert.equal(parsed.zip, true);
+    assert.equal(parsed.lang, 'en');
+});
+
+test('renderBatchMessage shows progress and a Cancel button while jobs run', () => {
+    const { text, replyMarkup, complete } = renderBatchMessage(batch({ d1: DONE, d2: { status: 'downloading' } }));
+    assert.ok(!complete);
+    assert.ok(text.startsWith('📦 <b>Batch Download</b>: 1/2 finished'));
+    assert.ok(text.includes('1. ✅ <a href="https://s3/1">First &lt;video&gt;</a> (12.3 MB)'));
+    assert.ok(text.includes('2. 📥 TikTok Video <i>downloading</i>'));
+    assert.deepEqual(replyMarkup, { inline_keyboard: [[{ text: '✖ Cancel batch', callback_data: 'cancel:batch:b1' }]] });
+});
+
+test('renderBatchMessage sums up a finished batch with an Analyze button per download', () => {
+    const { text, replyMarkup, complete } = renderBatchMessage(batch({ d1: DONE, d2: { status: 'failed', error: 'Private video' } }));
+    assert.ok(complete);
+    assert.ok(text.startsWith('📦 <b>Batch Complete</b>: 1 downloaded, 1 failed'));
+    assert.ok(text.includes('2. ❌ TikTok Video: <i>Private video</i>'));
+    assert.ok(text.endsWith('<i>Links expire in 7 days</i>'));
+    assert.deepEqual(replyMarkup, { inline_keyboard: [[{ text: '🧠 Analyze #1', callback_data: 'analyze:d1' }]] });
+});
+
+test('renderBatchMessage has no buttons when nothing was downloaded', () => {
+    const { replyMarkup, complete, text } = renderBatchMessage(batch({ d1: { status: 'cancelled' }, d2: { status: 'cancelled' } }));
+    assert.ok(complete);
+    assert.equal(replyMarkup, null);
+    assert.ok(text.includes(', 2 cancelled'));
+});
+
+test('renderBatchMessage counts skipped links by reason', () => {
+    const skipped = [
+        { url: 'a', reason: 'quota' },
+        { url: 'b', reason: 'unsupported' },
+        { url: 'c', reason: 'quota' },
+    ];
+    const { text } = renderBatchMessage(batch({}, { skipped }));
+    assert.ok(text.includes('⚠️ Skipped 3 link(s): 1 unsupported, 2 over your quota'));
+});
+
+test('renderBatchMessage names playlist batches and shows the ZIP once every job finished', () => {
+    const options = { title: 'My <Playlist>', sourceType: 'youtube-playlist', zip: true };
+    assert.ok(!renderBatchMessage(batch({ d1: DONE }, options)).text.includes('ZIP'));
+
+    const finished = batch({ d1: DONE, d2: DONE }, options);
+    assert.ok(renderBatchMessage(finished).text.startsWith('📦 <b>My &lt;Playlist&gt;</b>: 2 downloaded'));
+    assert.ok(renderBatchMessage(finished).text.includes('Building ZIP'));
+    assert.ok(renderBatchMessage({ ...finished, zipUrl: 'https://s3/zip' }).text.includes('<a href="https://s3/zip">ZIP of all MP3s</a>'));
+    assert.ok(renderBatchMessage({ ...finished, zipStatus: 'failed' }).text.includes("Couldn't build the ZIP"));
+    assert.ok(!renderBatchMessage({ ...finished, zipStatus: 'empty' }).text.includes('ZIP'));
+});
+
+test('renderBatchMessage shortens titles in big batches', () => {
+    const jobs = Array.from({ length: 21 }, (_, i) => ({ downloadId: `d${i}`, url: `https://youtu.be/${i}`, sourceType: 'youtube-long' }));
+    const parsed = parseBatch({ ...batchKey('big'), ...batchAttributes(jobs, []) });
+    parsed.items = parsed.items.map(item => ({ ...item, ...DONE, title: 'x'.repeat(50) }));
+    assert.ok(renderBatchMessage(parsed).text.includes(`>${'x'.repeat(35)}...</a>`));
+    parsed.items = parsed.items.slice(0, 20);
+    assert.ok(renderBatchMessage(parsed).text.includes(`>${'x'.repeat(50)}</a>`));
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for clip range parsing and naming in src/shared/clips.mjs.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_CLIP_SECONDS, clipLabel, clipSuffix, findClipRange, formatTimestamp, parseTimestamp } from '../src/shared/clips.mjs';
+
+test('parseTimestamp reads m:ss and h:mm:ss', () => {
+    assert.equal(parseTimestamp('1:23'), 83);
+    assert.equal(parseTimestamp('0:05'), 5);
+    assert.equal(parseTimestamp('1:02:03'), 3723);
+});
+
+test('parseTimestamp refuses minutes or seconds past 59', () => {
+    assert.equal(parseTimestamp('1:60'), null);
+    assert.equal(parseTimestamp('1:60:00'), null);
+});
+
+test('formatTimestamp only shows hours from an hour on', () => {
+    assert.equal(formatTimestamp(83), '1:23');
+    assert.equal(formatTimestamp(5), '0:05');
+    assert.equal(formatTimestamp(3723), '1:02:03');
+});
+
+test('findClipRange finds a range as a word of its own', () => {
+    assert.deepEqual(findClipRange('1:23-1:45'), { clip: { start: 83, end: 105 } });
+    assert.deepEqual(findClipRange('just the chorus 1:02:03 – 1:02:30 please'), { clip: { start: 3723, end: 3750 } });
+});
+
+test('findClipRange ignores text without a range', () => {
+    assert.deepEqual(findClipRange('great song'), {});
+    assert.deepEqual(findClipRange('at12:00-13:00'), {});
+    assert.deepEqual(findClipRange(undefined), {});
+});
+
+test('findClipRange reports backwards, empty, out-of-range and too long ranges', () => {
+    assert.deepEqual(findClipRange('1:45-1:23'), { invalid: '1:45-1:23' });
+    assert.deepEqual(findClipRange('1:00-1:00'), { invalid: '1:00-1:00' });
+    assert.deepEqual(findClipRange('1:00-1:99'), { invalid: '1:00-1:99' });
+    const end = formatTimestamp(MAX_CLIP_SECONDS + 1);
+    assert.deepEqual(findClipRange(`0:00-${end}`), { invalid: `0:00-${end}` });
+    assert.ok(findClipRange(`0:00-${formatTimestamp(MAX_CLIP_SECONDS)}`).clip);
+});
+
+test('clipLabel and clipSuffix describe the range', () => {
+    assert.equal(clipLabel({ start: 83, end: 105 }), '1:23–1:45');
+    assert.equal(clipSuffix({ start: 83, end: 105 }), '_clip_83-105');
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for quota windows and limit checks in src/shared/quota.mjs.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateQuota, formatResetTime, periodKey, periodReset } from '../src/shared/quota.mjs';
+
+const NOW = new Date('2026-10-19T14:45:00Z');
+
+function userItem(quota, counters = {}) {
+    const item = { quota: { M: Object.fromEntries(Object.entries(quota).map(([limit, max]) => [limit, { N: String(max) }])) } };
+    for (const [counter, [used, period]] of Object.entries(counters)) {
+        item[counter] = { N: String(used) };
+        item[`${counter}_period`] = { S: period };
+    }
+    return item;
+}
+
+test('periodKey names the hour, day or month window', () => {
+    assert.equal(periodKey('hour', NOW), '2026-10-19T14');
+    assert.equal(periodKey('day', NOW), '2026-10-19');
+    assert.equal(periodKey('month', NOW), '2026-10');
+});
+
+test('periodReset is the start of the next window, across month and year ends', () => {
+    assert.equal(periodReset('hour', NOW).toISOString(), '2026-10-19T15:00:00.000Z');
+    assert.equal(periodReset('day', new Date('2026-10-31T23:30:00Z')).toISOString(), '2026-11-01T00:00:00.000Z');
+    assert.equal(periodReset('month', new Date('2026-12-15T00:00:00Z')).toISOString(), '2027-01-01T00:00:00.000Z');
+});
+
+test('evaluateQuota allows users without limits', () => {
+    assert.deepEqual(evaluateQuota({}, ['requests_per_hour', 'daily_mb'], NOW), { allowed: true, exceeded: null, status: [] });
+    assert.deepEqual(evaluateQuota(null, ['daily_mb'], NOW).allowed, true);
+});
+
+test('evaluateQuota only checks the limits asked for', () => {
+    const item = userItem({ daily_mb: 100, analyses_per_day: 1 }, { analyses_day: [1, '2026-10-19'] });
+    const { allowed, status } = evaluateQuota(item, ['daily_mb'], NOW);
+    assert.ok(allowed);
+    assert.deepEqual(status.map(s => s.limit), ['daily_mb']);
+});
+
+test('evaluateQuota reports usage in the current window', () => {
+    const item = userItem({ daily_mb: 100 }, { mb_day: [40.5, '2026-10-19'] });
+    const { allowed, status: [daily] } = evaluateQuota(item, ['daily_mb'], NOW);
+    assert.ok(allowed);
+    assert.equal(daily.used, 40.5);
+    assert.equal(daily.remaining, 59.5);
+    assert.equal(daily.resetAt.toISOString(), '2026-10-20T00:00:00.000Z');
+});
+
+test('evaluateQuota refuses once a limit is reached', () => {
+    const item = userItem({ requests_per_hour: 5, daily_mb: 100 }, { requests_hour: [5, '2026-10-19T14'] });
+    const { allowed, exceeded } = evaluateQuota(item, ['requests_per_hour', 'daily_mb'], NOW);
+    assert.ok(!allowed);
+    assert.equal(exceeded.limit, 'requests_per_hour');
+    assert.equal(exceeded.remaining, 0);
+});
+
+test('evaluateQuota counts a counter from a past window as zero', () => {
+    const item = userItem({ requests_per_hour: 5 }, { requests_hour: [5, '2026-10-19T13'] });
+    const { allowed, status: [hourly] } = evaluateQuota(item, ['requests_per_hour'], NOW);
+    assert.ok(allowed);
+    assert.equal(hourly.used, 0);
+});
+
+test('formatResetTime rounds up to whole minutes', () => {
+    assert.equal(formatResetTime(new Date('2026-10-19T15:00:00Z'), 'en', NOW), 'in 15m');
+    assert.equal(formatResetTime(new Date('2026-10-19T17:00:30Z'), 'en', NOW), 'in 2h 16m');
+    assert.equal(formatResetTime(new Date('2026-10-21T00:00:00Z'), 'en', NOW), 'in 1d 9h');
+    assert.equal(formatResetTime(NOW, 'en', NOW), 'in 1m');
+});
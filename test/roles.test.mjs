@@ -0,0 +1,51 @@
+/**
+ * Tests for the role ladder in src/shared/roles.mjs.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkRoleChange, hasRole, highestRole, isRevoked, normalizeRole } from '../src/shared/roles.mjs';
+
+test('normalizeRole keeps known roles, maps legacy ones and gives anything else the least privilege', () => {
+    assert.equal(normalizeRole('admin'), 'admin');
+    assert.equal(normalizeRole('user'), 'analyst');
+    assert.equal(normalizeRole('superuser'), 'viewer');
+    assert.equal(normalizeRole(undefined), 'viewer');
+});
+
+test('hasRole lets a role do everything the roles below it can', () => {
+    assert.ok(hasRole('owner', 'admin'));
+    assert.ok(hasRole('analyst', 'downloader'));
+    assert.ok(hasRole('downloader', 'downloader'));
+    assert.ok(!hasRole('downloader', 'analyst'));
+    assert.ok(!hasRole(undefined, 'downloader'));
+    assert.ok(hasRole('user', 'analyst'));
+});
+
+test('checkRoleChange only lets actors manage users below them', () => {
+    assert.equal(checkRoleChange('admin', 'downloader', 'analyst'), null);
+    assert.deepEqual(checkRoleChange('admin', 'admin', 'viewer'), { key: 'roles.cannotChange', params: { role: 'admin' } });
+    assert.deepEqual(checkRoleChange('analyst', 'owner', 'viewer'), { key: 'roles.cannotChange', params: { role: 'owner' } });
+});
+
+test('checkRoleChange doesn\'t let actors grant more than they have', () => {
+    assert.deepEqual(checkRoleChange('admin', 'viewer', 'owner'), { key: 'roles.cannotGrant', params: { role: 'owner' } });
+    assert.equal(checkRoleChange('admin', 'viewer', 'admin'), null);
+});
+
+test('checkRoleChange lets the owner manage admins and other owners', () => {
+    assert.equal(checkRoleChange('owner', 'admin', 'downloader'), null);
+    assert.equal(checkRoleChange('owner', 'owner', 'admin'), null);
+});
+
+test('highestRole picks the most privileged role and ignores missing ones', () => {
+    assert.equal(highestRole('viewer', null, 'analyst', undefined), 'analyst');
+    assert.equal(highestRole(null, 'user'), 'analyst');
+    assert.equal(highestRole(null, undefined), null);
+});
+
+test('isRevoked covers removed and denied users but not pending or unknown ones', () => {
+    assert.ok(isRevoked({ revoked_at: { S: '2026-10-19T12:00:00Z' } }));
+    assert.ok(isRevoked({ request_status: { S: 'denied' } }));
+    assert.ok(!isRevoked({ request_status: { S: 'pending' } }));
+    assert.ok(!isRevoked(null));
+});
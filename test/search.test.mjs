@@ -0,0 +1,172 @@
+/**
+ * Tests for the /search tokenizer and ranking. searchFiles() runs against an in-memory
+ * stand-in for the two tables, so no DynamoDB is needed:
+ *
+ *   npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDocument, makeSnippet, scorePosting, searchFiles, tokenize } from '../src/shared/search.mjs';
+
+const TABLES = { searchTable: 'search', filesTable: 'files' };
+
+function fileItem(fileKey, userId, fields) {
+    const item = { file_key: { S: fileKey }, user_id: { S: String(userId) } };
+    for (const [attr, text] of Object.entries(fields)) item[attr] = { S: text };
+    return item;
+}
+
+// Index `items` the way indexFile() would and answer the reads searchFiles() makes
+function fakeTables(items, { expired = [] } = {}) {
+    const postings = new Map();
+    let totalLength = 0;
+    for (const item of items) {
+        const { terms, length } = buildDocument(item);
+        totalLength += length;
+        for (const [term, tf] of terms) {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push({
+                term: { S: term },
+                file_key: item.file_key,
+                tf: { N: String(tf) },
+                len: { N: String(length) },
+                user_id: item.user_id,
+            });
+        }
+    }
+    const files = new Map(items.filter(item => !expired.includes(item.file_key.S)).map(item => [item.file_key.S, item]));
+    const batchGets = [];
+
+    const ddb = {
+        async send(command) {
+            const input = command.input;
+            switch (command.constructor.name) {
+                case 'GetItemCommand':
+                    return { Item: { docs: { N: String(items.length) }, total_len: { N: String(totalLength) } } };
+                case 'QueryCommand':
+                    return { Items: postings.get(input.ExpressionAttributeValues[':term'].S) || [] };
+                case 'BatchGetItemCommand': {
+                    const keys = input.RequestItems[TABLES.filesTable].Keys.map(key => key.file_key.S);
+                    batchGets.push(keys);
+                    return { Responses: { [TABLES.filesTable]: keys.filter(key => files.has(key)).map(key => files.get(key)) } };
+                }
+                default:
+                    throw new Error(`Unexpected ${command.constructor.name}`);
+            }
+        }
+    };
+    return { ddb, batchGets };
+}
+
+test('tokenize lowercases, strips accents and splits on anything but letters and digits', () => {
+    assert.deepEqual(tokenize('Café_Del-Mar 2024!'), ['cafe', 'del', 'mar', '2024']);
+});
+
+test('tokenize drops stop words and single characters', () => {
+    assert.deepEqual(tokenize('The cat and a dog in 3 boxes'), ['cat', 'dog', 'boxes']);
+});
+
+test('tokenize keeps non-Latin scripts', () => {
+    assert.deepEqual(tokenize('שלום עולם, مرحبا'), ['שלום', 'עולם', 'مرحبا']);
+});
+
+test('tokenize handles missing text', () => {
+    assert.deepEqual(tokenize(undefined), []);
+    assert.deepEqual(tokenize(''), []);
+});
+
+test('buildDocument weights title hits three times a body hit', () => {
+    const { terms, length } = buildDocument(fileItem('f1', 1, { title: 'Guitar lesson', transcript: 'guitar chords' }));
+    assert.equal(terms.get('guitar'), 4);
+    assert.equal(terms.get('lesson'), 3);
+    assert.equal(terms.get('chords'), 1);
+    assert.equal(length, 4);
+});
+
+test('scorePosting ranks rarer terms higher', () => {
+    const stats = { docs: 100, avgLength: 50 };
+    assert.ok(scorePosting(1, 50, 2, stats) > scorePosting(1, 50, 40, stats));
+});
+
+test('scorePosting ranks more hits higher, with diminishing returns', () => {
+    const stats = { docs: 100, avgLength: 50 };
+    const once = scorePosting(1, 50, 5, stats);
+    const twice = scorePosting(2, 50, 5, stats);
+    const thrice = scorePosting(3, 50, 5, stats);
+    assert.ok(twice > once);
+    assert.ok(thrice - twice < twice - once);
+});
+
+test('scorePosting ranks the same hits in a shorter document higher', () => {
+    const stats = { docs: 100, avgLength: 50 };
+    assert.ok(scorePosting(1, 10, 5, stats) > scorePosting(1, 200, 5, stats));
+});
+
+test('scorePosting stays finite on an empty index', () => {
+    assert.ok(Number.isFinite(scorePosting(1, 0, 1, { docs: 0, avgLength: 0 })));
+});
+
+test('makeSnippet bolds whole-word hits and escapes HTML', () => {
+    const item = fileItem('f1', 1, { transcript: 'Tom & Jerry: the cat chases <the> mouse, not a category' });
+    assert.deepEqual(makeSnippet(item, ['cat']), {
+        field: 'transcript',
+        html: 'Tom &amp; Jerry: the <b>cat</b> chases &lt;the&gt; mouse, not a category',
+    });
+});
+
+test('makeSnippet matches accented text from an accent-free query', () => {
+    const item = fileItem('f1', 1, { analysis: 'A visit to the café' });
+    assert.equal(makeSnippet(item, ['cafe']).html, 'A visit to the <b>café</b>');
+});
+
+test('makeSnippet falls back to the title and trims long text', () => {
+    const long = `${'word '.repeat(100)}needle ${'word '.repeat(100)}`;
+    assert.equal(makeSnippet(fileItem('f1', 1, { title: 'Needle drop' }), ['needle']).field, 'title');
+
+    const { html } = makeSnippet(fileItem('f2', 1, { transcript: long }), ['needle']);
+    assert.ok(html.startsWith('…') && html.endsWith('…'));
+    assert.ok(html.includes('<b>needle</b>'));
+    assert.equal(makeSnippet(fileItem('f3', 1, { transcript: long }), ['haystack']), null);
+});
+
+test('searchFiles ranks title hits and files matching more terms first', async () => {
+    const { ddb } = fakeTables([
+        fileItem('body', 1, { title: 'Morning vlog', transcript: 'we talk about guitar for a minute' }),
+        fileItem('title', 1, { title: 'Guitar tutorial', transcript: 'today we play a song' }),
+        fileItem('both', 1, { title: 'Guitar tutorial', transcript: 'jazz guitar chords for beginners' }),
+        fileItem('other', 1, { title: 'Cooking pasta', transcript: 'boil water' }),
+    ]);
+
+    const { terms, results } = await searchFiles(ddb, TABLES, 'the guitar chords');
+    assert.deepEqual(terms, ['guitar', 'chords']);
+    assert.deepEqual(results.map(result => result.item.file_key.S), ['both', 'title', 'body']);
+    assert.ok(results[0].score > results[1].score && results[1].score > results[2].score);
+    assert.equal(results[0].snippet.field, 'transcript');
+});
+
+test('searchFiles returns nothing for a query of only stop words', async () => {
+    const { ddb } = fakeTables([fileItem('f1', 1, { title: 'The end' })]);
+    assert.deepEqual(await searchFiles(ddb, TABLES, 'the and of'), { terms: [], results: [] });
+});
+
+test('searchFiles leaves out other users\' files and expired files, and still fills the limit', async () => {
+    const items = [];
+    for (let i = 0; i < 6; i++) items.push(fileItem(`theirs-${i}`, 2, { title: `Guitar guitar guitar ${i}` }));
+    for (let i = 0; i < 4; i++) items.push(fileItem(`mine-${i}`, 1, { title: `Guitar ${i}`, transcript: 'a long transcript about many other things' }));
+    const { ddb, batchGets } = fakeTables(items, { expired: ['mine-0'] });
+
+    const { results } = await searchFiles(ddb, TABLES, 'guitar', { limit: 2, userId: 1 });
+    assert.equal(results.length, 2);
+    assert.ok(results.every(result => result.item.user_id.S === '1' && result.item.file_key.S !== 'mine-0'));
+    // Other users' postings are skipped before any files are fetched
+    assert.ok(batchGets.flat().every(fileKey => fileKey.startsWith('mine-')));
+});
+
+test('searchFiles without a user searches everyone\'s files', async () => {
+    const { ddb } = fakeTables([
+        fileItem('mine', 1, { title: 'Guitar' }),
+        fileItem('theirs', 2, { title: 'Guitar' }),
+    ]);
+    const { results } = await searchFiles(ddb, TABLES, 'guitar', { limit: 10 });
+    assert.deepEqual(results.map(result => result.item.file_key.S).sort(), ['mine', 'theirs']);
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for the HTML helpers in src/shared/telegram.mjs that keep text within
+ * Telegram's length limits.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, splitHtml, truncateHtml } from '../src/shared/telegram.mjs';
+
+// Every opening tag has its closing tag, in order
+function assertBalanced(html) {
+    const open = [];
+    for (const [, closing, name] of html.matchAll(/<(\/?)([a-z-]+)[^>]*>/gi)) {
+        if (closing) assert.equal(open.pop(), name, html);
+        else open.push(name);
+    }
+    assert.deepEqual(open, [], html);
+}
+
+test('escapeHtml escapes markup and quotes and handles missing text', () => {
+    assert.equal(escapeHtml('<a href="x">Tom & Jerry</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/a&gt;');
+    assert.equal(escapeHtml(undefined), '');
+    assert.equal(escapeHtml(42), '42');
+});
+
+test('truncateHtml leaves text within the limit alone', () => {
+    assert.equal(truncateHtml('<b>hello</b>', 12), '<b>hello</b>');
+});
+
+test('truncateHtml cuts with "…" and closes open tags', () => {
+    const html = truncateHtml(`<b>${'x'.repeat(50)}</b> and <i>more</i>`, 30);
+    assert.ok(html.length <= 30);
+    assert.ok(html.endsWith('</b>…'));
+    assertBalanced(html);
+});
+
+test('truncateHtml doesn\'t leave half a tag or entity', () => {
+    assert.equal(truncateHtml('a &amp; b', 6), 'a …');
+    assert.equal(truncateHtml('ab <a href="https://example.com">link</a>', 10), 'ab …');
+});
+
+test('splitHtml keeps short text in one message', () => {
+    assert.deepEqual(splitHtml('short'), ['short']);
+});
+
+test('splitHtml splits between paragraphs, then between lines', () => {
+    assert.deepEqual(splitHtml('aaaa\n\nbbbb\n\ncccc', 10), ['aaaa\n\nbbbb', 'cccc']);
+    assert.deepEqual(splitHtml('line one\nline two\nline three', 20), ['line one\nline two', 'line three']);
+});
+
+test('splitHtml cuts an overlong line and carries its open tags over', () => {
+    const text = 'x'.repeat(100);
+    const chunks = splitHtml(`<a href="u">${text}</a>`, 60);
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= 60);
+        assert.ok(chunk.startsWith('<a href="u">'));
+        assertBalanced(chunk.replace(/…$/, ''));
+    }
+    assert.equal(chunks.join('').replace(/<[^>]*>|…/g, ''), text);
+});
+
+test('splitHtml keeps every message within the limit', () => {
+    const html = Array.from({ length: 200 }, (_, i) => `${i}. <b>item</b> <i>${'word '.repeat(i % 7)}</i>`).join('\n');
+    const chunks = splitHtml(html, 500);
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= 500);
+        assertBalanced(chunk);
+    }
+});